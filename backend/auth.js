@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+
+const CODE_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+// Random code drawn with a CSPRNG
+function randomCode(length) {
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += CODE_CHARS.charAt(crypto.randomInt(CODE_CHARS.length));
+  }
+  return code;
+}
+
+// Opaque secret handed to a single party (session owner, resume tokens)
+function randomToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+// One-way digest used to keep owner tokens out of persisted session data
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+// Passcodes are stored as "salt:hash" using scrypt
+function hashPasscode(passcode) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(passcode), salt, 32).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+function verifyPasscode(passcode, stored) {
+  if (!stored) return true;
+  if (typeof passcode !== 'string') return false;
+  const [salt, hash] = stored.split(':');
+  const candidate = crypto.scryptSync(passcode, salt, 32);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function hmac(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// Signed, expiring token: base64url(JSON claims) + "." + base64url(HMAC with
+// `secret`). `now` is the issuer's clock in ms, e.g. the relay's injected one.
+function signToken(claims, ttlMs, { secret, now = Date.now() }) {
+  const body = Buffer.from(JSON.stringify({ ...claims, exp: now + ttlMs })).toString('base64url');
+  return `${body}.${hmac(body, secret)}`;
+}
+
+// Returns the claims of a valid token unexpired at `now`, otherwise null
+function verifyToken(token, { secret, now = Date.now() }) {
+  if (typeof token !== 'string') return null;
+  const [body, signature] = token.split('.');
+  if (!body || !signature || !safeEqual(signature, hmac(body, secret))) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    return claims.exp > now ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  randomCode,
+  randomToken,
+  digest,
+  hashPasscode,
+  verifyPasscode,
+  safeEqual,
+  signToken,
+  verifyToken
+};
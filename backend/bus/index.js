@@ -0,0 +1,36 @@
+const { InProcessBus, InProcessHub } = require('./memory');
+const { PubSubBus } = require('./pubsub');
+const { LocalBroker } = require('./local-broker');
+const { RemoteSocket, packData, unpackData } = require('./remote-socket');
+
+// Build a session bus by name: 'memory' (one instance) or 'redis' (several
+// instances sharing a Redis server at `url`; needs the ioredis package)
+function createBus({ type = 'memory', url, prefix, instanceId } = {}) {
+  switch (type) {
+    case 'memory':
+      return new InProcessBus({ instanceId });
+    case 'redis': {
+      let Redis;
+      try {
+        Redis = require('ioredis');
+      } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') throw error;
+        throw new Error('The redis session bus needs the ioredis package (npm install ioredis)');
+      }
+      return new PubSubBus({ publisher: new Redis(url), subscriber: new Redis(url), prefix, instanceId });
+    }
+    default:
+      throw new Error(`Unknown bus type "${type}"`);
+  }
+}
+
+module.exports = {
+  createBus,
+  InProcessBus,
+  InProcessHub,
+  PubSubBus,
+  LocalBroker,
+  RemoteSocket,
+  packData,
+  unpackData
+};
@@ -0,0 +1,86 @@
+const { EventEmitter } = require('events');
+
+// In-memory stand-in for a Redis server with just what PubSubBus uses, for
+// tests and for trying a multi-instance setup in one process. connect()
+// hands out client connections; messages are serialized and delivered
+// asynchronously, in order, as over a network.
+class LocalBroker {
+  constructor({ now = Date.now } = {}) {
+    this.now = now;
+    // key -> { value, expiresAt }
+    this.data = new Map();
+    this.clients = new Set();
+  }
+
+  connect() {
+    const client = new LocalBrokerClient(this);
+    this.clients.add(client);
+    return client;
+  }
+
+  read(key) {
+    const record = this.data.get(key);
+    if (record && record.expiresAt !== null && record.expiresAt <= this.now()) {
+      this.data.delete(key);
+      return undefined;
+    }
+    return record;
+  }
+
+  deliver(channel, text) {
+    const receivers = [...this.clients].filter(client => client.channels.has(channel));
+    setImmediate(() => receivers.forEach(client => client.emit('message', channel, text)));
+    return receivers.length;
+  }
+}
+
+class LocalBrokerClient extends EventEmitter {
+  constructor(broker) {
+    super();
+    this.broker = broker;
+    this.channels = new Set();
+  }
+
+  async get(key) {
+    const record = this.broker.read(key);
+    return record ? record.value : null;
+  }
+
+  // set(key, value[, 'PX', ms][, 'NX']): 'OK', or null when NX finds the key
+  async set(key, value, ...args) {
+    const px = args.indexOf('PX');
+    const nx = args.includes('NX');
+    if (nx && this.broker.read(key)) return null;
+    this.broker.data.set(key, {
+      value: String(value),
+      expiresAt: px === -1 ? null : this.broker.now() + Number(args[px + 1])
+    });
+    return 'OK';
+  }
+
+  async del(key) {
+    const existed = Boolean(this.broker.read(key));
+    this.broker.data.delete(key);
+    return existed ? 1 : 0;
+  }
+
+  async publish(channel, message) {
+    return this.broker.deliver(channel, String(message));
+  }
+
+  async subscribe(channel) {
+    this.channels.add(channel);
+  }
+
+  async unsubscribe(channel) {
+    this.channels.delete(channel);
+  }
+
+  async quit() {
+    this.channels.clear();
+    this.broker.clients.delete(this);
+    return 'OK';
+  }
+}
+
+module.exports = { LocalBroker };
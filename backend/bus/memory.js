@@ -0,0 +1,72 @@
+// In-process session bus. Relays built in one process with the same hub see
+// each other's sessions, which is how the cluster tests run; a relay with a
+// hub of its own is a single instance with nothing to share.
+//
+// Every bus implements the same interface; all methods but publish() return
+// promises:
+//   instanceId                     this relay's name on the bus
+//   start(onMessage)               receive messages published to instanceId
+//   claim(code, entry, ttlMs)      add a directory entry unless code is taken
+//   register(code, entry, ttlMs)   add or refresh a directory entry
+//   lookup(code)                   the entry for code, or null
+//   unregister(code)
+//   publish(instanceId, message)   deliver a JSON message to an instance;
+//                                  resolves with the number of receivers
+//   close()
+// Directory entries and messages are plain JSON-able objects.
+
+const { randomToken } = require('../auth');
+
+class InProcessHub {
+  constructor() {
+    // code -> entry
+    this.directory = new Map();
+    // instanceId -> onMessage
+    this.instances = new Map();
+  }
+}
+
+class InProcessBus {
+  constructor({ hub = new InProcessHub(), instanceId = randomToken().slice(0, 12) } = {}) {
+    this.hub = hub;
+    this.instanceId = instanceId;
+  }
+
+  async start(onMessage) {
+    this.hub.instances.set(this.instanceId, onMessage);
+  }
+
+  // Entries never expire here: they go away with unregister() or the process
+  async claim(code, entry) {
+    if (this.hub.directory.has(code)) return false;
+    this.hub.directory.set(code, entry);
+    return true;
+  }
+
+  async register(code, entry) {
+    this.hub.directory.set(code, entry);
+  }
+
+  async lookup(code) {
+    return this.hub.directory.get(code) || null;
+  }
+
+  async unregister(code) {
+    this.hub.directory.delete(code);
+  }
+
+  // Delivered on a later turn of the event loop, in order, like a network bus
+  publish(instanceId, message) {
+    const onMessage = this.hub.instances.get(instanceId);
+    if (!onMessage) return Promise.resolve(0);
+    const text = JSON.stringify(message);
+    setImmediate(() => onMessage(JSON.parse(text)));
+    return Promise.resolve(1);
+  }
+
+  async close() {
+    this.hub.instances.delete(this.instanceId);
+  }
+}
+
+module.exports = { InProcessBus, InProcessHub };
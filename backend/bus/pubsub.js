@@ -0,0 +1,70 @@
+const { randomToken } = require('../auth');
+
+// Session bus over a Redis-style server: the directory is one key per
+// session, messages go to one pub/sub channel per instance.
+//
+// `publisher` and `subscriber` are two connections (a subscribed Redis
+// connection cannot run other commands) with the ioredis method names:
+// get, set(key, value, 'PX', ms[, 'NX']), del, publish, subscribe,
+// unsubscribe, quit and a 'message' (channel, text) event. The bus owns them
+// and quits both on close(). LocalBroker (local-broker.js) stands in for the
+// server in tests.
+class PubSubBus {
+  constructor({ publisher, subscriber, prefix = 'scp:', instanceId = randomToken().slice(0, 12) }) {
+    this.publisher = publisher;
+    this.subscriber = subscriber;
+    this.prefix = prefix;
+    this.instanceId = instanceId;
+    this.listener = null;
+  }
+
+  key(code) {
+    return `${this.prefix}session:${code}`;
+  }
+
+  channel(instanceId) {
+    return `${this.prefix}instance:${instanceId}`;
+  }
+
+  async start(onMessage) {
+    const own = this.channel(this.instanceId);
+    this.listener = (channel, text) => {
+      if (channel === own) onMessage(JSON.parse(text));
+    };
+    this.subscriber.on('message', this.listener);
+    await this.subscriber.subscribe(own);
+  }
+
+  // Entries expire unless refreshed, so an instance that dies without
+  // unregistering does not keep its codes forever
+  async claim(code, entry, ttlMs) {
+    return (await this.publisher.set(this.key(code), JSON.stringify(entry), 'PX', ttlMs, 'NX')) === 'OK';
+  }
+
+  async register(code, entry, ttlMs) {
+    await this.publisher.set(this.key(code), JSON.stringify(entry), 'PX', ttlMs);
+  }
+
+  async lookup(code) {
+    const text = await this.publisher.get(this.key(code));
+    return text ? JSON.parse(text) : null;
+  }
+
+  async unregister(code) {
+    await this.publisher.del(this.key(code));
+  }
+
+  publish(instanceId, message) {
+    return this.publisher.publish(this.channel(instanceId), JSON.stringify(message));
+  }
+
+  async close() {
+    if (this.listener) {
+      this.subscriber.off('message', this.listener);
+      await this.subscriber.unsubscribe(this.channel(this.instanceId));
+    }
+    await Promise.all([this.subscriber.quit(), this.publisher.quit()]);
+  }
+}
+
+module.exports = { PubSubBus };
@@ -0,0 +1,70 @@
+const { EventEmitter } = require('events');
+
+// ws readyState values
+const OPEN = 1;
+const CLOSED = 3;
+
+// Frames cross the bus as JSON: text as is, binary frames as base64
+function packData(data, binary) {
+  return binary
+    ? { data: Buffer.from(data).toString('base64'), binary: true }
+    : { data: data.toString() };
+}
+
+function unpackData({ data, binary }) {
+  return binary ? Buffer.from(data, 'base64') : data;
+}
+
+// The session home's view of a peer connected to another instance. It
+// quacks like a ws WebSocket: what the relay sends is published to
+// `instance`, which writes it to the real socket, and what the peer sends
+// comes in through receive(). Messages on the bus:
+//   { kind: 'send', connId, data, binary }      home -> peer's instance
+//   { kind: 'close', connId, code, reason, terminate }
+class RemoteSocket extends EventEmitter {
+  constructor(bus, instance, connId) {
+    super();
+    this.bus = bus;
+    this.instance = instance;
+    this.connId = connId;
+    this.readyState = OPEN;
+  }
+
+  // Bus failures surface as 'error' events, like socket errors
+  publish(message) {
+    this.bus.publish(this.instance, { connId: this.connId, ...message }).catch(error => this.emit('error', error));
+  }
+
+  send(data, options = {}) {
+    if (this.readyState !== OPEN) return;
+    this.publish({ kind: 'send', ...packData(data, options.binary) });
+  }
+
+  close(code = 1000, reason = '') {
+    if (this.readyState !== OPEN) return;
+    this.publish({ kind: 'close', code, reason });
+    this.closed(code);
+  }
+
+  terminate() {
+    if (this.readyState !== OPEN) return;
+    this.publish({ kind: 'close', terminate: true });
+    this.closed(1006);
+  }
+
+  // Liveness is checked by the instance holding the real socket
+  ping() {}
+
+  receive(data, isBinary) {
+    if (this.readyState === OPEN) this.emit('message', data, isBinary);
+  }
+
+  // The real socket closed (or this side closed it)
+  closed(code) {
+    if (this.readyState === CLOSED) return;
+    this.readyState = CLOSED;
+    setImmediate(() => this.emit('close', code));
+  }
+}
+
+module.exports = { RemoteSocket, packData, unpackData };
@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { MAX_FILE_BYTES } = require('scp-protocol');
+
+// Relay settings. Each one can come from (lowest to highest precedence) its
+// default, a JSON config file (--config or SCP_CONFIG), its environment
+// variable, or its command-line flag (the variable name without SCP_, in
+// kebab case: SCP_SESSION_TTL_MS -> --session-ttl-ms).
+//
+// The config object mirrors the setting keys, e.g. { port, limits: { createPerMin } },
+// and is what createServer() takes as options.
+const SETTINGS = [
+  { key: 'port', env: 'PORT', type: 'integer', min: 0, max: 65535, default: 3001, description: 'HTTP/WebSocket port' },
+  { key: 'storeType', env: 'SCP_STORE', type: 'enum', values: ['file', 'memory'], default: 'file', description: 'Session store' },
+  { key: 'dataDir', env: 'SCP_DATA_DIR', type: 'string', default: path.join(__dirname, 'data'), description: 'Directory of the file store' },
+  { key: 'busType', env: 'SCP_BUS', type: 'enum', values: ['memory', 'redis'], default: 'memory', description: 'Session bus: memory for one instance, redis to share sessions between instances (needs tokenSecret)' },
+  { key: 'busUrl', env: 'SCP_BUS_URL', type: 'string', default: 'redis://localhost:6379', secret: true, description: 'Redis server of the redis session bus' },
+  { key: 'logFormat', env: 'SCP_LOG_FORMAT', type: 'enum', values: ['text', 'json'], default: 'text', description: 'Log line format' },
+  { key: 'logLevel', env: 'SCP_LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info', description: 'Least severe level logged' },
+  { key: 'logRedact', env: 'SCP_LOG_REDACT', type: 'boolean', default: true, description: 'Keep payloads and tokens out of the log' },
+  { key: 'traceEnabled', env: 'SCP_TRACE_ENABLED', type: 'boolean', default: true, description: 'Record a protocol trace per session' },
+  { key: 'traceDir', env: 'SCP_TRACE_DIR', type: 'string', default: path.join(__dirname, 'data', 'traces'), description: 'Directory of the protocol traces' },
+  { key: 'traceRetentionMs', env: 'SCP_TRACE_RETENTION_MS', type: 'integer', min: 0, default: 24 * 60 * 60 * 1000, description: 'How long traces of finished sessions are kept (0: forever)' },
+  { key: 'corsOrigins', env: 'SCP_CORS_ORIGINS', type: 'list', default: ['*'], description: 'Origins allowed to call the REST API (* for any)' },
+  { key: 'trustProxy', env: 'SCP_TRUST_PROXY', type: 'boolean', default: false, description: 'Take client addresses from X-Forwarded-For' },
+  { key: 'metricsToken', env: 'SCP_METRICS_TOKEN', type: 'string', default: '', secret: true, description: 'Bearer token required by /metrics (empty: open)' },
+  { key: 'adminToken', env: 'SCP_ADMIN_TOKEN', type: 'string', default: '', secret: true, description: 'Bearer token of the admin API and dashboard (empty: admin API off)' },
+  { key: 'tokenSecret', env: 'SCP_TOKEN_SECRET', type: 'string', default: '', secret: true, description: 'Secret that signs join tokens, the same on every instance (empty: random, so join tokens die with the process)' },
+  { key: 'faultInjection', env: 'SCP_FAULT_INJECTION', type: 'boolean', default: true, description: 'Let session owners simulate loss, delay, duplication, reordering and corruption' },
+  { key: 'codeLength', env: 'SCP_CODE_LENGTH', type: 'integer', min: 6, max: 16, default: 8, description: 'Length of session codes' },
+  { key: 'sessionTtlMs', env: 'SCP_SESSION_TTL_MS', type: 'integer', min: 1000, default: 60 * 60 * 1000, description: 'Idle time (no frames relayed) after which a session expires' },
+  { key: 'expiryWarningMs', env: 'SCP_EXPIRY_WARNING_MS', type: 'integer', min: 0, default: 5 * 60 * 1000, description: 'How long before an idle session expires its peers are warned (0: no warning)' },
+  { key: 'cleanupIntervalMs', env: 'SCP_CLEANUP_INTERVAL_MS', type: 'integer', min: 1000, default: 5 * 60 * 1000, description: 'How often used tokens and stale entries are swept' },
+  { key: 'heartbeatIntervalMs', env: 'SCP_HEARTBEAT_INTERVAL_MS', type: 'integer', min: 1000, default: 30 * 1000, description: 'Ping interval; one missed pong drops the socket' },
+  { key: 'resumeGraceMs', env: 'SCP_RESUME_GRACE_MS', type: 'integer', min: 0, default: 60 * 1000, description: 'How long a dropped peer may take to resume' },
+  { key: 'joinTokenTtlMs', env: 'SCP_JOIN_TOKEN_TTL_MS', type: 'integer', min: 1000, default: 5 * 60 * 1000, description: 'Lifetime of join tokens' },
+  { key: 'limits.createPerMin', env: 'SCP_RATE_CREATE_PER_MIN', type: 'integer', min: 1, default: 10, description: 'Sessions created per minute per address' },
+  { key: 'limits.checkPerMin', env: 'SCP_RATE_CHECK_PER_MIN', type: 'integer', min: 1, default: 60, description: 'Session lookups per minute per address' },
+  { key: 'limits.joinPerMin', env: 'SCP_RATE_JOIN_PER_MIN', type: 'integer', min: 1, default: 20, description: 'Join token requests per minute per address' },
+  { key: 'limits.adminPerMin', env: 'SCP_RATE_ADMIN_PER_MIN', type: 'integer', min: 1, default: 300, description: 'Admin API requests per minute per address' },
+  { key: 'limits.connectionsPerMin', env: 'SCP_RATE_CONNECTIONS_PER_MIN', type: 'integer', min: 1, default: 30, description: 'WebSocket connections per minute per address' },
+  { key: 'limits.messagesPerSec', env: 'SCP_RATE_MESSAGES_PER_SEC', type: 'number', min: 0.1, default: 20, description: 'Messages per second per connection' },
+  { key: 'limits.messageBurst', env: 'SCP_RATE_MESSAGE_BURST', type: 'integer', min: 1, default: 40, description: 'Message burst per connection' },
+  { key: 'limits.ipMessagesPerSec', env: 'SCP_RATE_IP_MESSAGES_PER_SEC', type: 'number', min: 0.1, default: 100, description: 'Messages per second per address' },
+  { key: 'limits.maxFrameBytes', env: 'SCP_MAX_FRAME_BYTES', type: 'integer', min: 1024, default: 64 * 1024, description: 'Largest WebSocket message or REST body' },
+  { key: 'limits.maxPayloadBytes', env: 'SCP_MAX_PAYLOAD_BYTES', type: 'integer', min: 1, default: 16 * 1024, description: 'Largest SCP payload' },
+  { key: 'limits.maxViolations', env: 'SCP_MAX_VIOLATIONS', type: 'integer', min: 1, default: 5, description: 'Rejected messages before a socket is closed' },
+  { key: 'limits.maxFileBytes', env: 'SCP_MAX_FILE_BYTES', type: 'integer', min: 1, default: MAX_FILE_BYTES, description: 'Largest file that may be offered' },
+  { key: 'limits.bytesPerSec', env: 'SCP_RATE_BYTES_PER_SEC', type: 'integer', min: 1024, default: 1024 * 1024, description: 'File chunk bytes per second per connection' }
+];
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  ${problems.join('\n  ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+function flagOf(setting) {
+  return setting.env.replace(/^SCP_/, '').toLowerCase().replace(/_/g, '-');
+}
+
+function getPath(object, key) {
+  return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), object);
+}
+
+function setPath(object, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const target = parts.reduce((node, part) => {
+    if (!node[part]) node[part] = {};
+    return node[part];
+  }, object);
+  target[last] = value;
+}
+
+// Coerce a raw value (a string from the environment or a flag, or anything
+// from the config file) to the setting's type; returns { value } or { error }
+function coerce(setting, raw) {
+  const { type, min, max, values } = setting;
+
+  if (type === 'integer' || type === 'number') {
+    const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+    if (String(raw).trim() === '' || !Number.isFinite(value)) return { error: `expected a number, got "${raw}"` };
+    if (type === 'integer' && !Number.isInteger(value)) return { error: `expected an integer, got ${raw}` };
+    if (min !== undefined && value < min) return { error: `must be at least ${min}, got ${value}` };
+    if (max !== undefined && value > max) return { error: `must be at most ${max}, got ${value}` };
+    return { value };
+  }
+  if (type === 'boolean') {
+    if (typeof raw === 'boolean') return { value: raw };
+    const text = String(raw).trim().toLowerCase();
+    if (['true', '1', 'yes'].includes(text)) return { value: true };
+    if (['false', '0', 'no'].includes(text)) return { value: false };
+    return { error: `expected true or false, got "${raw}"` };
+  }
+  if (type === 'enum') {
+    if (!values.includes(raw)) return { error: `expected one of ${values.join(', ')}, got "${raw}"` };
+    return { value: raw };
+  }
+  if (type === 'list') {
+    const items = Array.isArray(raw) ? raw.map(String) : String(raw).split(',');
+    const value = items.map(item => item.trim()).filter(Boolean);
+    if (value.length === 0) return { error: 'expected at least one entry' };
+    return { value };
+  }
+  if (typeof raw !== 'string' || raw === '') return { error: 'expected a non-empty string' };
+  return { value: raw };
+}
+
+// Every setting at its default value
+function defaultConfig() {
+  const config = {};
+  SETTINGS.forEach(setting => setPath(config, setting.key, setting.default));
+  return config;
+}
+
+function readConfigFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new ConfigError([`config file ${file}: ${error.message}`]);
+  }
+  try {
+    const data = JSON.parse(text);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('expected a JSON object');
+    return data;
+  } catch (error) {
+    throw new ConfigError([`config file ${file}: ${error.message}`]);
+  }
+}
+
+// Setting keys a config file uses that no setting has, e.g. typos
+function unknownKeys(data, prefix = '') {
+  return Object.entries(data).flatMap(([name, value]) => {
+    const key = prefix + name;
+    if (SETTINGS.some(setting => setting.key === key)) return [];
+    if (value && typeof value === 'object' && !Array.isArray(value) &&
+        SETTINGS.some(setting => setting.key.startsWith(`${key}.`))) {
+      return unknownKeys(value, `${key}.`);
+    }
+    return [key];
+  });
+}
+
+function parseFlags(argv) {
+  const options = {
+    config: { type: 'string' },
+    'print-config': { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+  };
+  SETTINGS.forEach((setting) => {
+    options[flagOf(setting)] = { type: 'string' };
+  });
+  try {
+    return parseArgs({ args: argv, options, strict: true, allowPositionals: false }).values;
+  } catch (error) {
+    throw new ConfigError([error.message]);
+  }
+}
+
+// Build the effective configuration from defaults, config file, environment
+// and flags. Collects every invalid value before throwing a ConfigError.
+// Returns { config, sources, file, printConfig, help } where sources maps
+// each setting key to where its value came from.
+function loadConfig({ argv = [], env = process.env } = {}) {
+  const flags = parseFlags(argv);
+  const file = flags.config || env.SCP_CONFIG || null;
+  const data = file ? readConfigFile(path.resolve(file)) : {};
+
+  const config = defaultConfig();
+  const sources = {};
+  const problems = unknownKeys(data).map(key => `config file ${file}: unknown setting "${key}"`);
+
+  SETTINGS.forEach((setting) => {
+    const flag = flagOf(setting);
+    const layers = [
+      ['file', getPath(data, setting.key), `"${setting.key}" in ${file}`],
+      ['env', env[setting.env] === '' ? undefined : env[setting.env], setting.env],
+      ['flag', flags[flag], `--${flag}`]
+    ];
+    sources[setting.key] = 'default';
+
+    layers.forEach(([source, raw, origin]) => {
+      if (raw === undefined) return;
+      const { value, error } = coerce(setting, raw);
+      if (error) {
+        problems.push(`${origin}: ${error}`);
+        return;
+      }
+      setPath(config, setting.key, value);
+      sources[setting.key] = source;
+    });
+  });
+
+  if (config.limits.maxPayloadBytes > config.limits.maxFrameBytes) {
+    problems.push('limits.maxPayloadBytes must not exceed limits.maxFrameBytes');
+  }
+  if (config.corsOrigins.length > 1 && config.corsOrigins.includes('*')) {
+    problems.push('corsOrigins: "*" cannot be combined with specific origins');
+  }
+  if (config.busType === 'redis' && !config.tokenSecret) {
+    problems.push('tokenSecret must be set with busType redis, or instances reject each other\'s join tokens');
+  }
+
+  if (problems.length > 0) throw new ConfigError(problems);
+  return { config, sources, file, printConfig: Boolean(flags['print-config']), help: Boolean(flags.help) };
+}
+
+// One "key = value (source)" line per setting
+function describeConfig(config, sources = {}) {
+  const width = Math.max(...SETTINGS.map(setting => setting.key.length));
+  return SETTINGS.map((setting) => {
+    const value = getPath(config, setting.key);
+    let shown = Array.isArray(value) ? value.join(',') : String(value);
+    if (setting.secret && shown) shown = '********';
+    return `${setting.key.padEnd(width)} = ${shown} (${sources[setting.key] || 'default'})`;
+  }).join('\n');
+}
+
+// --help text listing every setting with its variable, flag and default
+function usage() {
+  const lines = SETTINGS.map((setting) => {
+    const fallback = Array.isArray(setting.default) ? setting.default.join(',') : setting.default;
+    return `  --${flagOf(setting).padEnd(24)} ${setting.env.padEnd(30)} ${setting.description} (default: ${fallback})`;
+  });
+  return [
+    'Usage: node server.js [--config <file.json>] [--print-config] [--<setting> <value>...]',
+    '',
+    'Settings (flag, environment variable):',
+    ...lines
+  ].join('\n');
+}
+
+module.exports = { SETTINGS, ConfigError, defaultConfig, loadConfig, describeConfig, usage };
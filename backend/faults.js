@@ -0,0 +1,147 @@
+// Simulated network conditions for one session, so that the SCP ACK and
+// retransmission logic can be watched at work on a bad network.
+//
+// Conditions (all optional, 0 when left out):
+//   dropRate       share of frames that never arrive (0..1)
+//   latencyMs      delay added to every frame
+//   jitterMs       random +/- variation of that delay
+//   duplicateRate  share of frames delivered twice
+//   reorderRate    share of frames held back REORDER_HOLD_MS so later ones overtake them
+//   corruptRate    share of frames with one character (text) or byte (file chunks) changed
+//
+// Every recipient's copy of a frame is decided on separately.
+
+const RATES = ['dropRate', 'duplicateRate', 'reorderRate', 'corruptRate'];
+const DELAYS = ['latencyMs', 'jitterMs'];
+const MAX_DELAY_MS = 10000;
+const REORDER_HOLD_MS = 250;
+
+const NO_FAULTS = Object.freeze({
+  dropRate: 0,
+  latencyMs: 0,
+  jitterMs: 0,
+  duplicateRate: 0,
+  reorderRate: 0,
+  corruptRate: 0
+});
+
+// Thrown for conditions that are not understood or out of range
+class ConditionsError extends Error {
+  constructor(problems) {
+    super(`Invalid network conditions: ${problems.join('; ')}`);
+    this.name = 'ConditionsError';
+    this.problems = problems;
+  }
+}
+
+// Full conditions from a partial object, or a ConditionsError
+function normalizeConditions(input = {}) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ConditionsError(['conditions must be an object']);
+  }
+
+  const problems = [];
+  const conditions = { ...NO_FAULTS };
+  Object.entries(input).forEach(([key, value]) => {
+    if (!(key in NO_FAULTS)) {
+      problems.push(`unknown condition "${key}"`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+      problems.push(`${key} must be a number`);
+    } else if (RATES.includes(key) && (value < 0 || value > 1)) {
+      problems.push(`${key} must be between 0 and 1`);
+    } else if (DELAYS.includes(key) && (value < 0 || value > MAX_DELAY_MS)) {
+      problems.push(`${key} must be between 0 and ${MAX_DELAY_MS}`);
+    } else {
+      conditions[key] = DELAYS.includes(key) ? Math.round(value) : value;
+    }
+  });
+
+  if (problems.length > 0) throw new ConditionsError(problems);
+  return conditions;
+}
+
+// Decides the fate of each relayed frame. `onFault(kind)` hears about every
+// fault injected: 'dropped', 'duplicated', 'reordered' or 'corrupted'.
+class FaultInjector {
+  constructor({ random = Math.random, onFault = () => {} } = {}) {
+    this.random = random;
+    this.onFault = onFault;
+    this.conditions = { ...NO_FAULTS };
+    this.stats = { relayed: 0, dropped: 0, duplicated: 0, reordered: 0, corrupted: 0 };
+  }
+
+  // Whether frames can be anything but delivered at once, unchanged
+  get active() {
+    return Object.keys(NO_FAULTS).some(key => this.conditions[key] > 0);
+  }
+
+  configure(input) {
+    this.conditions = normalizeConditions(input);
+  }
+
+  fault(kind) {
+    this.stats[kind]++;
+    this.onFault(kind);
+  }
+
+  // How to deliver one frame to one recipient: no entries to drop it, else
+  // one { delayMs, corrupt } per copy
+  plan() {
+    const { dropRate, latencyMs, jitterMs, duplicateRate, reorderRate, corruptRate } = this.conditions;
+    this.stats.relayed++;
+
+    if (this.random() < dropRate) {
+      this.fault('dropped');
+      return [];
+    }
+    const copies = this.random() < duplicateRate ? 2 : 1;
+    if (copies === 2) this.fault('duplicated');
+
+    return Array.from({ length: copies }, () => {
+      let delayMs = Math.max(0, Math.round(latencyMs + (this.random() * 2 - 1) * jitterMs));
+      if (this.random() < reorderRate) {
+        delayMs += REORDER_HOLD_MS;
+        this.fault('reordered');
+      }
+      const corrupt = this.random() < corruptRate;
+      if (corrupt) this.fault('corrupted');
+      return { delayMs, corrupt };
+    });
+  }
+}
+
+// A printable character other than `ch`
+function otherCharacter(ch, random) {
+  const code = 33 + Math.floor(random() * 94);
+  return String.fromCharCode(code === ch.charCodeAt(0) ? 33 + ((code - 32) % 94) : code);
+}
+
+// `text` with one character changed, in the payload (after the last field
+// separator) when there is one
+function corruptText(text, random = Math.random) {
+  if (text.length === 0) return text;
+  const payloadStart = text.lastIndexOf('| ') + 2;
+  const from = payloadStart > 1 && payloadStart < text.length ? payloadStart : 0;
+  const index = from + Math.floor(random() * (text.length - from));
+  return text.slice(0, index) + otherCharacter(text[index], random) + text.slice(index + 1);
+}
+
+// Copy of `bytes` with one byte flipped at or after `offset`
+function corruptBytes(bytes, offset = 0, random = Math.random) {
+  const copy = Buffer.from(bytes);
+  if (copy.length === 0) return copy;
+  const start = offset < copy.length ? offset : 0;
+  const index = start + Math.floor(random() * (copy.length - start));
+  copy[index] ^= 0xff;
+  return copy;
+}
+
+module.exports = {
+  NO_FAULTS,
+  REORDER_HOLD_MS,
+  ConditionsError,
+  normalizeConditions,
+  FaultInjector,
+  corruptText,
+  corruptBytes
+};
@@ -0,0 +1,88 @@
+// Structured logging for the relay.
+//
+// createLogger() returns a log(type, message, data) function. `type` is the
+// existing category (SESSION, REGISTER, SCP, WARNING, ERROR, ...) and also
+// decides the level; `data` becomes top-level fields of the JSON line, so
+// `code` and `clientId` can be used to follow one session or connection.
+// Fields that may carry user content or credentials are redacted.
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Per-frame entries are debug: the protocol trace (trace.js) records frames
+const LEVEL_OF_TYPE = {
+  MESSAGE: 'debug',
+  SCP: 'debug',
+  HEARTBEAT: 'debug',
+  WARNING: 'warn',
+  ERROR: 'error'
+};
+
+// Keys whose values never reach the log when redaction is on
+const REDACTED_KEYS = [
+  'payload',
+  'scpMessage',
+  'hello',
+  'passcode',
+  'ownerToken',
+  'joinToken',
+  'resumeToken',
+  'token',
+  'metricsToken',
+  'adminToken',
+  'tokenSecret',
+  'busUrl',
+  'authorization'
+];
+
+function levelOf(type) {
+  return LEVEL_OF_TYPE[type] || 'info';
+}
+
+// Replace sensitive values by a marker that still tells their size; flags
+// such as `passcode: true` stay readable
+function redact(value, key) {
+  if (REDACTED_KEYS.includes(key) && value != null && typeof value !== 'boolean') {
+    return typeof value === 'string' ? `[redacted ${Buffer.byteLength(value)} bytes]` : '[redacted]';
+  }
+  if (Array.isArray(value)) return value.map(item => redact(item));
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k)]));
+  }
+  return value;
+}
+
+function createLogger({
+  format = 'text',
+  level = 'info',
+  redactPayloads = true,
+  write = line => process.stdout.write(`${line}\n`),
+  now = Date.now
+} = {}) {
+  const threshold = LEVELS.indexOf(level);
+
+  return function log(type, message, data = {}) {
+    const entryLevel = levelOf(type);
+    if (LEVELS.indexOf(entryLevel) < threshold) return;
+
+    const fields = redactPayloads ? redact(data) : data;
+    const time = new Date(now()).toISOString();
+
+    if (format === 'json') {
+      write(JSON.stringify({ time, level: entryLevel, type, message, ...fields }));
+      return;
+    }
+    const details = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+    write(`[${time}] [${entryLevel.toUpperCase()}] [${type}] ${message}${details}`);
+  };
+}
+
+// A log function that adds `context()` (e.g. the connection's session code
+// and clientId) to every entry; explicit fields win
+function withContext(log, context) {
+  return (type, message, data = {}) => {
+    const fields = Object.fromEntries(Object.entries(context()).filter(([, value]) => value != null));
+    log(type, message, { ...fields, ...data });
+  };
+}
+
+module.exports = { LEVELS, REDACTED_KEYS, createLogger, withContext, redact };
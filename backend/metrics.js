@@ -0,0 +1,144 @@
+// Prometheus metrics for the relay, in the text exposition format (0.0.4).
+//
+// A small registry of counters, gauges and histograms with labels; gauges
+// may be computed at scrape time with `collect`.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// Stable key for a label set, so { a, b } and { b, a } are the same series
+function seriesKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.series = new Map();
+  }
+
+  get(labels) {
+    const key = seriesKey(labels);
+    if (!this.series.has(key)) this.series.set(key, { labels, value: this.initial() });
+    return this.series.get(key);
+  }
+
+  initial() {
+    return 0;
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+
+  lines() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super('counter', name, help);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.get(labels).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  // `collect()` returns [{ labels, value }] to report at scrape time
+  constructor(name, help, collect) {
+    super('gauge', name, help);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this.get(labels).value = value;
+  }
+
+  lines() {
+    if (this.collect) {
+      this.series.clear();
+      this.collect().forEach(({ labels = {}, value }) => this.set(labels, value));
+    }
+    return super.lines();
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  initial() {
+    return { counts: this.buckets.map(() => 0), count: 0, sum: 0 };
+  }
+
+  observe(labels, value) {
+    const { value: state } = this.get(labels);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) state.counts[i]++;
+    });
+    state.count++;
+    state.sum += value;
+  }
+
+  lines() {
+    return [...this.series.values()].flatMap(({ labels, value }) => [
+      ...this.buckets.map((bound, i) => `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[i]}`),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`,
+      `${this.name}_sum${formatLabels(labels)} ${value.sum}`,
+      `${this.name}_count${formatLabels(labels)} ${value.count}`
+    ]);
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(name, help) {
+    return this.register(new Counter(name, help));
+  }
+
+  gauge(name, help, collect) {
+    return this.register(new Gauge(name, help, collect));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  render() {
+    return `${this.metrics.flatMap(metric => [...metric.header(), ...metric.lines()]).join('\n')}\n`;
+  }
+}
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = { Registry, Counter, Gauge, Histogram, DEFAULT_BUCKETS, CONTENT_TYPE };
@@ -0,0 +1,96 @@
+// Token bucket rate limiting for the REST API and WebSocket connections
+
+// A bucket holds up to `capacity` tokens and regains `refillPerSec` tokens
+// per second. Each request takes one token.
+class TokenBucket {
+  constructor({ capacity, refillPerSec, now = Date.now }) {
+    this.capacity = capacity;
+    this.refillPerSec = refillPerSec;
+    this.now = now;
+    this.tokens = capacity;
+    this.updatedAt = now();
+  }
+
+  refill() {
+    const current = this.now();
+    const elapsed = (current - this.updatedAt) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSec);
+    this.updatedAt = current;
+  }
+
+  take(count = 1) {
+    this.refill();
+    if (this.tokens < count) return false;
+    this.tokens -= count;
+    return true;
+  }
+
+  // Milliseconds until `count` tokens are available again
+  retryAfterMs(count = 1) {
+    this.refill();
+    if (this.tokens >= count || this.refillPerSec <= 0) return 0;
+    return Math.ceil(((count - this.tokens) / this.refillPerSec) * 1000);
+  }
+
+  isFull() {
+    this.refill();
+    return this.tokens >= this.capacity;
+  }
+}
+
+// One bucket per key (an IP address, a connection id, ...). Buckets that have
+// refilled completely carry no state and are dropped by prune().
+class RateLimiter {
+  constructor({ capacity, refillPerSec, now = Date.now }) {
+    this.options = { capacity, refillPerSec, now };
+    this.buckets = new Map();
+  }
+
+  bucket(key) {
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = new TokenBucket(this.options);
+      this.buckets.set(key, bucket);
+    }
+    return bucket;
+  }
+
+  // Returns { allowed, retryAfterMs }
+  consume(key, count = 1) {
+    const bucket = this.bucket(key);
+    if (bucket.take(count)) {
+      return { allowed: true, retryAfterMs: 0 };
+    }
+    return { allowed: false, retryAfterMs: bucket.retryAfterMs(count) };
+  }
+
+  forget(key) {
+    this.buckets.delete(key);
+  }
+
+  prune() {
+    this.buckets.forEach((bucket, key) => {
+      if (bucket.isFull()) this.buckets.delete(key);
+    });
+  }
+}
+
+// "N per window" helper: a bucket of N tokens refilled evenly over windowMs
+function perWindow(count, windowMs, now) {
+  return new RateLimiter({ capacity: count, refillPerSec: (count * 1000) / windowMs, now });
+}
+
+// Express middleware answering 429 when `limiter` has no tokens for the key
+function rateLimit(limiter, keyOf = req => req.ip, onLimited = () => {}) {
+  return (req, res, next) => {
+    const key = keyOf(req);
+    const { allowed, retryAfterMs } = limiter.consume(key);
+    if (allowed) return next();
+
+    onLimited(req, key);
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    res.status(429).json({ error: 'Too many requests, slow down', retryAfterMs });
+  };
+}
+
+module.exports = { TokenBucket, RateLimiter, perWindow, rateLimit };
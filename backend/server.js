@@ -2,370 +2,2087 @@ const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
 const cors = require('cors');
+const {
+  parse,
+  tryParse,
+  serialize,
+  SCPError,
+  SCPParseError,
+  SUPPORTED_VERSIONS,
+  readOffer,
+  negotiate,
+  LIFECYCLE_TYPES,
+  BYE_REASONS,
+  buildBye,
+  readBye,
+  buildExpiring,
+  decodeBinaryFrame,
+  FILE_TYPES
+} = require('scp-protocol');
+const { createStore, MAX_PAGE_SIZE } = require('./store');
+const {
+  randomCode,
+  randomToken,
+  digest,
+  hashPasscode,
+  verifyPasscode,
+  safeEqual,
+  signToken,
+  verifyToken
+} = require('./auth');
+const { TokenBucket, RateLimiter, perWindow, rateLimit } = require('./rate-limit');
+const { ConfigError, defaultConfig, loadConfig, describeConfig, usage } = require('./config');
+const { createLogger, withContext } = require('./logger');
+const { TraceRecorder } = require('./trace');
+const { Registry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { createBus, RemoteSocket, packData, unpackData } = require('./bus');
+const { ConditionsError, FaultInjector, corruptText, corruptBytes } = require('./faults');
 
-const app = express();
-const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+// SCP frame types that acknowledge another frame and are never acknowledged
+const RECEIPT_TYPES = ['ACK', 'NACK'];
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+// Latency probes between peers: relayed, but never stored or NACKed
+const HEARTBEAT_TYPES = ['PING', 'PONG'];
 
-// Store active sessions
-// Structure: { code: { server: WebSocket, clients: [WebSocket], messages: [] } }
-const sessions = new Map();
+// Frame types counted under their own name in scp_frames_total. Peers may
+// send any type, so the rest share one label rather than adding a series each.
+const METRIC_FRAME_TYPES = new Set([
+  'MSG', 'HELLO', 'WELCOME', ...RECEIPT_TYPES, ...HEARTBEAT_TYPES, ...LIFECYCLE_TYPES, ...FILE_TYPES
+]);
 
-// Generate random 8-character alphanumeric code
-function generateCode() {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let code = '';
-  for (let i = 0; i < 8; i++) {
-    code += chars.charAt(Math.floor(Math.random() * chars.length));
+function frameTypeLabel(type) {
+  return METRIC_FRAME_TYPES.has(type) ? type : 'OTHER';
+}
+
+// Close codes counted under their own value in scp_websocket_closes_total: the
+// standard ones (1000-1015) and the relay's own (4002-4006). Peers choose the
+// code they close with, so any other shares one label.
+const METRIC_CLOSE_CODES = new Set([
+  ...Array.from({ length: 16 }, (_, i) => 1000 + i),
+  4002, 4003, 4004, 4005, 4006
+]);
+
+function closeCodeLabel(code) {
+  return METRIC_CLOSE_CODES.has(code) ? code : 'other';
+}
+
+// Session code of a register-server or register-client message. Codes are
+// shown in upper case but may be typed in any.
+function sessionCodeOf(message) {
+  return String(message.code || '').toUpperCase();
+}
+
+// Session code a registration or resume names, i.e. the session whose home
+// instance should handle the connection; null for anything else
+function homeCodeOf(data) {
+  let message;
+  try {
+    message = JSON.parse(data.toString());
+  } catch (error) {
+    return null;
+  }
+  if (message.type === 'register-server' || message.type === 'register-client') {
+    return sessionCodeOf(message) || null;
   }
-  // Ensure code is unique
-  if (sessions.has(code)) {
-    return generateCode();
+  if (message.type === 'resume') {
+    return String(message.token || '').split('.')[0] || null;
   }
-  return code;
+  return null;
 }
 
-// Log helper
-function log(type, message, data = {}) {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] [${type}]`, message, data);
+// Token a request sends as "Authorization: Bearer <token>"; '' without one
+function bearerToken(req) {
+  return (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
 }
 
-// REST API endpoint to create a new server session
-app.post('/api/create-session', (req, res) => {
-  const code = generateCode();
-  sessions.set(code, {
-    server: null,
-    clients: [],
-    messages: [],
-    createdAt: Date.now()
+// Build a relay: the Express app, HTTP server and WebSocket server plus the
+// session state they share. Nothing listens until listen() is called.
+//
+// Options are the settings in config.js (anything left out keeps its
+// default; `limits` is merged key by key), plus `store` (a store instance
+// instead of storeType/dataDir), `bus` (a session bus instead of
+// busType/busUrl), `trace` (a TraceRecorder), `log`, and
+// `now` / `timers` ({ setTimeout, clearTimeout, setInterval, clearInterval })
+// / `random` (for fault injection) so tests can drive the clock and the dice.
+function createServer(options = {}) {
+  const defaults = defaultConfig();
+  const config = { ...defaults, ...options, limits: { ...defaults.limits, ...options.limits } };
+  const LIMITS = config.limits;
+  const TRUST_PROXY = config.trustProxy;
+  const HEARTBEAT_INTERVAL_MS = config.heartbeatIntervalMs;
+  const RESUME_GRACE_MS = config.resumeGraceMs;
+  const JOIN_TOKEN_TTL_MS = config.joinTokenTtlMs;
+  const SESSION_TTL_MS = config.sessionTtlMs;
+  const EXPIRY_WARNING_MS = Math.min(config.expiryWarningMs, SESSION_TTL_MS);
+  const CLEANUP_INTERVAL_MS = config.cleanupIntervalMs;
+  // Join tokens signed here must verify on every instance sharing the bus
+  const TOKEN_SECRET = config.tokenSecret || randomToken();
+  const now = options.now || Date.now;
+  const tokenOptions = () => ({ secret: TOKEN_SECRET, now: now() });
+  const timers = { setTimeout, clearTimeout, setInterval, clearInterval, ...options.timers };
+  const random = options.random || Math.random;
+  const log = options.log || createLogger({
+    format: config.logFormat,
+    level: config.logLevel,
+    redactPayloads: config.logRedact
   });
-  log('SESSION', 'New session created', { code });
-  res.json({ code, success: true });
-});
-
-// REST API endpoint to check if session exists
-app.get('/api/check-session/:code', (req, res) => {
-  const { code } = req.params;
-  const exists = sessions.has(code.toUpperCase());
-  res.json({ exists, code: code.toUpperCase() });
-});
-
-// REST API health check
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    sessions: sessions.size,
-    uptime: process.uptime()
+
+  const app = express();
+  const server = http.createServer(app);
+  // Oversized WebSocket frames are refused by ws itself (close code 1009)
+  const wss = new WebSocket.Server({ server, maxPayload: LIMITS.maxFrameBytes });
+
+  if (TRUST_PROXY) app.set('trust proxy', true);
+
+  // Middleware; corsOrigins ['*'] allows any origin
+  app.use(cors(config.corsOrigins.includes('*') ? undefined : { origin: config.corsOrigins }));
+  app.use(express.json({ limit: LIMITS.maxFrameBytes }));
+
+  // Store active sessions
+  // Structure: { code: { server: WebSocket, clients: [{ ws, username, clientId }],
+  //   away: Map<clientId, username>, graceTimers: Map, createdAt,
+  //   lastActivityAt, expiryTimer, warned, faults: FaultInjector,
+  //   faultTimers: Set } }
+  // Live sockets only; participants and message history live in `store`.
+  const sessions = new Map();
+
+  // Persistent session storage: storeType memory|file, dataDir for 'file'
+  const store = options.store || createStore({
+    type: config.storeType,
+    dir: config.dataDir,
+    now,
+    onError: (error, code) => log('ERROR', 'Failed to persist session', { code, error: error.message })
   });
-});
-
-// WebSocket connection handler
-wss.on('connection', (ws, req) => {
-  log('CONNECTION', 'New WebSocket connection');
-  
-  let sessionCode = null;
-  let clientRole = null; // 'server' or 'client'
-  let clientId = Math.random().toString(36).substr(2, 9);
-
-  // Send connection confirmation
-  ws.send(JSON.stringify({
-    type: 'connected',
-    clientId
-  }));
-
-  ws.on('message', (data) => {
-    try {
-      const message = JSON.parse(data.toString());
-      log('MESSAGE', 'Received', { type: message.type, clientId });
 
-      switch (message.type) {
-        case 'register-server':
-          handleRegisterServer(ws, message, clientId);
-          break;
+  // Session bus shared with other relay instances (see bus/): a directory of
+  // which instance is home to each session, and the channel that carries
+  // peers connected elsewhere to that home. Sessions and their history stay
+  // with their home; other instances only forward.
+  const bus = options.bus || createBus({ type: config.busType, url: config.busUrl });
+  // Directory entries outlive a few missed refreshes (see the sweep)
+  const DIRECTORY_TTL_MS = 3 * CLEANUP_INTERVAL_MS;
+  // Peers of sessions hosted here, connected to another instance: connId -> RemoteSocket
+  const remoteSockets = new Map();
+  // Sockets here forwarded to their session's home elsewhere: connId -> ws
+  const forwardedSockets = new Map();
+
+  function logBusError(error) {
+    log('ERROR', 'Session bus error', { error: error.message });
+  }
+
+  // What other instances need to know about a session hosted here
+  function directoryEntry(session) {
+    return {
+      instance: bus.instanceId,
+      createdAt: session.createdAt,
+      passcodeHash: session.passcodeHash,
+      ownerTokenHash: session.ownerTokenHash,
+      requireApproval: session.requireApproval
+    };
+  }
 
-        case 'register-client':
-          handleRegisterClient(ws, message, clientId);
-          break;
+  // Log function for one connection, adding its context to every entry
+  function connectionLogger(context) {
+    return withContext(log, context);
+  }
 
-        case 'scp-message':
-          handleSCPMessage(ws, message, clientId);
-          break;
+  // Protocol trace per session, downloadable by the owner
+  const trace = options.trace || new TraceRecorder({
+    dir: config.traceDir,
+    enabled: config.traceEnabled,
+    now,
+    onError: (error, code) => log('ERROR', 'Failed to write trace', { code, error: error.message })
+  });
 
-        case 'disconnect':
-          handleDisconnect(ws, clientId);
-          break;
+  // Prometheus metrics served on /metrics; gauges are read off `sessions`
+  // at scrape time
+  const startedAt = now();
+  const registry = new Registry();
+  const metrics = {
+    frames: registry.counter('scp_frames_total', 'SCP frames relayed, by frame type and direction'),
+    frameBytes: registry.counter('scp_frame_bytes_total', 'Bytes of SCP frames relayed, by direction'),
+    relayNacks: registry.counter('scp_relay_nacks_total', 'NACKs sent by the relay itself, by reason'),
+    ackLatency: registry.histogram(
+      'scp_ack_latency_seconds',
+      'Time from relaying a frame to relaying its ACK or NACK, by receipt type'
+    ),
+    errors: registry.counter('scp_errors_total', 'Error envelopes sent to peers, by error code'),
+    httpErrors: registry.counter('scp_http_errors_total', 'REST responses with an error status, by route and status'),
+    rejectedRegistrations: registry.counter(
+      'scp_rejected_registrations_total',
+      'Refused register-server and register-client requests, by role and reason'
+    ),
+    connections: registry.counter('scp_connections_total', 'WebSocket connections accepted'),
+    closes: registry.counter('scp_websocket_closes_total', 'Closed WebSocket connections, by close code'),
+    faults: registry.counter('scp_injected_faults_total', 'Faults injected into relayed frames, by fault')
+  };
+  registry.gauge('scp_sessions_active', 'Sessions currently held by the relay', () => [{ value: sessions.size }]);
+  registry.gauge('scp_participants', 'Session participants, by role and state', () => {
+    const count = { server: { connected: 0, away: 0 }, client: { connected: 0, away: 0, pending: 0 } };
+    sessions.forEach(session => {
+      if (session.server) count.server.connected++;
+      else if (session.graceTimers.has('server')) count.server.away++;
+      count.client.connected += session.clients.length;
+      count.client.away += session.away.size;
+      count.client.pending += session.pending.size;
+    });
+    return Object.entries(count).flatMap(([role, states]) =>
+      Object.entries(states).map(([state, value]) => ({ labels: { role, state }, value })));
+  });
+  registry.gauge('scp_uptime_seconds', 'Seconds since the relay started', () => [{ value: (now() - startedAt) / 1000 }]);
+
+  // Relayed frames still waiting for a receipt: `${code}|${from}|${id}` -> time
+  // relayed. Bounded, and entries nobody answers are dropped by the sweep.
+  const MAX_AWAITING_RECEIPTS = 10000;
+  const awaitingReceipt = new Map();
+
+  function trackDelivery(code, frame, from) {
+    if (awaitingReceipt.size >= MAX_AWAITING_RECEIPTS) return;
+    awaitingReceipt.set(`${code}|${from}|${frame.id}`, now());
+  }
+
+  // A receipt travels back to the original sender, so its `to` is the key
+  function observeReceipt(code, frame, to) {
+    const key = `${code}|${to}|${frame.id}`;
+    const sentAt = awaitingReceipt.get(key);
+    if (sentAt === undefined) return;
+    awaitingReceipt.delete(key);
+    metrics.ackLatency.observe({ receipt: frame.type }, (now() - sentAt) / 1000);
+  }
+
+  function rejectRegistration(role, reason) {
+    metrics.rejectedRegistrations.inc({ role, reason });
+  }
+
+  // Count REST errors by route pattern rather than by URL, which holds codes
+  app.use((req, res, next) => {
+    res.on('finish', () => {
+      if (res.statusCode < 400) return;
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      metrics.httpErrors.inc({ route, status: res.statusCode });
+    });
+    next();
+  });
+
+  // Token buckets keyed by client IP (REST and connections) or connection id
+  const limiters = {
+    create: perWindow(LIMITS.createPerMin, 60 * 1000, now),
+    check: perWindow(LIMITS.checkPerMin, 60 * 1000, now),
+    join: perWindow(LIMITS.joinPerMin, 60 * 1000, now),
+    // Its own bucket, so a polling dashboard is not starved by public lookups
+    admin: perWindow(LIMITS.adminPerMin, 60 * 1000, now),
+    connections: perWindow(LIMITS.connectionsPerMin, 60 * 1000, now),
+    messages: new RateLimiter({ capacity: LIMITS.messageBurst, refillPerSec: LIMITS.messagesPerSec, now }),
+    ipMessages: new RateLimiter({ capacity: LIMITS.ipMessagesPerSec * 2, refillPerSec: LIMITS.ipMessagesPerSec, now }),
+    // File chunks are metered in bytes per connection instead of messages
+    bytes: new RateLimiter({ capacity: LIMITS.bytesPerSec * 2, refillPerSec: LIMITS.bytesPerSec, now })
+  };
+  function limitedBy(name) {
+    return rateLimit(limiters[name], req => req.ip, (req, key) => {
+      log('WARNING', 'Rate limit exceeded', { limiter: name, ip: key, path: req.path });
+    });
+  }
+
+  // Address of the peer behind a WebSocket upgrade request
+  function remoteAddress(req) {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (TRUST_PROXY && forwarded) return forwarded.split(',')[0].trim();
+    return req.socket.remoteAddress;
+  }
+
+  // Join tokens are single-use: jti -> expiry, pruned by the cleanup sweep
+  const usedJoinTokens = new Map();
 
-        default:
-          log('WARNING', 'Unknown message type', { type: message.type });
+  function consumeJoinToken(claims) {
+    if (usedJoinTokens.has(claims.jti)) return false;
+    usedJoinTokens.set(claims.jti, claims.exp);
+    return true;
+  }
+
+  // Resume tokens handed out at registration, by digest like the owner token
+  // Structure: { digest(token): { code, role, clientId, username } }
+  const resumeTokens = new Map();
+
+  // Tokens start with the session code, so any instance can tell whose home
+  // to send a resume to
+  function issueResumeToken(code, role, clientId, username) {
+    const token = `${code}.${randomToken()}`;
+    resumeTokens.set(digest(token), { code, role, clientId, username });
+    return token;
+  }
+
+  function resumeEntryOf(token) {
+    return typeof token === 'string' ? resumeTokens.get(digest(token)) : undefined;
+  }
+
+  function revokeResumeTokens(code, clientId) {
+    resumeTokens.forEach((entry, tokenHash) => {
+      if (entry.code === code && (clientId === undefined || entry.clientId === clientId)) {
+        resumeTokens.delete(tokenHash);
       }
+    });
+  }
+
+  // Check a peer's protocol offer against the versions the relay (and, for
+  // clients, the session's server) speaks. Sends ERR_VERSION_MISMATCH and closes
+  // the socket when there is nothing in common.
+  function checkCompatible(ws, offer, versions) {
+    try {
+      negotiate(offer, { versions });
+      return true;
     } catch (error) {
-      log('ERROR', 'Message parsing error', { error: error.message });
-      ws.send(JSON.stringify({
-        type: 'error',
-        message: 'Invalid message format'
+      if (!(error instanceof SCPError)) throw error;
+      log('WARNING', 'Incompatible peer rejected', { offered: offer.versions, versions });
+      sendTo(ws, { type: 'error', code: error.code, message: error.message });
+      ws.close(4002, 'Incompatible protocol version');
+      return false;
+    }
+  }
+
+  // Send an envelope to a socket if it is still open
+  function sendTo(ws, payload) {
+    if (payload.type === 'error') metrics.errors.inc({ code: payload.code || 'UNSPECIFIED' });
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(payload));
+    }
+  }
+
+  // Open sockets a frame from `from` addressed to `to` goes to, and whether an
+  // addressed peer is away (inside its resume grace period)
+  function resolveRecipients(session, from, to) {
+    const isOpen = ws => ws && ws.readyState === WebSocket.OPEN;
+
+    if (to === 'server') {
+      return {
+        recipients: isOpen(session.server) ? [session.server] : [],
+        away: session.graceTimers.has('server')
+      };
+    }
+
+    if (to === '*') {
+      const peers = session.clients.filter(c => c.clientId !== from).map(c => c.ws);
+      if (from !== 'server') peers.push(session.server);
+      return { recipients: peers.filter(isOpen), away: session.away.size > 0 };
+    }
+
+    const client = session.clients.find(c => c.clientId === to);
+    return {
+      recipients: client && isOpen(client.ws) ? [client.ws] : [],
+      away: session.away.has(to)
+    };
+  }
+
+  // Participant list shown in the UI: the server plus connected and away clients
+  function rosterOf(session) {
+    return [
+      { clientId: 'server', role: 'server', connected: Boolean(session.server) },
+      ...session.clients.map(c => ({ clientId: c.clientId, username: c.username, role: 'client', connected: true })),
+      ...[...session.away].map(([clientId, username]) => ({ clientId, username, role: 'client', connected: false }))
+    ];
+  }
+
+  // Remind the server of clients still waiting for admission
+  function sendJoinRequests(session) {
+    session.pending.forEach(({ username }, clientId) => {
+      sendTo(session.server, { type: 'join-request', clientId, username });
+    });
+  }
+
+  // NACK a frame on behalf of the relay, e.g. when nobody can receive it
+  function sendRelayNack(ws, code, messageId, to, reason) {
+    trace.record(code, { event: 'frame', direction: 'relay', from: 'relay', to, type: 'NACK', id: messageId, reason });
+    metrics.relayNacks.inc({ reason });
+    sendTo(ws, {
+      type: 'scp-message',
+      scpMessage: serialize({
+        type: 'NACK',
+        id: messageId,
+        headers: { from: 'relay', to },
+        payload: reason
+      }),
+      direction: 'relay',
+      from: 'relay',
+      messageId
+    });
+  }
+
+  function broadcastRoster(session) {
+    const roster = { type: 'roster', participants: rosterOf(session) };
+    sendTo(session.server, roster);
+    session.clients.forEach(client => sendTo(client.ws, roster));
+  }
+
+  // Sockets of everyone admitted to a session
+  function socketsOf(session) {
+    return [session.server, ...session.clients.map(c => c.ws)].filter(Boolean);
+  }
+
+  // Send a frame of the relay's own (BYE, EXPIRING) to everyone in a session
+  function sendRelayFrame(code, session, frame) {
+    const scpMessage = serialize({ ...frame, headers: { ...frame.headers, from: 'relay', to: '*' } });
+    trace.record(code, { event: 'frame', direction: 'relay', from: 'relay', to: '*', type: frame.type, id: frame.id });
+    socketsOf(session).forEach(ws => sendTo(ws, {
+      type: 'scp-message',
+      scpMessage,
+      direction: 'relay',
+      from: 'relay',
+      messageId: frame.id
+    }));
+  }
+
+  // Hand a relayed frame to its recipients through the session's simulated
+  // network (see faults.js): each copy may be dropped, delayed, duplicated or
+  // swapped for `corrupt()`, a damaged version of `data`
+  function deliver(session, recipients, data, corrupt) {
+    const binary = typeof data !== 'string';
+    recipients.forEach((peer) => {
+      if (!session.faults.active) {
+        peer.send(data, { binary });
+        return;
+      }
+      session.faults.plan().forEach(({ delayMs, corrupt: damaged }) => {
+        const copy = damaged ? corrupt() : data;
+        if (delayMs === 0) {
+          peer.send(copy, { binary });
+          return;
+        }
+        const timer = timers.setTimeout(() => {
+          session.faultTimers.delete(timer);
+          if (peer.readyState === WebSocket.OPEN) peer.send(copy, { binary });
+        }, delayMs);
+        session.faultTimers.add(timer);
+      });
+    });
+  }
+
+  // Replace a session's simulated network conditions (a ConditionsError for
+  // bad ones) and tell everyone in it
+  function setNetwork(code, session, input) {
+    session.faults.configure(input);
+    const { conditions } = session.faults;
+    socketsOf(session).forEach(ws => sendTo(ws, { type: 'network-conditions', conditions }));
+    trace.record(code, { event: 'network-conditions', conditions });
+    log('SESSION', 'Network conditions changed', { code, ...conditions });
+    return conditions;
+  }
+
+  // Note traffic in a session, which pushes its expiry back. Peers that were
+  // warned about the expiry (or all of them, with `announce`) hear it goes on.
+  function touchSession(session, { announce = session.warned } = {}) {
+    session.lastActivityAt = now();
+    session.warned = false;
+    if (announce) {
+      socketsOf(session).forEach(ws => sendTo(ws, { type: 'session-extended', expiresInMs: SESSION_TTL_MS }));
+    }
+  }
+
+  // Idle expiry. Traffic only moves session.lastActivityAt; the session's one
+  // timer is armed for the next deadline (the warning, then the expiry) and
+  // re-arms itself when traffic has pushed that deadline back.
+  function scheduleExpiry(code, session) {
+    timers.clearTimeout(session.expiryTimer);
+    const idleMs = now() - session.lastActivityAt;
+    const warnAfterMs = SESSION_TTL_MS - EXPIRY_WARNING_MS;
+
+    if (idleMs >= SESSION_TTL_MS) {
+      log('CLEANUP', 'Session expired', { code, idleMs });
+      sendRelayFrame(code, session, buildBye({
+        reason: BYE_REASONS.EXPIRED,
+        message: 'The session expired after a period without activity'
       }));
+      closeSession(code, session, 'expired', 'The session has expired');
+      return;
+    }
+    if (EXPIRY_WARNING_MS > 0 && !session.warned && idleMs >= warnAfterMs) {
+      session.warned = true;
+      sendRelayFrame(code, session, buildExpiring({ remainingMs: SESSION_TTL_MS - idleMs }));
+      log('SESSION', 'Session about to expire', { code, remainingMs: SESSION_TTL_MS - idleMs });
+    }
+    const deadline = session.warned || EXPIRY_WARNING_MS === 0 ? SESSION_TTL_MS : warnAfterMs;
+    session.expiryTimer = timers.setTimeout(() => scheduleExpiry(code, session), deadline - idleMs);
+  }
+
+  // Disconnect everyone in a session and end it. Whoever calls this has told
+  // the peers why already; clients still waiting for admission get `message`.
+  function closeSession(code, session, reason, message) {
+    session.pending.forEach(entry => entry.reject(message));
+    socketsOf(session).forEach((ws) => {
+      ws.removed = true;
+      ws.close(4006, 'Session ended');
+    });
+    endSession(code, session, reason);
+  }
+
+  // Forget a session hosted here: its timers, directory entry, resume tokens,
+  // stored history and open trace. Peers still connected are the caller's
+  // business.
+  function endSession(code, session, reason) {
+    session.graceTimers.forEach(timer => timers.clearTimeout(timer));
+    timers.clearTimeout(session.expiryTimer);
+    session.faultTimers.forEach(timer => timers.clearTimeout(timer));
+    sessions.delete(code);
+    bus.unregister(code).catch(logBusError);
+    revokeResumeTokens(code);
+    store.deleteSession(code).catch(logStoreError);
+    trace.record(code, { event: 'session-ended', reason });
+    trace.end(code);
+  }
+
+  // Give up a client's place in a session for good: its resume token stops
+  // working and, with `notifyServer`, the server hears it will not be back
+  function releaseClient(session, code, clientId, username, { notifyServer = true } = {}) {
+    timers.clearTimeout(session.graceTimers.get(clientId));
+    session.away.delete(clientId);
+    session.graceTimers.delete(clientId);
+    revokeResumeTokens(code, clientId);
+    store.updateParticipant(code, clientId, { leftAt: now() }).catch(logStoreError);
+    if (notifyServer) {
+      sendTo(session.server, { type: 'client-disconnected', clientId, username, resumable: false });
+    }
+    broadcastRoster(session);
+    log('CLEANUP', 'Client removed from session', { code, clientId });
+  }
+
+  // Store writes are fire-and-forget from the socket handlers; just log failures
+  function logStoreError(error) {
+    log('ERROR', 'Session store error', { error: error.message });
+  }
+
+  // Generate a random alphanumeric code of config.codeLength characters
+  function generateCode() {
+    const code = randomCode(config.codeLength);
+    // Ensure code is unique
+    if (sessions.has(code)) {
+      return generateCode();
     }
+    return code;
+  }
+
+  // A fresh code, claimed in the session directory so that no other instance
+  // hands out the same one
+  async function claimCode(entry) {
+    for (;;) {
+      const code = generateCode();
+      if (await bus.claim(code, entry, DIRECTORY_TTL_MS)) return code;
+    }
+  }
+
+  // A new session's simulated network, a good one until its owner says otherwise
+  function simulatedNetwork() {
+    return {
+      faults: new FaultInjector({ random, onFault: fault => metrics.faults.inc({ fault }) }),
+      faultTimers: new Set()
+    };
+  }
+
+  // A session's REST-facing fields (passcodeHash, requireApproval, ...): the
+  // live session when it is hosted here, else its directory entry
+  async function findSession(code) {
+    return sessions.get(code) || bus.lookup(code);
+  }
+
+  // Whether a request carries the owner token, a participant's resume token or
+  // a join token for `code` as "Authorization: Bearer <token>"
+  function isAuthorizedFor(req, code) {
+    const session = sessions.get(code);
+    const token = bearerToken(req);
+    if (!session || !token) return false;
+
+    if (safeEqual(digest(token), session.ownerTokenHash)) return true;
+    if (resumeEntryOf(token)?.code === code) return true;
+    return verifyToken(token, tokenOptions())?.code === code;
+  }
+
+  // REST API endpoint to create a new server session
+  // Body (optional): { passcode, requireApproval }
+  app.post('/api/create-session', limitedBy('create'), async (req, res) => {
+    const { passcode, requireApproval = false } = req.body || {};
+
+    if (passcode !== undefined && passcode !== '' &&
+        (typeof passcode !== 'string' || passcode.length < 4 || passcode.length > 128)) {
+      return res.status(400).json({ error: 'Passcode must be 4 to 128 characters', success: false });
+    }
+
+    const createdAt = now();
+    const ownerToken = randomToken();
+    const security = {
+      passcodeHash: passcode ? hashPasscode(passcode) : null,
+      ownerTokenHash: digest(ownerToken),
+      requireApproval: Boolean(requireApproval)
+    };
+
+    let code;
+    try {
+      code = await claimCode({ instance: bus.instanceId, createdAt, ...security });
+    } catch (error) {
+      logBusError(error);
+      return res.status(503).json({ error: 'Session directory unavailable', success: false });
+    }
+
+    const session = {
+      server: null,
+      clients: [],
+      pending: new Map(),
+      away: new Map(),
+      graceTimers: new Map(),
+      createdAt,
+      lastActivityAt: createdAt,
+      ...security,
+      ...simulatedNetwork()
+    };
+    sessions.set(code, session);
+    scheduleExpiry(code, session);
+    store.createSession({ code, createdAt, ...security }).catch(logStoreError);
+    trace.start(code, security.ownerTokenHash);
+    log('SESSION', 'New session created', { code, passcode: Boolean(passcode), requireApproval: security.requireApproval });
+    res.json({
+      code,
+      ownerToken,
+      passcodeRequired: Boolean(passcode),
+      requireApproval: security.requireApproval,
+      success: true
+    });
   });
 
-  ws.on('close', () => {
-    log('DISCONNECT', 'Client disconnected', { clientId, role: clientRole });
-    cleanupConnection(ws, sessionCode, clientRole);
+  // REST API endpoint to check if session exists
+  app.get('/api/check-session/:code', limitedBy('check'), async (req, res) => {
+    const code = req.params.code.toUpperCase();
+    let session;
+    try {
+      session = await findSession(code);
+    } catch (error) {
+      logBusError(error);
+      return res.status(503).json({ error: 'Session directory unavailable' });
+    }
+    res.json({
+      exists: Boolean(session),
+      code,
+      passcodeRequired: Boolean(session?.passcodeHash)
+    });
   });
 
-  ws.on('error', (error) => {
-    log('ERROR', 'WebSocket error', { error: error.message, clientId });
+  // REST API endpoint to obtain a join token for register-client
+  // Body: { username, passcode }
+  app.post('/api/sessions/:code/join', limitedBy('join'), async (req, res) => {
+    const code = req.params.code.toUpperCase();
+    const { username, passcode } = req.body || {};
+
+    let session;
+    try {
+      session = await findSession(code);
+    } catch (error) {
+      logBusError(error);
+      return res.status(503).json({ error: 'Session directory unavailable' });
+    }
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (typeof username !== 'string' || !username.trim() || username.length > 64) {
+      return res.status(400).json({ error: 'Username must be 1 to 64 characters' });
+    }
+    if (!verifyPasscode(passcode, session.passcodeHash)) {
+      log('WARNING', 'Join rejected: wrong passcode', { code });
+      return res.status(401).json({ error: 'Incorrect passcode' });
+    }
+
+    const joinToken = signToken({ code, username: username.trim(), jti: randomToken() }, JOIN_TOKEN_TTL_MS, tokenOptions());
+    res.json({ joinToken, expiresIn: JOIN_TOKEN_TTL_MS, requireApproval: session.requireApproval });
   });
 
-  // Register server
-  function handleRegisterServer(ws, message, clientId) {
-    const { code } = message;
+  // REST API endpoint to page through a session's message history
+  // Query: after=<seq> (exclusive cursor, default 0), limit=<n> (default 50)
+  app.get('/api/sessions/:code/messages', limitedBy('check'), async (req, res) => {
+    const code = req.params.code.toUpperCase();
+
+    if (!isAuthorizedFor(req, code)) {
+      return res.status(sessions.has(code) ? 401 : 404).json({ error: 'Not authorized for this session' });
+    }
+    const after = req.query.after === undefined ? 0 : Number(req.query.after);
+    const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+
+    if (!Number.isInteger(after) || after < 0 ||
+        (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE))) {
+      return res.status(400).json({ error: `after must be >= 0 and limit between 1 and ${MAX_PAGE_SIZE}` });
+    }
+
+    try {
+      const page = await store.getMessages(code, { after, limit });
+      if (!page) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      res.json({ code, ...page });
+    } catch (error) {
+      logStoreError(error);
+      res.status(500).json({ error: 'Failed to load messages' });
+    }
+  });
+
+  // REST API endpoint to download a session's protocol trace (JSON Lines, one
+  // entry per frame). Owner token only; works after the session has ended,
+  // until the trace is pruned.
+  app.get('/api/sessions/:code/trace', limitedBy('check'), async (req, res) => {
+    const code = req.params.code.toUpperCase();
+    const token = bearerToken(req);
+
+    let recorded;
+    try {
+      recorded = await trace.read(code);
+    } catch (error) {
+      log('ERROR', 'Failed to read trace', { code, error: error.message });
+      return res.status(500).json({ error: 'Failed to load trace' });
+    }
+    const ownerTokenHash = sessions.get(code)?.ownerTokenHash || recorded?.ownerTokenHash;
+    if (!recorded || !ownerTokenHash) {
+      return res.status(404).json({ error: 'No trace for this session' });
+    }
+    if (!token || !safeEqual(digest(token), ownerTokenHash)) {
+      return res.status(401).json({ error: 'Not authorized for this session' });
+    }
+
+    res.type('application/x-ndjson');
+    res.attachment(`scp-trace-${code}.jsonl`);
+    res.send(recorded.body);
+  });
+
+  // The session behind a network-conditions request, or null once an error
+  // response has been sent. Owner token only.
+  function networkSessionOf(req, res) {
+    const code = req.params.code.toUpperCase();
     const session = sessions.get(code);
+    const token = bearerToken(req);
 
+    if (!config.faultInjection) {
+      res.status(404).json({ error: 'Fault injection is disabled' });
+      return null;
+    }
     if (!session) {
-      ws.send(JSON.stringify({
-        type: 'error',
-        message: 'Invalid session code'
-      }));
-      return;
+      res.status(404).json({ error: 'Session not found' });
+      return null;
     }
+    if (!token || !safeEqual(digest(token), session.ownerTokenHash)) {
+      res.status(401).json({ error: 'Not authorized for this session' });
+      return null;
+    }
+    return session;
+  }
 
-    if (session.server) {
-      ws.send(JSON.stringify({
-        type: 'error',
-        message: 'Server already registered for this session'
-      }));
-      return;
+  // REST API endpoints for a session's simulated network conditions (see
+  // faults.js) and how many faults they have caused
+  app.get('/api/sessions/:code/network', limitedBy('check'), (req, res) => {
+    const session = networkSessionOf(req, res);
+    if (!session) return;
+    const { conditions, stats } = session.faults;
+    res.json({ code: req.params.code.toUpperCase(), conditions, stats });
+  });
+
+  // Body: the new conditions, e.g. { "dropRate": 0.2, "latencyMs": 300 };
+  // anything left out is 0, so {} restores a perfect network
+  app.put('/api/sessions/:code/network', limitedBy('check'), (req, res) => {
+    const session = networkSessionOf(req, res);
+    if (!session) return;
+    const code = req.params.code.toUpperCase();
+
+    try {
+      const conditions = setNetwork(code, session, req.body);
+      res.json({ code, conditions, stats: session.faults.stats });
+    } catch (error) {
+      if (!(error instanceof ConditionsError)) throw error;
+      res.status(400).json({ error: error.message, problems: error.problems });
     }
+  });
 
-    session.server = ws;
-    sessionCode = code;
-    clientRole = 'server';
+  // Admin API for whoever runs the relay: list and inspect the sessions hosted
+  // on this instance, remove clients, close sessions and broadcast notices.
+  // Needs "Authorization: Bearer <adminToken>"; without an adminToken it is off.
+  const admin = express.Router();
 
-    log('REGISTER', 'Server registered', { code, clientId });
+  admin.use(limitedBy('admin'), (req, res, next) => {
+    if (!config.adminToken) {
+      return res.status(404).json({ error: 'Admin API is disabled' });
+    }
+    const token = bearerToken(req);
+    if (!token || !safeEqual(digest(token), digest(config.adminToken))) {
+      log('WARNING', 'Admin request rejected', { ip: req.ip, path: req.path });
+      return res.status(401).json({ error: 'Not authorized' });
+    }
+    next();
+  });
+
+  // Participants of a session as the admin sees them, pending clients included
+  function adminParticipants(session) {
+    const serverState = session.server ? 'connected' : session.graceTimers.has('server') ? 'away' : 'absent';
+    return [
+      { clientId: 'server', role: 'server', state: serverState },
+      ...session.clients.map(c => ({ clientId: c.clientId, username: c.username, role: 'client', state: 'connected' })),
+      ...[...session.away].map(([clientId, username]) => ({ clientId, username, role: 'client', state: 'away' })),
+      ...[...session.pending].map(([clientId, { username }]) => ({ clientId, username, role: 'client', state: 'pending' }))
+    ];
+  }
 
-    ws.send(JSON.stringify({
-      type: 'registered',
-      role: 'server',
+  async function adminSummary(code, session) {
+    const stored = await store.getSession(code);
+    return {
       code,
-      clientId
-    }));
+      createdAt: session.createdAt,
+      ageMs: now() - session.createdAt,
+      idleMs: now() - session.lastActivityAt,
+      passcodeRequired: Boolean(session.passcodeHash),
+      requireApproval: session.requireApproval,
+      participants: adminParticipants(session),
+      messageCount: stored ? stored.messageCount : 0
+    };
+  }
+
+  // Optional text shown to the affected peers
+  function adminMessage(value, fallback) {
+    return typeof value === 'string' && value.trim() ? value.trim().slice(0, 500) : fallback;
   }
 
-  // Register client
-  function handleRegisterClient(ws, message, clientId) {
-    const { code, username } = message;
-    const session = sessions.get(code.toUpperCase());
+  admin.get('/sessions', async (req, res) => {
+    try {
+      const summaries = await Promise.all([...sessions].map(([code, session]) => adminSummary(code, session)));
+      summaries.sort((a, b) => b.createdAt - a.createdAt);
+      res.json({ instance: bus.instanceId, sessions: summaries });
+    } catch (error) {
+      logStoreError(error);
+      res.status(500).json({ error: 'Failed to load sessions' });
+    }
+  });
 
+  // One session plus the routing metadata of its latest frames (no payloads)
+  admin.get('/sessions/:code', async (req, res) => {
+    const code = req.params.code.toUpperCase();
+    const session = sessions.get(code);
     if (!session) {
-      ws.send(JSON.stringify({
-        type: 'error',
-        message: 'Invalid session code'
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    try {
+      const summary = await adminSummary(code, session);
+      const page = await store.getMessages(code, { after: Math.max(0, summary.messageCount - 20) });
+      const recent = (page ? page.messages : []).map(m => ({
+        seq: m.seq,
+        timestamp: m.timestamp,
+        type: m.type,
+        direction: m.direction,
+        from: m.from,
+        to: m.to,
+        messageId: m.messageId,
+        size: Buffer.byteLength(m.scpMessage || '')
       }));
-      return;
+      res.json({ ...summary, recent });
+    } catch (error) {
+      logStoreError(error);
+      res.status(500).json({ error: 'Failed to load session' });
+    }
+  });
+
+  // Body: { clientId, message }. Connected clients are told and disconnected,
+  // waiting ones turned away; either way they cannot resume.
+  admin.post('/sessions/:code/kick', (req, res) => {
+    const code = req.params.code.toUpperCase();
+    const session = sessions.get(code);
+    const { clientId } = req.body || {};
+    const message = adminMessage(req.body?.message, 'You were removed from the session by an administrator');
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const client = session.clients.find(c => c.clientId === clientId);
+    if (client) {
+      client.ws.removed = true;
+      sendTo(client.ws, { type: 'kicked', message });
+      client.ws.close(4004, 'Removed by administrator');
+    } else if (session.pending.has(clientId)) {
+      const { username, reject } = session.pending.get(clientId);
+      reject(message);
+      sendTo(session.server, { type: 'join-cancelled', clientId, username });
+    } else if (session.away.has(clientId)) {
+      releaseClient(session, code, clientId, session.away.get(clientId));
+    } else {
+      return res.status(404).json({ error: 'No such client in this session' });
     }
 
-    session.clients.push({ ws, username, clientId });
-    sessionCode = code.toUpperCase();
-    clientRole = 'client';
+    log('ADMIN', 'Client removed', { code, clientId });
+    res.json({ success: true });
+  });
 
-    log('REGISTER', 'Client registered', { code: sessionCode, username, clientId });
+  // Body (optional): { message }. Everyone is told and disconnected.
+  admin.delete('/sessions/:code', (req, res) => {
+    const code = req.params.code.toUpperCase();
+    const session = sessions.get(code);
+    const message = adminMessage(req.body?.message, 'This session was closed by an administrator');
 
-    // Notify client of successful registration
-    ws.send(JSON.stringify({
-      type: 'registered',
-      role: 'client',
-      code: sessionCode,
-      username,
-      clientId
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    session.pending.forEach(entry => entry.reject(message));
+    socketsOf(session).forEach((ws) => {
+      ws.removed = true;
+      sendTo(ws, { type: 'session-closed', message });
+      ws.close(4005, 'Session closed by administrator');
+    });
+    endSession(code, session, 'closed-by-admin');
+    log('ADMIN', 'Session closed', { code });
+    res.json({ success: true });
+  });
+
+  // Body: { message, code }. Shown to everyone in session `code`, or in every
+  // session hosted here when code is left out.
+  admin.post('/notice', (req, res) => {
+    const { code } = req.body || {};
+    const message = adminMessage(req.body?.message, null);
+
+    if (!message) {
+      return res.status(400).json({ error: 'Notice message is required' });
+    }
+    const targets = code === undefined ? [...sessions.values()] : [sessions.get(String(code).toUpperCase())];
+    if (targets.includes(undefined)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    let delivered = 0;
+    targets.forEach(session => socketsOf(session).forEach((ws) => {
+      sendTo(ws, { type: 'system-notice', message, at: now() });
+      delivered++;
     }));
+    log('ADMIN', 'Notice broadcast', { code, delivered });
+    res.json({ success: true, delivered });
+  });
 
-    // Notify server that client connected
-    if (session.server && session.server.readyState === WebSocket.OPEN) {
-      session.server.send(JSON.stringify({
-        type: 'client-connected',
-        username,
-        clientId
-      }));
+  app.use('/api/admin', admin);
+
+  // Prometheus scrape endpoint; a configured metricsToken must be sent as a
+  // bearer token
+  app.get('/metrics', (req, res) => {
+    if (config.metricsToken) {
+      const token = bearerToken(req);
+      if (!safeEqual(digest(token), digest(config.metricsToken))) {
+        return res.status(401).json({ error: 'Not authorized for metrics' });
+      }
     }
+    res.type(METRICS_CONTENT_TYPE);
+    res.send(registry.render());
+  });
 
-    // Send HELLO message from client to server
-    const helloMessage = {
-      type: 'scp-message',
-      direction: 'client-to-server',
-      scpMessage: `SCP/1.1 | HELLO | id=0 | ${username}`,
-      from: 'client',
-      clientId
-    };
+  // REST API health check
+  app.get('/health', (req, res) => {
+    res.json({ 
+      status: 'ok', 
+      sessions: sessions.size,
+      instance: bus.instanceId,
+      uptime: process.uptime()
+    });
+  });
+
+  // WebSocket connection handler
+  wss.on('connection', (ws, req) => {
+    acceptConnection(ws, { ip: remoteAddress(req) });
+  });
+
+  // Messages from other instances about forwarded connections: 'open',
+  // 'message' and 'peer-closed' for peers of sessions hosted here, 'send' and
+  // 'close' (see RemoteSocket) for sockets here forwarded elsewhere
+  function handleBusMessage(message) {
+    const { kind, connId } = message;
+
+    switch (kind) {
+      case 'open': {
+        const socket = new RemoteSocket(bus, message.from, connId);
+        remoteSockets.set(connId, socket);
+        socket.on('close', () => remoteSockets.delete(connId));
+        acceptConnection(socket, { ip: message.ip, clientId: message.clientId, via: message.from });
+        break;
+      }
 
-    if (session.server && session.server.readyState === WebSocket.OPEN) {
-      session.server.send(JSON.stringify(helloMessage));
+      case 'message':
+        remoteSockets.get(connId)?.receive(unpackData(message), Boolean(message.binary));
+        break;
+
+      case 'peer-closed':
+        remoteSockets.get(connId)?.closed(message.code);
+        break;
+
+      case 'send': {
+        const ws = forwardedSockets.get(connId);
+        if (ws && ws.readyState === WebSocket.OPEN) {
+          ws.send(unpackData(message), { binary: Boolean(message.binary) });
+        }
+        break;
+      }
+
+      case 'close': {
+        const ws = forwardedSockets.get(connId);
+        if (!ws) break;
+        if (message.terminate) {
+          ws.terminate();
+        } else {
+          ws.close(message.code, message.reason);
+        }
+        break;
+      }
+
+      default:
+        log('WARNING', 'Unknown session bus message', { kind });
     }
   }
 
-  // Handle SCP protocol messages
-  function handleSCPMessage(ws, message, clientId) {
-    const { code, scpMessage, direction, messageId } = message;
-    const session = sessions.get(code);
+  // Set up one peer connection. `ws` is a socket of ours, or a RemoteSocket
+  // for a peer connected to instance `via`, which greeted it and applied its
+  // connection limit already.
+  function acceptConnection(ws, { ip, clientId: assignedId, via }) {
+    let sessionCode = null;
+    let clientRole = null; // 'server' or 'client'
+    let clientId = assignedId || Math.random().toString(36).substr(2, 9);
+    // Set once the connection is forwarded to its session's home instance
+    let upstream = null;
+    // Every entry about this connection carries its session code and clientId
+    const log = connectionLogger(() => ({ code: sessionCode, clientId }));
 
-    if (!session) {
+    log('CONNECTION', 'New WebSocket connection', { ip, via });
+
+    if (!via) {
+      if (!limiters.connections.consume(ip).allowed) {
+        log('WARNING', 'Rate limit exceeded', { limiter: 'connections', ip });
+        ws.close(1008, 'Too many connections');
+        metrics.closes.inc({ code: 1008 });
+        return;
+      }
+      metrics.connections.inc();
+
+      // Send connection confirmation
       ws.send(JSON.stringify({
-        type: 'error',
-        message: 'Session not found'
+        type: 'connected',
+        clientId
       }));
-      return;
     }
 
-    log('SCP', 'Message forwarding', { 
-      direction, 
-      messageId,
-      code 
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
     });
 
-    // Store message in session history
-    session.messages.push({
-      scpMessage,
-      direction,
-      timestamp: Date.now(),
-      messageId
+    // Every rejected message costs a strike; running out closes the socket
+    const strikes = new TokenBucket({ capacity: LIMITS.maxViolations, refillPerSec: LIMITS.maxViolations / 60, now });
+
+    ws.on('message', (data, isBinary) => {
+      if (upstream) {
+        upstream.send(data, isBinary);
+        return;
+      }
+      const homeCode = !via && !sessionCode && !isBinary && homeCodeOf(data);
+      if (homeCode && !sessions.has(homeCode)) {
+        upstream = forwardToHome(homeCode, data);
+        return;
+      }
+      handleIncoming(data, isBinary);
     });
 
-    // Forward message based on direction
-    if (direction === 'client-to-server') {
-      // Client -> Server
+    // Hand the connection to the instance hosting `code`. Frames wait in a
+    // queue while the directory is asked; when no other instance hosts the
+    // session they are handled here after all (and get the usual errors).
+    function forwardToHome(code, first) {
+      const queue = [[first, false]];
+      const waiting = { send: (data, isBinary) => queue.push([data, isBinary]) };
+
+      bus.lookup(code).then(async (entry) => {
+        if (ws.readyState !== WebSocket.OPEN) return;
+        if (!entry || entry.instance === bus.instanceId) {
+          upstream = null;
+          queue.forEach(([data, isBinary]) => handleIncoming(data, isBinary));
+          return;
+        }
+
+        const home = entry.instance;
+        const connId = `${bus.instanceId}:${clientId}`;
+        forwardedSockets.set(connId, ws);
+        ws.on('close', (closeCode) => {
+          forwardedSockets.delete(connId);
+          bus.publish(home, { kind: 'peer-closed', connId, code: closeCode }).catch(logBusError);
+        });
+
+        log('CONNECTION', 'Forwarding to session home', { home });
+        const receivers = await bus.publish(home, { kind: 'open', from: bus.instanceId, connId, clientId, ip });
+        if (receivers === 0) {
+          log('WARNING', 'Session home unreachable', { home });
+          ws.close(1011, 'Session host unavailable');
+          return;
+        }
+
+        const forward = (data, isBinary) => {
+          bus.publish(home, { kind: 'message', connId, ...packData(data, isBinary) }).catch(logBusError);
+        };
+        queue.forEach(([data, isBinary]) => forward(data, isBinary));
+        upstream = { send: forward };
+      }).catch((error) => {
+        logBusError(error);
+        ws.close(1011, 'Session directory unavailable');
+      });
+
+      return waiting;
+    }
+
+    function handleIncoming(data, isBinary) {
+      if (isBinary) {
+        handleBinaryMessage(ws, data);
+        return;
+      }
+
+      try {
+        const message = JSON.parse(data.toString());
+        log('MESSAGE', 'Received', { type: message.type, clientId });
+
+        const perConnection = limiters.messages.consume(clientId);
+        const perIp = limiters.ipMessages.consume(ip);
+        if (!perConnection.allowed || !perIp.allowed) {
+          const retryAfterMs = Math.max(perConnection.retryAfterMs, perIp.retryAfterMs);
+          rejectMessage(ws, message, 'RATE_LIMITED', `Rate limit exceeded, retry in ${retryAfterMs}ms`, { retryAfterMs });
+          return;
+        }
+
+        switch (message.type) {
+          case 'register-server':
+            handleRegisterServer(ws, message, clientId);
+            break;
+
+          case 'register-client':
+            handleRegisterClient(ws, message, clientId);
+            break;
+
+          case 'scp-message':
+            handleSCPMessage(ws, message, clientId);
+            break;
+
+          case 'resume':
+            handleResume(ws, message);
+            break;
+
+          case 'admit':
+            handleAdmit(ws, message);
+            break;
+
+          case 'extend-session':
+            handleExtendSession(ws);
+            break;
+
+          case 'set-network':
+            handleSetNetwork(ws, message);
+            break;
+
+          case 'disconnect':
+            handleDisconnect(ws, clientId);
+            break;
+
+          default:
+            log('WARNING', 'Unknown message type', { type: message.type });
+        }
+      } catch (error) {
+        log('ERROR', 'Message parsing error', { error: error.message });
+        sendTo(ws, {
+          type: 'error',
+          message: 'Invalid message format'
+        });
+      }
+    }
+
+    ws.on('close', (closeCode) => {
+      log('DISCONNECT', 'Client disconnected', { clientId, role: clientRole, closeCode });
+      if (!via) metrics.closes.inc({ code: closeCodeLabel(closeCode) });
+      limiters.messages.forget(clientId);
+      limiters.bytes.forget(clientId);
+      // Peers removed by an admin do not get a resume grace period
+      cleanupConnection(ws, sessionCode, clientRole, { final: Boolean(ws.removed) });
+    });
+
+    ws.on('error', (error) => {
+      log('ERROR', 'WebSocket error', { error: error.message, clientId });
+    });
+
+    // Register the hosting peer; only the holder of the session's owner token
+    // may host. `versions` lists the SCP versions it speaks; older tabs leave
+    // it out and are taken to speak what the relay does.
+    function handleRegisterServer(ws, message, clientId) {
+      const { ownerToken, versions = SUPPORTED_VERSIONS } = message;
+      const code = sessionCodeOf(message);
+      const session = sessions.get(code);
+
+      if (!session) {
+        rejectRegistration('server', 'INVALID_CODE');
+        sendTo(ws, {
+          type: 'error',
+          message: 'Invalid session code'
+        });
+        return;
+      }
+
+      if (!ownerToken || !safeEqual(digest(ownerToken), session.ownerTokenHash)) {
+        log('WARNING', 'Server registration rejected: bad owner token', { code, clientId });
+        rejectRegistration('server', 'UNAUTHORIZED');
+        sendTo(ws, {
+          type: 'error',
+          code: 'UNAUTHORIZED',
+          message: 'Not authorized to host this session'
+        });
+        return;
+      }
+
+      if (session.server) {
+        rejectRegistration('server', 'ALREADY_REGISTERED');
+        sendTo(ws, {
+          type: 'error',
+          message: 'Server already registered for this session'
+        });
+        return;
+      }
+
+      if (!Array.isArray(versions) || !checkCompatible(ws, { versions, features: [] }, SUPPORTED_VERSIONS)) {
+        rejectRegistration('server', 'ERR_VERSION_MISMATCH');
+        return;
+      }
+
+      session.server = ws;
+      session.versions = versions.filter(version => SUPPORTED_VERSIONS.includes(version));
+      touchSession(session);
+      sessionCode = code;
+      clientRole = 'server';
+
+      const resumeToken = issueResumeToken(code, 'server', clientId);
+      store.addParticipant(code, { clientId, role: 'server', resumeTokenHash: digest(resumeToken) }).catch(logStoreError);
+      log('REGISTER', 'Server registered', { code, clientId, versions: session.versions });
+
+      ws.send(JSON.stringify({
+        type: 'registered',
+        role: 'server',
+        code,
+        clientId,
+        resumeToken,
+        resumeGraceMs: RESUME_GRACE_MS,
+        faultInjection: config.faultInjection
+      }));
+      sendNetworkConditions(ws, session);
+      broadcastRoster(session);
+      sendJoinRequests(session);
+    }
+
+    // Register client. Requires a join token from the REST API; sessions with
+    // requireApproval park the client until the server admits or rejects it.
+    // `hello` is the client's SCP HELLO frame, which the server answers with a
+    // WELCOME; older tabs leave it out and the relay writes a plain HELLO.
+    function handleRegisterClient(ws, message, clientId) {
+      const code = sessionCodeOf(message);
+      const session = sessions.get(code);
+
+      if (!session) {
+        rejectRegistration('client', 'INVALID_CODE');
+        sendTo(ws, {
+          type: 'error',
+          message: 'Invalid session code'
+        });
+        return;
+      }
+
+      const hello = message.hello === undefined ? null : tryParse(message.hello);
+      if (message.hello !== undefined && hello?.type !== 'HELLO') {
+        rejectRegistration('client', 'ERR_BAD_HELLO');
+        sendTo(ws, {
+          type: 'error',
+          code: 'ERR_BAD_HELLO',
+          message: 'hello must be an SCP HELLO frame'
+        });
+        return;
+      }
+      const offer = readOffer(hello || { headers: {} });
+      if (!checkCompatible(ws, offer, session.versions || SUPPORTED_VERSIONS)) {
+        rejectRegistration('client', 'ERR_VERSION_MISMATCH');
+        return;
+      }
+
+      const claims = verifyToken(message.joinToken, tokenOptions());
+      if (!claims || claims.code !== code || !consumeJoinToken(claims)) {
+        log('WARNING', 'Client registration rejected: bad join token', { code, clientId });
+        rejectRegistration('client', 'UNAUTHORIZED');
+        sendTo(ws, {
+          type: 'error',
+          code: 'UNAUTHORIZED',
+          message: 'Join token is missing, invalid, expired or already used'
+        });
+        return;
+      }
+      const { username } = claims;
+
+      if (!session.requireApproval) {
+        admitClient(ws, session, code, username, clientId, hello);
+        return;
+      }
+
+      sessionCode = code;
+      clientRole = 'pending';
+      session.pending.set(clientId, {
+        username,
+        admit: () => admitClient(ws, session, code, username, clientId, hello),
+        reject: (reason = 'The session owner declined your request to join') => {
+          session.pending.delete(clientId);
+          sessionCode = null;
+          clientRole = null;
+          log('REGISTER', 'Client rejected by server', { code, username, clientId });
+          rejectRegistration('client', 'ADMISSION_REJECTED');
+          sendTo(ws, {
+            type: 'admission-rejected',
+            message: reason
+          });
+          ws.close(4003, 'Admission rejected');
+        }
+      });
+
+      log('REGISTER', 'Client waiting for approval', { code, username, clientId });
+      ws.send(JSON.stringify({ type: 'admission-pending', code, username }));
+      sendTo(session.server, { type: 'join-request', clientId, username });
+    }
+
+    // Server decision on a parked client: { clientId, approve }
+    function handleAdmit(ws, message) {
+      const session = clientRole === 'server' && sessions.get(sessionCode);
+      const entry = session && session.pending.get(message.clientId);
+
+      if (!entry) {
+        sendTo(ws, {
+          type: 'error',
+          message: 'No pending join request for that client'
+        });
+        return;
+      }
+
+      if (message.approve) {
+        entry.admit();
+      } else {
+        entry.reject();
+      }
+    }
+
+    // The owner keeps an idle session going: its idle time starts over and
+    // everyone hears when it will expire now
+    function handleExtendSession(ws) {
+      const session = clientRole === 'server' && sessions.get(sessionCode);
+
+      if (!session) {
+        sendTo(ws, {
+          type: 'error',
+          message: 'Only the session owner can extend the session'
+        });
+        return;
+      }
+
+      touchSession(session, { announce: true });
+      log('SESSION', 'Session extended by its owner', { code: sessionCode });
+    }
+
+    // The owner changes the session's simulated network: { conditions }
+    function handleSetNetwork(ws, message) {
+      const session = clientRole === 'server' && sessions.get(sessionCode);
+
+      if (!session) {
+        sendTo(ws, {
+          type: 'error',
+          message: 'Only the session owner can change network conditions'
+        });
+        return;
+      }
+      if (!config.faultInjection) {
+        sendTo(ws, {
+          type: 'error',
+          code: 'FAULT_INJECTION_DISABLED',
+          message: 'Fault injection is disabled on this relay'
+        });
+        return;
+      }
+
+      try {
+        setNetwork(sessionCode, session, message.conditions);
+      } catch (error) {
+        if (!(error instanceof ConditionsError)) throw error;
+        sendTo(ws, { type: 'error', code: 'ERR_BAD_CONDITIONS', message: error.message });
+      }
+    }
+
+    // Peers joining a session with a simulated network hear what it is
+    function sendNetworkConditions(ws, session) {
+      if (session.faults.active) {
+        sendTo(ws, { type: 'network-conditions', conditions: session.faults.conditions });
+      }
+    }
+
+    // Add a client to the session and introduce it to the server
+    function admitClient(ws, session, code, username, clientId, hello) {
+      session.pending.delete(clientId);
+      session.clients.push({ ws, username, clientId });
+      touchSession(session);
+      sessionCode = code;
+      clientRole = 'client';
+
+      const resumeToken = issueResumeToken(sessionCode, 'client', clientId, username);
+      store.addParticipant(sessionCode, { clientId, username, role: 'client', resumeTokenHash: digest(resumeToken) }).catch(logStoreError);
+      log('REGISTER', 'Client registered', { code: sessionCode, username, clientId });
+
+      // Notify client of successful registration
+      ws.send(JSON.stringify({
+        type: 'registered',
+        role: 'client',
+        code: sessionCode,
+        username,
+        clientId,
+        resumeToken,
+        resumeGraceMs: RESUME_GRACE_MS
+      }));
+      sendNetworkConditions(ws, session);
+
+      // Notify server that client connected
       if (session.server && session.server.readyState === WebSocket.OPEN) {
         session.server.send(JSON.stringify({
-          type: 'scp-message',
-          scpMessage,
-          direction,
-          from: 'client',
-          messageId,
+          type: 'client-connected',
+          username,
           clientId
         }));
+      }
 
-        // Send ACK back to client after short delay (simulate processing)
-        setTimeout(() => {
-          const ackMessage = scpMessage.replace(/MSG|HELLO|BYE/, 'ACK').replace(/\|([^|]+)$/, '| MSG_RECEIVED');
-          ws.send(JSON.stringify({
-            type: 'scp-message',
-            scpMessage: ackMessage,
-            direction: 'server-to-client',
-            from: 'server',
-            messageId
-          }));
-        }, 100);
-      }
-    } else if (direction === 'server-to-client') {
-      // Server -> All Clients
-      session.clients.forEach(client => {
-        if (client.ws.readyState === WebSocket.OPEN) {
-          client.ws.send(JSON.stringify({
-            type: 'scp-message',
-            scpMessage,
-            direction,
-            from: 'server',
-            messageId
-          }));
+      // Forward the client's HELLO to the server, addressed and named by the relay
+      const helloMessage = {
+        type: 'scp-message',
+        direction: 'client-to-server',
+        scpMessage: serialize({
+          ...hello,
+          type: 'HELLO',
+          id: 0,
+          headers: { ...hello?.headers, from: clientId, to: 'server' },
+          payload: username
+        }),
+        from: 'client',
+        clientId
+      };
+
+      store.appendMessage(sessionCode, {
+        scpMessage: helloMessage.scpMessage,
+        type: 'HELLO',
+        direction: helloMessage.direction,
+        clientId,
+        from: clientId,
+        to: 'server',
+        messageId: 0
+      }).catch(logStoreError);
+
+      if (session.server && session.server.readyState === WebSocket.OPEN) {
+        session.server.send(JSON.stringify(helloMessage));
+      }
+      trace.record(sessionCode, {
+        event: 'frame',
+        direction: 'client-to-server',
+        from: clientId,
+        to: 'server',
+        type: 'HELLO',
+        id: 0,
+        size: Buffer.byteLength(helloMessage.scpMessage),
+        delivered: session.server ? 1 : 0
+      });
+      broadcastRoster(session);
+    }
+
+    // Refuse a message with a protocol-level error. SCP frames are also NACKed
+    // so the sender's retransmission logic sees the reason.
+    function rejectMessage(ws, message, code, text, extra = {}) {
+      log('WARNING', 'Message rejected', { reason: code, ip });
+      sendTo(ws, { type: 'error', code, message: text, ...extra });
+
+      const frame = message.type === 'scp-message' && tryParse(message.scpMessage);
+      trace.record(sessionCode, {
+        event: 'rejected',
+        from: clientRole === 'server' ? 'server' : clientId,
+        envelope: message.type,
+        type: frame ? frame.type : undefined,
+        id: frame ? frame.id : undefined,
+        reason: code
+      });
+      if (frame && !RECEIPT_TYPES.includes(frame.type)) {
+        sendRelayNack(ws, sessionCode, frame.id, clientRole === 'server' ? 'server' : clientId, code);
+      }
+
+      if (!strikes.take()) {
+        log('WARNING', 'Closing abusive connection', { clientId, ip });
+        ws.close(1008, 'Too many violations');
+      }
+    }
+
+    // Handle SCP protocol messages. Frames are routed by their `to` header:
+    // 'server', '*' (everyone else in the session) or a clientId.
+    function handleSCPMessage(ws, message, clientId) {
+      const { scpMessage } = message;
+      const code = sessionCode;
+      // Clients waiting for approval have a session but may not talk in it yet
+      const session = (clientRole === 'server' || clientRole === 'client') && sessions.get(code);
+
+      if (!session) {
+        sendTo(ws, {
+          type: 'error',
+          message: 'Session not found'
+        });
+        return;
+      }
+
+      let frame;
+      try {
+        frame = parse(scpMessage);
+      } catch (error) {
+        if (!(error instanceof SCPParseError)) throw error;
+        log('WARNING', 'Malformed SCP frame', { reason: error.code });
+        sendTo(ws, {
+          type: 'error',
+          code: error.code,
+          message: `Malformed SCP frame: ${error.message}`
+        });
+        return;
+      }
+      const messageId = frame.id;
+      const from = clientRole === 'server' ? 'server' : clientId;
 
-          // Send ACK back to server after short delay
-          setTimeout(() => {
-            const ackMessage = scpMessage.replace(/MSG|HELLO|BYE/, 'ACK').replace(/\|([^|]+)$/, '| MSG_RECEIVED');
-            if (session.server && session.server.readyState === WebSocket.OPEN) {
-              session.server.send(JSON.stringify({
-                type: 'scp-message',
-                scpMessage: ackMessage,
-                direction: 'client-to-server',
-                from: 'client',
-                messageId,
-                clientId: client.clientId
-              }));
-            }
-          }, 100);
+      if (Buffer.byteLength(frame.payload) > LIMITS.maxPayloadBytes) {
+        rejectMessage(ws, message, 'PAYLOAD_TOO_LARGE', `Payload exceeds ${LIMITS.maxPayloadBytes} bytes`);
+        return;
+      }
+
+      if (frame.type === 'FILE_OFFER' && !(Number(frame.headers.size) <= LIMITS.maxFileBytes)) {
+        rejectMessage(ws, message, 'PAYLOAD_TOO_LARGE', `Files are limited to ${LIMITS.maxFileBytes} bytes`);
+        return;
+      }
+
+      if (frame.headers.from !== undefined && frame.headers.from !== from) {
+        log('WARNING', 'Spoofed SCP sender', { claimed: frame.headers.from, clientId });
+        sendTo(ws, {
+          type: 'error',
+          code: 'ERR_BAD_SENDER',
+          message: `Frame claims to be from "${frame.headers.from}"`
+        });
+        return;
+      }
+
+      if (frame.type === 'EXPIRING') {
+        rejectMessage(ws, message, 'ERR_BAD_TYPE', 'EXPIRING frames are sent by the relay only');
+        return;
+      }
+
+      // Default addressing: clients talk to the server, the server to everyone
+      const to = frame.headers.to || (from === 'server' ? '*' : 'server');
+      const routed = frame.headers.from && frame.headers.to
+        ? scpMessage
+        : serialize({ ...frame, headers: { ...frame.headers, from, to } });
+      const direction = from === 'server'
+        ? 'server-to-client'
+        : to === 'server' ? 'client-to-server' : 'client-to-client';
+
+      // Only routing metadata is logged; encrypted payloads are opaque here anyway
+      log('SCP', 'Message forwarding', { 
+        direction, 
+        messageId,
+        from,
+        to,
+        code,
+        encrypted: frame.headers.enc !== undefined
+      });
+
+      const isHeartbeat = HEARTBEAT_TYPES.includes(frame.type);
+      const expectsReceipt = !isHeartbeat && !RECEIPT_TYPES.includes(frame.type) &&
+        !LIFECYCLE_TYPES.includes(frame.type);
+
+      // Heartbeats keep sockets alive, not sessions
+      if (!isHeartbeat) touchSession(session);
+
+      // Store message in session history
+      if (!isHeartbeat) {
+        store.appendMessage(code, {
+          scpMessage: routed,
+          type: frame.type,
+          direction,
+          clientId,
+          from,
+          to,
+          messageId
+        }).catch(logStoreError);
+      }
+
+      const envelopeOf = text => JSON.stringify({
+        type: 'scp-message',
+        scpMessage: text,
+        direction,
+        from: clientRole,
+        messageId,
+        clientId: from === 'server' ? undefined : clientId
+      });
+
+      // ACK/NACK frames are produced by the receiving peer and relayed like
+      // any other frame. Heartbeats and BYEs skip the simulated network.
+      const { recipients, away } = resolveRecipients(session, from, to);
+      if (expectsReceipt || RECEIPT_TYPES.includes(frame.type)) {
+        deliver(session, recipients, envelopeOf(routed), () => envelopeOf(corruptText(routed, random)));
+      } else {
+        recipients.forEach(peer => peer.send(envelopeOf(routed)));
+      }
+      metrics.frames.inc({ type: frameTypeLabel(frame.type), direction });
+      metrics.frameBytes.inc({ direction }, Buffer.byteLength(routed));
+      if (RECEIPT_TYPES.includes(frame.type)) {
+        observeReceipt(code, frame, to);
+      } else if (expectsReceipt && recipients.length > 0) {
+        trackDelivery(code, frame, from);
+      }
+      trace.record(code, {
+        event: 'frame',
+        direction,
+        from,
+        to,
+        type: frame.type,
+        id: messageId,
+        size: Buffer.byteLength(routed),
+        encrypted: frame.headers.enc !== undefined,
+        delivered: recipients.length
+      });
+
+      // Nobody to hand the frame to: tell the sender instead of leaving it waiting
+      if (recipients.length === 0 && expectsReceipt) {
+        sendRelayNack(ws, code, messageId, from, away || to === '*' ? 'PEER_UNAVAILABLE' : 'UNKNOWN_RECIPIENT');
+      }
+
+      // A BYE is the sender's last word: a client leaves for good, the server
+      // ends the session for everyone
+      if (frame.type === 'BYE') {
+        if (from === 'server') {
+          log('SESSION', 'Session closed by its owner', { code, reason: readBye(frame).reason });
+          closeSession(code, session, 'closed-by-owner', 'The session owner ended the session');
+        } else {
+          handleDisconnect(ws, clientId);
         }
+      }
+    }
+
+    // File chunks arrive as binary messages: SCP frame text plus raw bytes (see
+    // decodeBinaryFrame). They are checked and routed like text frames but
+    // forwarded untouched, and not kept in the session history.
+    function handleBinaryMessage(ws, data) {
+      const session = (clientRole === 'server' || clientRole === 'client') && sessions.get(sessionCode);
+      if (!session) {
+        sendTo(ws, { type: 'error', message: 'Session not found' });
+        return;
+      }
+
+      let decoded;
+      let frame;
+      try {
+        decoded = decodeBinaryFrame(data);
+        frame = parse(decoded.frame);
+      } catch (error) {
+        if (!(error instanceof SCPParseError)) throw error;
+        log('WARNING', 'Malformed binary frame', { reason: error.code });
+        sendTo(ws, { type: 'error', code: error.code, message: `Malformed binary frame: ${error.message}` });
+        return;
+      }
+
+      const message = { type: 'scp-message', scpMessage: decoded.frame };
+      const from = clientRole === 'server' ? 'server' : clientId;
+      const { to } = frame.headers;
+
+      if (frame.type !== 'FILE_CHUNK') {
+        rejectMessage(ws, message, 'ERR_BAD_TYPE', 'Only FILE_CHUNK frames may be sent as binary messages');
+        return;
+      }
+      if (frame.headers.from !== from || !to) {
+        rejectMessage(ws, message, 'ERR_BAD_SENDER', 'Binary frames must carry this connection\'s from and a to header');
+        return;
+      }
+
+      // Over the byte budget: a transient NACK makes the sender back off and
+      // retransmit, which is flow control rather than abuse, so no strike
+      const { allowed } = limiters.bytes.consume(clientId, data.length);
+      if (!allowed) {
+        sendRelayNack(ws, sessionCode, frame.id, from, 'RATE_LIMITED');
+        return;
+      }
+      touchSession(session);
+
+      // Corruption hits the chunk bytes, never the frame in front of them
+      const { recipients, away } = resolveRecipients(session, from, to);
+      deliver(session, recipients, data, () => corruptBytes(data, data.length - decoded.bytes.length, random));
+      const direction = from === 'server' ? 'server-to-client' : to === 'server' ? 'client-to-server' : 'client-to-client';
+      metrics.frames.inc({ type: frameTypeLabel(frame.type), direction });
+      metrics.frameBytes.inc({ direction }, data.length);
+      if (recipients.length > 0) trackDelivery(sessionCode, frame, from);
+      trace.record(sessionCode, {
+        event: 'frame',
+        direction,
+        from,
+        to,
+        type: frame.type,
+        id: frame.id,
+        size: data.length,
+        binary: true,
+        encrypted: frame.headers.enc !== undefined,
+        delivered: recipients.length
       });
+
+      if (recipients.length === 0) {
+        sendRelayNack(ws, sessionCode, frame.id, from, away || to === '*' ? 'PEER_UNAVAILABLE' : 'UNKNOWN_RECIPIENT');
+      }
     }
-  }
 
-  // Handle disconnect
-  function handleDisconnect(ws, clientId) {
-    cleanupConnection(ws, sessionCode, clientRole);
-  }
+    // Resume a registration after the socket dropped
+    function handleResume(ws, message) {
+      const { token, lastSeen = {} } = message;
+      const entry = resumeEntryOf(token);
+      const session = entry && sessions.get(entry.code);
 
-  // Cleanup connection
-  function cleanupConnection(ws, code, role) {
-    if (!code) return;
+      if (!session) {
+        sendTo(ws, {
+          type: 'error',
+          code: 'RESUME_FAILED',
+          message: 'Session expired or resume token is invalid'
+        });
+        return;
+      }
 
-    const session = sessions.get(code);
-    if (!session) return;
+      const { code, role, username } = entry;
+      const graceKey = role === 'server' ? 'server' : entry.clientId;
+
+      if (role === 'server' && session.server && session.server !== ws &&
+          session.server.readyState === WebSocket.OPEN) {
+        sendTo(ws, {
+          type: 'error',
+          code: 'RESUME_FAILED',
+          message: 'Server already registered for this session'
+        });
+        return;
+      }
+
+      timers.clearTimeout(session.graceTimers.get(graceKey));
+      session.graceTimers.delete(graceKey);
+      touchSession(session);
+
+      sessionCode = code;
+      clientRole = role;
+      clientId = entry.clientId;
+
+      if (role === 'server') {
+        session.server = ws;
+        session.clients.forEach(client => sendTo(client.ws, { type: 'server-reconnected' }));
+        sendJoinRequests(session);
+      } else {
+        session.away.delete(clientId);
+        session.clients = session.clients.filter(c => c.clientId !== clientId);
+        session.clients.push({ ws, username, clientId });
+        sendTo(session.server, { type: 'client-reconnected', username, clientId });
+      }
+      broadcastRoster(session);
+
+      store.updateParticipant(code, clientId, { leftAt: null }).catch(logStoreError);
+      log('REGISTER', 'Connection resumed', { code, role, clientId });
+
+      ws.send(JSON.stringify({
+        type: 'resumed',
+        role,
+        code,
+        username,
+        clientId,
+        resumeToken: token,
+        resumeGraceMs: RESUME_GRACE_MS,
+        peerConnected: role === 'server' ? session.clients.length > 0 : Boolean(session.server),
+        faultInjection: role === 'server' ? config.faultInjection : undefined
+      }));
+      sendNetworkConditions(ws, session);
+
+      replayMissedMessages(ws, code, role, clientId, lastSeen).catch(logStoreError);
+    }
+
+    // Handle disconnect
+    function handleDisconnect(ws, clientId) {
+      cleanupConnection(ws, sessionCode, clientRole, { final: true });
+      sessionCode = null;
+      clientRole = null;
+    }
+
+    // Cleanup connection. Unless `final` is set the peer keeps its place for
+    // RESUME_GRACE_MS and may come back with its resume token.
+    function cleanupConnection(ws, code, role, { final = false } = {}) {
+      if (!code) return;
+
+      const session = sessions.get(code);
+      if (!session) return;
+
+      if (role === 'pending') {
+        const entry = session.pending.get(clientId);
+        if (!entry) return;
+        session.pending.delete(clientId);
+        sendTo(session.server, { type: 'join-cancelled', clientId, username: entry.username });
+        log('CLEANUP', 'Pending client left before admission', { code, clientId });
+      } else if (role === 'server') {
+        if (session.server !== ws) return;
+        session.server = null;
 
-    if (role === 'server') {
-      // Notify all clients that server disconnected
-      session.clients.forEach(client => {
-        if (client.ws.readyState === WebSocket.OPEN) {
-          client.ws.send(JSON.stringify({
-            type: 'server-disconnected'
+        // Notify all clients that server disconnected
+        session.clients.forEach(client => sendTo(client.ws, {
+          type: 'server-disconnected',
+          resumable: !final,
+          resumeGraceMs: final ? 0 : RESUME_GRACE_MS
+        }));
+
+        const removeSession = () => {
+          session.clients.forEach(client => sendTo(client.ws, {
+            type: 'server-disconnected',
+            resumable: false
           }));
+          session.pending.forEach(entry => entry.reject());
+          endSession(code, session, final ? 'server-left' : 'server-timeout');
+          log('CLEANUP', 'Session removed', { code });
+        };
+
+        if (final) {
+          removeSession();
+        } else {
+          session.graceTimers.set('server', timers.setTimeout(removeSession, RESUME_GRACE_MS));
+          broadcastRoster(session);
+          log('CLEANUP', 'Server away, session kept for resume', { code, graceMs: RESUME_GRACE_MS });
         }
-      });
+      } else if (role === 'client') {
+        const client = session.clients.find(c => c.ws === ws);
+        if (!client) return;
+        const { username } = client;
 
-      // Clean up session
-      sessions.delete(code);
-      log('CLEANUP', 'Session removed', { code });
-    } else if (role === 'client') {
-      // Remove client from session
-      session.clients = session.clients.filter(c => c.ws !== ws);
+        // Remove client from session
+        session.clients = session.clients.filter(c => c.ws !== ws);
 
-      // Notify server
-      if (session.server && session.server.readyState === WebSocket.OPEN) {
-        session.server.send(JSON.stringify({
+        // Notify server
+        sendTo(session.server, {
           type: 'client-disconnected',
-          clientId
-        }));
+          clientId,
+          username,
+          resumable: !final
+        });
+
+        const removeClient = () => releaseClient(session, code, clientId, username, { notifyServer: !final });
+
+        if (final) {
+          removeClient();
+        } else {
+          session.away.set(clientId, username);
+          session.graceTimers.set(clientId, timers.setTimeout(removeClient, RESUME_GRACE_MS));
+          broadcastRoster(session);
+        }
       }
+    }
+  }
+
+  // Re-send frames addressed to a resumed peer that it has not seen yet.
+  // `lastSeen` maps a sender ('server' or a clientId) to the highest SCP id
+  // the peer received from it.
+  async function replayMissedMessages(ws, code, role, clientId, lastSeen) {
+    let after = 0;
+    let replayed = 0;
+
+    for (;;) {
+      const page = await store.getMessages(code, { after, limit: MAX_PAGE_SIZE });
+      if (!page) return;
+
+      const self = role === 'server' ? 'server' : clientId;
 
-      log('CLEANUP', 'Client removed from session', { code, clientId });
+      page.messages.forEach((entry) => {
+        if (RECEIPT_TYPES.includes(entry.type)) return;
+
+        const addressed = entry.to === self || (entry.to === '*' && entry.from !== self);
+        const seen = lastSeen[entry.from];
+
+        if (!addressed || (Number.isInteger(seen) && entry.messageId <= seen)) return;
+
+        sendTo(ws, {
+          type: 'scp-message',
+          scpMessage: entry.scpMessage,
+          direction: entry.direction,
+          from: entry.from === 'server' ? 'server' : 'client',
+          messageId: entry.messageId,
+          clientId: entry.from === 'server' ? undefined : entry.from,
+          replayed: true
+        });
+        replayed++;
+      });
+
+      if (!page.hasMore) break;
+      after = page.nextAfter;
+    }
+
+    if (replayed > 0) {
+      log('SCP', 'Replayed missed messages', { code, clientId, count: replayed });
     }
   }
-});
 
-// Cleanup old sessions (older than 1 hour)
-setInterval(() => {
-  const now = Date.now();
-  const oneHour = 60 * 60 * 1000;
+  // Periodic housekeeping. Idle sessions expire on their own timers (see
+  // scheduleExpiry).
+  const sweeper = timers.setInterval(() => {
+    const current = now();
 
-  sessions.forEach((session, code) => {
-    if (now - session.createdAt > oneHour) {
-      log('CLEANUP', 'Removing old session', { code, age: now - session.createdAt });
-      sessions.delete(code);
+    // Keep the directory entries of sessions hosted here from expiring
+    sessions.forEach((session, code) => {
+      bus.register(code, directoryEntry(session), DIRECTORY_TTL_MS).catch(logBusError);
+    });
+
+    // Forget used join tokens once they would have expired anyway
+    usedJoinTokens.forEach((exp, jti) => {
+      if (exp <= current) usedJoinTokens.delete(jti);
+    });
+
+    // Frames unanswered for a whole sweep interval never will be
+    awaitingReceipt.forEach((sentAt, key) => {
+      if (sentAt <= current - CLEANUP_INTERVAL_MS) awaitingReceipt.delete(key);
+    });
+
+    Object.values(limiters).forEach(limiter => limiter.prune());
+
+    if (config.traceRetentionMs > 0) {
+      trace.prune(current - config.traceRetentionMs)
+        .catch(error => log('ERROR', 'Failed to prune traces', { error: error.message }));
     }
-  });
-}, 5 * 60 * 1000); // Check every 5 minutes
-
-// Start server
-const PORT = process.env.PORT || 3001;
-server.listen(PORT, () => {
-  log('SERVER', `WebSocket server running on port ${PORT}`);
-  console.log(`HTTP API: http://localhost:${PORT}`);
-  console.log(`WebSocket: ws://localhost:${PORT}`);
-});
-
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  log('SERVER', 'SIGTERM received, closing server...');
-  server.close(() => {
-    log('SERVER', 'Server closed');
+  }, CLEANUP_INTERVAL_MS);
+
+  // Dead-peer detection: a socket that has not answered the previous ping is
+  // terminated, which runs the normal close handling (and resume grace period)
+  const heartbeat = timers.setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) {
+        log('HEARTBEAT', 'Terminating unresponsive connection');
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+
+  // Load persisted sessions back, then start listening. Resolves with the
+  // bound port (pass 0 for an ephemeral one).
+  async function listen(port) {
+    await store.open();
+    const stored = await store.listSessions();
+    stored.forEach(({ code, createdAt, participants, passcodeHash, ownerTokenHash, requireApproval }) => {
+      // Downtime does not count as idle time
+      const session = {
+        server: null,
+        clients: [],
+        pending: new Map(),
+        away: new Map(),
+        graceTimers: new Map(),
+        createdAt,
+        lastActivityAt: now(),
+        passcodeHash: passcodeHash || null,
+        ownerTokenHash,
+        requireApproval: Boolean(requireApproval),
+        ...simulatedNetwork()
+      };
+      sessions.set(code, session);
+      scheduleExpiry(code, session);
+      participants
+        .filter(p => p.resumeTokenHash && !p.leftAt)
+        .forEach(p => resumeTokens.set(p.resumeTokenHash, {
+          code,
+          role: p.role,
+          clientId: p.clientId,
+          username: p.username
+        }));
+    });
+    log('SERVER', 'Sessions restored', { count: stored.length });
+
+    await bus.start(handleBusMessage);
+    await Promise.all([...sessions].map(([code, session]) => bus.register(code, directoryEntry(session), DIRECTORY_TTL_MS)));
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, resolve);
+    });
+    return server.address().port;
+  }
+
+  // Stop timers, drop every socket (forwarded ones too), leave the session
+  // bus and close the store
+  async function close() {
+    timers.clearInterval(sweeper);
+    timers.clearInterval(heartbeat);
+    sessions.forEach((session) => {
+      session.graceTimers.forEach(timer => timers.clearTimeout(timer));
+      timers.clearTimeout(session.expiryTimer);
+      session.faultTimers.forEach(timer => timers.clearTimeout(timer));
+    });
+    wss.clients.forEach(ws => ws.terminate());
+    remoteSockets.forEach(socket => socket.terminate());
+    await new Promise(resolve => wss.close(() => resolve()));
+    if (server.listening) {
+      await new Promise(resolve => server.close(() => resolve()));
+    }
+    await Promise.all([...sessions.keys()].map(code => bus.unregister(code).catch(logBusError)));
+    await bus.close();
+    await trace.close();
+    await store.close();
+  }
+
+  return { app, server, wss, sessions, store, bus, listen, close };
+}
+
+// Start a relay when run directly (npm start); require() only builds one.
+// Settings come from flags, the environment and an optional config file (see
+// config.js); --print-config shows the result without starting.
+if (require.main === module) {
+  let loaded;
+  try {
+    loaded = loadConfig({ argv: process.argv.slice(2) });
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(error.message);
+    process.exit(1);
+  }
+  const { config, sources, file, printConfig, help } = loaded;
+
+  if (help) {
+    console.log(usage());
+    process.exit(0);
+  }
+  if (printConfig) {
+    console.log(describeConfig(config, sources));
     process.exit(0);
+  }
+
+  const log = createLogger({ format: config.logFormat, level: config.logLevel, redactPayloads: config.logRedact });
+  let relay;
+  try {
+    relay = createServer({ ...config, log });
+  } catch (error) {
+    // e.g. a redis session bus without its client package
+    log('ERROR', 'Failed to start server', { error: error.message });
+    process.exit(1);
+  }
+  log('CONFIG', 'Effective configuration', { file, ...config });
+
+  relay.listen(config.port)
+    .then((port) => {
+      log('SERVER', `WebSocket server running on port ${port}`);
+      if (config.logFormat === 'text') {
+        console.log(`HTTP API: http://localhost:${port}`);
+        console.log(`WebSocket: ws://localhost:${port}`);
+      }
+    })
+    .catch((error) => {
+      log('ERROR', 'Failed to start server', { error: error.message });
+      process.exit(1);
+    });
+
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+    log('SERVER', 'SIGTERM received, closing server...');
+    relay.close().finally(() => {
+      log('SERVER', 'Server closed');
+      process.exit(0);
+    });
   });
-});
-```
-
-### `backend/.gitignore`
-```
-node_modules/
-.env
-*.log
-.DS_Store
\ No newline at end of file
+}
+
+module.exports = { createServer };
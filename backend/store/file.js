@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const { MemoryStore } = require('./memory');
+
+const CODE_RE = /^[A-Z0-9]+$/;
+
+// File-backed session store. Each session is a JSON document `<code>.json`
+// in `dir` with its history beside it in `<code>.history.jsonl`, one message
+// per line. Reads are served from memory; writes are batched and flushed
+// after `flushDelay` ms (and on close). The document is small and replaced
+// through a temp file + rename; history is only ever appended to, so a flush
+// costs the messages added since the last one rather than the whole session.
+class FileStore extends MemoryStore {
+  constructor({ dir, flushDelay = 250, onError = () => {}, now } = {}) {
+    super({ now });
+    if (!dir) throw new Error('FileStore requires a directory');
+    this.dir = dir;
+    this.flushDelay = flushDelay;
+    this.onError = onError;
+    this.dirty = new Set();
+    // code -> { record, count }: how much of which record's history is on disk
+    this.written = new Map();
+    this.flushTimer = null;
+    this.flushing = Promise.resolve();
+  }
+
+  async open() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const files = await fs.promises.readdir(this.dir);
+
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+      const code = file.slice(0, -'.json'.length);
+      if (!CODE_RE.test(code)) continue;
+      const record = JSON.parse(await fs.promises.readFile(this.file(code), 'utf8'));
+      if (record.messages) {
+        // Written before history moved to its own file: the next flush moves it
+        this.sessions.set(code, record);
+        continue;
+      }
+      const { messages, torn } = await this.readHistory(code);
+      record.messages = messages;
+      this.sessions.set(code, record);
+      if (torn) {
+        // Appending after the torn line would garble it: write it out afresh
+        this.changed(code);
+      } else {
+        this.written.set(code, { record, count: messages.length });
+      }
+    }
+  }
+
+  async close() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    await this.flush();
+  }
+
+  file(code) {
+    return path.join(this.dir, `${code}.json`);
+  }
+
+  historyFile(code) {
+    return path.join(this.dir, `${code}.history.jsonl`);
+  }
+
+  // History on disk; `torn` if its last line was cut short mid-append
+  async readHistory(code) {
+    let text;
+    try {
+      text = await fs.promises.readFile(this.historyFile(code), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return { messages: [], torn: false };
+      throw error;
+    }
+    const lines = text.split('\n');
+    const torn = lines.pop() !== '';
+    return { messages: lines.map(line => JSON.parse(line)), torn };
+  }
+
+  changed(code) {
+    this.dirty.add(code);
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = null;
+        this.flush();
+      }, this.flushDelay);
+    }
+  }
+
+  // Write every dirty session; flushes never overlap
+  flush() {
+    this.flushing = this.flushing.then(async () => {
+      const codes = [...this.dirty];
+      this.dirty.clear();
+
+      for (const code of codes) {
+        try {
+          await this.write(code);
+        } catch (error) {
+          this.onError(error, code);
+        }
+      }
+    });
+    return this.flushing;
+  }
+
+  async write(code) {
+    const record = this.sessions.get(code);
+    if (!record) {
+      this.written.delete(code);
+      await fs.promises.rm(this.file(code), { force: true });
+      await fs.promises.rm(this.historyFile(code), { force: true });
+      return;
+    }
+
+    const { messages, ...session } = record;
+    const written = this.written.get(code);
+    const lines = (from) => messages.slice(from).map(message => `${JSON.stringify(message)}\n`).join('');
+    if (written?.record === record) {
+      if (messages.length > written.count) {
+        await fs.promises.appendFile(this.historyFile(code), lines(written.count));
+      }
+    } else {
+      // A session new to the file (or one deleted and created again since
+      // the last flush): its history starts over
+      await replace(this.historyFile(code), lines(0));
+    }
+    this.written.set(code, { record, count: messages.length });
+    await replace(this.file(code), JSON.stringify(session));
+  }
+}
+
+async function replace(file, content) {
+  const tmp = `${file}.tmp`;
+  await fs.promises.writeFile(tmp, content);
+  await fs.promises.rename(tmp, file);
+}
+
+module.exports = { FileStore };
@@ -0,0 +1,16 @@
+const { MemoryStore, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('./memory');
+const { FileStore } = require('./file');
+
+// Build a session store by name: 'memory' or 'file'
+function createStore({ type = 'memory', ...options } = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryStore(options);
+    case 'file':
+      return new FileStore(options);
+    default:
+      throw new Error(`Unknown store type "${type}"`);
+  }
+}
+
+module.exports = { createStore, MemoryStore, FileStore, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE };
@@ -0,0 +1,122 @@
+// In-memory session store. Everything is lost when the process exits.
+//
+// All methods return promises so that stores backed by real I/O can share the
+// same interface. Records handed out are copies; mutate through the store.
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+class MemoryStore {
+  // `now` is the clock for timestamps, injectable for tests
+  constructor({ now = Date.now } = {}) {
+    // code -> { code, createdAt, updatedAt, participants: [], messages: [], nextSeq }
+    this.sessions = new Map();
+    this.now = now;
+  }
+
+  async open() {}
+
+  async close() {}
+
+  // Hook for subclasses that persist a session after it changed
+  changed(code) {}
+
+  async createSession({ code, createdAt = this.now(), ...rest }) {
+    if (this.sessions.has(code)) {
+      throw new Error(`Session ${code} already exists`);
+    }
+    this.sessions.set(code, {
+      ...rest,
+      code,
+      createdAt,
+      updatedAt: createdAt,
+      participants: [],
+      messages: [],
+      nextSeq: 1
+    });
+    this.changed(code);
+    return this.getSession(code);
+  }
+
+  async getSession(code) {
+    const record = this.sessions.get(code);
+    return record ? summarize(record) : null;
+  }
+
+  async listSessions() {
+    return [...this.sessions.values()].map(summarize);
+  }
+
+  async updateSession(code, changes) {
+    const record = this.sessions.get(code);
+    if (!record) return null;
+    const { participants, messages, nextSeq, ...allowed } = changes;
+    Object.assign(record, allowed, { code, updatedAt: this.now() });
+    this.changed(code);
+    return summarize(record);
+  }
+
+  async deleteSession(code) {
+    const existed = this.sessions.delete(code);
+    if (existed) this.changed(code);
+    return existed;
+  }
+
+  async addParticipant(code, participant) {
+    const record = this.sessions.get(code);
+    if (!record) return null;
+    const entry = { joinedAt: this.now(), leftAt: null, ...participant };
+    record.participants = record.participants.filter(p => p.clientId !== entry.clientId);
+    record.participants.push(entry);
+    record.updatedAt = this.now();
+    this.changed(code);
+    return { ...entry };
+  }
+
+  async updateParticipant(code, clientId, changes) {
+    const record = this.sessions.get(code);
+    const entry = record?.participants.find(p => p.clientId === clientId);
+    if (!entry) return null;
+    Object.assign(entry, changes, { clientId });
+    record.updatedAt = this.now();
+    this.changed(code);
+    return { ...entry };
+  }
+
+  // Append a frame to the session history and assign it a sequence number
+  async appendMessage(code, message) {
+    const record = this.sessions.get(code);
+    if (!record) return null;
+    const entry = { timestamp: this.now(), ...message, seq: record.nextSeq++ };
+    record.messages.push(entry);
+    record.updatedAt = entry.timestamp;
+    this.changed(code);
+    return { ...entry };
+  }
+
+  // Page through history in sequence order, starting after `after`
+  async getMessages(code, { after = 0, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const record = this.sessions.get(code);
+    if (!record) return null;
+    const size = Math.min(Math.max(1, limit), MAX_PAGE_SIZE);
+    const remaining = record.messages.filter(m => m.seq > after);
+    const messages = remaining.slice(0, size).map(m => ({ ...m }));
+    return {
+      messages,
+      total: record.messages.length,
+      hasMore: remaining.length > messages.length,
+      nextAfter: messages.length ? messages[messages.length - 1].seq : after
+    };
+  }
+}
+
+function summarize(record) {
+  const { messages, nextSeq, participants, ...session } = record;
+  return {
+    ...session,
+    participants: participants.map(p => ({ ...p })),
+    messageCount: messages.length
+  };
+}
+
+module.exports = { MemoryStore, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE };
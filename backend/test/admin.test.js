@@ -0,0 +1,150 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../store');
+const { startRelay, request, connectPeer, hostSession, joinSession } = require('./helpers');
+
+const ADMIN_TOKEN = 'admin-secret';
+const asAdmin = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+
+describe('admin API', () => {
+  let ctx;
+  afterEach(() => ctx.close());
+
+  it('is off without an admin token and needs the token otherwise', async () => {
+    ctx = await startRelay();
+    assert.equal((await request(ctx, '/api/admin/sessions', { headers: asAdmin })).status, 404);
+    await ctx.close();
+
+    ctx = await startRelay({ adminToken: ADMIN_TOKEN });
+    assert.equal((await request(ctx, '/api/admin/sessions')).status, 401);
+    assert.equal((await request(ctx, '/api/admin/sessions', { headers: { Authorization: 'Bearer nope' } })).status, 401);
+    assert.equal((await request(ctx, '/api/admin/sessions', { headers: asAdmin })).status, 200);
+  });
+
+  it('has its own rate limit, apart from the public lookups', async () => {
+    ctx = await startRelay({ adminToken: ADMIN_TOKEN, limits: { checkPerMin: 1, adminPerMin: 3 } });
+    assert.equal((await request(ctx, '/api/check-session/NOPE1234')).status, 200);
+    assert.equal((await request(ctx, '/api/check-session/NOPE1234')).status, 429);
+
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await request(ctx, '/api/admin/sessions', { headers: asAdmin })).status, 200);
+    }
+    assert.equal((await request(ctx, '/api/admin/sessions', { headers: asAdmin })).status, 429);
+  });
+
+  it('answers 500 when the store fails', async () => {
+    const store = createStore({ type: 'memory' });
+    ctx = await startRelay({ adminToken: ADMIN_TOKEN, store });
+    const { session } = await hostSession(ctx);
+    store.getSession = async () => { throw new Error('store is down'); };
+
+    const list = await request(ctx, '/api/admin/sessions', { headers: asAdmin });
+    assert.equal(list.status, 500);
+    assert.equal(list.body.error, 'Failed to load sessions');
+    const detail = await request(ctx, `/api/admin/sessions/${session.code}`, { headers: asAdmin });
+    assert.equal(detail.status, 500);
+    assert.equal(detail.body.error, 'Failed to load session');
+  });
+
+  describe('with a session', () => {
+    let session;
+    let server;
+    let alice;
+    let aliceReply;
+    beforeEach(async () => {
+      ctx = await startRelay({ adminToken: ADMIN_TOKEN });
+      ({ session, server } = await hostSession(ctx));
+      ({ client: alice, reply: aliceReply } = await joinSession(ctx, session.code, 'alice'));
+      await server.nextFrame('HELLO');
+    });
+
+    it('lists sessions with their age, participants and message count', async () => {
+      ctx.clock.advance(5000);
+      const { body } = await request(ctx, '/api/admin/sessions', { headers: asAdmin });
+
+      assert.equal(body.sessions.length, 1);
+      const [listed] = body.sessions;
+      assert.equal(listed.code, session.code);
+      assert.equal(listed.ageMs, 5000);
+      assert.equal(listed.messageCount, 1);
+      assert.deepEqual(listed.participants, [
+        { clientId: 'server', role: 'server', state: 'connected' },
+        { clientId: alice.clientId, username: 'alice', role: 'client', state: 'connected' }
+      ]);
+    });
+
+    it('shows the routing metadata of recent frames, never payloads', async () => {
+      alice.sendFrame({ type: 'MSG', id: 1, headers: {}, payload: 'secret stuff' });
+      await server.nextFrame('MSG');
+
+      const { body } = await request(ctx, `/api/admin/sessions/${session.code}`, { headers: asAdmin });
+      assert.deepEqual(body.recent.map(m => [m.type, m.from, m.to]), [
+        ['HELLO', alice.clientId, 'server'],
+        ['MSG', alice.clientId, 'server']
+      ]);
+      assert.doesNotMatch(JSON.stringify(body), /secret stuff/);
+      assert.equal((await request(ctx, '/api/admin/sessions/NOPE1234', { headers: asAdmin })).status, 404);
+    });
+
+    it('kicks a client for good', async () => {
+      const { status } = await request(ctx, `/api/admin/sessions/${session.code}/kick`, {
+        method: 'POST',
+        headers: asAdmin,
+        body: { clientId: alice.clientId, message: 'Be nice' }
+      });
+      assert.equal(status, 200);
+
+      assert.equal((await alice.next('kicked')).message, 'Be nice');
+      assert.equal((await alice.closed).code, 4004);
+      const gone = await server.next('client-disconnected');
+      assert.equal(gone.resumable, false);
+
+      const again = await connectPeer(ctx);
+      again.send({ type: 'resume', token: aliceReply.resumeToken });
+      assert.equal((await again.next('error')).code, 'RESUME_FAILED');
+    });
+
+    it('turns away clients waiting for approval', async () => {
+      const { session: gated, server: owner } = await hostSession(ctx, { requireApproval: true });
+      const { client: bob } = await joinSession(ctx, gated.code, 'bob');
+      const { clientId } = await owner.next('join-request');
+
+      await request(ctx, `/api/admin/sessions/${gated.code}/kick`, { method: 'POST', headers: asAdmin, body: { clientId } });
+      assert.match((await bob.next('admission-rejected')).message, /administrator/);
+      await owner.next('join-cancelled');
+    });
+
+    it('closes a session for everyone', async () => {
+      const { status } = await request(ctx, `/api/admin/sessions/${session.code}`, { method: 'DELETE', headers: asAdmin });
+      assert.equal(status, 200);
+
+      for (const peer of [server, alice]) {
+        assert.match((await peer.next('session-closed')).message, /closed by an administrator/);
+        assert.equal((await peer.closed).code, 4005);
+      }
+      assert.equal(ctx.relay.sessions.has(session.code), false);
+      assert.equal((await request(ctx, `/api/check-session/${session.code}`)).body.exists, false);
+    });
+
+    it('broadcasts notices to one session or all of them', async () => {
+      const { server: other } = await hostSession(ctx);
+
+      const one = await request(ctx, '/api/admin/notice', {
+        method: 'POST',
+        headers: asAdmin,
+        body: { code: session.code, message: 'Break in 5 minutes' }
+      });
+      assert.equal(one.body.delivered, 2);
+      assert.equal((await alice.next('system-notice')).message, 'Break in 5 minutes');
+      assert.equal((await server.next('system-notice')).message, 'Break in 5 minutes');
+      await other.expectNothing('system-notice');
+
+      const all = await request(ctx, '/api/admin/notice', { method: 'POST', headers: asAdmin, body: { message: 'Closing soon' } });
+      assert.equal(all.body.delivered, 3);
+      assert.equal((await other.next('system-notice')).message, 'Closing soon');
+
+      const empty = await request(ctx, '/api/admin/notice', { method: 'POST', headers: asAdmin, body: { message: ' ' } });
+      assert.equal(empty.status, 400);
+    });
+  });
+});
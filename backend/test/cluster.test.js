@@ -0,0 +1,128 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { serialize, encodeBinaryFrame } = require('scp-protocol');
+const { InProcessBus, InProcessHub, PubSubBus, LocalBroker } = require('../bus');
+const { startRelay, request, connectPeer, hostSession, joinSession } = require('./helpers');
+
+// Two relays sharing sessions through buses made by makeBus(name), and the
+// secret their join tokens are signed with
+async function startPair(makeBus) {
+  const home = await startRelay({ bus: makeBus('home'), tokenSecret: 'shared-secret' });
+  const other = await startRelay({ bus: makeBus('other'), tokenSecret: 'shared-secret' });
+  return { home, other, close: () => Promise.all([home.close(), other.close()]) };
+}
+
+const pubSubBuses = () => {
+  const broker = new LocalBroker();
+  return instanceId => new PubSubBus({ publisher: broker.connect(), subscriber: broker.connect(), instanceId });
+};
+
+const inProcessBuses = () => {
+  const hub = new InProcessHub();
+  return instanceId => new InProcessBus({ hub, instanceId });
+};
+
+for (const [name, makeBuses] of [['pub/sub bus', pubSubBuses], ['in-process bus', inProcessBuses]]) {
+  describe(`two relays on a ${name}`, () => {
+    let pair;
+    beforeEach(async () => {
+      pair = await startPair(makeBuses());
+    });
+    afterEach(() => pair.close());
+
+    it('lets a client on one instance join a session hosted on the other', async () => {
+      const { session, server } = await hostSession(pair.home);
+
+      const check = await request(pair.other, `/api/check-session/${session.code}`);
+      assert.equal(check.body.exists, true);
+
+      const { client, reply } = await joinSession(pair.other, session.code, 'alice');
+      assert.equal(reply.type, 'registered');
+      const { frame: hello } = await server.nextFrame('HELLO');
+      assert.equal(hello.headers.from, client.clientId);
+
+      client.sendFrame({ type: 'MSG', id: 1, headers: {}, payload: 'hi from afar' });
+      assert.equal((await server.nextFrame('MSG')).frame.payload, 'hi from afar');
+
+      server.sendFrame({ type: 'MSG', id: 1, headers: { to: client.clientId }, payload: 'hi back' });
+      assert.equal((await client.nextFrame('MSG')).frame.payload, 'hi back');
+      client.sendFrame({ type: 'ACK', id: 1, headers: { to: 'server' }, payload: 'MSG_RECEIVED' });
+      assert.equal((await server.nextFrame('ACK')).frame.id, 1);
+    });
+
+    it('hosts a session from the other instance', async () => {
+      const { body: session } = await request(pair.home, '/api/create-session', { method: 'POST', body: {} });
+      const server = await connectPeer(pair.other);
+      server.send({ type: 'register-server', code: session.code, ownerToken: session.ownerToken });
+      assert.equal((await server.next('registered')).code, session.code);
+      assert.equal(pair.home.relay.sessions.get(session.code).server.constructor.name, 'RemoteSocket');
+    });
+
+    it('forwards binary frames between instances', async () => {
+      const { session, server } = await hostSession(pair.home);
+      const { client } = await joinSession(pair.other, session.code, 'alice');
+      await server.nextFrame('HELLO');
+
+      const data = encodeBinaryFrame(
+        serialize({ type: 'FILE_CHUNK', id: 2, headers: { transfer: 't', index: 0, from: client.clientId, to: 'server' }, payload: '' }),
+        new Uint8Array([7, 8, 9])
+      );
+      client.ws.send(data);
+      assert.deepEqual(new Uint8Array((await server.next('binary')).data), data);
+    });
+
+    it('tells the home when a forwarded peer leaves, and lets it resume anywhere', async () => {
+      const { session, server } = await hostSession(pair.home);
+      const { client, reply } = await joinSession(pair.other, session.code, 'alice');
+      await server.nextFrame('HELLO');
+
+      await client.close();
+      const gone = await server.next('client-disconnected');
+      assert.equal(gone.clientId, client.clientId);
+      assert.equal(gone.resumable, true);
+
+      const again = await connectPeer(pair.other);
+      again.send({ type: 'resume', token: reply.resumeToken });
+      assert.equal((await again.next('resumed')).clientId, client.clientId);
+    });
+
+    it('answers registrations for unknown codes locally', async () => {
+      const peer = await connectPeer(pair.other);
+      peer.send({ type: 'register-server', code: 'NOSUCHCD', ownerToken: 'x' });
+      assert.equal((await peer.next('error')).message, 'Invalid session code');
+    });
+
+    it('closes forwarded sockets when the home instance stops', async () => {
+      const { session } = await hostSession(pair.home);
+      const { client } = await joinSession(pair.other, session.code, 'alice');
+      await pair.home.close();
+      await client.closed;
+    });
+  });
+}
+
+describe('LocalBroker', () => {
+  it('supports NX claims and PX expiry', async () => {
+    let current = 0;
+    const broker = new LocalBroker({ now: () => current });
+    const client = broker.connect();
+
+    assert.equal(await client.set('k', 'a', 'PX', 1000, 'NX'), 'OK');
+    assert.equal(await client.set('k', 'b', 'PX', 1000, 'NX'), null);
+    assert.equal(await client.get('k'), 'a');
+    current = 1000;
+    assert.equal(await client.get('k'), null);
+    assert.equal(await client.set('k', 'b', 'PX', 1000, 'NX'), 'OK');
+  });
+
+  it('delivers published messages to subscribers only', async () => {
+    const broker = new LocalBroker();
+    const [publisher, subscriber, bystander] = [broker.connect(), broker.connect(), broker.connect()];
+    await subscriber.subscribe('news');
+
+    const received = new Promise(resolve => subscriber.on('message', (...args) => resolve(args)));
+    bystander.on('message', () => assert.fail('not subscribed'));
+    assert.equal(await publisher.publish('news', 'hello'), 1);
+    assert.deepEqual(await received, ['news', 'hello']);
+  });
+});
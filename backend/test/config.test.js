@@ -0,0 +1,152 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError, defaultConfig, loadConfig, describeConfig } = require('../config');
+const { startRelay } = require('./helpers');
+
+function writeConfigFile(data) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'scp-config-')), 'config.json');
+  fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data));
+  return file;
+}
+
+function problemsOf(fn) {
+  try {
+    fn();
+  } catch (error) {
+    assert.ok(error instanceof ConfigError);
+    return error.problems;
+  }
+  assert.fail('expected a ConfigError');
+}
+
+describe('loadConfig', () => {
+  it('uses the defaults when nothing is set', () => {
+    const { config, sources } = loadConfig({ env: {} });
+    assert.deepEqual(config, defaultConfig());
+    assert.equal(config.port, 3001);
+    assert.equal(config.codeLength, 8);
+    assert.equal(sources.port, 'default');
+  });
+
+  it('layers config file, environment and flags in that order', () => {
+    const file = writeConfigFile({ port: 4000, codeLength: 10, limits: { createPerMin: 3, joinPerMin: 4 } });
+    const { config, sources } = loadConfig({
+      argv: ['--config', file, '--code-length', '12'],
+      env: { PORT: '5000', SCP_RATE_JOIN_PER_MIN: '7' }
+    });
+
+    assert.equal(config.port, 5000);
+    assert.equal(config.codeLength, 12);
+    assert.equal(config.limits.createPerMin, 3);
+    assert.equal(config.limits.joinPerMin, 7);
+    assert.equal(config.limits.checkPerMin, 60);
+    assert.deepEqual(
+      [sources.port, sources.codeLength, sources['limits.createPerMin'], sources['limits.checkPerMin']],
+      ['env', 'flag', 'file', 'default']
+    );
+  });
+
+  it('reads the config file named by SCP_CONFIG', () => {
+    const file = writeConfigFile({ storeType: 'memory' });
+    assert.equal(loadConfig({ env: { SCP_CONFIG: file } }).config.storeType, 'memory');
+  });
+
+  it('coerces booleans and lists', () => {
+    const { config } = loadConfig({
+      env: { SCP_TRUST_PROXY: 'yes', SCP_CORS_ORIGINS: 'https://a.example, https://b.example' }
+    });
+    assert.equal(config.trustProxy, true);
+    assert.deepEqual(config.corsOrigins, ['https://a.example', 'https://b.example']);
+  });
+
+  it('reports every invalid value at once', () => {
+    const problems = problemsOf(() => loadConfig({
+      argv: ['--port', 'http'],
+      env: { SCP_CODE_LENGTH: '4', SCP_LOG_FORMAT: 'xml', SCP_RATE_MESSAGE_BURST: '1.5' }
+    }));
+    assert.equal(problems.length, 4);
+    assert.match(problems.join('\n'), /--port: expected a number/);
+    assert.match(problems.join('\n'), /SCP_CODE_LENGTH: must be at least 6/);
+    assert.match(problems.join('\n'), /SCP_LOG_FORMAT: expected one of text, json/);
+    assert.match(problems.join('\n'), /SCP_RATE_MESSAGE_BURST: expected an integer/);
+  });
+
+  it('rejects unknown flags and unknown config file settings', () => {
+    assert.match(problemsOf(() => loadConfig({ argv: ['--prot', '1'], env: {} }))[0], /--prot/);
+
+    const file = writeConfigFile({ sessionTTL: 5, limits: { createPerMinute: 1 } });
+    assert.deepEqual(problemsOf(() => loadConfig({ argv: ['--config', file], env: {} })), [
+      `config file ${file}: unknown setting "sessionTTL"`,
+      `config file ${file}: unknown setting "limits.createPerMinute"`
+    ]);
+  });
+
+  it('rejects unreadable config files', () => {
+    assert.match(problemsOf(() => loadConfig({ argv: ['--config', '/nonexistent.json'], env: {} }))[0], /ENOENT/);
+    const file = writeConfigFile('{ port: 1 }');
+    assert.match(problemsOf(() => loadConfig({ argv: ['--config', file], env: {} }))[0], /JSON/);
+  });
+
+  it('checks settings against each other', () => {
+    const problems = problemsOf(() => loadConfig({
+      env: { SCP_MAX_PAYLOAD_BYTES: '100000', SCP_CORS_ORIGINS: '*,https://a.example' }
+    }));
+    assert.equal(problems.length, 2);
+  });
+
+  it('needs a token secret for a shared bus', () => {
+    assert.match(problemsOf(() => loadConfig({ env: { SCP_BUS: 'redis' } }))[0], /tokenSecret/);
+    const { config } = loadConfig({ env: { SCP_BUS: 'redis', SCP_TOKEN_SECRET: 's3cret' } });
+    assert.equal(config.tokenSecret, 's3cret');
+  });
+
+  it('ships example configs that load', () => {
+    for (const name of ['config.production.json', 'config.demo.json']) {
+      const file = path.join(__dirname, '..', name);
+      assert.doesNotThrow(() => loadConfig({ argv: ['--config', file], env: {} }));
+    }
+  });
+});
+
+describe('describeConfig', () => {
+  it('lists every setting with its source', () => {
+    const { config, sources } = loadConfig({ env: { PORT: '8080' } });
+    const lines = describeConfig(config, sources).split('\n');
+    assert.match(lines[0], /^port\s+= 8080 \(env\)$/);
+    assert.ok(lines.some(line => /^limits\.createPerMin\s+= 10 \(default\)$/.test(line)));
+  });
+
+  it('masks secrets', () => {
+    const { config, sources } = loadConfig({ env: { SCP_TOKEN_SECRET: 's3cret' } });
+    const description = describeConfig(config, sources);
+    assert.match(description, /^tokenSecret\s+= \*{8} \(env\)$/m);
+    assert.doesNotMatch(description, /s3cret/);
+  });
+});
+
+describe('createServer settings', () => {
+  it('issues codes of the configured length', async () => {
+    const ctx = await startRelay({ codeLength: 12 });
+    try {
+      const response = await fetch(`${ctx.apiUrl}/api/create-session`, { method: 'POST' });
+      assert.match((await response.json()).code, /^[A-Z0-9]{12}$/);
+    } finally {
+      await ctx.close();
+    }
+  });
+
+  it('only allows the configured CORS origins', async () => {
+    const ctx = await startRelay({ corsOrigins: ['https://a.example'] });
+    try {
+      const allowed = await fetch(`${ctx.apiUrl}/health`, { headers: { Origin: 'https://a.example' } });
+      assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://a.example');
+      const other = await fetch(`${ctx.apiUrl}/health`, { headers: { Origin: 'https://b.example' } });
+      assert.equal(other.headers.get('access-control-allow-origin'), null);
+    } finally {
+      await ctx.close();
+    }
+  });
+});
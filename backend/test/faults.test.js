@@ -0,0 +1,226 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { parse, serialize, encodeBinaryFrame, decodeBinaryFrame } = require('scp-protocol');
+const {
+  NO_FAULTS,
+  REORDER_HOLD_MS,
+  ConditionsError,
+  normalizeConditions,
+  FaultInjector,
+  corruptText,
+  corruptBytes
+} = require('../faults');
+const { startRelay, request, hostSession, joinSession } = require('./helpers');
+
+// random() that returns `values` in turn, then keeps returning the last one
+function dice(...values) {
+  let next = 0;
+  return () => values[Math.min(next++, values.length - 1)];
+}
+
+describe('normalizeConditions', () => {
+  it('fills in what is left out and rounds delays', () => {
+    assert.deepEqual(normalizeConditions({ dropRate: 0.25, latencyMs: 99.6 }), {
+      ...NO_FAULTS,
+      dropRate: 0.25,
+      latencyMs: 100
+    });
+    assert.deepEqual(normalizeConditions(), NO_FAULTS);
+  });
+
+  it('lists every problem', () => {
+    assert.throws(
+      () => normalizeConditions({ dropRate: 2, latencyMs: -1, jitterMs: '5', loss: 0.1 }),
+      (error) => {
+        assert.ok(error instanceof ConditionsError);
+        assert.deepEqual(error.problems, [
+          'dropRate must be between 0 and 1',
+          'latencyMs must be between 0 and 10000',
+          'jitterMs must be a number',
+          'unknown condition "loss"'
+        ]);
+        return true;
+      }
+    );
+    assert.throws(() => normalizeConditions([]), ConditionsError);
+    assert.throws(() => normalizeConditions(null), ConditionsError);
+  });
+});
+
+describe('FaultInjector', () => {
+  it('is inactive on a perfect network', () => {
+    const faults = new FaultInjector();
+    assert.equal(faults.active, false);
+    faults.configure({ jitterMs: 10 });
+    assert.equal(faults.active, true);
+  });
+
+  it('drops, duplicates, delays, reorders and corrupts', () => {
+    const seen = [];
+    const faults = new FaultInjector({ random: dice(0.5), onFault: fault => seen.push(fault) });
+
+    faults.configure({ dropRate: 0.6 });
+    assert.deepEqual(faults.plan(), []);
+
+    faults.configure({ duplicateRate: 0.6, latencyMs: 100, jitterMs: 40, reorderRate: 0.6, corruptRate: 0.4 });
+    assert.deepEqual(faults.plan(), [
+      { delayMs: 100 + REORDER_HOLD_MS, corrupt: false },
+      { delayMs: 100 + REORDER_HOLD_MS, corrupt: false }
+    ]);
+
+    assert.deepEqual(seen, ['dropped', 'duplicated', 'reordered', 'reordered']);
+    assert.deepEqual(faults.stats, { relayed: 2, dropped: 1, duplicated: 1, reordered: 2, corrupted: 0 });
+  });
+
+  it('varies the delay by up to the jitter either way', () => {
+    const faults = new FaultInjector({ random: dice(0.9, 0.9, 0, 0.9, 0.9) });
+    faults.configure({ latencyMs: 100, jitterMs: 40 });
+    assert.deepEqual(faults.plan(), [{ delayMs: 60, corrupt: false }]);
+    assert.deepEqual(faults.plan(), [{ delayMs: 132, corrupt: false }]);
+  });
+});
+
+describe('corruption', () => {
+  it('changes one character of the payload', () => {
+    const text = 'SCP/1.1 | MSG | id=1 | hello';
+    const corrupted = corruptText(text, dice(0.5, 0));
+    assert.equal(corrupted, 'SCP/1.1 | MSG | id=1 | he!lo');
+  });
+
+  it('flips one byte at or after the offset', () => {
+    const bytes = Buffer.from([1, 2, 3, 4]);
+    assert.deepEqual([...corruptBytes(bytes, 2, dice(0))], [1, 2, 0xfc, 4]);
+    assert.deepEqual([...bytes], [1, 2, 3, 4]);
+  });
+});
+
+describe('fault injection in the relay', () => {
+  let ctx;
+  let host;
+  let alice;
+  // Every fault with a rate above 0 happens, delays are latency minus jitter
+  beforeEach(async () => {
+    ctx = await startRelay({ random: () => 0 });
+    host = await hostSession(ctx);
+    alice = (await joinSession(ctx, host.session.code, 'alice')).client;
+  });
+  afterEach(() => ctx.close());
+
+  const setNetwork = (conditions, token = host.session.ownerToken) => request(
+    ctx,
+    `/api/sessions/${host.session.code}/network`,
+    { method: 'PUT', body: conditions, headers: token ? { Authorization: `Bearer ${token}` } : {} }
+  );
+
+  it('lets only the owner change the conditions and tells everyone', async () => {
+    assert.equal((await setNetwork({ dropRate: 1 }, null)).status, 401);
+    assert.equal((await setNetwork({ dropRate: 1 }, 'not-the-owner')).status, 401);
+
+    const invalid = await setNetwork({ dropRate: 1.5 });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.problems, ['dropRate must be between 0 and 1']);
+
+    const { status, body } = await setNetwork({ latencyMs: 200 });
+    assert.equal(status, 200);
+    assert.equal(body.conditions.latencyMs, 200);
+
+    for (const peer of [host.server, alice]) {
+      const notice = await peer.next('network-conditions');
+      assert.deepEqual(notice.conditions, { ...NO_FAULTS, latencyMs: 200 });
+    }
+
+    const unknown = await request(ctx, '/api/sessions/NOSUCHCODE/network', {
+      headers: { Authorization: `Bearer ${host.session.ownerToken}` }
+    });
+    assert.equal(unknown.status, 404);
+  });
+
+  it('tells peers who join later', async () => {
+    await setNetwork({ duplicateRate: 0.5 });
+    const { client: bob } = await joinSession(ctx, host.session.code, 'bob');
+    assert.equal((await bob.next('network-conditions')).conditions.duplicateRate, 0.5);
+  });
+
+  it('drops frames but not heartbeats, and counts the faults', async () => {
+    await setNetwork({ dropRate: 1 });
+    alice.sendFrame({ type: 'MSG', id: 1, headers: {}, payload: 'lost' });
+    alice.sendFrame({ type: 'PING', id: 0, headers: {}, payload: '1' });
+
+    assert.equal((await host.server.nextFrame('PING')).frame.payload, '1');
+    await host.server.expectNothing(m => m.type === 'scp-message' && parse(m.scpMessage).type === 'MSG');
+
+    const { body } = await request(ctx, `/api/sessions/${host.session.code}/network`, {
+      headers: { Authorization: `Bearer ${host.session.ownerToken}` }
+    });
+    assert.deepEqual(body.stats, { relayed: 1, dropped: 1, duplicated: 0, reordered: 0, corrupted: 0 });
+    const metrics = await (await fetch(`${ctx.apiUrl}/metrics`)).text();
+    assert.match(metrics, /scp_injected_faults_total\{fault="dropped"\} 1/);
+  });
+
+  it('delays frames by the latency', async () => {
+    await setNetwork({ latencyMs: 500 });
+    alice.sendFrame({ type: 'MSG', id: 1, headers: {}, payload: 'slow' });
+    await host.server.expectNothing(m => m.type === 'scp-message' && parse(m.scpMessage).type === 'MSG');
+
+    ctx.clock.advance(500);
+    const { frame } = await host.server.nextFrame('MSG');
+    assert.equal(frame.payload, 'slow');
+  });
+
+  it('duplicates frames', async () => {
+    await setNetwork({ duplicateRate: 1 });
+    host.server.sendFrame({ type: 'ACK', id: 4, headers: { to: alice.clientId }, payload: 'MSG_RECEIVED' });
+
+    assert.equal((await alice.nextFrame('ACK')).frame.id, 4);
+    assert.equal((await alice.nextFrame('ACK')).frame.id, 4);
+  });
+
+  it('corrupts the payload of text frames and the bytes of file chunks', async () => {
+    await setNetwork({ corruptRate: 1 });
+    alice.sendFrame({ type: 'MSG', id: 1, headers: {}, payload: 'hello' });
+    assert.equal((await host.server.nextFrame('MSG')).frame.payload, '!ello');
+
+    const frameText = serialize({
+      type: 'FILE_CHUNK',
+      id: 9,
+      headers: { from: alice.clientId, to: 'server', transfer: 'abc', index: 0 },
+      payload: ''
+    });
+    alice.ws.send(encodeBinaryFrame(frameText, new Uint8Array([1, 2, 3])));
+    const received = decodeBinaryFrame(new Uint8Array((await host.server.next('binary')).data));
+    assert.equal(received.frame, frameText);
+    assert.deepEqual([...received.bytes], [0xfe, 2, 3]);
+  });
+
+  it('takes conditions from the owner over the WebSocket, not from clients', async () => {
+    alice.send({ type: 'set-network', conditions: { dropRate: 1 } });
+    assert.match((await alice.next('error')).message, /Only the session owner/);
+
+    host.server.send({ type: 'set-network', conditions: { reorderRate: 'often' } });
+    assert.equal((await host.server.next('error')).code, 'ERR_BAD_CONDITIONS');
+
+    host.server.send({ type: 'set-network', conditions: { reorderRate: 1 } });
+    assert.equal((await alice.next('network-conditions')).conditions.reorderRate, 1);
+  });
+});
+
+describe('fault injection turned off', () => {
+  let ctx;
+  beforeEach(async () => { ctx = await startRelay({ faultInjection: false }); });
+  afterEach(() => ctx.close());
+
+  it('refuses network conditions', async () => {
+    const { session, server, registered } = await hostSession(ctx);
+    assert.equal(registered.faultInjection, false);
+
+    const { status } = await request(ctx, `/api/sessions/${session.code}/network`, {
+      method: 'PUT',
+      body: { dropRate: 1 },
+      headers: { Authorization: `Bearer ${session.ownerToken}` }
+    });
+    assert.equal(status, 404);
+
+    server.send({ type: 'set-network', conditions: { dropRate: 1 } });
+    assert.equal((await server.next('error')).code, 'FAULT_INJECTION_DISABLED');
+  });
+});
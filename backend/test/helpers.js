@@ -0,0 +1,211 @@
+// Test harness for the relay: a fake clock, a relay on an ephemeral port and
+// WebSocket peers with an inbox that tests can wait on. The client package's
+// tests start their relay with startRelay() too.
+
+const WebSocket = require('ws');
+const { parse, serialize, buildHello } = require('scp-protocol');
+const { createServer } = require('../server');
+const { createStore } = require('../store');
+
+const WAIT_MS = 2000;
+
+// Manual clock for createServer({ now, timers }): nothing fires until
+// advance() moves time past it
+function createClock(start = Date.now()) {
+  let current = start;
+  let nextHandle = 1;
+  const scheduled = new Map();
+
+  const schedule = (fn, ms, every) => {
+    const handle = nextHandle++;
+    scheduled.set(handle, { fn, at: current + ms, every });
+    return handle;
+  };
+  const cancel = (handle) => {
+    scheduled.delete(handle);
+  };
+
+  return {
+    now: () => current,
+    timers: {
+      setTimeout: (fn, ms) => schedule(fn, ms, null),
+      setInterval: (fn, ms) => schedule(fn, ms, ms),
+      clearTimeout: cancel,
+      clearInterval: cancel
+    },
+    // Move time forward, running every timer that falls due on the way
+    advance(ms) {
+      const target = current + ms;
+      for (;;) {
+        let due = null;
+        scheduled.forEach((timer, handle) => {
+          if (timer.at <= target && (!due || timer.at < due.timer.at)) due = { handle, timer };
+        });
+        if (!due) break;
+
+        current = due.timer.at;
+        if (due.timer.every) {
+          due.timer.at += due.timer.every;
+        } else {
+          scheduled.delete(due.handle);
+        }
+        due.timer.fn();
+      }
+      current = target;
+    }
+  };
+}
+
+// Start a relay with an in-memory store on an ephemeral port
+async function startRelay(options = {}) {
+  const clock = createClock();
+  const relay = createServer({
+    store: createStore({ type: 'memory', now: clock.now }),
+    now: clock.now,
+    timers: clock.timers,
+    // advance() runs due timers back to back with no pongs in between, so
+    // heartbeats stay out of the way unless a test asks for them
+    heartbeatIntervalMs: 24 * 60 * 60 * 1000,
+    traceEnabled: false,
+    log: () => {},
+    ...options
+  });
+  const port = await relay.listen(0);
+
+  return {
+    relay,
+    clock,
+    url: `ws://127.0.0.1:${port}`,
+    apiUrl: `http://127.0.0.1:${port}`,
+    close: () => relay.close()
+  };
+}
+
+async function request(ctx, path, { method = 'GET', body, headers = {} } = {}) {
+  const response = await fetch(`${ctx.apiUrl}${path}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json().catch(() => null) };
+}
+
+// A WebSocket peer. Incoming envelopes queue up in an inbox; next() takes the
+// first one matching a type or predicate, waiting for it if necessary.
+function connectPeer(ctx, wsOptions) {
+  const ws = new WebSocket(ctx.url, wsOptions);
+  const inbox = [];
+  let waiters = [];
+
+  const matches = (message, match) => (
+    typeof match === 'function' ? match(message) : message.type === match
+  );
+
+  const closed = new Promise((resolve) => {
+    ws.on('close', (code, reason) => resolve({ code, reason: reason.toString() }));
+  });
+
+  ws.on('message', (data, isBinary) => {
+    const message = isBinary ? { type: 'binary', data } : JSON.parse(data.toString());
+    const waiter = waiters.find(w => matches(message, w.match));
+    if (waiter) {
+      waiters = waiters.filter(w => w !== waiter);
+      clearTimeout(waiter.timer);
+      waiter.resolve(message);
+    } else {
+      inbox.push(message);
+    }
+  });
+
+  const peer = {
+    ws,
+    inbox,
+    closed,
+    clientId: null,
+
+    send(envelope) {
+      ws.send(typeof envelope === 'string' ? envelope : JSON.stringify(envelope));
+    },
+
+    // Send an SCP frame in an scp-message envelope
+    sendFrame(frame) {
+      peer.send({ type: 'scp-message', scpMessage: serialize(frame), messageId: frame.id });
+    },
+
+    next(match, timeoutMs = WAIT_MS) {
+      const index = inbox.findIndex(message => matches(message, match));
+      if (index !== -1) return Promise.resolve(inbox.splice(index, 1)[0]);
+
+      return new Promise((resolve, reject) => {
+        const waiter = { match, resolve };
+        waiter.timer = setTimeout(() => {
+          waiters = waiters.filter(w => w !== waiter);
+          reject(new Error(`Timed out waiting for ${typeof match === 'function' ? 'a matching message' : match}`));
+        }, timeoutMs);
+        waiters.push(waiter);
+      });
+    },
+
+    // Next relayed SCP frame (optionally of one type), parsed
+    async nextFrame(type) {
+      const envelope = await peer.next(m => m.type === 'scp-message' && (!type || parse(m.scpMessage).type === type));
+      return { envelope, frame: parse(envelope.scpMessage) };
+    },
+
+    // Resolves after `ms` if nothing matching arrived, rejects otherwise
+    async expectNothing(match, ms = 100) {
+      await new Promise(resolve => setTimeout(resolve, ms));
+      const found = inbox.find(message => matches(message, match));
+      if (found) throw new Error(`Unexpected message: ${JSON.stringify(found)}`);
+    },
+
+    close() {
+      ws.close();
+      return closed;
+    }
+  };
+
+  return peer.next('connected').then((message) => {
+    peer.clientId = message.clientId;
+    return peer;
+  });
+}
+
+// Create a session over REST and register a peer as its server
+async function hostSession(ctx, body = {}) {
+  const { body: session } = await request(ctx, '/api/create-session', { method: 'POST', body });
+  const server = await connectPeer(ctx);
+  server.send({ type: 'register-server', code: session.code, ownerToken: session.ownerToken });
+  const registered = await server.next('registered');
+  return { session, server, registered };
+}
+
+async function joinToken(ctx, code, username, passcode) {
+  const { body } = await request(ctx, `/api/sessions/${code}/join`, { method: 'POST', body: { username, passcode } });
+  return body.joinToken;
+}
+
+// Join a session as a client; resolves once the relay answered the
+// registration (with 'registered', 'admission-pending' or an error)
+async function joinSession(ctx, code, username = 'alice') {
+  const token = await joinToken(ctx, code, username);
+  const client = await connectPeer(ctx);
+  client.send({
+    type: 'register-client',
+    code,
+    joinToken: token,
+    hello: serialize(buildHello({ username, features: ['acks'] }))
+  });
+  const reply = await client.next(m => ['registered', 'admission-pending', 'error'].includes(m.type));
+  return { client, reply };
+}
+
+module.exports = {
+  createClock,
+  startRelay,
+  request,
+  connectPeer,
+  hostSession,
+  joinToken,
+  joinSession
+};
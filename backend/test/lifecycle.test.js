@@ -0,0 +1,335 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { parse, readBye, readExpiring } = require('scp-protocol');
+const { startRelay, request, connectPeer, hostSession, joinSession } = require('./helpers');
+
+const GRACE_MS = 60 * 1000;
+
+async function sessionExists(ctx, code) {
+  return (await request(ctx, `/api/check-session/${code}`)).body.exists;
+}
+
+describe('disconnect', () => {
+  let ctx;
+  beforeEach(async () => { ctx = await startRelay({ resumeGraceMs: GRACE_MS }); });
+  afterEach(() => ctx.close());
+
+  it('removes a client for good and tells the server', async () => {
+    const { session, server } = await hostSession(ctx);
+    const { client } = await joinSession(ctx, session.code, 'alice');
+
+    client.send({ type: 'disconnect' });
+    const left = await server.next('client-disconnected');
+    assert.deepEqual(left, { type: 'client-disconnected', clientId: client.clientId, username: 'alice', resumable: false });
+
+    const roster = await server.next(m => m.type === 'roster' && m.participants.length === 1);
+    assert.equal(roster.participants[0].role, 'server');
+    assert.deepEqual(ctx.relay.sessions.get(session.code).clients, []);
+  });
+
+  it('ends the session when the server leaves', async () => {
+    const { session, server } = await hostSession(ctx);
+    const { client } = await joinSession(ctx, session.code, 'alice');
+
+    server.send({ type: 'disconnect' });
+    const notice = await client.next('server-disconnected');
+    assert.equal(notice.resumable, false);
+    assert.equal(await sessionExists(ctx, session.code), false);
+  });
+
+  it('is a no-op before registration', async () => {
+    const peer = await connectPeer(ctx);
+    peer.send({ type: 'disconnect' });
+    await peer.expectNothing('error');
+  });
+});
+
+describe('cleanup on close', () => {
+  let ctx;
+  beforeEach(async () => { ctx = await startRelay({ resumeGraceMs: GRACE_MS }); });
+  afterEach(() => ctx.close());
+
+  it('keeps a dropped client away for the grace period, then removes it', async () => {
+    const { session, server } = await hostSession(ctx);
+    const { client } = await joinSession(ctx, session.code, 'alice');
+
+    client.ws.terminate();
+    assert.equal((await server.next('client-disconnected')).resumable, true);
+    const away = await server.next(m => m.type === 'roster' && m.participants.some(p => p.role === 'client' && !p.connected));
+    assert.equal(away.participants[1].clientId, client.clientId);
+
+    ctx.clock.advance(GRACE_MS - 1);
+    await server.expectNothing('client-disconnected');
+
+    ctx.clock.advance(1);
+    assert.equal((await server.next('client-disconnected')).resumable, false);
+    assert.equal(ctx.relay.sessions.get(session.code).away.size, 0);
+  });
+
+  it('keeps the session for a dropped server, then removes it', async () => {
+    const { session, server } = await hostSession(ctx);
+    const { client } = await joinSession(ctx, session.code, 'alice');
+
+    server.ws.terminate();
+    const notice = await client.next('server-disconnected');
+    assert.equal(notice.resumable, true);
+    assert.equal(notice.resumeGraceMs, GRACE_MS);
+    assert.equal(await sessionExists(ctx, session.code), true);
+
+    ctx.clock.advance(GRACE_MS);
+    assert.equal((await client.next('server-disconnected')).resumable, false);
+    assert.equal(await sessionExists(ctx, session.code), false);
+  });
+
+  it('rejects clients still waiting when the session goes away', async () => {
+    const { session, server } = await hostSession(ctx, { requireApproval: true });
+    const { client } = await joinSession(ctx, session.code, 'alice');
+    await server.next('join-request');
+
+    server.send({ type: 'disconnect' });
+    await client.next('admission-rejected');
+    assert.equal((await client.closed).code, 4003);
+  });
+});
+
+describe('resume', () => {
+  let ctx;
+  beforeEach(async () => { ctx = await startRelay({ resumeGraceMs: GRACE_MS }); });
+  afterEach(() => ctx.close());
+
+  it('restores a dropped client and replays what it missed', async () => {
+    const { session, server } = await hostSession(ctx);
+    const { client, reply } = await joinSession(ctx, session.code, 'alice');
+    server.sendFrame({ type: 'MSG', id: 1, headers: { to: client.clientId }, payload: 'seen' });
+    await client.nextFrame('MSG');
+
+    client.ws.terminate();
+    await server.next('client-disconnected');
+    server.sendFrame({ type: 'MSG', id: 2, headers: { to: '*' }, payload: 'missed' });
+
+    const back = await connectPeer(ctx);
+    back.send({ type: 'resume', token: reply.resumeToken, lastSeen: { server: 1 } });
+    const resumed = await back.next('resumed');
+    assert.equal(resumed.clientId, client.clientId);
+    assert.equal(resumed.peerConnected, true);
+
+    const { envelope, frame } = await back.nextFrame('MSG');
+    assert.equal(envelope.replayed, true);
+    assert.equal(frame.payload, 'missed');
+    await back.expectNothing(m => m.type === 'scp-message');
+
+    const reconnected = await server.next('client-reconnected');
+    assert.equal(reconnected.clientId, client.clientId);
+
+    ctx.clock.advance(GRACE_MS);
+    await server.expectNothing('client-disconnected');
+  });
+
+  it('restores a dropped server', async () => {
+    const { session, server, registered } = await hostSession(ctx);
+    const { client } = await joinSession(ctx, session.code, 'alice');
+
+    server.ws.terminate();
+    await client.next('server-disconnected');
+
+    const back = await connectPeer(ctx);
+    back.send({ type: 'resume', token: registered.resumeToken });
+    assert.equal((await back.next('resumed')).role, 'server');
+    await client.next('server-reconnected');
+
+    ctx.clock.advance(GRACE_MS);
+    assert.equal(await sessionExists(ctx, session.code), true);
+  });
+
+  it('keeps only digests of resume tokens in the store, and still accepts them', async () => {
+    const { session, registered } = await hostSession(ctx);
+    const { reply } = await joinSession(ctx, session.code, 'alice');
+
+    const { participants } = await ctx.relay.store.getSession(session.code);
+    assert.equal(participants.length, 2);
+    participants.forEach(p => assert.match(p.resumeTokenHash, /^[0-9a-f]{64}$/));
+    const stored = JSON.stringify(participants);
+    assert.equal(stored.includes(registered.resumeToken), false);
+    assert.equal(stored.includes(reply.resumeToken), false);
+
+    const history = await request(ctx, `/api/sessions/${session.code}/messages`, {
+      headers: { Authorization: `Bearer ${reply.resumeToken}` }
+    });
+    assert.equal(history.status, 200);
+  });
+
+  it('refuses an unknown token', async () => {
+    const peer = await connectPeer(ctx);
+    peer.send({ type: 'resume', token: 'nope' });
+    assert.equal((await peer.next('error')).code, 'RESUME_FAILED');
+  });
+
+  it('refuses a server token while that server is still connected', async () => {
+    const { registered } = await hostSession(ctx);
+    const peer = await connectPeer(ctx);
+    peer.send({ type: 'resume', token: registered.resumeToken });
+    assert.equal((await peer.next('error')).message, 'Server already registered for this session');
+  });
+
+  it('refuses a token once the grace period is over', async () => {
+    const { session, server } = await hostSession(ctx);
+    const { client, reply } = await joinSession(ctx, session.code, 'alice');
+    client.ws.terminate();
+    await server.next('client-disconnected');
+
+    ctx.clock.advance(GRACE_MS);
+    const back = await connectPeer(ctx);
+    back.send({ type: 'resume', token: reply.resumeToken });
+    assert.equal((await back.next('error')).code, 'RESUME_FAILED');
+  });
+});
+
+describe('BYE', () => {
+  let ctx;
+  let session;
+  let server;
+  let alice;
+  beforeEach(async () => {
+    ctx = await startRelay({ resumeGraceMs: GRACE_MS });
+    ({ session, server } = await hostSession(ctx));
+    ({ client: alice } = await joinSession(ctx, session.code, 'alice'));
+    await server.nextFrame('HELLO');
+  });
+  afterEach(() => ctx.close());
+
+  it('relays a client\'s goodbye and removes it for good', async () => {
+    alice.sendFrame({ type: 'BYE', id: 1, headers: { reason: 'leaving' }, payload: 'See you' });
+
+    const { frame } = await server.nextFrame('BYE');
+    assert.deepEqual(readBye(frame), { reason: 'leaving', message: 'See you' });
+    assert.equal((await server.next('client-disconnected')).resumable, false);
+    assert.deepEqual(ctx.relay.sessions.get(session.code).clients, []);
+    await alice.expectNothing(m => m.type === 'scp-message' && parse(m.scpMessage).type === 'NACK');
+  });
+
+  it('ends the session for everyone when the server says goodbye', async () => {
+    const { client: bob } = await joinSession(ctx, session.code, 'bob');
+    server.sendFrame({ type: 'BYE', id: 1, headers: { reason: 'closed' }, payload: 'Thanks all' });
+
+    for (const peer of [alice, bob]) {
+      const { frame } = await peer.nextFrame('BYE');
+      assert.deepEqual(readBye(frame), { reason: 'closed', message: 'Thanks all' });
+      assert.equal((await peer.closed).code, 4006);
+    }
+    assert.equal((await server.closed).code, 4006);
+    assert.equal(await sessionExists(ctx, session.code), false);
+  });
+
+  it('turns away clients still waiting when the server says goodbye', async () => {
+    const { session: gated, server: owner } = await hostSession(ctx, { requireApproval: true });
+    const { client: carol } = await joinSession(ctx, gated.code, 'carol');
+    await owner.next('join-request');
+
+    owner.sendFrame({ type: 'BYE', id: 1, headers: { reason: 'closed' }, payload: '' });
+    assert.match((await carol.next('admission-rejected')).message, /ended the session/);
+  });
+
+  it('leaves EXPIRING frames to the relay', async () => {
+    alice.sendFrame({ type: 'EXPIRING', id: 1, headers: { remaining: 0 }, payload: '' });
+    assert.equal((await alice.next('error')).code, 'ERR_BAD_TYPE');
+  });
+});
+
+describe('session expiry', () => {
+  const TTL_MS = 10 * 60 * 1000;
+  const WARNING_MS = 2 * 60 * 1000;
+  let ctx;
+  afterEach(() => ctx.close());
+
+  it('removes sessions nobody joined once they were idle for the TTL', async () => {
+    ctx = await startRelay({ sessionTtlMs: TTL_MS });
+    const { body: session } = await request(ctx, '/api/create-session', { method: 'POST', body: {} });
+
+    ctx.clock.advance(TTL_MS - 1);
+    assert.equal(await sessionExists(ctx, session.code), true);
+
+    ctx.clock.advance(1);
+    assert.equal(await sessionExists(ctx, session.code), false);
+  });
+
+  describe('with peers connected', () => {
+    let session;
+    let server;
+    let alice;
+    beforeEach(async () => {
+      ctx = await startRelay({ sessionTtlMs: TTL_MS, expiryWarningMs: WARNING_MS });
+      ({ session, server } = await hostSession(ctx));
+      ({ client: alice } = await joinSession(ctx, session.code, 'alice'));
+      await server.nextFrame('HELLO');
+    });
+
+    it('warns everyone, then says goodbye and closes', async () => {
+      ctx.clock.advance(TTL_MS - WARNING_MS);
+      for (const peer of [server, alice]) {
+        const { frame } = await peer.nextFrame('EXPIRING');
+        assert.equal(frame.headers.from, 'relay');
+        assert.deepEqual(readExpiring(frame), { remainingMs: WARNING_MS });
+      }
+
+      ctx.clock.advance(WARNING_MS);
+      for (const peer of [server, alice]) {
+        const { frame } = await peer.nextFrame('BYE');
+        assert.equal(readBye(frame).reason, 'expired');
+        assert.equal((await peer.closed).code, 4006);
+      }
+      assert.equal(await sessionExists(ctx, session.code), false);
+    });
+
+    it('counts idle time from the last frame, not counting heartbeats', async () => {
+      ctx.clock.advance(TTL_MS - 1000);
+      await server.nextFrame('EXPIRING');
+      alice.sendFrame({ type: 'MSG', id: 1, headers: {}, payload: 'still here' });
+      await server.nextFrame('MSG');
+      assert.equal((await alice.next('session-extended')).expiresInMs, TTL_MS);
+
+      ctx.clock.advance(TTL_MS - 1000);
+      alice.sendFrame({ type: 'PING', id: 2, headers: {}, payload: '0' });
+      await server.nextFrame('PING');
+      assert.equal(await sessionExists(ctx, session.code), true);
+
+      ctx.clock.advance(1000);
+      assert.equal(await sessionExists(ctx, session.code), false);
+    });
+
+    it('lets the owner, and only the owner, extend the session', async () => {
+      ctx.clock.advance(TTL_MS - WARNING_MS);
+      await alice.nextFrame('EXPIRING');
+
+      alice.send({ type: 'extend-session' });
+      assert.match((await alice.next('error')).message, /owner/);
+
+      server.send({ type: 'extend-session' });
+      for (const peer of [server, alice]) {
+        assert.equal((await peer.next('session-extended')).expiresInMs, TTL_MS);
+      }
+
+      ctx.clock.advance(TTL_MS - 1);
+      assert.equal(await sessionExists(ctx, session.code), true);
+      const { frame } = await alice.nextFrame('EXPIRING');
+      assert.equal(readExpiring(frame).remainingMs, WARNING_MS);
+    });
+  });
+});
+
+describe('heartbeat', () => {
+  let ctx;
+  afterEach(() => ctx.close());
+
+  it('terminates sockets that stop answering pings', async () => {
+    ctx = await startRelay({ heartbeatIntervalMs: 1000 });
+    const live = await connectPeer(ctx);
+    const dead = await connectPeer(ctx, { autoPong: false });
+
+    ctx.clock.advance(1000);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    ctx.clock.advance(1000);
+
+    assert.equal((await dead.closed).code, 1006);
+    assert.equal(live.ws.readyState, live.ws.OPEN);
+  });
+});
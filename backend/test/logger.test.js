@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger, withContext } = require('../logger');
+const { SETTINGS, loadConfig } = require('../config');
+
+function capture(options) {
+  const lines = [];
+  const log = createLogger({ write: line => lines.push(line), now: () => Date.UTC(2024, 0, 1), ...options });
+  return { log, lines };
+}
+
+describe('createLogger', () => {
+  it('writes one JSON object per entry with level and fields', () => {
+    const { log, lines } = capture({ format: 'json' });
+    log('REGISTER', 'Client registered', { code: 'AB12CD34', clientId: 'c1' });
+
+    assert.deepEqual(JSON.parse(lines[0]), {
+      time: '2024-01-01T00:00:00.000Z',
+      level: 'info',
+      type: 'REGISTER',
+      message: 'Client registered',
+      code: 'AB12CD34',
+      clientId: 'c1'
+    });
+  });
+
+  it('derives the level from the type and drops entries below the threshold', () => {
+    const { log, lines } = capture({ format: 'json', level: 'warn' });
+    log('MESSAGE', 'Received');
+    log('SESSION', 'New session created');
+    log('WARNING', 'Rate limit exceeded');
+    log('ERROR', 'Session store error');
+
+    assert.deepEqual(lines.map(line => JSON.parse(line).level), ['warn', 'error']);
+  });
+
+  it('redacts payloads and tokens, keeping their size', () => {
+    const { log, lines } = capture({ format: 'json' });
+    log('SESSION', 'Frame', { payload: 'héllo', nested: { joinToken: 'abc' }, type: 'MSG' });
+
+    const entry = JSON.parse(lines[0]);
+    assert.equal(entry.payload, '[redacted 6 bytes]');
+    assert.equal(entry.nested.joinToken, '[redacted 3 bytes]');
+    assert.equal(entry.type, 'MSG');
+  });
+
+  it('keeps every secret setting out of the startup configuration entry', () => {
+    const secrets = SETTINGS.filter(setting => setting.secret);
+    const env = Object.fromEntries(secrets.map(setting => [setting.env, `secret-${setting.key}`]));
+    const { config } = loadConfig({ env });
+    const { log, lines } = capture({ format: 'json' });
+    log('CONFIG', 'Effective configuration', { file: null, ...config });
+
+    secrets.forEach(setting => assert.doesNotMatch(lines[0], new RegExp(`secret-${setting.key}`)));
+  });
+
+  it('leaves payloads alone when redaction is off', () => {
+    const { log, lines } = capture({ format: 'json', redactPayloads: false });
+    log('SESSION', 'Frame', { payload: 'hello' });
+    assert.equal(JSON.parse(lines[0]).payload, 'hello');
+  });
+
+  it('writes readable text lines', () => {
+    const { log, lines } = capture({ format: 'text' });
+    log('WARNING', 'Rate limit exceeded', { ip: '::1' });
+    assert.equal(lines[0], '[2024-01-01T00:00:00.000Z] [WARN] [WARNING] Rate limit exceeded {"ip":"::1"}');
+  });
+});
+
+describe('withContext', () => {
+  it('adds the current context to every entry, skipping unset fields', () => {
+    const { log, lines } = capture({ format: 'json' });
+    let code = null;
+    const connectionLog = withContext(log, () => ({ code, clientId: 'c1' }));
+
+    connectionLog('CONNECTION', 'New WebSocket connection');
+    code = 'AB12CD34';
+    connectionLog('REGISTER', 'Client registered', { clientId: 'explicit' });
+
+    assert.equal(JSON.parse(lines[0]).code, undefined);
+    assert.equal(JSON.parse(lines[0]).clientId, 'c1');
+    assert.equal(JSON.parse(lines[1]).code, 'AB12CD34');
+    assert.equal(JSON.parse(lines[1]).clientId, 'explicit');
+  });
+});
@@ -0,0 +1,158 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Registry } = require('../metrics');
+const { startRelay, connectPeer, hostSession, joinSession } = require('./helpers');
+
+async function scrape(ctx, headers = {}) {
+  const response = await fetch(`${ctx.apiUrl}/metrics`, { headers });
+  return { status: response.status, type: response.headers.get('content-type'), text: await response.text() };
+}
+
+// Value of one sample line, e.g. sample(text, 'scp_frames_total{type="MSG",direction="client-to-server"}')
+function sample(text, series) {
+  const line = text.split('\n').find(l => l.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+describe('Registry', () => {
+  it('renders counters, collected gauges and histograms in the text format', () => {
+    const registry = new Registry();
+    const counter = registry.counter('jobs_total', 'Jobs done');
+    counter.inc({ kind: 'a' });
+    counter.inc({ kind: 'a' }, 2);
+    counter.inc({ kind: 'say "hi"\n' });
+    registry.gauge('queue_depth', 'Queued jobs', () => [{ value: 4 }]);
+    registry.histogram('job_seconds', 'Job duration', [0.1, 1]).observe({}, 0.5);
+
+    assert.equal(registry.render(), [
+      '# HELP jobs_total Jobs done',
+      '# TYPE jobs_total counter',
+      'jobs_total{kind="a"} 3',
+      'jobs_total{kind="say \\"hi\\"\\n"} 1',
+      '# HELP queue_depth Queued jobs',
+      '# TYPE queue_depth gauge',
+      'queue_depth 4',
+      '# HELP job_seconds Job duration',
+      '# TYPE job_seconds histogram',
+      'job_seconds_bucket{le="0.1"} 0',
+      'job_seconds_bucket{le="1"} 1',
+      'job_seconds_bucket{le="+Inf"} 1',
+      'job_seconds_sum 0.5',
+      'job_seconds_count 1',
+      ''
+    ].join('\n'));
+  });
+
+  it('treats label sets in any order as one series', () => {
+    const registry = new Registry();
+    const counter = registry.counter('hits_total', 'Hits');
+    counter.inc({ a: 1, b: 2 });
+    counter.inc({ b: 2, a: 1 });
+    assert.match(registry.render(), /^hits_total\{a="1",b="2"\} 2$/m);
+  });
+});
+
+describe('/metrics', () => {
+  let ctx;
+  afterEach(() => ctx.close());
+
+  describe('on a busy relay', () => {
+    beforeEach(async () => {
+      ctx = await startRelay();
+    });
+
+    it('reports sessions, participants and frame throughput', async () => {
+      const { session, server } = await hostSession(ctx);
+      const { client } = await joinSession(ctx, session.code, 'alice');
+      await server.nextFrame('HELLO');
+      client.sendFrame({ type: 'MSG', id: 1, headers: {}, payload: 'hi' });
+      await server.nextFrame('MSG');
+
+      const { status, type, text } = await scrape(ctx);
+      assert.equal(status, 200);
+      assert.match(type, /^text\/plain;.*version=0\.0\.4/);
+      assert.equal(sample(text, 'scp_sessions_active'), 1);
+      assert.equal(sample(text, 'scp_participants{role="server",state="connected"}'), 1);
+      assert.equal(sample(text, 'scp_participants{role="client",state="connected"}'), 1);
+      assert.equal(sample(text, 'scp_frames_total{type="MSG",direction="client-to-server"}'), 1);
+      assert.equal(sample(text, 'scp_connections_total'), 2);
+    });
+
+    it('counts frame types it does not know under one label', async () => {
+      const { session, server } = await hostSession(ctx);
+      const { client } = await joinSession(ctx, session.code, 'alice');
+      await server.nextFrame('HELLO');
+      client.sendFrame({ type: 'X_MADE_UP_1', id: 1, headers: {}, payload: '' });
+      client.sendFrame({ type: 'X_MADE_UP_2', id: 2, headers: {}, payload: '' });
+      await server.nextFrame('X_MADE_UP_2');
+
+      const { text } = await scrape(ctx);
+      assert.equal(sample(text, 'scp_frames_total{type="OTHER",direction="client-to-server"}'), 2);
+      assert.doesNotMatch(text, /X_MADE_UP/);
+    });
+
+    it('measures ACK latency on the relay clock', async () => {
+      const { session, server } = await hostSession(ctx);
+      const { client } = await joinSession(ctx, session.code, 'alice');
+      await server.nextFrame('HELLO');
+
+      client.sendFrame({ type: 'MSG', id: 1, headers: {}, payload: 'hi' });
+      await server.nextFrame('MSG');
+      ctx.clock.advance(300);
+      server.sendFrame({ type: 'ACK', id: 1, headers: { to: client.clientId }, payload: 'MSG_RECEIVED' });
+      await client.nextFrame('ACK');
+
+      const { text } = await scrape(ctx);
+      assert.equal(sample(text, 'scp_ack_latency_seconds_count{receipt="ACK"}'), 1);
+      assert.equal(sample(text, 'scp_ack_latency_seconds_sum{receipt="ACK"}'), 0.3);
+      assert.equal(sample(text, 'scp_ack_latency_seconds_bucket{receipt="ACK",le="0.25"}'), 0);
+      assert.equal(sample(text, 'scp_ack_latency_seconds_bucket{receipt="ACK",le="0.5"}'), 1);
+    });
+
+    it('counts rejected registrations, errors, relay NACKs and close codes', async () => {
+      const { session, server } = await hostSession(ctx);
+      const intruder = await connectPeer(ctx);
+      intruder.send({ type: 'register-server', code: session.code, ownerToken: 'guess' });
+      await intruder.next('error');
+      const { client } = await joinSession(ctx, session.code, 'alice');
+      client.sendFrame({ type: 'MSG', id: 2, headers: { to: 'ghost' }, payload: '?' });
+      await client.nextFrame('NACK');
+      client.ws.close(1000);
+      await server.next('client-disconnected');
+
+      const { text } = await scrape(ctx);
+      assert.equal(sample(text, 'scp_rejected_registrations_total{role="server",reason="UNAUTHORIZED"}'), 1);
+      assert.equal(sample(text, 'scp_errors_total{code="UNAUTHORIZED"}'), 1);
+      assert.equal(sample(text, 'scp_relay_nacks_total{reason="UNKNOWN_RECIPIENT"}'), 1);
+      assert.equal(sample(text, 'scp_websocket_closes_total{code="1000"}'), 1);
+    });
+
+    it('counts close codes it does not know under one label', async () => {
+      const { session, server } = await hostSession(ctx);
+      const { client } = await joinSession(ctx, session.code, 'alice');
+      client.ws.close(4321);
+      await server.next('client-disconnected');
+      const { client: bob } = await joinSession(ctx, session.code, 'bob');
+      bob.ws.close(3999);
+      await server.next('client-disconnected');
+
+      const { text } = await scrape(ctx);
+      assert.equal(sample(text, 'scp_websocket_closes_total{code="other"}'), 2);
+      assert.doesNotMatch(text, /code="4321"|code="3999"/);
+    });
+
+    it('counts REST errors by route', async () => {
+      await fetch(`${ctx.apiUrl}/api/sessions/NOPE1234/messages`);
+      const { text } = await scrape(ctx);
+      assert.equal(sample(text, 'scp_http_errors_total{route="/api/sessions/:code/messages",status="404"}'), 1);
+    });
+  });
+
+  it('requires the metrics token when one is configured', async () => {
+    ctx = await startRelay({ metricsToken: 's3cret' });
+    assert.equal((await scrape(ctx)).status, 401);
+    assert.equal((await scrape(ctx, { Authorization: 'Bearer wrong' })).status, 401);
+    assert.equal((await scrape(ctx, { Authorization: 'Bearer s3cret' })).status, 200);
+    assert.equal((await scrape(ctx, { Authorization: 'bearer  s3cret' })).status, 200);
+  });
+});
@@ -0,0 +1,282 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { serialize, buildHello } = require('scp-protocol');
+const {
+  startRelay,
+  request,
+  connectPeer,
+  hostSession,
+  joinToken,
+  joinSession
+} = require('./helpers');
+
+describe('register-server', () => {
+  let ctx;
+  beforeEach(async () => { ctx = await startRelay(); });
+  afterEach(() => ctx.close());
+
+  it('registers the owner and sends the roster', async () => {
+    const { session, server, registered } = await hostSession(ctx);
+    assert.equal(registered.role, 'server');
+    assert.equal(registered.code, session.code);
+    assert.ok(registered.resumeToken);
+
+    const roster = await server.next('roster');
+    assert.deepEqual(roster.participants, [{ clientId: 'server', role: 'server', connected: true }]);
+  });
+
+  it('accepts the session code in any case', async () => {
+    const { body: session } = await request(ctx, '/api/create-session', { method: 'POST', body: {} });
+    const peer = await connectPeer(ctx);
+    peer.send({ type: 'register-server', code: session.code.toLowerCase(), ownerToken: session.ownerToken });
+
+    const registered = await peer.next('registered');
+    assert.equal(registered.code, session.code);
+  });
+
+  it('rejects an unknown session code', async () => {
+    const peer = await connectPeer(ctx);
+    peer.send({ type: 'register-server', code: 'NOPE0000', ownerToken: 'x' });
+    const error = await peer.next('error');
+    assert.equal(error.message, 'Invalid session code');
+  });
+
+  it('rejects a missing or wrong owner token', async () => {
+    const { body: session } = await request(ctx, '/api/create-session', { method: 'POST', body: {} });
+    const peer = await connectPeer(ctx);
+
+    peer.send({ type: 'register-server', code: session.code });
+    assert.equal((await peer.next('error')).code, 'UNAUTHORIZED');
+
+    peer.send({ type: 'register-server', code: session.code, ownerToken: 'not-the-token' });
+    assert.equal((await peer.next('error')).code, 'UNAUTHORIZED');
+  });
+
+  it('refuses a second server for the same session', async () => {
+    const { session } = await hostSession(ctx);
+    const second = await connectPeer(ctx);
+    second.send({ type: 'register-server', code: session.code, ownerToken: session.ownerToken });
+    const error = await second.next('error');
+    assert.equal(error.message, 'Server already registered for this session');
+  });
+
+  it('closes the socket of a server with no common protocol version', async () => {
+    const { body: session } = await request(ctx, '/api/create-session', { method: 'POST', body: {} });
+    const peer = await connectPeer(ctx);
+    peer.send({ type: 'register-server', code: session.code, ownerToken: session.ownerToken, versions: ['9.0'] });
+
+    assert.equal((await peer.next('error')).code, 'ERR_VERSION_MISMATCH');
+    assert.equal((await peer.closed).code, 4002);
+  });
+});
+
+describe('register-client', () => {
+  let ctx;
+  beforeEach(async () => { ctx = await startRelay(); });
+  afterEach(() => ctx.close());
+
+  it('registers the client and introduces it to the server', async () => {
+    const { session, server } = await hostSession(ctx);
+    const { client, reply } = await joinSession(ctx, session.code, 'alice');
+
+    assert.equal(reply.type, 'registered');
+    assert.equal(reply.role, 'client');
+    assert.equal(reply.username, 'alice');
+    assert.equal(reply.clientId, client.clientId);
+
+    const connected = await server.next('client-connected');
+    assert.deepEqual(connected, { type: 'client-connected', username: 'alice', clientId: client.clientId });
+
+    const { frame } = await server.nextFrame('HELLO');
+    assert.equal(frame.headers.from, client.clientId);
+    assert.equal(frame.headers.to, 'server');
+    assert.equal(frame.headers.versions, '1.1');
+    assert.equal(frame.payload, 'alice');
+
+    const roster = await client.next(m => m.type === 'roster' && m.participants.length === 2);
+    assert.equal(roster.participants[1].username, 'alice');
+  });
+
+  it('rejects an unknown session code', async () => {
+    const peer = await connectPeer(ctx);
+    peer.send({ type: 'register-client', code: 'NOPE0000', joinToken: 'x' });
+    assert.equal((await peer.next('error')).message, 'Invalid session code');
+  });
+
+  it('rejects missing, forged and reused join tokens', async () => {
+    const { session } = await hostSession(ctx);
+    const peer = await connectPeer(ctx);
+
+    peer.send({ type: 'register-client', code: session.code });
+    assert.equal((await peer.next('error')).code, 'UNAUTHORIZED');
+
+    peer.send({ type: 'register-client', code: session.code, joinToken: 'forged.token' });
+    assert.equal((await peer.next('error')).code, 'UNAUTHORIZED');
+
+    const token = await joinToken(ctx, session.code, 'alice');
+    const first = await connectPeer(ctx);
+    first.send({ type: 'register-client', code: session.code, joinToken: token });
+    assert.equal((await first.next('registered')).username, 'alice');
+
+    peer.send({ type: 'register-client', code: session.code, joinToken: token });
+    assert.equal((await peer.next('error')).code, 'UNAUTHORIZED');
+  });
+
+  it('rejects a join token once it expires on the relay clock', async () => {
+    const { session } = await hostSession(ctx);
+    const fresh = await joinToken(ctx, session.code, 'alice');
+    const stale = await joinToken(ctx, session.code, 'bob');
+    ctx.clock.advance(5 * 60 * 1000 - 1);
+
+    const alice = await connectPeer(ctx);
+    alice.send({ type: 'register-client', code: session.code, joinToken: fresh });
+    assert.equal((await alice.next('registered')).username, 'alice');
+
+    ctx.clock.advance(1);
+    const bob = await connectPeer(ctx);
+    bob.send({ type: 'register-client', code: session.code, joinToken: stale });
+    assert.equal((await bob.next('error')).code, 'UNAUTHORIZED');
+  });
+
+  it('rejects a join token issued for another session', async () => {
+    const { session: one } = await hostSession(ctx);
+    const { session: two } = await hostSession(ctx);
+    const token = await joinToken(ctx, one.code, 'alice');
+
+    const peer = await connectPeer(ctx);
+    peer.send({ type: 'register-client', code: two.code, joinToken: token });
+    assert.equal((await peer.next('error')).code, 'UNAUTHORIZED');
+  });
+
+  it('rejects a hello that is not an SCP HELLO frame', async () => {
+    const { session } = await hostSession(ctx);
+    const token = await joinToken(ctx, session.code, 'alice');
+    const peer = await connectPeer(ctx);
+
+    peer.send({ type: 'register-client', code: session.code, joinToken: token, hello: 'not a frame' });
+    assert.equal((await peer.next('error')).code, 'ERR_BAD_HELLO');
+  });
+
+  it('closes the socket of a client with no common protocol version', async () => {
+    const { session } = await hostSession(ctx);
+    const token = await joinToken(ctx, session.code, 'alice');
+    const peer = await connectPeer(ctx);
+
+    peer.send({
+      type: 'register-client',
+      code: session.code,
+      joinToken: token,
+      hello: serialize(buildHello({ username: 'alice', versions: ['2.0'] }))
+    });
+    assert.equal((await peer.next('error')).code, 'ERR_VERSION_MISMATCH');
+    assert.equal((await peer.closed).code, 4002);
+  });
+
+  it('writes a plain HELLO for clients that send none', async () => {
+    const { session, server } = await hostSession(ctx);
+    const token = await joinToken(ctx, session.code, 'bob');
+    const peer = await connectPeer(ctx);
+    peer.send({ type: 'register-client', code: session.code, joinToken: token });
+
+    await peer.next('registered');
+    const { frame } = await server.nextFrame('HELLO');
+    assert.equal(frame.headers.versions, undefined);
+    assert.equal(frame.payload, 'bob');
+  });
+
+  it('requires the passcode to get a join token', async () => {
+    const { session } = await hostSession(ctx, { passcode: 'secret' });
+
+    const wrong = await request(ctx, `/api/sessions/${session.code}/join`, {
+      method: 'POST',
+      body: { username: 'alice', passcode: 'guess' }
+    });
+    assert.equal(wrong.status, 401);
+    assert.ok(await joinToken(ctx, session.code, 'alice', 'secret'));
+  });
+});
+
+describe('admit', () => {
+  let ctx;
+  let session;
+  let server;
+  beforeEach(async () => {
+    ctx = await startRelay();
+    ({ session, server } = await hostSession(ctx, { requireApproval: true }));
+  });
+  afterEach(() => ctx.close());
+
+  it('parks the client until the server approves it', async () => {
+    const { client, reply } = await joinSession(ctx, session.code, 'alice');
+    assert.equal(reply.type, 'admission-pending');
+
+    const request = await server.next('join-request');
+    assert.equal(request.clientId, client.clientId);
+    assert.equal(request.username, 'alice');
+
+    server.send({ type: 'admit', clientId: client.clientId, approve: true });
+    assert.equal((await client.next('registered')).role, 'client');
+    await server.next('client-connected');
+  });
+
+  it('turns the client away when the server declines', async () => {
+    const { client } = await joinSession(ctx, session.code, 'alice');
+    await server.next('join-request');
+
+    server.send({ type: 'admit', clientId: client.clientId, approve: false });
+    await client.next('admission-rejected');
+    assert.equal((await client.closed).code, 4003);
+  });
+
+  it('tells the server when a waiting client gives up', async () => {
+    const { client } = await joinSession(ctx, session.code, 'alice');
+    await server.next('join-request');
+
+    await client.close();
+    const cancelled = await server.next('join-cancelled');
+    assert.equal(cancelled.clientId, client.clientId);
+  });
+
+  it('relays nothing from a client still waiting for approval', async () => {
+    const { client: bob } = await joinSession(ctx, session.code, 'bob');
+    server.send({ type: 'admit', clientId: bob.clientId, approve: true });
+    await bob.next('registered');
+    const { client: alice } = await joinSession(ctx, session.code, 'alice');
+    await server.next(m => m.type === 'join-request' && m.username === 'alice');
+
+    alice.sendFrame({ type: 'MSG', id: 1, headers: { to: '*' }, payload: 'hi from unapproved' });
+    assert.equal((await alice.next('error')).message, 'Session not found');
+    const unapproved = m => m.type === 'scp-message' && m.scpMessage.includes('unapproved');
+    await server.expectNothing(unapproved);
+    await bob.expectNothing(unapproved);
+  });
+
+  it('reports an admit for a client that is not waiting', async () => {
+    server.send({ type: 'admit', clientId: 'nobody', approve: true });
+    assert.equal((await server.next('error')).message, 'No pending join request for that client');
+  });
+
+  it('only lets the server admit clients', async () => {
+    const { client } = await joinSession(ctx, session.code, 'alice');
+    client.send({ type: 'admit', clientId: client.clientId, approve: true });
+    assert.equal((await client.next('error')).message, 'No pending join request for that client');
+  });
+});
+
+describe('envelope errors', () => {
+  let ctx;
+  beforeEach(async () => { ctx = await startRelay(); });
+  afterEach(() => ctx.close());
+
+  it('answers invalid JSON with an error', async () => {
+    const peer = await connectPeer(ctx);
+    peer.send('{not json');
+    assert.equal((await peer.next('error')).message, 'Invalid message format');
+  });
+
+  it('ignores unknown envelope types', async () => {
+    const peer = await connectPeer(ctx);
+    peer.send({ type: 'teleport' });
+    await peer.expectNothing('error');
+  });
+});
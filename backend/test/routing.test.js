@@ -0,0 +1,218 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { serialize, encodeBinaryFrame } = require('scp-protocol');
+const { startRelay, request, connectPeer, hostSession, joinSession } = require('./helpers');
+
+// A hosted session with two registered clients, all handshake traffic drained
+async function threeWay(ctx, options) {
+  const { session, server } = await hostSession(ctx, options);
+  const { client: alice } = await joinSession(ctx, session.code, 'alice');
+  await server.nextFrame('HELLO');
+  const { client: bob } = await joinSession(ctx, session.code, 'bob');
+  await server.nextFrame('HELLO');
+  return { session, server, alice, bob };
+}
+
+describe('scp-message', () => {
+  let ctx;
+  let peers;
+  beforeEach(async () => {
+    ctx = await startRelay();
+    peers = await threeWay(ctx);
+  });
+  afterEach(() => ctx.close());
+
+  it('routes client frames to the server by default and stamps the sender', async () => {
+    const { server, alice } = peers;
+    alice.sendFrame({ type: 'MSG', id: 1, headers: {}, payload: 'hi server' });
+
+    const { envelope, frame } = await server.nextFrame('MSG');
+    assert.equal(envelope.direction, 'client-to-server');
+    assert.equal(envelope.clientId, alice.clientId);
+    assert.deepEqual(frame.headers, { from: alice.clientId, to: 'server' });
+    assert.equal(frame.payload, 'hi server');
+  });
+
+  it('broadcasts server frames to every client', async () => {
+    const { server, alice, bob } = peers;
+    server.sendFrame({ type: 'MSG', id: 1, headers: { from: 'server', to: '*' }, payload: 'hi all' });
+
+    for (const client of [alice, bob]) {
+      const { envelope, frame } = await client.nextFrame('MSG');
+      assert.equal(envelope.direction, 'server-to-client');
+      assert.equal(frame.payload, 'hi all');
+    }
+    await server.expectNothing('scp-message');
+  });
+
+  it('delivers direct frames between clients only to the addressee', async () => {
+    const { server, alice, bob } = peers;
+    alice.sendFrame({ type: 'MSG', id: 1, headers: { to: bob.clientId }, payload: 'psst' });
+
+    const { envelope, frame } = await bob.nextFrame('MSG');
+    assert.equal(envelope.direction, 'client-to-client');
+    assert.equal(frame.headers.from, alice.clientId);
+    await server.expectNothing(m => m.type === 'scp-message');
+  });
+
+  it('relays ACK and NACK receipts from the receiving peer', async () => {
+    const { server, alice } = peers;
+    server.sendFrame({ type: 'ACK', id: 7, headers: { to: alice.clientId }, payload: 'MSG_RECEIVED' });
+    const { frame } = await alice.nextFrame('ACK');
+    assert.equal(frame.id, 7);
+    assert.equal(frame.headers.from, 'server');
+  });
+
+  it('keeps frames in the session history, but not heartbeats', async () => {
+    const { session, server, alice } = peers;
+    alice.sendFrame({ type: 'PING', id: 0, headers: {}, payload: '1' });
+    await server.nextFrame('PING');
+    alice.sendFrame({ type: 'MSG', id: 1, headers: {}, payload: 'kept' });
+    await server.nextFrame('MSG');
+
+    const history = await request(ctx, `/api/sessions/${session.code}/messages`, {
+      headers: { Authorization: `Bearer ${session.ownerToken}` }
+    });
+    assert.deepEqual(history.body.messages.map(m => m.type), ['HELLO', 'HELLO', 'MSG']);
+  });
+
+  it('NACKs frames for an unknown recipient', async () => {
+    const { alice } = peers;
+    alice.sendFrame({ type: 'MSG', id: 3, headers: { to: 'ghost' }, payload: 'anyone?' });
+
+    const { envelope, frame } = await alice.nextFrame('NACK');
+    assert.equal(envelope.from, 'relay');
+    assert.equal(frame.id, 3);
+    assert.equal(frame.payload, 'UNKNOWN_RECIPIENT');
+  });
+
+  it('NACKs a broadcast nobody is left to receive', async () => {
+    const { server, alice, bob } = peers;
+    await alice.close();
+    await bob.close();
+    await server.next(m => m.type === 'roster' && m.participants.every(p => p.role === 'server' || !p.connected));
+
+    server.sendFrame({ type: 'MSG', id: 1, headers: {}, payload: 'hello?' });
+    const { frame } = await server.nextFrame('NACK');
+    assert.equal(frame.payload, 'PEER_UNAVAILABLE');
+  });
+
+  it('rejects frames claiming another sender', async () => {
+    const { server, alice, bob } = peers;
+    alice.sendFrame({ type: 'MSG', id: 1, headers: { from: bob.clientId }, payload: 'it was bob' });
+
+    assert.equal((await alice.next('error')).code, 'ERR_BAD_SENDER');
+    await server.expectNothing(m => m.type === 'scp-message');
+  });
+
+  it('rejects malformed frames', async () => {
+    const { alice } = peers;
+    alice.send({ type: 'scp-message', scpMessage: 'SCP/1.1 | MSG' });
+    const error = await alice.next('error');
+    assert.match(error.code, /^ERR_/);
+    assert.match(error.message, /^Malformed SCP frame/);
+  });
+
+  it('NACKs oversized payloads', async () => {
+    const { alice } = peers;
+    alice.sendFrame({ type: 'MSG', id: 4, headers: {}, payload: 'x'.repeat(20 * 1024) });
+
+    assert.equal((await alice.next('error')).code, 'PAYLOAD_TOO_LARGE');
+    const { frame } = await alice.nextFrame('NACK');
+    assert.equal(frame.id, 4);
+    assert.equal(frame.payload, 'PAYLOAD_TOO_LARGE');
+  });
+
+  it('NACKs file offers above the size limit', async () => {
+    const { server, alice } = peers;
+    alice.sendFrame({ type: 'FILE_OFFER', id: 5, headers: { size: 1e12 }, payload: '{}' });
+    const { frame } = await alice.nextFrame('NACK');
+    assert.equal(frame.payload, 'PAYLOAD_TOO_LARGE');
+    await server.expectNothing(m => m.type === 'scp-message');
+  });
+
+  it('needs a registration before relaying frames', async () => {
+    const stranger = await connectPeer(ctx);
+    stranger.sendFrame({ type: 'MSG', id: 1, headers: {}, payload: 'hi' });
+    assert.equal((await stranger.next('error')).message, 'Session not found');
+  });
+});
+
+describe('binary frames', () => {
+  let ctx;
+  let peers;
+  beforeEach(async () => {
+    ctx = await startRelay();
+    peers = await threeWay(ctx);
+  });
+  afterEach(() => ctx.close());
+
+  const chunk = (headers, type = 'FILE_CHUNK') => encodeBinaryFrame(
+    serialize({ type, id: 9, headers: { transfer: 'abc', index: 0, ...headers }, payload: '' }),
+    new Uint8Array([1, 2, 3])
+  );
+
+  it('forwards FILE_CHUNK messages untouched to the addressee', async () => {
+    const { alice, bob } = peers;
+    const data = chunk({ from: alice.clientId, to: bob.clientId });
+    alice.ws.send(data);
+
+    const received = await bob.next('binary');
+    assert.deepEqual(new Uint8Array(received.data), data);
+  });
+
+  it('rejects other frame types and wrong senders', async () => {
+    const { alice, bob } = peers;
+    alice.ws.send(chunk({ from: alice.clientId, to: bob.clientId }, 'MSG'));
+    assert.equal((await alice.next('error')).code, 'ERR_BAD_TYPE');
+
+    alice.ws.send(chunk({ from: bob.clientId, to: 'server' }));
+    assert.equal((await alice.next('error')).code, 'ERR_BAD_SENDER');
+    await bob.expectNothing('binary');
+  });
+
+  it('rejects binary data that is not a framed chunk', async () => {
+    const { alice } = peers;
+    alice.ws.send(new Uint8Array([0, 0]));
+    assert.equal((await alice.next('error')).code, 'ERR_BAD_BINARY_FRAME');
+  });
+});
+
+describe('rate limits', () => {
+  let ctx;
+  afterEach(() => ctx.close());
+
+  it('NACKs frames over the per-connection rate and closes repeat offenders', async () => {
+    ctx = await startRelay({ limits: { messageBurst: 2, messagesPerSec: 1, maxViolations: 2 } });
+    const { session } = await hostSession(ctx);
+    const { client } = await joinSession(ctx, session.code, 'alice');
+
+    // register-client used one token, one frame gets through
+    for (let id = 1; id <= 4; id++) {
+      client.sendFrame({ type: 'MSG', id, headers: {}, payload: 'spam' });
+    }
+    const limited = await client.next(m => m.type === 'error' && m.code === 'RATE_LIMITED');
+    assert.ok(limited.retryAfterMs > 0);
+    assert.equal((await client.nextFrame('NACK')).frame.payload, 'RATE_LIMITED');
+    assert.equal((await client.closed).code, 1008);
+  });
+
+  it('refills with the injected clock', async () => {
+    ctx = await startRelay({ limits: { messageBurst: 1, messagesPerSec: 1 } });
+    const peer = await connectPeer(ctx);
+
+    peer.send({ type: 'teleport' });
+    peer.send({ type: 'teleport' });
+    assert.equal((await peer.next('error')).code, 'RATE_LIMITED');
+
+    ctx.clock.advance(1000);
+    peer.send('{not json');
+    assert.equal((await peer.next('error')).message, 'Invalid message format');
+  });
+
+  it('limits session creation per address', async () => {
+    ctx = await startRelay({ limits: { createPerMin: 1 } });
+    assert.equal((await request(ctx, '/api/create-session', { method: 'POST', body: {} })).status, 200);
+    assert.equal((await request(ctx, '/api/create-session', { method: 'POST', body: {} })).status, 429);
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileStore } = require('../store');
+
+describe('FileStore', () => {
+  let dir;
+  let current;
+  const open = async () => {
+    const store = new FileStore({ dir, flushDelay: 60 * 1000, now: () => current });
+    await store.open();
+    return store;
+  };
+  const read = file => fs.promises.readFile(path.join(dir, file), 'utf8');
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'scp-store-'));
+    current = Date.UTC(2024, 0, 1);
+  });
+  afterEach(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  it('keeps sessions and their history across restarts', async () => {
+    const store = await open();
+    await store.createSession({ code: 'ABC123', serverName: 'host' });
+    await store.addParticipant('ABC123', { clientId: 'c1', username: 'alice' });
+    current += 1000;
+    await store.appendMessage('ABC123', { type: 'MSG', from: 'c1', payload: 'hi' });
+    await store.close();
+
+    const reopened = await open();
+    const session = await reopened.getSession('ABC123');
+    assert.equal(session.serverName, 'host');
+    assert.equal(session.createdAt, Date.UTC(2024, 0, 1));
+    assert.equal(session.updatedAt, Date.UTC(2024, 0, 1) + 1000);
+    assert.deepEqual(session.participants.map(p => p.username), ['alice']);
+    const { messages } = await reopened.getMessages('ABC123');
+    assert.deepEqual(messages, [{ timestamp: Date.UTC(2024, 0, 1) + 1000, type: 'MSG', from: 'c1', payload: 'hi', seq: 1 }]);
+
+    await reopened.appendMessage('ABC123', { type: 'MSG', from: 'server', payload: 'hello' });
+    await reopened.close();
+    assert.equal((await (await open()).getMessages('ABC123')).total, 2);
+  });
+
+  it('appends history to its own file instead of rewriting the session', async () => {
+    const store = await open();
+    await store.createSession({ code: 'ABC123' });
+    await store.appendMessage('ABC123', { payload: 'one' });
+    await store.flush();
+    const before = await read('ABC123.history.jsonl');
+
+    await store.appendMessage('ABC123', { payload: 'two' });
+    await store.flush();
+    const after = await read('ABC123.history.jsonl');
+
+    assert.ok(after.startsWith(before));
+    assert.deepEqual(after.trimEnd().split('\n').map(line => JSON.parse(line).payload), ['one', 'two']);
+    assert.equal(JSON.parse(await read('ABC123.json')).messages, undefined);
+    await store.close();
+  });
+
+  it('starts the history over for a session created again under the same code', async () => {
+    const store = await open();
+    await store.createSession({ code: 'ABC123' });
+    await store.appendMessage('ABC123', { payload: 'old' });
+    await store.flush();
+
+    await store.deleteSession('ABC123');
+    await store.createSession({ code: 'ABC123' });
+    await store.appendMessage('ABC123', { payload: 'new' });
+    await store.close();
+
+    const { messages } = await (await open()).getMessages('ABC123');
+    assert.deepEqual(messages.map(m => m.payload), ['new']);
+  });
+
+  it('removes both files of a deleted session', async () => {
+    const store = await open();
+    await store.createSession({ code: 'ABC123' });
+    await store.appendMessage('ABC123', { payload: 'hi' });
+    await store.flush();
+    await store.deleteSession('ABC123');
+    await store.close();
+
+    assert.deepEqual(await fs.promises.readdir(dir), []);
+  });
+
+  it('drops a history line cut short by a crash', async () => {
+    const store = await open();
+    await store.createSession({ code: 'ABC123' });
+    await store.appendMessage('ABC123', { payload: 'kept' });
+    await store.close();
+    await fs.promises.appendFile(path.join(dir, 'ABC123.history.jsonl'), '{"payload":"lo');
+
+    const reopened = await open();
+    await reopened.appendMessage('ABC123', { payload: 'next' });
+    await reopened.close();
+
+    const { messages } = await (await open()).getMessages('ABC123');
+    assert.deepEqual(messages.map(m => m.payload), ['kept', 'next']);
+  });
+
+  it('reads sessions saved with their history inline', async () => {
+    const record = {
+      code: 'ABC123', createdAt: 1, updatedAt: 2, participants: [], nextSeq: 2,
+      messages: [{ seq: 1, timestamp: 2, payload: 'inline' }]
+    };
+    await fs.promises.writeFile(path.join(dir, 'ABC123.json'), JSON.stringify(record));
+
+    const store = await open();
+    assert.deepEqual((await store.getMessages('ABC123')).messages.map(m => m.payload), ['inline']);
+    await store.appendMessage('ABC123', { payload: 'later' });
+    await store.close();
+
+    const { messages } = await (await open()).getMessages('ABC123');
+    assert.deepEqual(messages.map(m => m.payload), ['inline', 'later']);
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startRelay, hostSession, joinSession } = require('./helpers');
+
+function downloadTrace(ctx, code, token) {
+  return fetch(`${ctx.apiUrl}/api/sessions/${code}/trace`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+}
+
+async function traceEntries(ctx, session) {
+  const response = await downloadTrace(ctx, session.code, session.ownerToken);
+  assert.equal(response.status, 200);
+  return (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+}
+
+describe('protocol trace', () => {
+  let ctx;
+  let traceDir;
+  beforeEach(async () => {
+    traceDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scp-trace-'));
+    ctx = await startRelay({ traceEnabled: true, traceDir, traceRetentionMs: 60 * 60 * 1000 });
+  });
+  afterEach(async () => {
+    await ctx.close();
+    fs.rmSync(traceDir, { recursive: true, force: true });
+  });
+
+  it('records every frame with direction and size but no payload', async () => {
+    const { session, server } = await hostSession(ctx);
+    const { client } = await joinSession(ctx, session.code, 'alice');
+    client.sendFrame({ type: 'MSG', id: 1, headers: {}, payload: 'top secret' });
+    await server.nextFrame('MSG');
+    client.sendFrame({ type: 'MSG', id: 2, headers: { to: 'ghost' }, payload: 'lost' });
+    await client.nextFrame('NACK');
+
+    const entries = await traceEntries(ctx, session);
+    assert.deepEqual(entries.map(e => `${e.event}:${e.type}`), ['frame:HELLO', 'frame:MSG', 'frame:MSG', 'frame:NACK']);
+
+    const [, message, lost, nack] = entries;
+    assert.equal(message.direction, 'client-to-server');
+    assert.equal(message.from, client.clientId);
+    assert.equal(message.id, 1);
+    assert.ok(message.size > 'top secret'.length);
+    assert.equal(message.delivered, 1);
+    assert.ok(!Number.isNaN(Date.parse(message.ts)));
+    assert.equal(lost.delivered, 0);
+    assert.equal(nack.direction, 'relay');
+    assert.equal(nack.reason, 'UNKNOWN_RECIPIENT');
+    assert.doesNotMatch(JSON.stringify(entries), /top secret|ownerTokenHash/);
+  });
+
+  it('records rejected frames', async () => {
+    const { session } = await hostSession(ctx);
+    const { client } = await joinSession(ctx, session.code, 'alice');
+    client.sendFrame({ type: 'MSG', id: 3, headers: {}, payload: 'x'.repeat(20 * 1024) });
+    await client.nextFrame('NACK');
+
+    const rejected = (await traceEntries(ctx, session)).find(e => e.event === 'rejected');
+    assert.equal(rejected.reason, 'PAYLOAD_TOO_LARGE');
+    assert.equal(rejected.id, 3);
+  });
+
+  it('is only handed to the session owner', async () => {
+    const { session } = await hostSession(ctx);
+    const { reply } = await joinSession(ctx, session.code, 'alice');
+
+    assert.equal((await downloadTrace(ctx, session.code)).status, 401);
+    assert.equal((await downloadTrace(ctx, session.code, reply.resumeToken)).status, 401);
+    assert.equal((await downloadTrace(ctx, 'NOPE0000', session.ownerToken)).status, 404);
+
+    const response = await downloadTrace(ctx, session.code, session.ownerToken);
+    assert.match(response.headers.get('content-disposition'), new RegExp(`scp-trace-${session.code}\\.jsonl`));
+  });
+
+  it('stays available after the session ends, until pruned', async () => {
+    const { session, server } = await hostSession(ctx);
+    server.send({ type: 'disconnect' });
+    await server.close();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const entries = await traceEntries(ctx, session);
+    assert.deepEqual(entries.at(-1).event, 'session-ended');
+    assert.equal(entries.at(-1).reason, 'server-left');
+
+    // Retention is measured against the file's modification time
+    ctx.clock.advance(2 * 60 * 60 * 1000);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal((await downloadTrace(ctx, session.code, session.ownerToken)).status, 404);
+  });
+});
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+
+const CODE_RE = /^[A-Z0-9]+$/;
+
+// Per-session protocol trace for post-mortem analysis: `dir`/<code>.jsonl
+// holds one JSON line per frame the relay handled (timestamp, direction,
+// type, id, size; never the payload) plus rejections. The first line is a
+// header carrying the owner token hash, so the trace can still be handed to
+// the session owner after the session itself is gone.
+class TraceRecorder {
+  constructor({ dir, enabled = true, now = Date.now, onError = () => {} } = {}) {
+    this.dir = dir;
+    this.enabled = Boolean(enabled && dir);
+    this.now = now;
+    this.onError = onError;
+    this.streams = new Map();
+    this.ready = false;
+  }
+
+  file(code) {
+    return path.join(this.dir, `${code}.jsonl`);
+  }
+
+  stream(code, flags = 'a') {
+    let stream = this.streams.get(code);
+    if (!stream) {
+      if (!this.ready) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        this.ready = true;
+      }
+      stream = fs.createWriteStream(this.file(code), { flags });
+      stream.on('error', error => this.onError(error, code));
+      this.streams.set(code, stream);
+    }
+    return stream;
+  }
+
+  write(code, entry, flags) {
+    if (!this.enabled || !CODE_RE.test(code || '')) return;
+    this.stream(code, flags).write(`${JSON.stringify({ ts: new Date(this.now()).toISOString(), ...entry })}\n`);
+  }
+
+  // Begin a new trace for a freshly created session
+  start(code, ownerTokenHash) {
+    this.write(code, { event: 'trace-start', code, ownerTokenHash }, 'w');
+  }
+
+  // Append one entry, e.g. { event: 'frame', direction, from, to, type, id, size }
+  record(code, entry) {
+    this.write(code, entry);
+  }
+
+  // The session is over; its trace file stays until prune()
+  end(code) {
+    const stream = this.streams.get(code);
+    if (!stream) return Promise.resolve();
+    this.streams.delete(code);
+    return new Promise(resolve => stream.end(resolve));
+  }
+
+  // { ownerTokenHash, body } for a session's trace, body without the header;
+  // null when there is none
+  async read(code) {
+    if (!this.enabled || !CODE_RE.test(code)) return null;
+
+    const stream = this.streams.get(code);
+    if (stream) await new Promise(resolve => stream.write('', resolve));
+
+    let text;
+    try {
+      text = await fs.promises.readFile(this.file(code), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    const newline = text.indexOf('\n');
+    let header = {};
+    try {
+      header = JSON.parse(text.slice(0, newline));
+    } catch (error) {
+      // Session created while tracing was off: no header line
+      return { ownerTokenHash: null, body: text };
+    }
+    if (header.event !== 'trace-start') return { ownerTokenHash: null, body: text };
+    return { ownerTokenHash: header.ownerTokenHash, body: text.slice(newline + 1) };
+  }
+
+  // Delete traces of finished sessions last written before `before` (ms)
+  async prune(before) {
+    if (!this.enabled) return;
+    let files;
+    try {
+      files = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    await Promise.all(files.map(async (file) => {
+      const code = file.slice(0, -'.jsonl'.length);
+      if (!file.endsWith('.jsonl') || this.streams.has(code)) return;
+      const { mtimeMs } = await fs.promises.stat(path.join(this.dir, file));
+      if (mtimeMs < before) await fs.promises.unlink(path.join(this.dir, file));
+    }));
+  }
+
+  async close() {
+    await Promise.all([...this.streams.keys()].map(code => this.end(code)));
+  }
+}
+
+module.exports = { TraceRecorder };
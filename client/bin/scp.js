@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+// scp: command-line SCP client.
+//
+//   scp host [--passcode <p>] [--approve]
+//   scp join <code> --user <name> [--passcode <p>] [--to <clientId>]
+//   scp send <code> <message> --user <name> [--passcode <p>] [--to <clientId>]
+//
+// The relay is ws://localhost:3001 unless --url or SCP_URL says otherwise.
+// `host` and `join` are interactive: lines typed are sent as messages, and
+// /to, /ping, /who, /admit, /reject, /extend, /network and /quit control the session. `send`
+// delivers one message and exits 0 once it is acknowledged, 1 otherwise.
+
+const readline = require('readline');
+const { parseArgs } = require('util');
+const WebSocket = require('ws');
+const { SCPClient } = require('..');
+
+const USAGE = `Usage:
+  scp host [--passcode <p>] [--approve]
+  scp join <code> --user <name> [--passcode <p>] [--to <clientId>]
+  scp send <code> <message> --user <name> [--passcode <p>] [--to <clientId>]
+
+Options:
+  --url <ws-url>   Relay WebSocket URL (default: $SCP_URL or ws://localhost:3001)
+
+Commands while connected:
+  /to <clientId|server|*>   change who messages go to
+  /ping [clientId]          measure the round trip
+  /who                      list participants
+  /admit <clientId>         let a waiting client in (host only)
+  /reject <clientId>        turn a waiting client away (host only)
+  /extend                   keep an idle session from expiring (host only)
+  /network [key=value ...]  simulate a bad network, e.g. dropRate=0.2 latencyMs=300;
+                            no arguments restore a good one (host only)
+  /quit                     leave the session (as the host: end it)`;
+
+const OPTIONS = {
+  url: { type: 'string', default: process.env.SCP_URL || 'ws://localhost:3001' },
+  user: { type: 'string', short: 'u' },
+  passcode: { type: 'string', short: 'p' },
+  to: { type: 'string' },
+  approve: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+function fail(message) {
+  console.error(`scp: ${message}`);
+  process.exit(1);
+}
+
+function time() {
+  return new Date().toLocaleTimeString();
+}
+
+function nameOf(client, address) {
+  if (address === 'server') return 'server';
+  const participant = client.roster.find(p => p.clientId === address);
+  return participant?.username ? `${participant.username} (${address})` : address;
+}
+
+// Print relay notifications and incoming messages as they arrive
+function watch(client, print) {
+  client.on('message', ({ type, from, to, payload }) => {
+    if (type === 'HELLO') {
+      print(`* ${payload || from} (${from}) said hello`);
+      return;
+    }
+    const direct = to && to !== '*' && to !== 'server' ? ' (direct)' : '';
+    print(`[${time()}] ${nameOf(client, from)}${direct}: ${payload}`);
+  });
+  client.on('welcome', ({ version, features }) => {
+    print(`* SCP/${version}, features: ${features.join(', ') || 'none'}`);
+  });
+  client.on('client-connected', ({ username, clientId }) => print(`* ${username} (${clientId}) joined`));
+  client.on('client-disconnected', ({ username, clientId }) => print(`* ${username} (${clientId}) left`));
+  client.on('server-disconnected', () => print('* The host left the session'));
+  client.on('join-request', ({ username, clientId }) => {
+    print(`* ${username} (${clientId}) wants to join: /admit ${clientId} or /reject ${clientId}`);
+  });
+  client.on('system-notice', ({ message }) => print(`* Notice from the organizer: ${message}`));
+  client.on('kicked', ({ message }) => print(`! ${message}`));
+  client.on('session-closed', ({ message }) => print(`! ${message}`));
+  client.on('bye', ({ from, reason, message }) => {
+    if (from === 'relay' || from === 'server') {
+      print(`* Session ended (${reason})${message ? `: ${message}` : ''}`);
+    } else {
+      print(`* ${nameOf(client, from)} said goodbye${message ? `: ${message}` : ''}`);
+    }
+  });
+  client.on('expiring', ({ remainingMs }) => {
+    const hint = client.role === 'server' ? ', /extend keeps it open' : '';
+    print(`* Session expires in ${Math.ceil(remainingMs / 60000)} min without activity${hint}`);
+  });
+  client.on('session-extended', () => print('* Session kept open'));
+  client.on('network-conditions', ({ conditions }) => {
+    const faults = Object.entries(conditions).filter(([, value]) => value > 0);
+    print(faults.length > 0
+      ? `* Simulated network: ${faults.map(([key, value]) => `${key}=${value}`).join(' ')}`
+      : '* Simulated network off');
+  });
+  client.on('error', error => print(`! ${error.message}`));
+}
+
+// Interactive prompt shared by `host` and `join`
+function repl(client, { to }) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  let target = to;
+
+  const print = (line) => {
+    readline.clearLine(process.stdout, 0);
+    readline.cursorTo(process.stdout, 0);
+    console.log(line);
+    rl.prompt(true);
+  };
+
+  const quit = async () => {
+    rl.close();
+    await client.close();
+    process.exit(0);
+  };
+
+  watch(client, print);
+  client.on('close', ({ code, reason }) => {
+    print(`* Disconnected (${code}${reason ? `: ${reason}` : ''})`);
+    // 4006: the session ended (BYE from the host or expiry)
+    process.exit(code === 1000 || code === 4006 ? 0 : 1);
+  });
+
+  const commands = {
+    to: ([address]) => {
+      target = address || undefined;
+      print(`* Sending to ${target || 'the default recipient'}`);
+    },
+    ping: async ([address]) => {
+      const rtt = await client.ping(address);
+      print(`* ${address || (client.role === 'server' ? 'everyone' : 'server')}: ${rtt}ms`);
+    },
+    who: () => {
+      client.roster.forEach(p => print(`  ${p.role === 'server' ? 'server' : nameOf(client, p.clientId)}`));
+    },
+    admit: ([clientId]) => client.admit(clientId, true),
+    reject: ([clientId]) => client.admit(clientId, false),
+    extend: () => client.extend(),
+    network: (settings) => {
+      const conditions = {};
+      settings.forEach((setting) => {
+        const [key, value] = setting.split('=');
+        if (value === undefined) throw new Error(`Expected key=value, got "${setting}"`);
+        conditions[key] = Number(value);
+      });
+      client.setNetwork(conditions);
+    },
+    quit
+  };
+
+  rl.setPrompt('> ');
+  rl.on('line', async (line) => {
+    const text = line.trim();
+    try {
+      if (text.startsWith('/')) {
+        const [name, ...args] = text.slice(1).split(/\s+/);
+        const command = commands[name];
+        if (!command) {
+          print(`! Unknown command /${name}`);
+        } else {
+          await command(args);
+        }
+      } else if (text) {
+        const id = await client.send(text, { to: target });
+        print(`  ✓ delivered (id=${id})`);
+      }
+    } catch (error) {
+      print(`! ${error.message}`);
+    }
+    rl.prompt();
+  });
+  rl.on('SIGINT', quit);
+  rl.prompt();
+}
+
+async function host(client, values) {
+  const session = await client.host({ passcode: values.passcode, requireApproval: values.approve });
+  console.log(`Hosting session ${session.code}${session.passcodeRequired ? ' (passcode required)' : ''}`);
+  console.log(`Others can join with: scp join ${session.code} --user <name>`);
+  repl(client, values);
+}
+
+async function join(client, [code], values) {
+  if (!code) fail('join needs a session code');
+  if (!values.user) fail('join needs --user <name>');
+
+  client.on('pending', () => console.log('Waiting for the host to let you in...'));
+  const registered = await client.join(code, { username: values.user, passcode: values.passcode });
+  console.log(`Joined session ${registered.code} as ${registered.username} (${registered.clientId})`);
+  repl(client, values);
+}
+
+async function send(client, [code, ...words], values) {
+  const message = words.join(' ');
+  if (!code || !message) fail('send needs a session code and a message');
+  if (!values.user) fail('send needs --user <name>');
+
+  await client.join(code, { username: values.user, passcode: values.passcode });
+  try {
+    const id = await client.send(message, { to: values.to });
+    console.log(`Delivered (id=${id})`);
+  } finally {
+    await client.close();
+  }
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    fail(`${error.message}\n\n${USAGE}`);
+  }
+  const { values, positionals: [command, ...args] } = parsed;
+
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+
+  const client = new SCPClient({ url: values.url, WebSocket });
+  switch (command) {
+    case 'host':
+      return host(client, values);
+    case 'join':
+      return join(client, args, values);
+    case 'send':
+      return send(client, args, values);
+    default:
+      fail(`unknown command "${command}"\n\n${USAGE}`);
+  }
+}
+
+main().catch(error => fail(error.message));
@@ -0,0 +1,477 @@
+// SCP client SDK: joins or hosts a session on the relay (backend/server.js)
+// and speaks SCP over it, with ACK/retransmission, duplicate suppression,
+// the HELLO/WELCOME handshake and PING/PONG.
+//
+// Works in browsers (global WebSocket and fetch) and in Node, where a
+// WebSocket implementation has to be passed in:
+//
+//   const { SCPClient } = require('scp-client');
+//   const client = new SCPClient({ url: 'ws://localhost:3001', WebSocket: require('ws') });
+//   client.on('message', ({ from, payload }) => console.log(from, payload));
+//   await client.join('AB12CD34', { username: 'alice' });
+//   await client.send('hello');
+//
+// Events: 'registered', 'pending', 'welcome', 'message', 'frame', 'status',
+// 'roster', 'join-request', 'bye', 'expiring', 'error', 'close', plus every
+// relay notification under its own type ('client-connected',
+// 'server-disconnected', 'session-extended', 'network-conditions', ...).
+// Encrypted frames and file transfers are not supported and get NACKed.
+
+const {
+  parse,
+  serialize,
+  SCPParseError,
+  RetransmitQueue,
+  DuplicateFilter,
+  SUPPORTED_VERSIONS,
+  buildHello,
+  readOffer,
+  negotiate,
+  buildWelcome,
+  readWelcome,
+  BYE_REASONS,
+  buildBye,
+  readBye,
+  readExpiring
+} = require('scp-protocol');
+
+const OPEN = 1; // WebSocket.OPEN in every implementation
+const FIRST_MESSAGE_ID = 1; // id=0 is taken by the handshake
+const ACCEPTED_TYPES = ['HELLO', 'MSG'];
+const FEATURES = ['acks'];
+const PING_TIMEOUT_MS = 5000;
+
+class SCPClientError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SCPClientError';
+    this.code = code;
+  }
+}
+
+// Minimal event emitter, so the SDK needs nothing from Node's core modules
+class Emitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  on(event, listener) {
+    if (!this.listeners.has(event)) this.listeners.set(event, []);
+    this.listeners.get(event).push(listener);
+    return this;
+  }
+
+  off(event, listener) {
+    const listeners = this.listeners.get(event) || [];
+    this.listeners.set(event, listeners.filter(l => l !== listener && l.listener !== listener));
+    return this;
+  }
+
+  once(event, listener) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      listener(...args);
+    };
+    wrapper.listener = listener;
+    return this.on(event, wrapper);
+  }
+
+  emit(event, ...args) {
+    const listeners = (this.listeners.get(event) || []).slice();
+    listeners.forEach(listener => listener(...args));
+    return listeners.length > 0;
+  }
+}
+
+// REST base URL for a relay WebSocket URL: ws(s)://host -> http(s)://host
+function apiUrlFor(url) {
+  return url.replace(/^ws/, 'http').replace(/\/+$/, '');
+}
+
+class SCPClient extends Emitter {
+  constructor({
+    url = 'ws://localhost:3001',
+    apiUrl,
+    WebSocket = globalThis.WebSocket,
+    fetch = globalThis.fetch,
+    retryPolicy = {},
+    features = FEATURES
+  } = {}) {
+    super();
+    if (!WebSocket) {
+      throw new TypeError('No WebSocket implementation available: pass one as options.WebSocket');
+    }
+    this.url = url;
+    this.apiUrl = apiUrl || apiUrlFor(url);
+    this.WebSocket = WebSocket;
+    this.fetch = fetch;
+    this.features = features;
+
+    this.socket = null;
+    this.role = null;        // 'server' or 'client' once registered
+    this.code = null;
+    this.clientId = null;
+    this.address = null;     // our SCP address: 'server' or our clientId
+    this.username = null;
+    this.roster = [];
+    this.protocol = null;    // { version, features } from the server's WELCOME
+    this.peers = new Map();  // as the server: clientId -> { version, features }
+
+    this.nextId = FIRST_MESSAGE_ID;
+    this.pingId = 0;
+    this.pings = new Map();
+    this.pending = new Map();
+    this.duplicates = new DuplicateFilter();
+    this.retransmits = new RetransmitQueue({
+      policy: retryPolicy,
+      send: entry => this.sendRaw(entry.frame),
+      onStatus: (id, status, entry) => this.handleStatus(id, status, entry)
+    });
+  }
+
+  // JSON REST call against the relay; throws SCPClientError on HTTP errors
+  async request(path, { method = 'GET', body } = {}) {
+    const response = await this.fetch(`${this.apiUrl}${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new SCPClientError(`HTTP_${response.status}`, data.error || `Request failed with ${response.status}`);
+    }
+    return data;
+  }
+
+  // Open the socket; resolves once the relay has assigned our clientId
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = new this.WebSocket(this.url);
+      this.socket = socket;
+
+      socket.onmessage = (event) => {
+        // Binary messages carry file chunks, which this client does not take
+        if (typeof event.data !== 'string') return;
+        let data;
+        try {
+          data = JSON.parse(event.data);
+        } catch (error) {
+          return;
+        }
+        if (data.type === 'connected') {
+          this.clientId = data.clientId;
+          resolve(data.clientId);
+        }
+        this.handleEnvelope(data);
+      };
+      socket.onerror = () => {
+        reject(new SCPClientError('CONNECT_FAILED', `Could not connect to ${this.url}`));
+      };
+      socket.onclose = (event) => {
+        const closed = new SCPClientError('CLOSED', `Connection to ${this.url} closed (${event.code})`);
+        reject(closed);
+        this.retransmits.clear();
+        this.pending.forEach(({ reject: rejectSend }) => rejectSend(closed));
+        this.pending.clear();
+        this.emit('close', { code: event.code, reason: event.reason });
+      };
+    });
+  }
+
+  // Create a session and register as its server. Returns { code, ownerToken, ... }.
+  async host({ passcode, requireApproval = false } = {}) {
+    const session = await this.request('/api/create-session', {
+      method: 'POST',
+      body: { passcode: passcode || undefined, requireApproval }
+    });
+    await this.connect();
+
+    const registered = this.waitForRegistration();
+    this.sendEnvelope({
+      type: 'register-server',
+      code: session.code,
+      ownerToken: session.ownerToken,
+      versions: SUPPORTED_VERSIONS
+    });
+    await registered;
+    return session;
+  }
+
+  // Join an existing session as a client. Resolves once registered, which
+  // for sessions requiring approval is after the owner admits us.
+  async join(code, { username, passcode } = {}) {
+    const normalized = String(code).toUpperCase();
+    const { joinToken } = await this.request(`/api/sessions/${normalized}/join`, {
+      method: 'POST',
+      body: { username, passcode: passcode || undefined }
+    });
+    await this.connect();
+
+    const registered = this.waitForRegistration();
+    this.sendEnvelope({
+      type: 'register-client',
+      code: normalized,
+      joinToken,
+      hello: serialize(buildHello({ username, features: this.features }))
+    });
+    return registered;
+  }
+
+  // Settles on 'registered', or on the first error, rejection or close before it
+  waitForRegistration() {
+    return new Promise((resolve, reject) => {
+      const settle = (fn, value) => {
+        this.off('registered', onRegistered);
+        this.off('error', onError);
+        this.off('admission-rejected', onRejected);
+        this.off('close', onClose);
+        fn(value);
+      };
+      const onRegistered = data => settle(resolve, data);
+      const onError = error => settle(reject, error);
+      const onRejected = data => settle(reject, new SCPClientError('ADMISSION_REJECTED', data.message));
+      const onClose = () => settle(reject, new SCPClientError('CLOSED', 'Connection closed before registration'));
+
+      this.on('registered', onRegistered);
+      this.on('error', onError);
+      this.on('admission-rejected', onRejected);
+      this.on('close', onClose);
+    });
+  }
+
+  // Send a MSG (or another frame type) and resolve with its id once ACKed.
+  // Rejects with code 'NACK' (and `reason`) or 'FAILED' after the retries.
+  send(payload, { to, type = 'MSG', headers = {} } = {}) {
+    if (!this.role) {
+      return Promise.reject(new SCPClientError('NOT_REGISTERED', 'Join or host a session first'));
+    }
+    const id = this.nextId++;
+    const target = to || (this.role === 'server' ? '*' : 'server');
+    const frame = serialize({ type, id, headers: { from: this.address, to: target, ...headers }, payload });
+    const envelope = JSON.stringify({ type: 'scp-message', code: this.code, scpMessage: frame, messageId: id });
+
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.sendRaw(envelope);
+      this.retransmits.track(id, envelope);
+    });
+  }
+
+  // Round-trip time in ms to a peer ('server' by default for clients)
+  ping(to) {
+    const id = this.pingId++;
+    const target = to || (this.role === 'server' ? '*' : 'server');
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pings.delete(id);
+        reject(new SCPClientError('PING_TIMEOUT', `No PONG within ${PING_TIMEOUT_MS}ms`));
+      }, PING_TIMEOUT_MS);
+      this.pings.set(id, { resolve, timer });
+      this.sendFrame({ type: 'PING', id, headers: { to: target }, payload: Date.now() });
+    });
+  }
+
+  // As the server: let a client waiting for approval in, or turn it away
+  admit(clientId, approve = true) {
+    this.sendEnvelope({ type: 'admit', clientId, approve });
+  }
+
+  // As the server: restart the session's idle clock, e.g. after 'expiring'
+  extend() {
+    this.sendEnvelope({ type: 'extend-session' });
+  }
+
+  // As the server: simulate a bad network for the whole session, e.g.
+  // { dropRate: 0.2, latencyMs: 300 } (conditions left out are 0, so {}
+  // restores a good one). Everyone gets 'network-conditions'.
+  setNetwork(conditions = {}) {
+    this.sendEnvelope({ type: 'set-network', conditions });
+  }
+
+  // Leave the session for good (no resume grace period) with a BYE and close
+  // the socket. As the server this ends the session for everyone.
+  close({ reason = BYE_REASONS.LEAVING, message = '' } = {}) {
+    this.retransmits.clear();
+    this.pings.forEach(({ timer }) => clearTimeout(timer));
+    this.pings.clear();
+    if (!this.socket || this.socket.readyState !== OPEN) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      this.once('close', () => resolve());
+      if (this.role) {
+        this.sendFrame(buildBye({ id: this.nextId++, reason, message }));
+      }
+      this.socket.close();
+    });
+  }
+
+  sendRaw(data) {
+    if (this.socket && this.socket.readyState === OPEN) {
+      this.socket.send(data);
+    }
+  }
+
+  sendEnvelope(envelope) {
+    this.sendRaw(JSON.stringify(envelope));
+  }
+
+  // Untracked frame from us (receipts, PING/PONG, WELCOME)
+  sendFrame({ type, id, headers = {}, payload = '' }) {
+    this.sendEnvelope({
+      type: 'scp-message',
+      code: this.code,
+      scpMessage: serialize({ type, id, headers: { from: this.address, ...headers }, payload }),
+      messageId: id
+    });
+  }
+
+  sendReceipt(to, type, id, payload) {
+    this.sendFrame({ type, id, headers: { to }, payload });
+  }
+
+  handleStatus(id, status, entry) {
+    this.emit('status', { id, status, attempts: entry.attempts, reason: entry.reason });
+
+    const pending = this.pending.get(id);
+    if (!pending || status === 'sending' || status === 'retrying') return;
+    this.pending.delete(id);
+
+    if (status === 'acked') {
+      pending.resolve(id);
+    } else if (status === 'rejected') {
+      const error = new SCPClientError('NACK', `Message id=${id} rejected: ${entry.reason}`);
+      error.reason = entry.reason;
+      pending.reject(error);
+    } else {
+      pending.reject(new SCPClientError('FAILED', `Message id=${id} not acknowledged after ${entry.attempts} retransmissions`));
+    }
+  }
+
+  // Relay envelopes: registration, roster and notifications, SCP frames
+  handleEnvelope(data) {
+    switch (data.type) {
+      case 'connected':
+        return;
+
+      case 'registered':
+        this.role = data.role;
+        this.code = data.code;
+        this.clientId = data.clientId;
+        this.address = data.role === 'server' ? 'server' : data.clientId;
+        this.username = data.username || null;
+        this.emit('registered', data);
+        return;
+
+      case 'admission-pending':
+        this.emit('pending', data);
+        return;
+
+      case 'roster':
+        this.roster = data.participants;
+        this.emit('roster', data.participants);
+        return;
+
+      case 'scp-message':
+        this.handleFrame(data);
+        return;
+
+      case 'error':
+        this.emit('error', new SCPClientError(data.code || 'RELAY_ERROR', data.message));
+        return;
+
+      default:
+        this.emit(data.type, data);
+    }
+  }
+
+  handleFrame(envelope) {
+    let frame;
+    try {
+      frame = parse(envelope.scpMessage);
+    } catch (error) {
+      if (!(error instanceof SCPParseError)) throw error;
+      this.emit('error', new SCPClientError(error.code, `Malformed SCP frame: ${error.message}`));
+      return;
+    }
+    const { type, id, payload } = frame;
+    const sender = frame.headers.from ?? (envelope.from === 'client' ? envelope.clientId : 'server');
+    this.emit('frame', frame);
+
+    switch (type) {
+      case 'PING':
+        this.sendReceipt(sender, 'PONG', id, payload);
+        return;
+
+      case 'PONG': {
+        const ping = this.pings.get(id);
+        if (ping) {
+          clearTimeout(ping.timer);
+          this.pings.delete(id);
+          ping.resolve(Date.now() - Number(payload));
+        }
+        return;
+      }
+
+      case 'WELCOME':
+        this.protocol = readWelcome(frame);
+        this.emit('welcome', this.protocol);
+        return;
+
+      case 'ACK':
+        this.retransmits.ack(id);
+        return;
+
+      case 'NACK':
+        this.retransmits.nack(id, payload);
+        return;
+
+      // Lifecycle frames: a peer (or the relay) leaving or ending the session,
+      // and the relay's warning before an idle session expires
+      case 'BYE':
+        this.emit('bye', { from: sender, ...readBye(frame) });
+        return;
+
+      case 'EXPIRING':
+        this.emit('expiring', readExpiring(frame));
+        return;
+
+      default:
+    }
+
+    if (!this.duplicates.accept(sender, id)) {
+      this.sendReceipt(sender, 'ACK', id, 'MSG_RECEIVED');
+      return;
+    }
+    if (frame.headers.enc !== undefined) {
+      this.sendReceipt(sender, 'NACK', id, 'ENCRYPTION_UNSUPPORTED');
+      return;
+    }
+    if (!ACCEPTED_TYPES.includes(type)) {
+      this.sendReceipt(sender, 'NACK', id, 'UNSUPPORTED_TYPE');
+      return;
+    }
+
+    this.sendReceipt(sender, 'ACK', id, 'MSG_RECEIVED');
+    if (type === 'HELLO' && this.role === 'server') {
+      this.welcome(sender, frame);
+    }
+    this.emit('message', { type, id, from: sender, to: frame.headers.to, payload, frame });
+  }
+
+  // As the server: answer a client's HELLO
+  welcome(clientAddress, hello) {
+    const offer = readOffer(hello);
+    let agreed;
+    try {
+      agreed = negotiate(offer, { features: this.features });
+    } catch (error) {
+      this.sendReceipt(clientAddress, 'NACK', hello.id, error.code);
+      return;
+    }
+    this.peers.set(clientAddress, agreed);
+    if (offer.legacy) return;
+    this.sendFrame(buildWelcome({ ...agreed, headers: { to: clientAddress } }));
+  }
+}
+
+module.exports = { SCPClient, SCPClientError, Emitter, apiUrlFor };
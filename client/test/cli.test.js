@@ -0,0 +1,53 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFile } = require('child_process');
+const { startRelay, createClient, nextEvent } = require('./helpers');
+
+const SCP = path.join(__dirname, '..', 'bin', 'scp.js');
+
+// Run the scp command; resolves with { code, stdout, stderr }
+function scp(args, env = {}) {
+  return new Promise((resolve) => {
+    const options = { env: { ...process.env, ...env }, timeout: 10000 };
+    execFile(process.execPath, [SCP, ...args], options, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+describe('scp send', () => {
+  let ctx;
+  let host;
+  let session;
+  beforeEach(async () => {
+    ctx = await startRelay();
+    host = createClient(ctx);
+    session = await host.host();
+  });
+  afterEach(async () => {
+    await host.close();
+    await ctx.close();
+  });
+
+  it('delivers one message and exits 0 once it is acknowledged', async () => {
+    const received = nextEvent(host, 'message', m => m.type === 'MSG');
+    const { code, stdout } = await scp(['send', session.code, 'hello', '|', 'world', '--user', 'bob'], { SCP_URL: ctx.url });
+
+    assert.equal(code, 0);
+    assert.match(stdout, /^Delivered \(id=1\)$/m);
+    assert.equal((await received).payload, 'hello | world');
+  });
+
+  it('exits 1 with the reason when it cannot join', async () => {
+    const { code, stderr } = await scp(['send', 'NOPE0000', 'hello', '--user', 'bob', '--url', ctx.url]);
+    assert.equal(code, 1);
+    assert.match(stderr, /^scp: Session not found/);
+  });
+
+  it('needs a user name', async () => {
+    const { code, stderr } = await scp(['send', session.code, 'hello', '--url', ctx.url]);
+    assert.equal(code, 1);
+    assert.match(stderr, /--user/);
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startRelay, createClient, nextEvent } = require('./helpers');
+
+describe('SCPClient', () => {
+  let ctx;
+  let host;
+  let guest;
+  beforeEach(async () => {
+    ctx = await startRelay();
+    host = createClient(ctx);
+    guest = createClient(ctx);
+  });
+  afterEach(async () => {
+    await guest.close();
+    await host.close();
+    await ctx.close();
+  });
+
+  // Host a session and join it as alice
+  async function connect() {
+    const session = await host.host();
+    const hello = nextEvent(host, 'message', m => m.type === 'HELLO');
+    const registered = await guest.join(session.code.toLowerCase(), { username: 'alice' });
+    await hello;
+    return { session, registered };
+  }
+
+  it('hosts a session and joins it with a handshake', async () => {
+    const session = await host.host();
+    assert.equal(host.role, 'server');
+    assert.equal(host.code, session.code);
+
+    const hello = nextEvent(host, 'message', m => m.type === 'HELLO');
+    const welcome = nextEvent(guest, 'welcome');
+    const registered = await guest.join(session.code, { username: 'alice' });
+    assert.equal(registered.role, 'client');
+    assert.equal(registered.username, 'alice');
+    assert.equal(guest.address, registered.clientId);
+
+    assert.equal((await hello).from, registered.clientId);
+    assert.deepEqual(await welcome, { version: '1.1', features: ['acks'] });
+    assert.deepEqual(host.peers.get(registered.clientId), { version: '1.1', features: ['acks'] });
+  });
+
+  it('refuses to send before registering', async () => {
+    await assert.rejects(guest.send('hi'), { code: 'NOT_REGISTERED' });
+  });
+
+  it('resolves send with the id once the peer ACKs', async () => {
+    const { registered } = await connect();
+    const received = nextEvent(host, 'message', m => m.type === 'MSG');
+    const statuses = [];
+    guest.on('status', ({ id, status }) => statuses.push([id, status]));
+
+    assert.equal(await guest.send('hi'), 1);
+    const message = await received;
+    assert.equal(message.from, registered.clientId);
+    assert.equal(message.payload, 'hi');
+    assert.deepEqual(statuses.at(-1), [1, 'acked']);
+
+    const reply = nextEvent(guest, 'message', m => m.type === 'MSG');
+    assert.equal(await host.send('hello alice', { to: registered.clientId }), 1);
+    assert.equal((await reply).payload, 'hello alice');
+  });
+
+  it('rejects send with the reason of a NACK', async () => {
+    await connect();
+    await assert.rejects(guest.send('…', { type: 'TYPING' }), { code: 'NACK', reason: 'UNSUPPORTED_TYPE' });
+  });
+
+  it('measures the round trip with ping', async () => {
+    await connect();
+    const rtt = await guest.ping();
+    assert.ok(Number.isInteger(rtt) && rtt >= 0);
+  });
+
+  it('keeps pipes, backslashes and line breaks in payloads', async () => {
+    await connect();
+    const payload = 'a | b || c \\| d\nsecond line';
+    const received = nextEvent(host, 'message', m => m.type === 'MSG');
+    await guest.send(payload);
+    assert.equal((await received).payload, payload);
+  });
+
+  it('rejects a join with the relay error', async () => {
+    const session = await host.host({ passcode: 'open sesame' });
+    await assert.rejects(guest.join(session.code, { username: 'alice', passcode: 'wrong' }), { code: 'HTTP_401' });
+  });
+});
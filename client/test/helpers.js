@@ -0,0 +1,23 @@
+const WebSocket = require('ws');
+const { SCPClient } = require('..');
+// The relay's own harness: a relay on an ephemeral port with an in-memory
+// store and a manual clock (ctx.clock)
+const { startRelay } = require('../../backend/test/helpers');
+
+function createClient(ctx, options = {}) {
+  return new SCPClient({ url: ctx.url, WebSocket, ...options });
+}
+
+// Resolves with the arguments of the next `event` from `emitter` that passes `filter`
+function nextEvent(emitter, event, filter = () => true) {
+  return new Promise((resolve) => {
+    const listener = (data) => {
+      if (!filter(data)) return;
+      emitter.off(event, listener);
+      resolve(data);
+    };
+    emitter.on(event, listener);
+  });
+}
+
+module.exports = { startRelay, createClient, nextEvent };
@@ -0,0 +1,379 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Shield, RefreshCw, AlertCircle, UserX, Trash2, Megaphone, Users, MessageSquare, Clock, LogOut, ArrowLeft } from 'lucide-react';
+
+// Same relay as the chat app
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const REFRESH_MS = 5000;
+// The admin token lives for this tab only
+const TOKEN_KEY = 'scp-admin-token';
+
+const formatAge = (ms) => {
+  const seconds = Math.floor(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+const STATE_STYLES = {
+  connected: 'bg-emerald-900/40 text-emerald-300',
+  away: 'bg-yellow-900/40 text-yellow-300',
+  pending: 'bg-sky-900/40 text-sky-300',
+  absent: 'bg-slate-700 text-slate-400'
+};
+
+// Moderation view for whoever runs the relay (e.g. a workshop host): lists
+// the live sessions, removes participants, closes rooms and broadcasts
+// notices through the relay's admin API. Reached at #admin.
+const AdminDashboard = () => {
+  const [token, setToken] = useState(() => sessionStorage.getItem(TOKEN_KEY) || '');
+  const [tokenInput, setTokenInput] = useState('');
+  const [sessions, setSessions] = useState([]);
+  const [instance, setInstance] = useState('');
+  const [selected, setSelected] = useState(null); // session code
+  const [detail, setDetail] = useState(null);
+  const [notice, setNotice] = useState('');
+  const [noticeTarget, setNoticeTarget] = useState('all'); // 'all' or 'selected'
+  const [status, setStatus] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const logout = (message = '') => {
+    sessionStorage.removeItem(TOKEN_KEY);
+    setToken('');
+    setSessions([]);
+    setSelected(null);
+    setDetail(null);
+    setError(message);
+  };
+
+  const api = useCallback(async (path, { method = 'GET', body } = {}) => {
+    const response = await fetch(`${API_URL}/api/admin${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 401) {
+      logout('The relay rejected this admin token');
+    }
+    if (!response.ok) {
+      throw new Error(data.error || `Request failed (${response.status})`);
+    }
+    return data;
+  }, [token]);
+
+  // Reload the list, and the selected session's details (selecting one
+  // triggers this too)
+  const refresh = useCallback(async () => {
+    if (!token) return;
+    setLoading(true);
+    try {
+      const list = await api('/sessions');
+      setSessions(list.sessions);
+      setInstance(list.instance);
+      if (selected) {
+        if (list.sessions.some(s => s.code === selected)) {
+          setDetail(await api(`/sessions/${selected}`));
+        } else {
+          setSelected(null);
+          setDetail(null);
+        }
+      }
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [api, token, selected]);
+
+  useEffect(() => {
+    refresh();
+    const timer = setInterval(refresh, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [refresh]);
+
+  const login = (e) => {
+    e.preventDefault();
+    if (!tokenInput.trim()) return;
+    sessionStorage.setItem(TOKEN_KEY, tokenInput.trim());
+    setToken(tokenInput.trim());
+    setTokenInput('');
+    setError('');
+  };
+
+  const kick = async (clientId, username) => {
+    if (!window.confirm(`Remove "${username}" from session ${selected}? They cannot rejoin with their current link.`)) return;
+    try {
+      await api(`/sessions/${selected}/kick`, { method: 'POST', body: { clientId } });
+      setStatus(`Removed "${username}"`);
+      refresh();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const closeSession = async (code) => {
+    if (!window.confirm(`Close session ${code} for everyone in it?`)) return;
+    try {
+      await api(`/sessions/${code}`, { method: 'DELETE' });
+      setStatus(`Closed session ${code}`);
+      setSelected(null);
+      setDetail(null);
+      refresh();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const sendNotice = async (e) => {
+    e.preventDefault();
+    if (!notice.trim()) return;
+    const body = noticeTarget === 'selected' && selected ? { message: notice, code: selected } : { message: notice };
+    try {
+      const { delivered } = await api('/notice', { method: 'POST', body });
+      setStatus(`Notice shown to ${delivered} participant${delivered === 1 ? '' : 's'}`);
+      setNotice('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Token prompt
+  if (!token) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 flex items-center justify-center p-4">
+        <form onSubmit={login} className="max-w-md w-full bg-slate-800 border-2 border-amber-500/30 rounded-2xl p-8">
+          <div className="flex justify-center mb-6">
+            <div className="w-16 h-16 bg-gradient-to-br from-amber-500 to-amber-600 rounded-full flex items-center justify-center">
+              <Shield size={32} className="text-slate-900" />
+            </div>
+          </div>
+          <h2 className="text-3xl font-bold text-amber-400 mb-2 text-center">Relay Admin</h2>
+          <p className="text-slate-400 text-sm text-center mb-6">Enter the relay's admin token (SCP_ADMIN_TOKEN)</p>
+
+          {error && (
+            <div className="mb-4 p-3 bg-red-900/30 border border-red-500/50 rounded-lg flex items-center gap-2">
+              <AlertCircle className="text-red-400" size={18} />
+              <p className="text-red-300 text-sm">{error}</p>
+            </div>
+          )}
+
+          <input
+            type="password"
+            value={tokenInput}
+            onChange={(e) => setTokenInput(e.target.value)}
+            placeholder="Admin token"
+            autoFocus
+            className="w-full bg-slate-900 border border-slate-700 rounded-lg px-4 py-3 text-slate-200 focus:outline-none focus:border-amber-500 transition mb-4"
+          />
+          <button
+            type="submit"
+            className="w-full py-3 bg-gradient-to-r from-amber-500 to-amber-600 text-slate-900 font-bold rounded-lg hover:from-amber-600 hover:to-amber-700 transition"
+          >
+            Open Dashboard
+          </button>
+          <a href="#" className="mt-4 flex items-center justify-center gap-1 text-slate-500 text-sm hover:text-slate-300">
+            <ArrowLeft size={14} />
+            Back to the chat
+          </a>
+        </form>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 p-4">
+      <div className="max-w-6xl mx-auto">
+        {/* Header */}
+        <div className="bg-slate-800 border border-slate-700 rounded-2xl p-6 mb-4 flex items-center justify-between">
+          <div className="flex items-center gap-4">
+            <div className="w-12 h-12 bg-gradient-to-br from-amber-500 to-amber-600 rounded-full flex items-center justify-center">
+              <Shield size={24} className="text-slate-900" />
+            </div>
+            <div>
+              <h1 className="text-2xl font-bold text-amber-400">Relay Admin</h1>
+              <p className="text-slate-500 text-sm">
+                {sessions.length} live session{sessions.length === 1 ? '' : 's'}
+                {instance && <span className="font-mono"> · instance {instance}</span>}
+              </p>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={refresh}
+              className="p-2 hover:bg-slate-700 rounded-lg transition"
+              title="Refresh"
+            >
+              <RefreshCw size={20} className={`text-slate-400 ${loading ? 'animate-spin' : ''}`} />
+            </button>
+            <button
+              onClick={() => logout()}
+              className="flex items-center gap-2 px-4 py-2 bg-slate-700 text-slate-300 rounded-lg hover:bg-slate-600 transition font-medium"
+            >
+              <LogOut size={16} />
+              Sign out
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-4 bg-red-900/30 border border-red-500/50 rounded-lg flex items-center gap-3">
+            <AlertCircle className="text-red-400" size={20} />
+            <p className="text-red-300">{error}</p>
+          </div>
+        )}
+        {status && (
+          <div className="mb-4 p-3 bg-emerald-900/20 border border-emerald-500/40 rounded-lg text-emerald-300 text-sm">
+            {status}
+          </div>
+        )}
+
+        {/* Notice */}
+        <form onSubmit={sendNotice} className="bg-slate-800 border border-slate-700 rounded-2xl p-4 mb-4 flex items-center gap-3">
+          <Megaphone size={20} className="text-amber-400 shrink-0" />
+          <input
+            type="text"
+            value={notice}
+            onChange={(e) => setNotice(e.target.value)}
+            maxLength={500}
+            placeholder="System notice, e.g. 'Break in 5 minutes'"
+            className="flex-1 bg-slate-900 border border-slate-700 rounded-lg px-4 py-2 text-slate-200 focus:outline-none focus:border-amber-500 transition"
+          />
+          <select
+            value={noticeTarget}
+            onChange={(e) => setNoticeTarget(e.target.value)}
+            className="bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-slate-300 text-sm"
+          >
+            <option value="all">All sessions</option>
+            <option value="selected" disabled={!selected}>{selected ? `Session ${selected}` : 'Selected session'}</option>
+          </select>
+          <button
+            type="submit"
+            disabled={!notice.trim()}
+            className="px-4 py-2 bg-amber-500 text-slate-900 font-bold rounded-lg hover:bg-amber-400 transition disabled:opacity-50"
+          >
+            Broadcast
+          </button>
+        </form>
+
+        <div className="grid md:grid-cols-3 gap-4">
+          {/* Session list */}
+          <div className="bg-slate-800 border border-slate-700 rounded-2xl p-4 space-y-2">
+            {sessions.length === 0 && (
+              <p className="text-slate-500 text-sm text-center py-8">No live sessions</p>
+            )}
+            {sessions.map(s => (
+              <button
+                key={s.code}
+                onClick={() => setSelected(s.code)}
+                className={`w-full text-left p-3 rounded-lg border transition ${
+                  s.code === selected ? 'border-amber-500 bg-slate-900' : 'border-slate-700 hover:border-slate-500'
+                }`}
+              >
+                <p className="font-mono font-bold text-teal-400 tracking-wider">{s.code}</p>
+                <div className="flex items-center gap-4 mt-1 text-xs text-slate-400">
+                  <span className="flex items-center gap-1"><Clock size={12} />{formatAge(s.ageMs)}</span>
+                  <span className="flex items-center gap-1">
+                    <Users size={12} />
+                    {s.participants.filter(p => p.role === 'client').length}
+                  </span>
+                  <span className="flex items-center gap-1"><MessageSquare size={12} />{s.messageCount}</span>
+                </div>
+              </button>
+            ))}
+          </div>
+
+          {/* Session detail */}
+          <div className="md:col-span-2 bg-slate-800 border border-slate-700 rounded-2xl p-6">
+            {!detail ? (
+              <p className="text-slate-500 text-sm text-center py-8">Select a session to moderate it</p>
+            ) : (
+              <>
+                <div className="flex items-center justify-between mb-4">
+                  <div>
+                    <h2 className="text-xl font-bold text-slate-200">
+                      Session <span className="font-mono text-teal-400">{detail.code}</span>
+                    </h2>
+                    <p className="text-slate-500 text-xs mt-1">
+                      Open for {formatAge(detail.ageMs)} · idle for {formatAge(detail.idleMs)} · {detail.messageCount} messages
+                      {detail.passcodeRequired && ' · passcode'}
+                      {detail.requireApproval && ' · approval required'}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => closeSession(detail.code)}
+                    className="flex items-center gap-2 px-4 py-2 bg-red-600 text-white text-sm font-bold rounded-lg hover:bg-red-500 transition"
+                  >
+                    <Trash2 size={16} />
+                    Close Session
+                  </button>
+                </div>
+
+                <h3 className="text-slate-400 text-sm font-medium mb-2">Participants</h3>
+                <div className="space-y-2 mb-6">
+                  {detail.participants.map(p => (
+                    <div key={p.clientId} className="flex items-center gap-3 bg-slate-900 rounded-lg px-4 py-2">
+                      <span className="flex-1 text-slate-200">
+                        {p.role === 'server' ? 'Server' : p.username}
+                        <span className="ml-2 text-slate-600 font-mono text-xs">{p.clientId}</span>
+                      </span>
+                      <span className={`text-xs px-2 py-0.5 rounded ${STATE_STYLES[p.state]}`}>{p.state}</span>
+                      {p.role === 'client' && (
+                        <button
+                          onClick={() => kick(p.clientId, p.username)}
+                          className="flex items-center gap-1 px-2 py-1 text-red-400 text-xs hover:bg-red-900/30 rounded transition"
+                          title="Remove from the session"
+                        >
+                          <UserX size={14} />
+                          Remove
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+
+                <h3 className="text-slate-400 text-sm font-medium mb-2">Recent frames</h3>
+                {detail.recent.length === 0 ? (
+                  <p className="text-slate-500 text-sm">Nothing relayed yet</p>
+                ) : (
+                  <table className="w-full text-xs text-slate-400">
+                    <thead>
+                      <tr className="text-left text-slate-500">
+                        <th className="py-1">#</th>
+                        <th>Time</th>
+                        <th>Type</th>
+                        <th>From</th>
+                        <th>To</th>
+                        <th className="text-right">Bytes</th>
+                      </tr>
+                    </thead>
+                    <tbody className="font-mono">
+                      {detail.recent.map(m => (
+                        <tr key={m.seq} className="border-t border-slate-700/50">
+                          <td className="py-1">{m.seq}</td>
+                          <td>{new Date(m.timestamp).toLocaleTimeString()}</td>
+                          <td className="text-teal-400">{m.type}</td>
+                          <td>{m.from}</td>
+                          <td>{m.to}</td>
+                          <td className="text-right">{m.size}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminDashboard;
@@ -0,0 +1,324 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Send, Users, RotateCcw, Lock, Unlock, Paperclip, Download, FileDown } from 'lucide-react';
+import { RETRY_POLICY, PROTOCOL_FEATURES } from './useSCPSession';
+import { formatBytes } from './format';
+import { EXPORT_FORMATS, buildTranscript, downloadTranscript } from './transcript';
+
+const transferLabel = (t) => {
+  const percent = `${Math.round((t.done / t.chunks) * 100)}%`;
+  switch (t.status) {
+    case 'offered': return t.direction === 'in' ? 'Wants to send you a file' : 'Waiting for acceptance...';
+    case 'sending': return `Sending ${percent}`;
+    case 'receiving': return `Receiving ${percent}`;
+    case 'complete': return t.direction === 'in' ? 'Received, checksum verified' : 'Sent';
+    case 'failed': return `Failed: ${t.error}`;
+    case 'declined': return 'Declined';
+    default: return t.error ? `Cancelled (${t.error})` : 'Cancelled';
+  }
+};
+
+// File card with progress bar inside a FILE_OFFER bubble
+const TransferCard = ({ tid, session }) => {
+  const t = session.transfers[tid];
+  if (!t) return null;
+  const stopped = ['failed', 'cancelled', 'declined'].includes(t.status);
+  const running = t.status === 'sending' || t.status === 'receiving' ||
+    (t.status === 'offered' && t.direction === 'out');
+
+  return (
+    <div className="w-72 max-w-full">
+      <div className="flex items-center gap-2 text-sm text-slate-200">
+        <Paperclip size={14} className="text-slate-400 shrink-0" />
+        <span className="truncate flex-1" title={t.name}>{t.name}</span>
+        <span className="text-xs text-slate-500">{formatBytes(t.size)}</span>
+      </div>
+      <div className="mt-2 h-1.5 bg-slate-700 rounded-full overflow-hidden">
+        <div
+          className={`h-full transition-all ${stopped ? 'bg-red-500' : 'bg-emerald-400'}`}
+          style={{ width: `${Math.round((t.done / t.chunks) * 100)}%` }}
+        />
+      </div>
+      <div className="flex items-center justify-between gap-2 mt-1 text-xs">
+        <span className={stopped ? 'text-red-400' : 'text-slate-400'}>{transferLabel(t)}</span>
+        <span className="flex items-center gap-2">
+          {t.status === 'offered' && t.direction === 'in' && (
+            <>
+              <button onClick={() => session.acceptFile(tid)} className="text-emerald-400 hover:text-emerald-300">Accept</button>
+              <button onClick={() => session.cancelTransfer(tid, 'DECLINED')} className="text-slate-400 hover:text-slate-300">Decline</button>
+            </>
+          )}
+          {running && (
+            <button onClick={() => session.cancelTransfer(tid, 'CANCELLED')} className="text-slate-400 hover:text-slate-300">Cancel</button>
+          )}
+          {t.status === 'failed' && t.direction === 'out' && (
+            <button onClick={() => session.resumeFile(tid)} className="flex items-center gap-1 text-yellow-400 hover:text-yellow-300">
+              <RotateCcw size={12} />
+              Resume
+            </button>
+          )}
+          {t.status === 'complete' && t.url && (
+            <a href={t.url} download={t.name} className="flex items-center gap-1 text-emerald-400 hover:text-emerald-300">
+              <Download size={12} />
+              Save
+            </a>
+          )}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+// The conversation: the server's participant list, the messages and the
+// input. Frames go to `selectedPeer`, or the default peer(s) for our role.
+const ChatView = ({ session, selectedPeer, onSelectPeer }) => {
+  const [inputMessage, setInputMessage] = useState('');
+  const messagesEndRef = useRef(null);
+  const fileInput = useRef(null);
+  const { role, registered, messages, roster, protocols, latency, selfId, nameOf } = session;
+
+  // Everyone else in the session, and the conversation shown in the server view
+  const peers = roster.filter(p => p.clientId !== selfId);
+  const recipient = selectedPeer ?? session.defaultRecipient;
+  const visibleMessages = role === 'server' && selectedPeer
+    ? messages.filter(msg =>
+        msg.type === 'system' || msg.from === selectedPeer || msg.to === selectedPeer || msg.to === '*'
+      )
+    : messages;
+
+  // Scroll to bottom
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages]);
+
+  const handleSendMessage = () => {
+    if (!inputMessage.trim()) return;
+    session.sendMessage(inputMessage, recipient);
+    setInputMessage('');
+  };
+
+  // Handle Enter key
+  const handleKeyPress = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSendMessage();
+    }
+  };
+
+  const exportTranscript = (format) => {
+    downloadTranscript(buildTranscript({ ...session, frames: session.transcriptFrames, dropped: session.transcriptDropped }), format);
+  };
+
+  // Files pasted into the message box are sent instead of pasted as text
+  const handlePaste = (e) => {
+    const file = e.clipboardData?.files?.[0];
+    if (file && PROTOCOL_FEATURES.includes('file-transfer')) {
+      e.preventDefault();
+      session.offerFile(file, recipient);
+    }
+  };
+
+  return (
+    <>
+      <div className={role === 'server' ? 'grid md:grid-cols-[220px_1fr] gap-4 mb-4' : 'mb-4'}>
+        {/* Participant Roster */}
+        {role === 'server' && (
+          <div className="bg-slate-800 border-2 border-slate-700 rounded-2xl p-4 md:h-[500px] overflow-y-auto">
+            <div className="flex items-center gap-2 text-slate-300 font-bold mb-3">
+              <Users size={18} />
+              Participants
+            </div>
+            <div className="space-y-1">
+              <button
+                onClick={() => onSelectPeer(null)}
+                className={`w-full text-left px-3 py-2 rounded-lg text-sm transition ${
+                  selectedPeer === null ? 'bg-teal-900/40 text-teal-300' : 'text-slate-400 hover:bg-slate-700'
+                }`}
+              >
+                All clients
+              </button>
+              {peers.filter(p => p.role === 'client').map(p => (
+                <button
+                  key={p.clientId}
+                  onClick={() => onSelectPeer(p.clientId)}
+                  className={`w-full flex items-center gap-2 px-3 py-2 rounded-lg text-sm transition ${
+                    selectedPeer === p.clientId ? 'bg-teal-900/40 text-teal-300' : 'text-slate-400 hover:bg-slate-700'
+                  }`}
+                  title={p.connected
+                    ? [
+                        p.clientId,
+                        protocols[p.clientId] && `SCP/${protocols[p.clientId].version}`,
+                        latency[p.clientId] !== undefined && `${latency[p.clientId]} ms`
+                      ].filter(Boolean).join(' · ')
+                    : `${p.clientId} (away)`}
+                >
+                  <span className={`w-2 h-2 rounded-full ${p.connected ? 'bg-emerald-400' : 'bg-slate-500'}`} />
+                  <span className="truncate">{p.username}</span>
+                  <span className="ml-auto text-xs text-slate-500">
+                    {messages.filter(msg => msg.from === p.clientId).length}
+                  </span>
+                </button>
+              ))}
+              {peers.every(p => p.role !== 'client') && (
+                <p className="text-slate-500 text-xs px-3 py-2">No clients yet</p>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Messages Area */}
+        <div className="bg-slate-800 border-2 border-slate-700 rounded-2xl p-6" style={{ height: '500px', display: 'flex', flexDirection: 'column' }}>
+          {/* Transcript Export */}
+          <div className="flex items-center justify-end gap-1 mb-3 text-xs">
+            <FileDown size={14} className="text-slate-500" />
+            <span className="text-slate-500 mr-1">Export</span>
+            {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+              <button
+                key={format}
+                onClick={() => exportTranscript(format)}
+                disabled={session.transcriptFrames.length === 0}
+                className="px-2 py-1 bg-slate-700 text-slate-300 rounded hover:bg-slate-600 transition disabled:opacity-40"
+                title={`Save the frames of this session as ${label}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <div className="flex-1 overflow-y-auto space-y-3 pr-2">
+            {visibleMessages.map((msg, idx) => (
+              <div key={idx} className={`${
+                msg.type === 'system' ? 'text-center' :
+                msg.type === 'server' ? 'text-left' : 'text-right'
+              }`}>
+                {msg.type === 'system' ? (
+                  <div className="inline-block bg-slate-900 border border-slate-700 rounded-lg px-4 py-2">
+                    <p className="text-slate-400 text-sm">{msg.text}</p>
+                    <p className="text-slate-600 text-xs mt-1">{msg.timestamp}</p>
+                  </div>
+                ) : (
+                  <div className={`inline-block max-w-[80%] ${
+                    msg.type === 'server' ? 'bg-teal-900/30 border-teal-500/30' : 'bg-emerald-900/30 border-emerald-500/30'
+                  } border rounded-lg p-4`}>
+                    {msg.from && (
+                      <div className="flex items-center gap-1 text-xs font-medium text-slate-400 mb-1">
+                        {msg.encrypted && (
+                          <span title="End-to-end encrypted"><Lock size={12} className="text-emerald-400" /></span>
+                        )}
+                        {msg.unencrypted && (
+                          <span title="Sent unencrypted in an encrypted session"><Unlock size={12} className="text-amber-400" /></span>
+                        )}
+                        {nameOf(msg.from)} → {nameOf(msg.to)}
+                      </div>
+                    )}
+                    <div className="font-mono text-xs text-slate-500 mb-2 break-all">
+                      {msg.scpFormat}
+                    </div>
+                    {msg.msgType === 'MSG' && (
+                      <p className={`text-sm ${msg.type === 'server' ? 'text-teal-300' : 'text-emerald-300'}`}>
+                        {msg.payload}
+                      </p>
+                    )}
+                    {msg.msgType === 'FILE_OFFER' && <TransferCard tid={msg.transfer} session={session} />}
+                    <div className="flex items-center justify-between mt-2 text-xs">
+                      <span className="text-slate-500">{msg.timestamp}</span>
+                      {msg.status === 'acked' && (
+                        <span className="text-emerald-400">✓ Acknowledged</span>
+                      )}
+                      {msg.status === 'sending' && (
+                        <span className="text-yellow-400">Sending...</span>
+                      )}
+                      {msg.status === 'retrying' && (
+                        <span className="text-yellow-400">Retrying ({msg.attempts}/{RETRY_POLICY.maxRetries})...</span>
+                      )}
+                      {msg.status === 'failed' && (
+                        <span className="flex items-center gap-2">
+                          <span className="text-red-400">✗ Delivery failed</span>
+                          <button
+                            onClick={() => session.retryMessage(msg.id)}
+                            className="flex items-center gap-1 px-2 py-0.5 bg-slate-700 text-slate-300 rounded hover:bg-slate-600 transition"
+                            title="Resend this message"
+                          >
+                            <RotateCcw size={12} />
+                            Retry
+                          </button>
+                        </span>
+                      )}
+                      {msg.status === 'rejected' && (
+                        <span className="text-red-400" title={msg.reason}>✗ Rejected ({msg.reason})</span>
+                      )}
+                    </div>
+                  </div>
+                )}
+              </div>
+            ))}
+            <div ref={messagesEndRef} />
+          </div>
+        </div>
+      </div>
+
+      {/* Input Area */}
+      {registered && (
+        <div className="bg-slate-800 border-2 border-slate-700 rounded-2xl p-4">
+          <div className="flex gap-3">
+            {role === 'client' && (
+              <select
+                value={selectedPeer ?? ''}
+                onChange={(e) => onSelectPeer(e.target.value || null)}
+                className="bg-slate-900 border border-slate-700 rounded-lg px-3 py-3 text-slate-300 text-sm focus:outline-none focus:border-emerald-500"
+              >
+                <option value="">To: Server</option>
+                <option value="*">To: Everyone</option>
+                {peers.filter(p => p.role === 'client' && p.connected).map(p => (
+                  <option key={p.clientId} value={p.clientId}>To: {p.username}</option>
+                ))}
+              </select>
+            )}
+            {PROTOCOL_FEATURES.includes('file-transfer') && (
+              <>
+                <input
+                  ref={fileInput}
+                  type="file"
+                  className="hidden"
+                  onChange={(e) => {
+                    const file = e.target.files[0];
+                    e.target.value = '';
+                    if (file) session.offerFile(file, recipient);
+                  }}
+                />
+                <button
+                  onClick={() => fileInput.current?.click()}
+                  className="px-3 py-3 bg-slate-700 text-slate-300 rounded-lg hover:bg-slate-600 transition"
+                  title="Send a file"
+                >
+                  <Paperclip size={20} />
+                </button>
+              </>
+            )}
+            <input
+              type="text"
+              value={inputMessage}
+              onChange={(e) => setInputMessage(e.target.value)}
+              onKeyPress={handleKeyPress}
+              onPaste={handlePaste}
+              placeholder={`Type a message to ${nameOf(recipient)}...`}
+              className="flex-1 bg-slate-900 border border-slate-700 rounded-lg px-4 py-3 text-slate-200 focus:outline-none focus:border-teal-500 transition"
+            />
+            <button
+              onClick={handleSendMessage}
+              disabled={!inputMessage.trim()}
+              className={`px-6 py-3 rounded-lg font-bold flex items-center gap-2 transition ${
+                role === 'server'
+                  ? 'bg-gradient-to-r from-teal-500 to-teal-600 hover:from-teal-600 hover:to-teal-700'
+                  : 'bg-gradient-to-r from-emerald-500 to-emerald-600 hover:from-emerald-600 hover:to-emerald-700'
+              } text-slate-900 disabled:opacity-50 disabled:cursor-not-allowed`}
+            >
+              <Send size={20} />
+              Send
+            </button>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default ChatView;
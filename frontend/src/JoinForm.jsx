@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import { AlertCircle, Check } from 'lucide-react';
+import { CODE_LENGTH } from './useSCPSession';
+
+// Username, connection code and passcode for joining as a client. `onJoin`
+// resolves false when the relay turned us away before we connected. A code
+// from a join link comes in as `initialCode` and is looked up with `onCheck`
+// straight away, so a stale link shows before anyone types their name.
+const JoinForm = ({ error, initialCode = '', onCheck, onJoin, onBack }) => {
+  const [username, setUsername] = useState('');
+  const [code, setCode] = useState(initialCode);
+  const [passcode, setPasscode] = useState('');
+  const [joining, setJoining] = useState(false);
+  const [found, setFound] = useState(null); // { passcodeRequired } of the linked session
+
+  useEffect(() => {
+    if (!initialCode) return undefined;
+    let current = true;
+    onCheck(initialCode).then(result => current && setFound(result));
+    return () => {
+      current = false;
+    };
+  }, [initialCode]);
+
+  const complete = username.trim() && code.length === CODE_LENGTH;
+
+  const join = async () => {
+    if (!complete || joining) return;
+    setJoining(true);
+    if (!await onJoin({ code, username, passcode })) {
+      setJoining(false);
+    }
+  };
+
+  // Enter in any field joins once the form is complete
+  const handleKeyPress = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      join();
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 flex items-center justify-center p-4">
+      <div className="max-w-md w-full bg-slate-800 border-2 border-emerald-500/30 rounded-2xl p-8">
+        <h2 className="text-3xl font-bold text-emerald-400 mb-6 text-center">Client Setup</h2>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-900/30 border border-red-500/50 rounded-lg flex items-center gap-2">
+            <AlertCircle className="text-red-400" size={18} />
+            <p className="text-red-300 text-sm">{error}</p>
+          </div>
+        )}
+
+        <div className="space-y-4">
+          <div>
+            <label className="block text-slate-400 mb-2 text-sm font-medium">Your Username</label>
+            <input
+              type="text"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              onKeyPress={handleKeyPress}
+              placeholder="Enter your name..."
+              className="w-full bg-slate-900 border border-slate-700 rounded-lg px-4 py-3 text-slate-200 focus:outline-none focus:border-emerald-500 transition"
+            />
+          </div>
+
+          <div>
+            <label className="block text-slate-400 mb-2 text-sm font-medium">Connection Code</label>
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => {
+                setCode(e.target.value.toUpperCase());
+                setFound(null);
+              }}
+              onKeyPress={handleKeyPress}
+              placeholder={`Enter ${CODE_LENGTH}-character code...`}
+              maxLength={CODE_LENGTH}
+              className="w-full bg-slate-900 border border-slate-700 rounded-lg px-4 py-3 text-slate-200 font-mono text-lg tracking-wider focus:outline-none focus:border-emerald-500 transition"
+            />
+            {found && (
+              <p className="flex items-center gap-1 mt-2 text-emerald-400 text-xs">
+                <Check size={14} />
+                {found.passcodeRequired ? 'Session found, ask the server for its passcode' : 'Session found'}
+              </p>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-slate-400 mb-2 text-sm font-medium">Passcode (if the session has one)</label>
+            <input
+              type="password"
+              value={passcode}
+              onChange={(e) => setPasscode(e.target.value)}
+              onKeyPress={handleKeyPress}
+              placeholder="Session passcode..."
+              className="w-full bg-slate-900 border border-slate-700 rounded-lg px-4 py-3 text-slate-200 focus:outline-none focus:border-emerald-500 transition"
+            />
+          </div>
+
+          <button
+            onClick={join}
+            disabled={!complete || joining}
+            className="w-full bg-gradient-to-r from-emerald-500 to-emerald-600 text-slate-900 font-bold py-3 rounded-lg hover:from-emerald-600 hover:to-emerald-700 disabled:opacity-50 disabled:cursor-not-allowed transition"
+          >
+            {joining ? 'Connecting...' : 'Connect to Server'}
+          </button>
+
+          <button
+            onClick={onBack}
+            className="w-full bg-slate-700 text-slate-300 font-medium py-3 rounded-lg hover:bg-slate-600 transition"
+          >
+            Back
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default JoinForm;
@@ -0,0 +1,104 @@
+import React, { useRef } from 'react';
+import { Server, User, AlertCircle, History } from 'lucide-react';
+
+// Start screen: host a session as the server or join one as a client, or
+// replay a saved transcript
+const ModePicker = ({ error, onChoose, onOpenTranscript }) => {
+  const fileInput = useRef(null);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 flex items-center justify-center p-4">
+      <div className="max-w-4xl w-full">
+        <div className="text-center mb-12">
+          <h1 className="text-5xl font-bold text-teal-400 mb-4">🔄 Two-Way SCP Live Demo</h1>
+          <p className="text-slate-400 text-lg">Real Bidirectional Communication with WebSockets</p>
+          <p className="text-slate-500 text-sm mt-2">Works across devices and browser tabs!</p>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-900/30 border border-red-500/50 rounded-lg flex items-center gap-3">
+            <AlertCircle className="text-red-400" size={20} />
+            <p className="text-red-300">{error}</p>
+          </div>
+        )}
+
+        <div className="grid md:grid-cols-2 gap-6">
+          {/* Server Card */}
+          <div
+            onClick={() => onChoose('server')}
+            className="bg-slate-800 border-2 border-teal-500/30 rounded-2xl p-8 cursor-pointer hover:border-teal-500 hover:shadow-2xl hover:shadow-teal-500/20 transition-all duration-300 group"
+          >
+            <div className="flex justify-center mb-6">
+              <div className="w-20 h-20 bg-gradient-to-br from-teal-500 to-teal-600 rounded-full flex items-center justify-center group-hover:scale-110 transition-transform">
+                <Server size={40} className="text-slate-900" />
+              </div>
+            </div>
+            <h2 className="text-2xl font-bold text-teal-400 text-center mb-3">Start as Server</h2>
+            <p className="text-slate-400 text-center mb-4">
+              Generate a connection code and wait for clients to connect
+            </p>
+            <ul className="space-y-2 text-sm text-slate-500">
+              <li>✓ Generate unique connection code</li>
+              <li>✓ Accept client connections</li>
+              <li>✓ Real WebSocket communication</li>
+              <li>✓ Works across devices</li>
+            </ul>
+          </div>
+
+          {/* Client Card */}
+          <div
+            onClick={() => onChoose('client')}
+            className="bg-slate-800 border-2 border-emerald-500/30 rounded-2xl p-8 cursor-pointer hover:border-emerald-500 hover:shadow-2xl hover:shadow-emerald-500/20 transition-all duration-300 group"
+          >
+            <div className="flex justify-center mb-6">
+              <div className="w-20 h-20 bg-gradient-to-br from-emerald-500 to-emerald-600 rounded-full flex items-center justify-center group-hover:scale-110 transition-transform">
+                <User size={40} className="text-slate-900" />
+              </div>
+            </div>
+            <h2 className="text-2xl font-bold text-emerald-400 text-center mb-3">Start as Client</h2>
+            <p className="text-slate-400 text-center mb-4">
+              Enter a connection code to join a server
+            </p>
+            <ul className="space-y-2 text-sm text-slate-500">
+              <li>✓ Connect with server code</li>
+              <li>✓ Set your username</li>
+              <li>✓ Real-time SCP protocol</li>
+              <li>✓ Full-duplex communication</li>
+            </ul>
+          </div>
+        </div>
+
+        <div className="mt-12 text-center">
+          <p className="text-slate-500 text-sm">
+            💡 Open this page on different devices or tabs to test real client-server communication
+          </p>
+          <div className="flex items-center justify-center gap-4 mt-2 text-xs">
+            <button
+              onClick={() => fileInput.current?.click()}
+              className="flex items-center gap-1 text-slate-600 hover:text-slate-400 transition"
+            >
+              <History size={12} />
+              Replay a saved transcript
+            </button>
+            <a href="#admin" className="text-slate-600 hover:text-slate-400 transition">
+              Running a workshop? Open the admin dashboard
+            </a>
+          </div>
+          <input
+            ref={fileInput}
+            type="file"
+            accept=".json,.scplog,.log,.txt"
+            className="hidden"
+            onChange={(e) => {
+              const file = e.target.files[0];
+              e.target.value = '';
+              if (file) onOpenTranscript(file);
+            }}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ModePicker;
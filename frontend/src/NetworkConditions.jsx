@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+import { Gauge, X } from 'lucide-react';
+
+// Simulated network conditions of a session (backend/faults.js). The relay
+// applies them to every frame it passes on, so the ACK/NACK and
+// retransmission logic can be watched at work on a bad network.
+
+export const PERFECT_NETWORK = {
+  dropRate: 0,
+  latencyMs: 0,
+  jitterMs: 0,
+  duplicateRate: 0,
+  reorderRate: 0,
+  corruptRate: 0
+};
+
+// Sliders of the panel; rates are shown in percent
+const CONTROLS = [
+  { key: 'dropRate', label: 'Packet loss', max: 1, step: 0.01, rate: true },
+  { key: 'latencyMs', label: 'Latency', max: 5000, step: 50 },
+  { key: 'jitterMs', label: 'Jitter', max: 2000, step: 25 },
+  { key: 'duplicateRate', label: 'Duplication', max: 1, step: 0.01, rate: true },
+  { key: 'reorderRate', label: 'Reordering', max: 1, step: 0.01, rate: true },
+  { key: 'corruptRate', label: 'Corruption', max: 1, step: 0.01, rate: true }
+];
+
+const PRESETS = [
+  { label: 'Perfect', conditions: PERFECT_NETWORK },
+  { label: 'Flaky Wi-Fi', conditions: { ...PERFECT_NETWORK, dropRate: 0.1, latencyMs: 80, jitterMs: 60, reorderRate: 0.05 } },
+  { label: 'Satellite', conditions: { ...PERFECT_NETWORK, latencyMs: 1200, jitterMs: 200 } },
+  { label: 'Chaos', conditions: { dropRate: 0.3, latencyMs: 400, jitterMs: 300, duplicateRate: 0.2, reorderRate: 0.2, corruptRate: 0.1 } }
+];
+
+const percent = (rate) => `${Math.round(rate * 100)}%`;
+
+// Whether anything but a perfect network is simulated
+export const isSimulated = (conditions) => Boolean(conditions) && CONTROLS.some(({ key }) => conditions[key] > 0);
+
+// One-line summary, e.g. "10% loss, 80±60 ms latency"
+export const describeConditions = (conditions) => {
+  const parts = [];
+  if (conditions.dropRate > 0) parts.push(`${percent(conditions.dropRate)} loss`);
+  if (conditions.latencyMs > 0 || conditions.jitterMs > 0) {
+    parts.push(`${conditions.latencyMs}${conditions.jitterMs > 0 ? `±${conditions.jitterMs}` : ''} ms latency`);
+  }
+  if (conditions.duplicateRate > 0) parts.push(`${percent(conditions.duplicateRate)} duplicated`);
+  if (conditions.reorderRate > 0) parts.push(`${percent(conditions.reorderRate)} reordered`);
+  if (conditions.corruptRate > 0) parts.push(`${percent(conditions.corruptRate)} corrupted`);
+  return parts.join(', ');
+};
+
+// The owner's panel: edit the conditions, then apply them to the session
+const NetworkConditions = ({ conditions, onApply, onClose }) => {
+  const [draft, setDraft] = useState(conditions || PERFECT_NETWORK);
+
+  // Start over from what the relay confirmed
+  useEffect(() => {
+    setDraft(conditions || PERFECT_NETWORK);
+  }, [conditions]);
+
+  const changed = CONTROLS.some(({ key }) => draft[key] !== (conditions || PERFECT_NETWORK)[key]);
+
+  return (
+    <div className="mb-4 p-4 bg-slate-800 border-2 border-slate-700 rounded-2xl">
+      <div className="flex items-center gap-2 mb-3">
+        <Gauge size={18} className="text-teal-400" />
+        <h3 className="text-slate-200 font-bold">Network Conditions</h3>
+        <span className="text-slate-500 text-xs">simulated by the relay for everyone in this session</span>
+        <button
+          onClick={onClose}
+          className="ml-auto p-1 text-slate-400 hover:bg-slate-700 rounded transition"
+          title="Hide network conditions"
+        >
+          <X size={16} />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {PRESETS.map(preset => (
+          <button
+            key={preset.label}
+            onClick={() => setDraft(preset.conditions)}
+            className="px-3 py-1 bg-slate-700 text-slate-300 text-xs font-medium rounded-full hover:bg-slate-600 transition"
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid sm:grid-cols-2 gap-x-6 gap-y-3">
+        {CONTROLS.map(({ key, label, max, step, rate }) => (
+          <label key={key} className="block">
+            <div className="flex justify-between text-sm mb-1">
+              <span className="text-slate-300">{label}</span>
+              <span className="text-teal-400 font-mono">{rate ? percent(draft[key]) : `${draft[key]} ms`}</span>
+            </div>
+            <input
+              type="range"
+              min={0}
+              max={max}
+              step={step}
+              value={draft[key]}
+              onChange={(e) => setDraft(prev => ({ ...prev, [key]: Number(e.target.value) }))}
+              className="w-full accent-teal-500"
+            />
+          </label>
+        ))}
+      </div>
+
+      <div className="flex justify-end gap-2 mt-4">
+        <button
+          onClick={() => onApply(PERFECT_NETWORK)}
+          disabled={!isSimulated(conditions)}
+          className="px-3 py-1.5 bg-slate-700 text-slate-300 text-sm font-medium rounded-lg hover:bg-slate-600 transition disabled:opacity-40"
+        >
+          Turn off
+        </button>
+        <button
+          onClick={() => onApply(draft)}
+          disabled={!changed}
+          className="px-3 py-1.5 bg-emerald-600 text-slate-900 text-sm font-bold rounded-lg hover:bg-emerald-500 transition disabled:opacity-40"
+        >
+          Apply
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default NetworkConditions;
@@ -0,0 +1,374 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Activity, List, GitCommitVertical, Trash2 } from 'lucide-react';
+import { categoryOf, roundTrips } from './traffic';
+
+// Colour per frame type, shared by the timeline badges and the diagram arrows
+const TYPE_COLORS = {
+  MSG: '#2dd4bf',
+  ACK: '#34d399',
+  NACK: '#f87171',
+  HELLO: '#38bdf8',
+  WELCOME: '#38bdf8',
+  PING: '#64748b',
+  PONG: '#64748b',
+  BYE: '#fbbf24',
+  EXPIRING: '#fbbf24',
+  MALFORMED: '#f87171',
+  relay: '#94a3b8'
+};
+const colorOf = (category) => TYPE_COLORS[category] || (category.startsWith('FILE_') ? '#a78bfa' : '#cbd5e1');
+
+// Heartbeats every few seconds drown out everything else, so they start hidden
+const INITIALLY_HIDDEN = ['PING', 'PONG'];
+// Rows drawn in the sequence diagram; the timeline lists everything
+const DIAGRAM_ROWS = 60;
+const PAYLOAD_PREVIEW = 500;
+
+const labelOf = (entry) => (entry.kind === 'envelope' ? entry.type : entry.frame?.type ?? 'MALFORMED');
+
+// Lanes of the diagram: this tab, the relay and the other side. A client tab
+// gets a fourth lane once it talks to other clients directly.
+const lanesFor = (isServer, entries) => {
+  if (isServer) {
+    return [
+      { key: 'clients', label: 'Clients' },
+      { key: 'relay', label: 'Relay' },
+      { key: 'server', label: 'Server (you)' }
+    ];
+  }
+  const lanes = [
+    { key: 'self', label: 'Client (you)' },
+    { key: 'relay', label: 'Relay' },
+    { key: 'server', label: 'Server' }
+  ];
+  return entries.some(e => e.lanes?.includes('others')) ? [...lanes, { key: 'others', label: 'Other clients' }] : lanes;
+};
+
+// Hops an entry makes between lanes, e.g. [['self', 'relay'], ['relay', 'server']].
+// The hop this tab can see is drawn solid, the relay's part of the trip dashed.
+const hopsOf = (entry, isServer, self) => {
+  const own = isServer ? 'server' : 'self';
+  const laneOf = (address) => {
+    if (address === 'relay') return 'relay';
+    if (isServer) return address === 'server' ? 'server' : 'clients';
+    if (address === self) return 'self';
+    if (address === undefined || address === 'server' || address === '*') return 'server';
+    return 'others';
+  };
+
+  if (entry.kind === 'envelope') {
+    return entry.direction === 'out' ? [[own, 'relay', true]] : [['relay', own, true]];
+  }
+  if (entry.direction === 'out') {
+    return [[own, 'relay', true], ['relay', laneOf(entry.to), false]];
+  }
+  if (entry.from === 'relay') {
+    return [['relay', own, true]];
+  }
+  return [[laneOf(entry.from), 'relay', false], ['relay', own, true]];
+};
+
+const formatOffset = (ms) => `+${(ms / 1000).toFixed(3)}s`;
+
+// Live frame log of this tab's WebSocket: a filterable timeline with parsed
+// headers, sizes and round-trip times, and a sequence diagram of the same
+// traffic between client, relay and server. Frames are shown as they are on
+// the wire, so encrypted payloads stay ciphertext. Without `onClear` (a
+// replayed transcript) the log cannot be cleared.
+const ProtocolInspector = ({ entries, mode, self, nameOf, onClear }) => {
+  const [hidden, setHidden] = useState(() => new Set(INITIALLY_HIDDEN));
+  const [view, setView] = useState('diagram'); // 'diagram' or 'timeline'
+  const [selected, setSelected] = useState(null); // seq of the entry shown in detail
+  const scrollRef = useRef(null);
+  const isServer = mode === 'server';
+
+  const trips = useMemo(() => roundTrips(entries), [entries]);
+  const categories = useMemo(() => {
+    const counts = new Map();
+    entries.forEach((entry) => {
+      const category = categoryOf(entry);
+      counts.set(category, (counts.get(category) || 0) + 1);
+    });
+    return [...counts];
+  }, [entries]);
+  const visible = useMemo(() => entries
+    .filter(entry => !hidden.has(categoryOf(entry)))
+    .map(entry => ({ ...entry, hops: hopsOf(entry, isServer, self) }))
+    .map(entry => ({ ...entry, lanes: entry.hops.flat() })), [entries, hidden, isServer, self]);
+  const startedAt = entries[0]?.at ?? 0;
+  const detail = entries.find(entry => entry.seq === selected);
+
+  // Follow new traffic
+  useEffect(() => {
+    const node = scrollRef.current;
+    if (node) node.scrollTop = node.scrollHeight;
+  }, [visible.length, view]);
+
+  const toggle = (category) => {
+    setHidden((prev) => {
+      const next = new Set(prev);
+      if (next.has(category)) {
+        next.delete(category);
+      } else {
+        next.add(category);
+      }
+      return next;
+    });
+  };
+
+  return (
+    <div className="bg-slate-800 border-2 border-slate-700 rounded-2xl p-4 min-w-0">
+      <div className="flex items-center gap-2 mb-3">
+        <Activity size={18} className="text-teal-400" />
+        <h3 className="text-slate-200 font-bold">Protocol Inspector</h3>
+        <span className="text-slate-500 text-xs">{entries.length} messages</span>
+        <div className="ml-auto flex items-center gap-1">
+          <button
+            onClick={() => setView('diagram')}
+            className={`flex items-center gap-1 px-2 py-1 rounded text-xs transition ${
+              view === 'diagram' ? 'bg-teal-900/40 text-teal-300' : 'text-slate-400 hover:bg-slate-700'
+            }`}
+          >
+            <GitCommitVertical size={14} />
+            Sequence
+          </button>
+          <button
+            onClick={() => setView('timeline')}
+            className={`flex items-center gap-1 px-2 py-1 rounded text-xs transition ${
+              view === 'timeline' ? 'bg-teal-900/40 text-teal-300' : 'text-slate-400 hover:bg-slate-700'
+            }`}
+          >
+            <List size={14} />
+            Timeline
+          </button>
+          {onClear && (
+            <button
+              onClick={() => {
+                setSelected(null);
+                onClear();
+              }}
+              className="p-1 text-slate-500 hover:text-slate-300 transition"
+              title="Clear the log"
+            >
+              <Trash2 size={14} />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-wrap gap-1 mb-3">
+        {categories.map(([category, count]) => (
+          <button
+            key={category}
+            onClick={() => toggle(category)}
+            className={`px-2 py-0.5 rounded-full border text-xs font-mono transition ${
+              hidden.has(category) ? 'border-slate-700 text-slate-600' : 'border-slate-600 bg-slate-900'
+            }`}
+            style={hidden.has(category) ? undefined : { color: colorOf(category) }}
+            title={hidden.has(category) ? 'Show' : 'Hide'}
+          >
+            {category === 'relay' ? 'relay messages' : category} {count}
+          </button>
+        ))}
+        {categories.length === 0 && (
+          <p className="text-slate-500 text-xs">Nothing on the wire yet</p>
+        )}
+      </div>
+
+      <div ref={scrollRef} className="h-[360px] overflow-y-auto bg-slate-900 rounded-lg border border-slate-700">
+        {view === 'diagram' ? (
+          <SequenceDiagram
+            entries={visible.slice(-DIAGRAM_ROWS)}
+            lanes={lanesFor(isServer, visible)}
+            trips={trips}
+            selected={selected}
+            onSelect={setSelected}
+          />
+        ) : (
+          <div className="divide-y divide-slate-800">
+            {visible.map((entry) => {
+              const category = categoryOf(entry);
+              const trip = trips.get(entry.seq);
+              return (
+                <button
+                  key={entry.seq}
+                  onClick={() => setSelected(entry.seq)}
+                  className={`w-full flex items-center gap-2 px-3 py-1.5 text-left text-xs transition ${
+                    entry.seq === selected ? 'bg-teal-900/30' : 'hover:bg-slate-800'
+                  }`}
+                >
+                  <span className="font-mono text-slate-500 w-20 shrink-0">{formatOffset(entry.at - startedAt)}</span>
+                  <span className={entry.direction === 'out' ? 'text-teal-400' : 'text-emerald-400'}>
+                    {entry.direction === 'out' ? '→' : '←'}
+                  </span>
+                  <span className="font-mono font-bold shrink-0" style={{ color: colorOf(category) }}>{labelOf(entry)}</span>
+                  {entry.frame && <span className="font-mono text-slate-400 shrink-0">id={entry.frame.id}</span>}
+                  {entry.kind === 'frame' && (
+                    <span className="text-slate-400 truncate">
+                      {nameOf(entry.from ?? self)} → {nameOf(entry.to ?? (isServer ? '*' : 'server'))}
+                    </span>
+                  )}
+                  <span className="ml-auto font-mono text-slate-500 shrink-0">{entry.size} B</span>
+                  {trip && (
+                    <span className={`font-mono shrink-0 ${trip.receipt === 'NACK' ? 'text-red-400' : 'text-emerald-400'}`}>
+                      {trip.ms} ms
+                    </span>
+                  )}
+                </button>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {/* Selected frame */}
+      <div className="mt-3 bg-slate-900 rounded-lg border border-slate-700 p-3 text-xs">
+        {!detail ? (
+          <p className="text-slate-500">Select a frame to see its fields</p>
+        ) : (
+          <FrameDetail entry={detail} trip={trips.get(detail.seq)} startedAt={startedAt} />
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Parsed fields of one entry, then the bytes as they were on the wire
+const FrameDetail = ({ entry, trip, startedAt }) => {
+  const category = categoryOf(entry);
+  const rows = entry.kind === 'envelope'
+    ? Object.entries(entry.fields).map(([key, value]) => [key, typeof value === 'string' ? value : JSON.stringify(value)])
+    : entry.frame
+      ? [['version', `SCP/${entry.frame.version}`], ['id', entry.frame.id], ...Object.entries(entry.frame.headers)]
+      : [];
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-3 flex-wrap">
+        <span className="font-mono font-bold text-sm" style={{ color: colorOf(category) }}>{labelOf(entry)}</span>
+        <span className="text-slate-400">{entry.direction === 'out' ? 'sent' : 'received'}</span>
+        <span className="text-slate-500">
+          {new Date(entry.at).toLocaleTimeString()} ({formatOffset(entry.at - startedAt)})
+        </span>
+        <span className="text-slate-500">{entry.size} bytes{entry.binary ? ' (binary)' : ''}</span>
+        {entry.replayed && <span className="text-yellow-400">replayed after resume</span>}
+        {trip && (
+          <span className={trip.receipt === 'NACK' ? 'text-red-400' : 'text-emerald-400'}>
+            {trip.receipt} after {trip.ms} ms
+          </span>
+        )}
+      </div>
+
+      {entry.kind === 'frame' && !entry.frame && (
+        <p className="text-red-400">This frame does not parse as SCP</p>
+      )}
+
+      {rows.length > 0 && (
+        <table className="font-mono">
+          <tbody>
+            {rows.map(([key, value]) => (
+              <tr key={key}>
+                <td className="pr-4 text-slate-500 align-top">{key}</td>
+                <td className="text-slate-300 break-all">{String(value)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {entry.frame && entry.frame.payload !== '' && (
+        <div>
+          <p className="text-slate-500 mb-1">Payload</p>
+          <p className="font-mono text-slate-300 break-all whitespace-pre-wrap">
+            {entry.frame.payload.length > PAYLOAD_PREVIEW
+              ? `${entry.frame.payload.slice(0, PAYLOAD_PREVIEW)}… (${entry.frame.payload.length} characters)`
+              : entry.frame.payload}
+          </p>
+        </div>
+      )}
+
+      {entry.raw !== undefined && (
+        <div>
+          <p className="text-slate-500 mb-1">On the wire</p>
+          <p className="font-mono text-teal-300/80 break-all">
+            {entry.raw.length > PAYLOAD_PREVIEW ? `${entry.raw.slice(0, PAYLOAD_PREVIEW)}…` : entry.raw}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const DIAGRAM_WIDTH = 560;
+const HEADER_HEIGHT = 40;
+const ROW_HEIGHT = 36;
+
+// Sequence diagram: one lifeline per lane, time running down, one row per
+// entry. A relayed frame is two arrows, into the relay and out of it.
+const SequenceDiagram = ({ entries, lanes, trips, selected, onSelect }) => {
+  const laneX = Object.fromEntries(lanes.map((lane, i) => [lane.key, (i + 0.5) * DIAGRAM_WIDTH / lanes.length]));
+  const height = HEADER_HEIGHT + Math.max(entries.length, 1) * ROW_HEIGHT + 12;
+
+  const arrow = (from, to, y, color, solid, key) => {
+    const x1 = laneX[from];
+    const x2 = laneX[to];
+    if (x1 === undefined || x2 === undefined || x1 === x2) return null;
+    const tip = x2 > x1 ? -6 : 6;
+    return (
+      <g key={key}>
+        <line x1={x1} y1={y} x2={x2 + tip} y2={y} stroke={color} strokeWidth={1.5} strokeDasharray={solid ? undefined : '4 3'} />
+        <polygon points={`${x2},${y} ${x2 + tip},${y - 4} ${x2 + tip},${y + 4}`} fill={color} />
+      </g>
+    );
+  };
+
+  return (
+    <svg viewBox={`0 0 ${DIAGRAM_WIDTH} ${height}`} className="w-full" style={{ minHeight: height }}>
+      {lanes.map(lane => (
+        <g key={lane.key}>
+          <line x1={laneX[lane.key]} y1={HEADER_HEIGHT - 8} x2={laneX[lane.key]} y2={height} stroke="#334155" strokeDasharray="2 4" />
+          <rect x={laneX[lane.key] - 55} y={6} width={110} height={24} rx={6} fill="#1e293b" stroke="#475569" />
+          <text x={laneX[lane.key]} y={22} textAnchor="middle" fontSize={11} fill="#cbd5e1">{lane.label}</text>
+        </g>
+      ))}
+
+      {entries.map((entry, i) => {
+        const y = HEADER_HEIGHT + i * ROW_HEIGHT + 22;
+        const category = categoryOf(entry);
+        const color = colorOf(category);
+        const trip = trips.get(entry.seq);
+        const [first] = entry.hops;
+        const labelX = (laneX[first[0]] + laneX[first[1]]) / 2;
+        const label = entry.frame ? `${entry.frame.type} id=${entry.frame.id}` : labelOf(entry);
+
+        return (
+          <g key={entry.seq} onClick={() => onSelect(entry.seq)} style={{ cursor: 'pointer' }}>
+            <rect
+              x={0}
+              y={y - 20}
+              width={DIAGRAM_WIDTH}
+              height={ROW_HEIGHT - 2}
+              fill={entry.seq === selected ? '#134e4a' : 'transparent'}
+              opacity={0.5}
+            />
+            {entry.hops.map(([from, to, solid], hop) => arrow(from, to, y + hop * 8, color, solid, hop))}
+            <text x={labelX} y={y - 6} textAnchor="middle" fontSize={10} fontFamily="monospace" fill={color}>
+              {label}
+              {trip ? ` · ${trip.receipt} ${trip.ms} ms` : ''}
+              {entry.replayed ? ' · replayed' : ''}
+            </text>
+          </g>
+        );
+      })}
+
+      {entries.length === 0 && (
+        <text x={DIAGRAM_WIDTH / 2} y={HEADER_HEIGHT + 24} textAnchor="middle" fontSize={11} fill="#64748b">
+          Frames will appear here as they cross the relay
+        </text>
+      )}
+    </svg>
+  );
+};
+
+export default ProtocolInspector;
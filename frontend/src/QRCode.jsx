@@ -0,0 +1,31 @@
+import React, { useMemo } from 'react';
+import { encodeQR } from './qrcode';
+
+// Quiet zone around the symbol, in modules, as scanners expect
+const MARGIN = 4;
+
+// `value` as a QR code, drawn as one SVG path
+const QRCode = ({ value, size = 176 }) => {
+  const modules = useMemo(() => encodeQR(value), [value]);
+  const extent = modules.length + MARGIN * 2;
+  const path = modules
+    .flatMap((row, y) => row.map((dark, x) => (dark ? `M${x + MARGIN} ${y + MARGIN}h1v1h-1z` : '')))
+    .join('');
+
+  return (
+    <svg
+      width={size}
+      height={size}
+      viewBox={`0 0 ${extent} ${extent}`}
+      shapeRendering="crispEdges"
+      role="img"
+      aria-label={`QR code for ${value}`}
+      className="rounded-lg"
+    >
+      <rect width={extent} height={extent} fill="#ffffff" />
+      <path d={path} fill="#0f172a" />
+    </svg>
+  );
+};
+
+export default QRCode;
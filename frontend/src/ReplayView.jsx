@@ -0,0 +1,177 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { History, SkipBack, SkipForward, ChevronLeft, ChevronRight, Play, Pause, Lock, X } from 'lucide-react';
+import { tryParse } from 'scp-protocol';
+import ProtocolInspector from './ProtocolInspector';
+import { HEARTBEAT_TYPES } from './traffic';
+
+// Delay between frames while playing
+const PLAY_INTERVAL_MS = 1000;
+
+const encoder = new TextEncoder();
+
+// A transcript frame as a traffic entry (traffic.js), for the inspector
+const entryOf = (frame) => ({
+  seq: frame.seq,
+  at: frame.at ? Date.parse(frame.at) : 0,
+  direction: frame.direction,
+  kind: 'frame',
+  raw: frame.raw,
+  frame: tryParse(frame.raw),
+  from: frame.from ?? undefined,
+  to: frame.to ?? undefined,
+  size: encoder.encode(frame.raw).length,
+  binary: frame.binary,
+  replayed: false
+});
+
+// Steps through an imported transcript frame by frame: the frame at the
+// current step in detail, and everything up to it in the protocol inspector
+const ReplayView = ({ transcript, fileName, onClose }) => {
+  // Heartbeats would make up most of the steps, and transcripts from older
+  // exports may still have them
+  const frames = useMemo(
+    () => transcript.frames.filter(frame => !HEARTBEAT_TYPES.includes(frame.type)),
+    [transcript]
+  );
+  const entries = useMemo(() => frames.map(entryOf), [frames]);
+  const [step, setStep] = useState(frames.length ? 1 : 0); // frames shown so far
+  const [playing, setPlaying] = useState(false);
+  const current = frames[step - 1];
+
+  const nameOf = (address) => {
+    if (address === '*') return 'Everyone';
+    return transcript.participants[address] ?? (address === 'server' ? 'Server' : address);
+  };
+
+  const go = (next) => setStep(Math.min(Math.max(next, frames.length ? 1 : 0), frames.length));
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    if (step >= frames.length) {
+      setPlaying(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => setStep(prev => prev + 1), PLAY_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [playing, step, frames.length]);
+
+  // Arrow keys step back and forth
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === 'ArrowRight') setStep(prev => Math.min(prev + 1, frames.length));
+      if (e.key === 'ArrowLeft') setStep(prev => Math.max(prev - 1, frames.length ? 1 : 0));
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [frames.length]);
+
+  const control = 'p-2 bg-slate-700 text-slate-300 rounded-lg hover:bg-slate-600 transition disabled:opacity-40';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 p-4">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="bg-slate-800 border-2 border-slate-700 rounded-2xl p-6 mb-4 flex items-center gap-4 flex-wrap">
+          <div className="w-12 h-12 rounded-full flex items-center justify-center bg-gradient-to-br from-slate-500 to-slate-600">
+            <History size={24} className="text-slate-900" />
+          </div>
+          <div className="flex-1 min-w-0">
+            <h2 className="text-2xl font-bold text-slate-200">Replay</h2>
+            <p className="text-slate-400 text-sm truncate">
+              {fileName}
+              {transcript.code && ` · session ${transcript.code}`}
+              {transcript.role && ` · recorded as ${transcript.role}`}
+              {transcript.exportedAt && ` · exported ${new Date(transcript.exportedAt).toLocaleString()}`}
+              {transcript.dropped > 0 && ` · ${transcript.dropped} earlier frames missing`}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="flex items-center gap-2 px-4 py-2 bg-slate-700 text-slate-300 rounded-lg hover:bg-slate-600 transition font-medium"
+          >
+            <X size={16} />
+            Close
+          </button>
+        </div>
+
+        <div className="grid xl:grid-cols-2 gap-4 items-start">
+          <div className="bg-slate-800 border-2 border-slate-700 rounded-2xl p-6 min-w-0">
+            {/* Controls */}
+            <div className="flex items-center gap-2 mb-4">
+              <button onClick={() => go(1)} disabled={step <= 1} className={control} title="First frame">
+                <SkipBack size={16} />
+              </button>
+              <button onClick={() => go(step - 1)} disabled={step <= 1} className={control} title="Previous frame (←)">
+                <ChevronLeft size={16} />
+              </button>
+              <button
+                onClick={() => {
+                  if (step >= frames.length) setStep(1);
+                  setPlaying(prev => !prev);
+                }}
+                disabled={frames.length < 2}
+                className="p-2 bg-emerald-600 text-slate-900 rounded-lg hover:bg-emerald-500 transition disabled:opacity-40"
+                title={playing ? 'Pause' : 'Play'}
+              >
+                {playing ? <Pause size={16} /> : <Play size={16} />}
+              </button>
+              <button onClick={() => go(step + 1)} disabled={step >= frames.length} className={control} title="Next frame (→)">
+                <ChevronRight size={16} />
+              </button>
+              <button onClick={() => go(frames.length)} disabled={step >= frames.length} className={control} title="Last frame">
+                <SkipForward size={16} />
+              </button>
+              <input
+                type="range"
+                min={frames.length ? 1 : 0}
+                max={frames.length}
+                value={step}
+                onChange={(e) => go(Number(e.target.value))}
+                className="flex-1 accent-teal-500"
+              />
+              <span className="text-slate-400 text-sm font-mono shrink-0">{step} / {frames.length}</span>
+            </div>
+
+            {/* Current Frame */}
+            {!current ? (
+              <p className="text-slate-500 text-sm">This transcript has no frames besides heartbeats.</p>
+            ) : (
+              <div className={`${current.direction === 'out' ? 'bg-teal-900/30 border-teal-500/30' : 'bg-emerald-900/30 border-emerald-500/30'} border rounded-lg p-4`}>
+                <div className="flex items-center gap-2 text-xs font-medium text-slate-400 mb-1">
+                  {current.encrypted && (
+                    <span title="End-to-end encrypted"><Lock size={12} className="text-emerald-400" /></span>
+                  )}
+                  {nameOf(current.from)} → {nameOf(current.to)}
+                  <span className="ml-auto font-mono text-slate-500">
+                    {current.at ? new Date(current.at).toLocaleTimeString() : `frame ${step}`}
+                  </span>
+                </div>
+                <p className="font-mono font-bold text-slate-200 mb-2">
+                  {current.type ?? 'MALFORMED'}{current.id !== null && ` id=${current.id}`}
+                </p>
+                <div className="font-mono text-xs text-slate-500 mb-2 break-all">{current.raw}</div>
+                {current.payload ? (
+                  <p className="text-sm text-slate-200 whitespace-pre-wrap break-words">{current.payload}</p>
+                ) : current.encrypted && (
+                  <p className="text-sm text-slate-500 italic">Encrypted, the plaintext was not recorded</p>
+                )}
+                {current.status && current.status !== 'received' && (
+                  <p className="mt-2 text-xs text-slate-400">Delivery: <span className="font-mono">{current.status}</span></p>
+                )}
+              </div>
+            )}
+          </div>
+
+          <ProtocolInspector
+            entries={entries.slice(0, step)}
+            mode={transcript.role}
+            self={transcript.self}
+            nameOf={nameOf}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReplayView;
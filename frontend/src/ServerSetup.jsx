@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { AlertCircle } from 'lucide-react';
+
+// Session options before hosting. `onCreate` resolves false when the relay
+// would not create the session; otherwise this screen is left behind.
+const ServerSetup = ({ error, onCreate, onBack }) => {
+  const [passcode, setPasscode] = useState('');
+  const [requireApproval, setRequireApproval] = useState(false);
+  const [creating, setCreating] = useState(false);
+
+  const create = async () => {
+    setCreating(true);
+    if (!await onCreate({ passcode, requireApproval })) {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 flex items-center justify-center p-4">
+      <div className="max-w-md w-full bg-slate-800 border-2 border-teal-500/30 rounded-2xl p-8">
+        <h2 className="text-3xl font-bold text-teal-400 mb-6 text-center">Server Setup</h2>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-900/30 border border-red-500/50 rounded-lg flex items-center gap-2">
+            <AlertCircle className="text-red-400" size={18} />
+            <p className="text-red-300 text-sm">{error}</p>
+          </div>
+        )}
+
+        <div className="space-y-4">
+          <div>
+            <label className="block text-slate-400 mb-2 text-sm font-medium">Session Passcode (optional)</label>
+            <input
+              type="password"
+              value={passcode}
+              onChange={(e) => setPasscode(e.target.value)}
+              placeholder="Leave empty for an open session"
+              className="w-full bg-slate-900 border border-slate-700 rounded-lg px-4 py-3 text-slate-200 focus:outline-none focus:border-teal-500 transition"
+            />
+          </div>
+
+          <label className="flex items-center gap-3 text-slate-400 text-sm cursor-pointer">
+            <input
+              type="checkbox"
+              checked={requireApproval}
+              onChange={(e) => setRequireApproval(e.target.checked)}
+              className="w-4 h-4 accent-teal-500"
+            />
+            Approve each client before it can join
+          </label>
+
+          <button
+            onClick={create}
+            disabled={(passcode && passcode.length < 4) || creating}
+            className="w-full bg-gradient-to-r from-teal-500 to-teal-600 text-slate-900 font-bold py-3 rounded-lg hover:from-teal-600 hover:to-teal-700 disabled:opacity-50 disabled:cursor-not-allowed transition"
+          >
+            {creating ? 'Creating...' : 'Create Session'}
+          </button>
+
+          <button
+            onClick={onBack}
+            className="w-full bg-slate-700 text-slate-300 font-medium py-3 rounded-lg hover:bg-slate-600 transition"
+          >
+            Back
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ServerSetup;
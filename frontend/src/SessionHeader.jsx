@@ -0,0 +1,218 @@
+import React, { useState } from 'react';
+import { Server, User, Copy, Check, Wifi, WifiOff, RefreshCw, Lock, LogOut, Activity, Gauge, QrCode, Link2 } from 'lucide-react';
+import QRCode from './QRCode';
+import { joinUrl } from './joinLink';
+
+// Where the session stands, for the header
+const StatusLine = ({ session, rtt }) => {
+  const { status, role, awaitingApproval, protocols } = session;
+
+  if (status === 'active') {
+    return (
+      <>
+        <Wifi size={16} className="text-emerald-400" />
+        <span className="text-emerald-400 text-sm font-medium">Connected</span>
+        {rtt !== undefined && (
+          <span className="text-slate-500 text-xs font-mono" title="Round-trip time">{rtt} ms</span>
+        )}
+        {role === 'client' && protocols.server && (
+          <span
+            className="text-slate-500 text-xs font-mono"
+            title={`Features: ${protocols.server.features.join(', ') || 'none'}`}
+          >
+            SCP/{protocols.server.version}
+          </span>
+        )}
+      </>
+    );
+  }
+  if (status === 'connecting' && awaitingApproval) {
+    return (
+      <>
+        <Lock size={16} className="text-yellow-400" />
+        <span className="text-yellow-400 text-sm font-medium">Waiting for approval...</span>
+      </>
+    );
+  }
+  if (status === 'connecting') {
+    return (
+      <>
+        <RefreshCw size={16} className="text-yellow-400 animate-spin" />
+        <span className="text-yellow-400 text-sm font-medium">Connecting...</span>
+      </>
+    );
+  }
+  if (status === 'registered') {
+    return (
+      <>
+        <Wifi size={16} className="text-yellow-400" />
+        <span className="text-yellow-400 text-sm font-medium">
+          {role === 'server' ? 'Waiting for client...' : 'Waiting for server...'}
+        </span>
+      </>
+    );
+  }
+  return (
+    <>
+      <WifiOff size={16} className="text-slate-500" />
+      <span className="text-slate-500 text-sm font-medium">{status === 'closing' ? 'Closing...' : 'Disconnected'}</span>
+    </>
+  );
+};
+
+// Role, connection status, key fingerprint, the code and join link to share
+// and the session controls
+const SessionHeader = ({
+  session,
+  selectedPeer,
+  showInspector,
+  showNetwork,
+  onToggleInspector,
+  onToggleNetwork,
+  onCloseSession,
+  onReset
+}) => {
+  const [copied, setCopied] = useState(null); // 'code' or 'link', for a moment after copying
+  const [sharing, setSharing] = useState(false);
+  const { role, registered, sessionCode, roster, latency, fingerprints, selfId, faultInjection } = session;
+
+  // Round-trip time to the server, or in server mode to the selected client
+  // (the slowest one when none is selected)
+  const clientLatencies = roster
+    .filter(p => p.clientId !== selfId && p.role === 'client' && p.connected && latency[p.clientId] !== undefined)
+    .map(p => latency[p.clientId]);
+  const rtt = role !== 'server'
+    ? latency.server
+    : selectedPeer ? latency[selectedPeer] : clientLatencies.length ? Math.max(...clientLatencies) : undefined;
+
+  // Key fingerprint to compare out of band: the server's, or the selected client's
+  const shownFingerprint = role === 'server' ? selectedPeer && fingerprints[selectedPeer] : fingerprints.server;
+
+  const link = sessionCode && joinUrl(sessionCode);
+
+  const copy = (what, text) => {
+    navigator.clipboard.writeText(text);
+    setCopied(what);
+    setTimeout(() => setCopied(null), 2000);
+  };
+
+  return (
+    <div className="bg-slate-800 border-2 border-slate-700 rounded-2xl p-6 mb-4">
+      <div className="flex items-center justify-between flex-wrap gap-4">
+        <div className="flex items-center gap-4">
+          <div className={`w-12 h-12 rounded-full flex items-center justify-center ${
+            role === 'server' ? 'bg-gradient-to-br from-teal-500 to-teal-600' : 'bg-gradient-to-br from-emerald-500 to-emerald-600'
+          }`}>
+            {role === 'server' ? <Server size={24} className="text-slate-900" /> : <User size={24} className="text-slate-900" />}
+          </div>
+          <div>
+            <h2 className="text-2xl font-bold text-slate-200">
+              {role === 'server' ? 'Server Mode' : 'Client Mode'}
+            </h2>
+            <div className="flex items-center gap-2 mt-1">
+              <StatusLine session={session} rtt={rtt} />
+            </div>
+            {shownFingerprint && (
+              <div
+                className="flex items-center gap-2 mt-1 text-xs text-slate-400"
+                title="Key fingerprint: compare it with your peer. If both sides see the same code, nobody in between can read your messages."
+              >
+                <Lock size={12} className="text-emerald-400" />
+                <span className="font-mono">{shownFingerprint}</span>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {role === 'server' && sessionCode && (
+          <div className="flex items-center gap-3 bg-slate-900 px-6 py-3 rounded-lg border border-teal-500/30">
+            <div>
+              <p className="text-slate-500 text-xs font-medium">Connection Code</p>
+              <p className="text-teal-400 text-2xl font-mono font-bold tracking-wider">{sessionCode}</p>
+            </div>
+            <button
+              onClick={() => copy('code', sessionCode)}
+              className="p-2 hover:bg-slate-800 rounded-lg transition"
+              title="Copy code"
+            >
+              {copied === 'code' ? <Check size={20} className="text-emerald-400" /> : <Copy size={20} className="text-slate-400" />}
+            </button>
+            <button
+              onClick={() => setSharing(prev => !prev)}
+              className={`p-2 rounded-lg transition ${sharing ? 'bg-slate-800' : 'hover:bg-slate-800'}`}
+              title="Show join link and QR code"
+            >
+              <QrCode size={20} className={sharing ? 'text-teal-400' : 'text-slate-400'} />
+            </button>
+          </div>
+        )}
+
+        <div className="flex items-center gap-2">
+          {role === 'server' && registered && (
+            <button
+              onClick={onCloseSession}
+              className="flex items-center gap-2 px-4 py-2 bg-red-900/40 text-red-300 border border-red-500/40 rounded-lg hover:bg-red-900/60 transition font-medium"
+              title="Disconnect everyone and end the session"
+            >
+              <LogOut size={16} />
+              End session
+            </button>
+          )}
+          {role === 'server' && registered && faultInjection && (
+            <button
+              onClick={onToggleNetwork}
+              className={`flex items-center gap-2 px-4 py-2 rounded-lg transition font-medium ${
+                showNetwork ? 'bg-teal-900/40 text-teal-300 border border-teal-500/40' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+              }`}
+              title="Simulate loss, delay, duplication, reordering and corruption"
+            >
+              <Gauge size={16} />
+              Network
+            </button>
+          )}
+          <button
+            onClick={onToggleInspector}
+            className={`flex items-center gap-2 px-4 py-2 rounded-lg transition font-medium ${
+              showInspector ? 'bg-teal-900/40 text-teal-300 border border-teal-500/40' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+            }`}
+            title="Show or hide the frames on the wire"
+          >
+            <Activity size={16} />
+            Inspector
+          </button>
+          <button
+            onClick={onReset}
+            className="px-4 py-2 bg-slate-700 text-slate-300 rounded-lg hover:bg-slate-600 transition font-medium"
+          >
+            Reset
+          </button>
+        </div>
+      </div>
+
+      {/* Join Link */}
+      {role === 'server' && link && sharing && (
+        <div className="mt-4 pt-4 border-t border-slate-700 flex items-center gap-6 flex-wrap">
+          <QRCode value={link} />
+          <div className="flex-1 min-w-0 space-y-2">
+            <p className="text-slate-300 text-sm">
+              Scan the code or open the link to join with the connection code filled in.
+            </p>
+            <div className="flex items-center gap-2 bg-slate-900 border border-slate-700 rounded-lg px-3 py-2">
+              <Link2 size={16} className="text-slate-500 shrink-0" />
+              <span className="flex-1 truncate font-mono text-sm text-teal-400" title={link}>{link}</span>
+              <button
+                onClick={() => copy('link', link)}
+                className="p-1 hover:bg-slate-800 rounded transition"
+                title="Copy link"
+              >
+                {copied === 'link' ? <Check size={16} className="text-emerald-400" /> : <Copy size={16} className="text-slate-400" />}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SessionHeader;
@@ -0,0 +1,114 @@
+import React from 'react';
+import { AlertCircle, Lock, UserCheck, UserX, Clock, LogOut, Gauge } from 'lucide-react';
+import NetworkConditions, { describeConditions, isSimulated } from './NetworkConditions';
+
+// Cards between the header and the conversation: the session having ended,
+// the expiry warning, the simulated network, errors and join requests
+const SessionNotices = ({ session, showNetwork, onCloseNetwork, onCloseSession, onReset }) => {
+  const { role, registered, sessionEnded, expiresAt, networkConditions, error, joinRequests } = session;
+
+  return (
+    <>
+      {/* Session Ended */}
+      {sessionEnded && (
+        <div className="mb-4 p-6 bg-slate-800 border-2 border-slate-600 rounded-2xl flex items-center gap-4 flex-wrap">
+          <LogOut size={28} className="text-slate-400" />
+          <div className="flex-1">
+            <p className="text-slate-200 text-lg font-bold">Session ended</p>
+            <p className="text-slate-400 text-sm">
+              {sessionEnded.text}
+              {sessionEnded.message && <span className="italic"> "{sessionEnded.message}"</span>}
+            </p>
+          </div>
+          <button
+            onClick={onReset}
+            className="px-4 py-2 bg-gradient-to-r from-emerald-500 to-emerald-600 text-slate-900 font-bold rounded-lg hover:from-emerald-600 hover:to-emerald-700 transition"
+          >
+            Start over
+          </button>
+        </div>
+      )}
+
+      {/* Expiry Warning */}
+      {expiresAt && !sessionEnded && (
+        <div className="mb-4 p-4 bg-yellow-900/20 border border-yellow-500/40 rounded-2xl flex items-center gap-3 flex-wrap">
+          <Clock size={20} className="text-yellow-400" />
+          <p className="flex-1 text-yellow-200 text-sm">
+            This session has been idle and expires at {new Date(expiresAt).toLocaleTimeString()} unless someone sends a message.
+          </p>
+          {role === 'server' && (
+            <>
+              <button
+                onClick={session.extendSession}
+                className="px-3 py-1.5 bg-emerald-600 text-slate-900 text-sm font-bold rounded-lg hover:bg-emerald-500 transition"
+              >
+                Keep open
+              </button>
+              <button
+                onClick={onCloseSession}
+                className="px-3 py-1.5 bg-slate-700 text-slate-300 text-sm font-medium rounded-lg hover:bg-slate-600 transition"
+              >
+                End now
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Network Conditions */}
+      {role === 'server' && showNetwork && registered && (
+        <NetworkConditions
+          conditions={networkConditions}
+          onApply={session.setNetwork}
+          onClose={onCloseNetwork}
+        />
+      )}
+      {isSimulated(networkConditions) && !sessionEnded && (
+        <div className="mb-4 p-4 bg-yellow-900/20 border border-yellow-500/40 rounded-2xl flex items-center gap-3">
+          <Gauge size={20} className="text-yellow-400" />
+          <p className="flex-1 text-yellow-200 text-sm">
+            Simulated network: {describeConditions(networkConditions)}. Expect retransmissions and NACKs.
+          </p>
+        </div>
+      )}
+
+      {/* Error Display */}
+      {error && (
+        <div className="mb-4 p-4 bg-red-900/30 border border-red-500/50 rounded-lg flex items-center gap-3">
+          <AlertCircle className="text-red-400" size={20} />
+          <p className="text-red-300">{error}</p>
+        </div>
+      )}
+
+      {/* Join Requests */}
+      {role === 'server' && joinRequests.length > 0 && (
+        <div className="mb-4 p-4 bg-yellow-900/20 border border-yellow-500/40 rounded-2xl space-y-2">
+          {joinRequests.map(request => (
+            <div key={request.clientId} className="flex items-center gap-3">
+              <Lock size={16} className="text-yellow-400" />
+              <p className="flex-1 text-yellow-200 text-sm">
+                <span className="font-bold">{request.username}</span> wants to join this session
+              </p>
+              <button
+                onClick={() => session.respondToJoin(request.clientId, true)}
+                className="flex items-center gap-1 px-3 py-1.5 bg-emerald-600 text-slate-900 text-sm font-bold rounded-lg hover:bg-emerald-500 transition"
+              >
+                <UserCheck size={16} />
+                Approve
+              </button>
+              <button
+                onClick={() => session.respondToJoin(request.clientId, false)}
+                className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 text-slate-300 text-sm font-medium rounded-lg hover:bg-slate-600 transition"
+              >
+                <UserX size={16} />
+                Reject
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default SessionNotices;
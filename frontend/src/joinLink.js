@@ -0,0 +1,28 @@
+import { CODE_LENGTH } from './useSCPSession';
+
+// Join links: this page with ?join=<code>, which opens the client setup
+// with the code filled in
+
+const JOIN_PARAM = 'join';
+
+export const joinUrl = (code) => {
+  const url = new URL(window.location.href);
+  url.search = new URLSearchParams({ [JOIN_PARAM]: code }).toString();
+  url.hash = '';
+  return url.toString();
+};
+
+// The session code of the link this page was opened with, if it looks like one
+export const readJoinCode = () => {
+  const code = new URLSearchParams(window.location.search).get(JOIN_PARAM)?.trim().toUpperCase();
+  return code && code.length === CODE_LENGTH && /^[A-Z0-9]+$/.test(code) ? code : null;
+};
+
+// Drop the code from the address bar once it is used, so reloading the page
+// later does not join again
+export const clearJoinCode = () => {
+  const url = new URL(window.location.href);
+  if (!url.searchParams.has(JOIN_PARAM)) return;
+  url.searchParams.delete(JOIN_PARAM);
+  window.history.replaceState(window.history.state, '', url);
+};
@@ -0,0 +1,323 @@
+// QR codes for join links, encoded here so the link never leaves the
+// browser. Byte mode at error correction level M, versions 1-10: up to 213
+// bytes, plenty for a URL with a session code.
+
+// Per version: error correction codewords per block, and the blocks as
+// [count, data codewords] groups (ISO/IEC 18004, table 9, level M)
+const VERSIONS = [
+  null,
+  { ec: 10, groups: [[1, 16]] },
+  { ec: 16, groups: [[1, 28]] },
+  { ec: 26, groups: [[1, 44]] },
+  { ec: 18, groups: [[2, 32]] },
+  { ec: 24, groups: [[2, 43]] },
+  { ec: 16, groups: [[4, 27]] },
+  { ec: 18, groups: [[4, 31]] },
+  { ec: 22, groups: [[2, 38], [2, 39]] },
+  { ec: 22, groups: [[3, 36], [2, 37]] },
+  { ec: 26, groups: [[4, 43], [1, 44]] }
+];
+
+// Centre rows/columns of the alignment patterns per version
+const ALIGNMENT = [
+  null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+  [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+];
+
+const LEVEL_M = 0b00;
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// GF(256) arithmetic for Reed-Solomon, over x^8 + x^4 + x^3 + x^2 + 1
+const EXP = new Array(512);
+const LOG = new Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+  EXP[i] = x;
+  LOG[x] = i;
+  x <<= 1;
+  if (x & 0x100) x ^= 0x11d;
+}
+for (let i = 255; i < 512; i++) {
+  EXP[i] = EXP[i - 255];
+}
+const multiply = (a, b) => (a && b ? EXP[LOG[a] + LOG[b]] : 0);
+
+// Coefficients, highest first, of (x - α^0)(x - α^1)...(x - α^(degree-1))
+const generatorPolynomial = (degree) => {
+  let poly = [1];
+  for (let i = 0; i < degree; i++) {
+    poly = [...poly, 0].map((coefficient, j) => coefficient ^ (j > 0 ? multiply(poly[j - 1], EXP[i]) : 0));
+  }
+  return poly;
+};
+
+const errorCorrection = (data, degree) => {
+  const generator = generatorPolynomial(degree);
+  const remainder = new Array(degree).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ remainder.shift();
+    remainder.push(0);
+    for (let j = 0; j < degree; j++) {
+      remainder[j] ^= multiply(generator[j + 1], factor);
+    }
+  }
+  return remainder;
+};
+
+const dataCapacity = (version) => VERSIONS[version].groups.reduce((sum, [count, size]) => sum + count * size, 0);
+
+// Mode, length, the bytes and padding, as data codewords
+const encodeData = (bytes, version) => {
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  const capacity = dataCapacity(version) * 8;
+  push(0b0100, 4);
+  push(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(byte => push(byte, 8));
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let pad = 0xec; codewords.length < capacity / 8; pad ^= 0xec ^ 0x11) {
+    codewords.push(pad);
+  }
+  return codewords;
+};
+
+// Split into blocks, add error correction and interleave
+const addErrorCorrection = (data, version) => {
+  const { ec, groups } = VERSIONS[version];
+  const blocks = [];
+  let offset = 0;
+  groups.forEach(([count, size]) => {
+    for (let i = 0; i < count; i++) {
+      const block = data.slice(offset, offset + size);
+      blocks.push({ data: block, ec: errorCorrection(block, ec) });
+      offset += size;
+    }
+  });
+
+  const result = [];
+  const longest = Math.max(...blocks.map(block => block.data.length));
+  for (let i = 0; i < longest; i++) {
+    blocks.forEach(block => i < block.data.length && result.push(block.data[i]));
+  }
+  for (let i = 0; i < ec; i++) {
+    blocks.forEach(block => result.push(block.ec[i]));
+  }
+  return result;
+};
+
+// BCH-protected format (error correction level and mask) and version bits
+const formatBits = (mask) => {
+  const data = (LEVEL_M << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  return ((data << 10) | remainder) ^ 0x5412;
+};
+
+const versionBits = (version) => {
+  let remainder = version;
+  for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+  return (version << 12) | remainder;
+};
+
+const bit = (value, index) => ((value >>> index) & 1) === 1;
+
+class Matrix {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.reserved[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size, version } = this;
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x >= 0 && x < size && y >= 0 && y < size) {
+            this.setFunction(x, y, distance !== 2 && distance !== 4);
+          }
+        }
+      }
+    });
+
+    const centres = ALIGNMENT[version];
+    const last = centres.length - 1;
+    centres.forEach((cx, i) => centres.forEach((cy, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    }));
+
+    // Reserve the format areas; drawFormat fills them in per mask
+    this.drawFormat(0);
+
+    if (version >= 7) {
+      const bits = versionBits(version);
+      for (let i = 0; i < 18; i++) {
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        this.setFunction(a, b, bit(bits, i));
+        this.setFunction(b, a, bit(bits, i));
+      }
+    }
+  }
+
+  drawFormat(mask) {
+    const { size } = this;
+    const bits = formatBits(mask);
+    for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(bits, i));
+    this.setFunction(8, 7, bit(bits, 6));
+    this.setFunction(8, 8, bit(bits, 7));
+    this.setFunction(7, 8, bit(bits, 8));
+    for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(bits, i));
+
+    for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, bit(bits, i));
+    for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, bit(bits, i));
+    this.setFunction(8, size - 8, true); // the dark module
+  }
+
+  // Codewords in the zigzag order: two-module columns from the right,
+  // alternately upwards and downwards, around the function patterns
+  drawCodewords(codewords) {
+    const { size } = this;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vertical = 0; vertical < size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upwards = ((right + 1) & 2) === 0;
+          const y = upwards ? size - 1 - vertical : vertical;
+          if (!this.reserved[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] = bit(codewords[i >>> 3], 7 - (i & 7));
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  // Masking is its own inverse, so applying it twice undoes it
+  applyMask(mask) {
+    const test = MASKS[mask];
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.reserved[y][x] && test(x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  // How hard the symbol is to scan; the mask with the lowest score is used
+  penalty() {
+    const { size, modules } = this;
+    let score = 0;
+    const lines = [
+      ...modules,
+      ...modules.map((_, x) => modules.map(row => row[x]))
+    ];
+
+    lines.forEach(line => {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+          continue;
+        }
+        if (run >= 5) score += run - 2;
+        run = 1;
+      }
+
+      const text = line.map(dark => (dark ? '1' : '0')).join('');
+      for (const pattern of ['10111010000', '00001011101']) {
+        for (let at = text.indexOf(pattern); at !== -1; at = text.indexOf(pattern, at + 1)) {
+          score += 40;
+        }
+      }
+    });
+
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const colour = modules[y][x];
+        if (colour === modules[y][x + 1] && colour === modules[y + 1][x] && colour === modules[y + 1][x + 1]) {
+          score += 3;
+        }
+      }
+    }
+
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return score;
+  }
+}
+
+// Longest text, in UTF-8 bytes, a QR code of this module can hold
+export const MAX_QR_BYTES = (dataCapacity(VERSIONS.length - 1) * 8 - 4 - 16) / 8;
+
+// The modules of a QR code for `text`, as rows of booleans (true is dark)
+export const encodeQR = (text) => {
+  const bytes = Array.from(new TextEncoder().encode(text));
+  const version = VERSIONS.findIndex((spec, v) =>
+    spec && dataCapacity(v) * 8 >= 4 + (v < 10 ? 8 : 16) + bytes.length * 8
+  );
+  if (version === -1) {
+    throw new RangeError(`Text too long for a QR code (${bytes.length} bytes, at most ${MAX_QR_BYTES})`);
+  }
+
+  const matrix = new Matrix(version);
+  matrix.drawFunctionPatterns();
+  matrix.drawCodewords(addErrorCorrection(encodeData(bytes, version), version));
+
+  let best = 0;
+  let lowest = Infinity;
+  MASKS.forEach((_, mask) => {
+    matrix.applyMask(mask);
+    matrix.drawFormat(mask);
+    const score = matrix.penalty();
+    if (score < lowest) {
+      best = mask;
+      lowest = score;
+    }
+    matrix.applyMask(mask);
+  });
+
+  matrix.applyMask(best);
+  matrix.drawFormat(best);
+  return matrix.modules;
+};
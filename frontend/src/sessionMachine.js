@@ -0,0 +1,54 @@
+// Connection/session state machine of the chat app:
+//
+//   idle ─start─▶ connecting ─registered─▶ registered ─peer-joined─▶ active
+//                   ▲    │                    │  ◀──────peer-left─────  │
+//                   │    └──failed─▶ idle     │                         │
+//                   └───────────dropped───────┴─────────────────────────┘
+//
+//   connecting / registered / active ─leave─▶ closing ─closed─▶ idle
+//
+// `registered` means the relay holds our place but nobody is there to talk to
+// (the server waiting for clients, a client whose server is away); `active`
+// that the other side is there too. A dropped socket goes back to
+// `connecting` while the session is resumed. `closing` covers a session that
+// is over (our BYE, the server's or the relay's) until the socket has closed.
+//
+// `role` ('server' or 'client') is set by `start` and kept once the session
+// is over, so its conversation stays on screen; `failed` (nothing to show yet)
+// and `reset` clear it.
+
+export const INITIAL_SESSION = Object.freeze({ status: 'idle', role: null, awaitingApproval: false });
+
+// status -> event -> next status; anything else leaves the state alone
+const TRANSITIONS = {
+  idle: { start: 'connecting' },
+  connecting: {
+    registered: 'registered',
+    'admission-pending': 'connecting',
+    dropped: 'connecting',
+    failed: 'idle',
+    leave: 'closing',
+    closed: 'idle'
+  },
+  registered: { 'peer-joined': 'active', dropped: 'connecting', leave: 'closing', closed: 'idle' },
+  active: { 'peer-joined': 'active', 'peer-left': 'registered', dropped: 'connecting', leave: 'closing', closed: 'idle' },
+  closing: { closed: 'idle' }
+};
+
+// Next state after `event` ({ type, role? }); the same object when the event
+// does not apply, so callers can tell nothing changed
+export const transition = (session, event) => {
+  if (event.type === 'reset') return INITIAL_SESSION;
+
+  const status = TRANSITIONS[session.status][event.type];
+  if (!status) return session;
+
+  return {
+    status,
+    role: event.type === 'start' ? event.role : event.type === 'failed' ? null : session.role,
+    awaitingApproval: event.type === 'admission-pending'
+  };
+};
+
+// Registered with the relay: frames can be sent and heartbeats run
+export const isRegistered = (status) => status === 'registered' || status === 'active';
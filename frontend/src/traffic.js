@@ -0,0 +1,121 @@
+import { tryParse, decodeBinaryFrame } from 'scp-protocol';
+
+// Socket traffic as the protocol inspector shows it. Every message on the
+// WebSocket becomes one entry:
+//
+//   { seq, at, direction: 'out' | 'in', kind: 'frame', raw, frame, from, to,
+//     size, binary, replayed }
+//   { seq, at, direction, kind: 'envelope', type, fields, size }
+//
+// `frame` is the parsed SCP frame (null if it did not parse) and `raw` its
+// wire text; envelopes are the relay's own JSON messages ('registered',
+// 'roster', ...).
+
+// Entries kept in memory; older ones scroll out of the inspector
+export const MAX_TRAFFIC_ENTRIES = 1000;
+
+// Keepalive frames: most of the traffic in an idle session, and left out of
+// transcripts
+export const HEARTBEAT_TYPES = ['PING', 'PONG'];
+
+// Frames that answer another frame
+const RECEIPT_TYPES = ['ACK', 'NACK'];
+
+// Envelope fields that are credentials and never shown
+const SECRET_FIELDS = ['token', 'resumeToken', 'joinToken', 'ownerToken'];
+
+const encoder = new TextEncoder();
+
+export const describeTraffic = (direction, data, seq, at = Date.now()) => {
+  if (typeof data !== 'string') {
+    let decoded;
+    try {
+      decoded = decodeBinaryFrame(data);
+    } catch {
+      return { seq, at, direction, kind: 'envelope', type: 'binary', fields: {}, size: data.byteLength };
+    }
+    const frame = tryParse(decoded.frame);
+    return {
+      seq,
+      at,
+      direction,
+      kind: 'frame',
+      raw: decoded.frame,
+      frame,
+      from: frame?.headers.from,
+      to: frame?.headers.to,
+      size: data.byteLength,
+      binary: true,
+      replayed: false
+    };
+  }
+
+  let envelope;
+  try {
+    envelope = JSON.parse(data);
+  } catch {
+    return { seq, at, direction, kind: 'envelope', type: 'invalid', fields: {}, size: encoder.encode(data).length };
+  }
+
+  if (envelope.type === 'scp-message') {
+    const frame = tryParse(envelope.scpMessage);
+    // Frames from older peers may leave their sender to the envelope
+    const envelopeSender = envelope.from === 'client' ? envelope.clientId : envelope.from;
+    return {
+      seq,
+      at,
+      direction,
+      kind: 'frame',
+      raw: envelope.scpMessage,
+      frame,
+      from: frame?.headers.from ?? envelopeSender,
+      to: frame?.headers.to,
+      size: encoder.encode(envelope.scpMessage).length,
+      binary: false,
+      replayed: Boolean(envelope.replayed)
+    };
+  }
+
+  const { type, ...fields } = envelope;
+  SECRET_FIELDS.forEach((key) => {
+    if (fields[key] !== undefined) fields[key] = '********';
+  });
+  return { seq, at, direction, kind: 'envelope', type, fields, size: encoder.encode(data).length };
+};
+
+// Filter category of an entry: its frame type, or 'relay' for envelopes
+export const categoryOf = (entry) => (
+  entry.kind === 'envelope' ? 'relay' : entry.frame?.type ?? 'MALFORMED'
+);
+
+// Round trips of our frames: seq of a sent frame -> { ms, receipt } once the
+// first ACK/NACK (PONG for a PING) answering it came back. PING ids are a
+// sequence of their own, so they are matched separately.
+export const roundTrips = (entries) => {
+  const waiting = new Map(); // `${kind}:${id}` -> sent entries
+  const result = new Map();
+
+  entries.forEach((entry) => {
+    if (entry.kind !== 'frame' || !entry.frame) return;
+    const { type, id } = entry.frame;
+
+    if (entry.direction === 'out') {
+      if (RECEIPT_TYPES.includes(type) || type === 'PONG') return;
+      const key = `${type === 'PING' ? 'ping' : 'frame'}:${id}`;
+      waiting.set(key, [...(waiting.get(key) || []), entry]);
+      return;
+    }
+
+    if (!RECEIPT_TYPES.includes(type) && type !== 'PONG') return;
+    const key = `${type === 'PONG' ? 'ping' : 'frame'}:${id}`;
+    const answered = (waiting.get(key) || []).filter(sent =>
+      entry.from === 'relay' || sent.to === '*' || sent.to === entry.from
+    );
+    answered.forEach((sent) => {
+      result.set(sent.seq, { ms: entry.at - sent.at, receipt: type });
+    });
+    waiting.set(key, (waiting.get(key) || []).filter(sent => !answered.includes(sent)));
+  });
+
+  return result;
+};
@@ -0,0 +1,207 @@
+import { tryParse, FILE_TYPES } from 'scp-protocol';
+
+// Session transcripts: the frames this tab sent and received, saved so the
+// conversation outlives the tab and can be replayed later. Three formats:
+//
+//   json  { format: 'scp-transcript', version, exportedAt, role, code, self,
+//           participants: { address: name }, dropped,
+//           frames: [{ seq, at, direction, raw, type, id, from, to, payload,
+//                      encrypted, binary, status }] }
+//   text  one readable line per frame, for reading and sharing
+//   log   the frames as on the wire, one per line, after '#' comment lines
+//         with the session details (role=, self=, code=, dropped=)
+//
+// JSON and logs can be imported again; the text export is for people only.
+// Frames come from the session's own transcript log rather than the
+// inspector's, so clearing the inspector does not lose them; heartbeats are
+// not recorded. A tab keeps the latest MAX_TRANSCRIPT_FRAMES frames; `dropped`
+// counts the older ones that were let go, so an export says it is partial.
+
+export const TRANSCRIPT_FORMAT = 'scp-transcript';
+export const TRANSCRIPT_VERSION = 1;
+
+// Frames a session keeps for its transcript; older ones are dropped
+export const MAX_TRANSCRIPT_FRAMES = 5000;
+
+export const EXPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', type: 'application/json' },
+  text: { label: 'Text', extension: 'txt', type: 'text/plain' },
+  log: { label: 'SCP log', extension: 'scplog', type: 'text/plain' }
+};
+
+// Thrown by readTranscript() for files that are neither a transcript nor a log
+export class TranscriptError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TranscriptError';
+  }
+}
+
+// Frame types shown as chat messages. Receipts share their id with the frame
+// they answer, so only these are matched to a message.
+const MESSAGE_TYPES = ['MSG', ...FILE_TYPES];
+
+const messageKey = (type, from, id) => `${type}:${from}:${id}`;
+
+// The transcript of a session from useSCPSession, whose `frames` are traffic
+// entries (traffic.js) and `dropped` the number of earlier ones it no longer
+// holds. MSG and FILE_* frames that are also chat messages get the message's
+// delivery status and, when encrypted, its plaintext.
+export const buildTranscript = ({ role, sessionCode, selfId, frames: entries, dropped = 0, messages, nameOf }) => {
+  const byFrame = new Map(messages
+    .filter(msg => msg.scpFormat && MESSAGE_TYPES.includes(msg.msgType))
+    .map(msg => [messageKey(msg.msgType, msg.from, msg.id), msg]));
+  const frames = entries
+    .filter(entry => entry.kind === 'frame')
+    .map((entry) => {
+      const message = MESSAGE_TYPES.includes(entry.frame?.type)
+        ? byFrame.get(messageKey(entry.frame.type, entry.from, entry.frame.id))
+        : undefined;
+      return {
+        seq: entry.seq,
+        at: new Date(entry.at).toISOString(),
+        direction: entry.direction,
+        raw: entry.raw,
+        type: entry.frame?.type ?? null,
+        id: entry.frame?.id ?? null,
+        from: entry.from ?? null,
+        to: entry.to ?? null,
+        payload: message?.payload ?? (entry.frame?.headers.enc ? null : entry.frame?.payload ?? null),
+        encrypted: entry.frame?.headers.enc !== undefined,
+        binary: entry.binary,
+        status: message?.status ?? null
+      };
+    });
+  const addresses = new Set(frames.flatMap(frame => [frame.from, frame.to]).filter(Boolean));
+
+  return {
+    format: TRANSCRIPT_FORMAT,
+    version: TRANSCRIPT_VERSION,
+    exportedAt: new Date().toISOString(),
+    role,
+    code: sessionCode || null,
+    self: selfId,
+    participants: Object.fromEntries([...addresses].map(address => [address, nameOf(address)])),
+    dropped,
+    frames
+  };
+};
+
+const nameIn = (transcript, address) => transcript.participants[address] ?? address ?? '?';
+
+const time = (at) => (at ? new Date(at).toLocaleTimeString([], { hour12: false }) : '--:--:--');
+
+export const transcriptToText = (transcript) => {
+  const lines = [
+    `SCP transcript${transcript.code ? ` of session ${transcript.code}` : ''}` +
+      `${transcript.role ? ` (${transcript.role})` : ''}, exported ${new Date(transcript.exportedAt).toLocaleString()}`,
+    ...(transcript.dropped ? [`${transcript.dropped} earlier frames were not kept and are missing here.`] : []),
+    ''
+  ];
+  transcript.frames.forEach((frame) => {
+    const arrow = frame.direction === 'out' ? '->' : '<-';
+    const what = frame.type ? `${frame.type} id=${frame.id}` : 'MALFORMED';
+    const payload = frame.payload ? `  ${JSON.stringify(frame.payload)}` : frame.encrypted ? '  (encrypted)' : '';
+    const status = frame.status && frame.status !== 'received' ? `  [${frame.status}]` : '';
+    lines.push(`${time(frame.at)} ${arrow} ${nameIn(transcript, frame.from)} → ${nameIn(transcript, frame.to)}  ${what}${payload}${status}`);
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+export const transcriptToLog = (transcript) => {
+  const details = [
+    transcript.role && `role=${transcript.role}`,
+    transcript.self && `self=${transcript.self}`,
+    transcript.code && `code=${transcript.code}`,
+    transcript.dropped && `dropped=${transcript.dropped}`
+  ].filter(Boolean).join(' ');
+  const header = [`# SCP log exported ${transcript.exportedAt}`, ...(details ? [`# ${details}`] : [])];
+  return `${[...header, ...transcript.frames.map(frame => frame.raw)].join('\n')}\n`;
+};
+
+// Save the transcript as a download in one of EXPORT_FORMATS
+export const downloadTranscript = (transcript, format) => {
+  const { extension, type } = EXPORT_FORMATS[format];
+  const content = format === 'json'
+    ? JSON.stringify(transcript, null, 2)
+    : format === 'text' ? transcriptToText(transcript) : transcriptToLog(transcript);
+  const stamp = transcript.exportedAt.slice(0, 19).replace(/[:T]/g, '-');
+
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `scp-${transcript.code || 'session'}-${stamp}.${extension}`;
+  link.click();
+  // Some browsers start the download only after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const readJson = (text) => {
+  let transcript;
+  try {
+    transcript = JSON.parse(text);
+  } catch {
+    throw new TranscriptError('The file is not valid JSON');
+  }
+  if (transcript?.format !== TRANSCRIPT_FORMAT || !Array.isArray(transcript.frames)) {
+    throw new TranscriptError('The file is not an SCP transcript');
+  }
+  if (transcript.version > TRANSCRIPT_VERSION) {
+    throw new TranscriptError(`Transcript version ${transcript.version} is newer than this app understands`);
+  }
+  transcript.frames.forEach((frame, i) => {
+    if (typeof frame?.raw !== 'string') {
+      throw new TranscriptError(`Frame ${i + 1} has no wire text`);
+    }
+  });
+  return { participants: {}, dropped: 0, ...transcript };
+};
+
+const readLog = (text) => {
+  const details = {};
+  const frames = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    if (line.startsWith('#')) {
+      for (const [, key, value] of line.matchAll(/(\w+)=(\S+)/g)) details[key] = value;
+      return;
+    }
+    const frame = tryParse(line);
+    if (!frame) {
+      throw new TranscriptError(`Line ${i + 1} is not an SCP frame`);
+    }
+    frames.push({
+      seq: frames.length,
+      at: null,
+      // Logs do not record direction: what came from us went out
+      direction: details.self && frame.headers.from === details.self ? 'out' : 'in',
+      raw: line,
+      type: frame.type,
+      id: frame.id,
+      from: frame.headers.from ?? null,
+      to: frame.headers.to ?? null,
+      payload: frame.headers.enc ? null : frame.payload,
+      encrypted: frame.headers.enc !== undefined,
+      binary: false,
+      status: null
+    });
+  });
+  if (frames.length === 0) {
+    throw new TranscriptError('The file has no SCP frames');
+  }
+
+  return {
+    format: TRANSCRIPT_FORMAT,
+    version: TRANSCRIPT_VERSION,
+    exportedAt: null,
+    role: details.role ?? null,
+    code: details.code ?? null,
+    self: details.self ?? null,
+    participants: {},
+    dropped: Number(details.dropped) || 0,
+    frames
+  };
+};
+
+// A transcript from the contents of an exported JSON transcript or SCP log
+export const readTranscript = (text) => (text.trimStart().startsWith('{') ? readJson(text) : readLog(text));
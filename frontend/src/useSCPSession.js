@@ -0,0 +1,1360 @@
+import { useState, useEffect, useRef } from 'react';
+import {
+  parse,
+  serialize,
+  SCPParseError,
+  RetransmitQueue,
+  DuplicateFilter,
+  DEFAULT_RETRY_POLICY,
+  TRANSIENT_NACK_REASONS,
+  SUPPORTED_VERSIONS,
+  buildHello,
+  readOffer,
+  negotiate,
+  buildWelcome,
+  readWelcome,
+  BYE_REASONS,
+  buildBye,
+  readBye,
+  readExpiring,
+  isEncryptionSupported,
+  generateKeyPair,
+  generateSessionKey,
+  exportPublicKey,
+  derivePairKey,
+  wrapSessionKey,
+  unwrapSessionKey,
+  encryptFrame,
+  decryptFrame,
+  encryptChunk,
+  decryptChunk,
+  fingerprint,
+  ENCRYPTION,
+  FILE_TYPES,
+  DEFAULT_CHUNK_SIZE,
+  MAX_FILE_BYTES,
+  chunkCount,
+  sliceChunk,
+  sha256Hex,
+  newTransferId,
+  encodeBinaryFrame,
+  decodeBinaryFrame
+} from 'scp-protocol';
+import { INITIAL_SESSION, transition, isRegistered } from './sessionMachine';
+import { describeConditions, isSimulated } from './NetworkConditions';
+import { describeTraffic, MAX_TRAFFIC_ENTRIES, HEARTBEAT_TYPES } from './traffic';
+import { MAX_TRANSCRIPT_FRAMES } from './transcript';
+import { formatBytes } from './format';
+
+// One SCP session over the relay, as the server or a client: the socket,
+// the protocol (handshake, ACK/retransmission, encryption, file transfer,
+// heartbeats) and everything the views show about it. Where the session
+// stands is `status`, from the state machine in sessionMachine.js.
+//
+// Socket and retransmit callbacks outlive the render that created them, so
+// they only touch refs and call into `handlers.current`, which every render
+// points at its own (current) functions.
+
+// WebSocket URL - Change this to your deployed backend URL
+const WS_URL = import.meta.env.VITE_WS_URL || 'ws://localhost:3001';
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+// Frame types the receiving side accepts and acknowledges
+const ACCEPTED_TYPES = ['HELLO', 'MSG', ...FILE_TYPES];
+// id=0 is taken by the handshake: the client's HELLO and the server's WELCOME
+const FIRST_MESSAGE_ID = 1;
+
+// Retransmission settings, overridable at build time
+const envNumber = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+export const RETRY_POLICY = {
+  timeout: envNumber(import.meta.env.VITE_SCP_ACK_TIMEOUT, DEFAULT_RETRY_POLICY.timeout),
+  backoff: envNumber(import.meta.env.VITE_SCP_RETRY_BACKOFF, DEFAULT_RETRY_POLICY.backoff),
+  maxTimeout: envNumber(import.meta.env.VITE_SCP_MAX_ACK_TIMEOUT, DEFAULT_RETRY_POLICY.maxTimeout),
+  maxRetries: envNumber(import.meta.env.VITE_SCP_MAX_RETRIES, DEFAULT_RETRY_POLICY.maxRetries)
+};
+// How often we PING our peer(s) to measure round-trip time
+const PING_INTERVAL_MS = envNumber(import.meta.env.VITE_SCP_PING_INTERVAL, 10000);
+// Must match the relay's codeLength setting (SCP_CODE_LENGTH)
+export const CODE_LENGTH = envNumber(import.meta.env.VITE_SCP_CODE_LENGTH, 8);
+// Optional protocol features this build implements, offered in the handshake.
+// Encryption and file checksums need WebCrypto, which is only available in
+// secure contexts (https or localhost).
+export const PROTOCOL_FEATURES = isEncryptionSupported() ? ['acks', 'encryption', 'file-transfer'] : ['acks'];
+// File chunks sent before waiting for an ACK
+const FILE_WINDOW = 8;
+// Delay before a dropped socket is reopened to resume the session
+const RECONNECT_DELAY_MS = 3000;
+// Console logging of relay traffic, for development builds (VITE_SCP_DEBUG=true)
+const DEBUG = import.meta.env.VITE_SCP_DEBUG === 'true' || import.meta.env.DEV;
+
+// Structured debug entry; frames are logged by type, id and size, never
+// with their payload or tokens
+const debugLog = (event, data = {}) => {
+  if (!DEBUG) return;
+  const { scpMessage, resumeToken, hello, ...fields } = data;
+  console.debug('[scp]', { event, ...fields, ...(scpMessage ? { frameBytes: scpMessage.length } : {}) });
+};
+
+// Why the session ended, by the reason of the BYE that ended it
+const ENDED_REASONS = {
+  [BYE_REASONS.CLOSED]: 'The session owner ended the session.',
+  [BYE_REASONS.EXPIRED]: 'The session expired after a period without activity.',
+  [BYE_REASONS.LEAVING]: 'The server left the session.'
+};
+
+const useSCPSession = () => {
+  const [session, setSession] = useState(INITIAL_SESSION); // { status, role, awaitingApproval }
+  const [sessionCode, setSessionCode] = useState(''); // the code we host, shown to share
+  const [messages, setMessages] = useState([]);
+  const [error, setError] = useState('');
+  const [joinRequests, setJoinRequests] = useState([]);
+  const [roster, setRoster] = useState([]);
+  const [latency, setLatency] = useState({}); // round-trip ms per SCP address
+  const [protocols, setProtocols] = useState({}); // negotiated { version, features } per SCP address
+  const [fingerprints, setFingerprints] = useState({}); // key fingerprint per SCP address
+  const [transfers, setTransfers] = useState({}); // file transfer progress by transfer id
+  const [expiresAt, setExpiresAt] = useState(null); // when the idle session expires, once the relay warned
+  const [sessionEnded, setSessionEnded] = useState(null); // { reason, message, text } of the BYE that ended it
+  const [traffic, setTraffic] = useState([]); // what crossed the socket, for the protocol inspector
+  const [transcriptFrames, setTranscriptFrames] = useState([]); // the latest MAX_TRANSCRIPT_FRAMES frames but heartbeats, for export; not cleared by the inspector
+  const [faultInjection, setFaultInjection] = useState(false); // whether the relay lets the owner simulate a bad network
+  const [networkConditions, setNetworkConditions] = useState(null); // simulated by the relay, once it said so
+
+  // The state machine's current state for socket handlers; `session` mirrors
+  // it for rendering
+  const machine = useRef(INITIAL_SESSION);
+  const handlers = useRef(null);
+  const ws = useRef(null);
+  const reconnectTimeout = useRef(null);
+  const sessionCodeRef = useRef('');
+  const selfId = useRef(null); // our SCP address: 'server' or our clientId
+  const duplicates = useRef(new DuplicateFilter());
+  // Resume state: token from the relay, when the socket dropped, and the
+  // highest SCP id seen per sender ('server' or a clientId)
+  const resumeToken = useRef(null);
+  const resumeGraceMs = useRef(0);
+  const droppedAt = useRef(null);
+  const lastSeen = useRef({});
+  const retransmits = useRef(null);
+  const nextId = useRef(FIRST_MESSAGE_ID); // our next SCP frame id
+  const pingId = useRef(0); // PING ids are their own sequence, never ACKed
+  // File transfers by id: bytes and progress for the socket handlers (the
+  // `transfers` state only mirrors what is shown), and per-frame ACK callbacks
+  const transferData = useRef(new Map());
+  const frameWaiters = useRef(new Map());
+  // End-to-end encryption: our ECDH key pair and its exported public key, and
+  // the session key every encrypted frame uses (the server creates it)
+  const keyPair = useRef(null);
+  const publicKey = useRef(null);
+  const sessionKey = useRef(null);
+  const trafficSeq = useRef(0);
+  const transcriptCount = useRef(0); // frames ever added to transcriptFrames
+
+  // Feed an event to the state machine
+  const advance = (event) => {
+    const next = transition(machine.current, event);
+    if (next === machine.current) return;
+    debugLog('session', { from: machine.current.status, event: event.type, to: next.status });
+    machine.current = next;
+    setSession(next);
+  };
+
+  // Log a message that crossed the socket for the inspector and the transcript
+  const recordTraffic = (direction, data) => {
+    const entry = describeTraffic(direction, data, trafficSeq.current++);
+    setTraffic(prev => [...prev.slice(1 - MAX_TRAFFIC_ENTRIES), entry]);
+    if (entry.kind === 'frame' && !HEARTBEAT_TYPES.includes(entry.frame?.type)) {
+      transcriptCount.current++;
+      setTranscriptFrames(prev => [...prev.slice(1 - MAX_TRANSCRIPT_FRAMES), entry]);
+    }
+  };
+
+  // Everything we put on the socket goes through here
+  const transmit = (data) => {
+    if (ws.current?.readyState !== WebSocket.OPEN) return;
+    ws.current.send(data);
+    recordTraffic('out', data);
+  };
+
+  // Add system message
+  const addSystemMessage = (text) => {
+    setMessages(prev => [...prev, {
+      type: 'system',
+      text,
+      timestamp: new Date().toLocaleTimeString()
+    }]);
+  };
+
+  // Update one of our own (sent) messages by SCP id
+  const updateOwnMessage = (id, changes) => {
+    setMessages(prev => prev.map(msg =>
+      msg.id === id && msg.status !== 'received' ? { ...msg, ...changes } : msg
+    ));
+  };
+
+  if (!retransmits.current) {
+    retransmits.current = new RetransmitQueue({
+      policy: RETRY_POLICY,
+      send: entry => transmit(entry.frame),
+      onStatus: (id, status, entry) => handlers.current.handleRetransmitStatus(id, status, entry)
+    });
+  }
+
+  const handleRetransmitStatus = (id, status, entry) => {
+    const waiter = frameWaiters.current.get(id);
+    if (waiter) {
+      waiter(status, entry);
+      return;
+    }
+    updateOwnMessage(id, { status, attempts: entry.attempts, reason: entry.reason });
+    if (status === 'failed') {
+      addSystemMessage(`✗ Message id=${id} failed after ${entry.attempts} retransmissions`);
+    }
+  };
+
+  // Open the socket. `registration` is sent once it is open, unless we hold a
+  // resume token, in which case we pick up where we left off instead.
+  const connectWebSocket = (registration = null) => {
+    if (ws.current?.readyState === WebSocket.OPEN) {
+      return;
+    }
+
+    try {
+      const socket = new WebSocket(WS_URL);
+      socket.binaryType = 'arraybuffer';
+      ws.current = socket;
+
+      socket.onopen = () => {
+        debugLog('socket-open', { url: WS_URL });
+        setError('');
+
+        // Pick up where we left off after a network drop
+        if (resumeToken.current) {
+          transmit(JSON.stringify({
+            type: 'resume',
+            token: resumeToken.current,
+            lastSeen: lastSeen.current
+          }));
+        } else if (registration) {
+          transmit(JSON.stringify(registration));
+        }
+      };
+
+      socket.onmessage = (event) => {
+        recordTraffic('in', event.data);
+        // File chunks arrive as binary messages
+        if (event.data instanceof ArrayBuffer) {
+          handlers.current.handleBinaryFrame(event.data);
+          return;
+        }
+        try {
+          const data = JSON.parse(event.data);
+          handlers.current.handleWebSocketMessage(data);
+        } catch (err) {
+          console.error('Error parsing message:', err);
+        }
+      };
+
+      socket.onerror = (error) => {
+        console.error('WebSocket error:', error);
+        setError('Connection error. Please try again.');
+      };
+
+      socket.onclose = (event) => {
+        debugLog('socket-close', { code: event.code, reason: event.reason });
+        // A socket we replaced or closed ourselves (reset) is none of our business
+        if (socket !== ws.current) return;
+        handlers.current.handleSocketClose(event);
+      };
+    } catch (err) {
+      console.error('Error creating WebSocket:', err);
+      setError('Failed to connect to server');
+      advance({ type: 'failed' });
+    }
+  };
+
+  const handleSocketClose = (event) => {
+    // Nothing to resume: the session is over, or never got going
+    if (!resumeToken.current) {
+      advance({ type: machine.current.status === 'connecting' ? 'failed' : 'closed' });
+      return;
+    }
+
+    // Closed for breaking the relay's limits: reconnecting would not help
+    if (event.code === 1008) {
+      abandonResume(`Disconnected by the relay: ${event.reason || 'policy violation'}`);
+      return;
+    }
+
+    droppedAt.current = droppedAt.current ?? Date.now();
+    if (Date.now() - droppedAt.current > resumeGraceMs.current) {
+      abandonResume('Connection lost and the session could not be resumed.');
+      return;
+    }
+
+    advance({ type: 'dropped' });
+    setError('Connection lost. Attempting to reconnect...');
+    reconnectTimeout.current = setTimeout(() => connectWebSocket(), RECONNECT_DELAY_MS);
+  };
+
+  // Give up on resuming: the relay no longer holds our place
+  const abandonResume = (message) => {
+    resumeToken.current = null;
+    droppedAt.current = null;
+    setError(message);
+    advance({ type: 'closed' });
+  };
+
+  // The session is over for good (a BYE from the server or the relay, or
+  // our own as the server): nothing to resume or retransmit. The relay
+  // closes the socket, which finishes `closing`.
+  const endSession = (bye, text = ENDED_REASONS[bye.reason] || `The session ended (${bye.reason}).`) => {
+    resumeToken.current = null;
+    retransmits.current.clear();
+    setExpiresAt(null);
+    setJoinRequests([]);
+    setSessionEnded({ ...bye, text });
+    addSystemMessage(`👋 ${text}${bye.message ? ` "${bye.message}"` : ''}`);
+    advance({ type: 'leave' });
+    if (ws.current?.readyState !== WebSocket.OPEN) {
+      advance({ type: 'closed' });
+    }
+  };
+
+  // Handle incoming WebSocket messages
+  const handleWebSocketMessage = (data) => {
+    debugLog('received', data);
+
+    switch (data.type) {
+      case 'connected':
+        break;
+
+      case 'registered':
+        sessionCodeRef.current = data.code;
+        selfId.current = data.role === 'server' ? 'server' : data.clientId;
+        resumeToken.current = data.resumeToken;
+        resumeGraceMs.current = data.resumeGraceMs;
+        if (data.role === 'server') {
+          setFaultInjection(Boolean(data.faultInjection));
+          addSystemMessage('✓ Server registered. Waiting for clients...');
+        } else {
+          addSystemMessage('✓ Connected to server successfully!');
+        }
+        advance({ type: 'registered' });
+        // Clients are let in while their server is there
+        if (data.role === 'client') advance({ type: 'peer-joined' });
+        break;
+
+      case 'resumed':
+        sessionCodeRef.current = data.code;
+        selfId.current = data.role === 'server' ? 'server' : data.clientId;
+        resumeToken.current = data.resumeToken;
+        resumeGraceMs.current = data.resumeGraceMs;
+        droppedAt.current = null;
+        if (data.role === 'server') setFaultInjection(Boolean(data.faultInjection));
+        setError('');
+        addSystemMessage('✓ Connection restored, session resumed');
+        advance({ type: 'registered' });
+        if (data.peerConnected) advance({ type: 'peer-joined' });
+        break;
+
+      case 'client-connected':
+        addSystemMessage(`✓ Client "${data.username}" connected`);
+        advance({ type: 'peer-joined' });
+        break;
+
+      case 'client-reconnected':
+        addSystemMessage(`✓ Client "${data.username}" reconnected`);
+        advance({ type: 'peer-joined' });
+        break;
+
+      case 'client-disconnected':
+        addSystemMessage(data.resumable
+          ? `⚠ Client "${data.username}" connection lost, holding its place for resume`
+          : `⚠ Client "${data.username}" disconnected`);
+        break;
+
+      case 'admission-pending':
+        addSystemMessage('⏳ Waiting for the session owner to let you in...');
+        advance({ type: 'admission-pending' });
+        break;
+
+      case 'admission-rejected':
+        resumeToken.current = null;
+        setError(data.message);
+        addSystemMessage(`✗ ${data.message}`);
+        advance({ type: 'closed' });
+        break;
+
+      case 'join-request':
+        setJoinRequests(prev => [...prev.filter(r => r.clientId !== data.clientId), data]);
+        addSystemMessage(`🔔 "${data.username}" is asking to join`);
+        break;
+
+      case 'join-cancelled':
+        setJoinRequests(prev => prev.filter(r => r.clientId !== data.clientId));
+        addSystemMessage(`"${data.username}" stopped waiting to join`);
+        break;
+
+      case 'roster':
+        setRoster(data.participants);
+        break;
+
+      case 'server-disconnected':
+        if (data.resumable) {
+          addSystemMessage(`⚠ Server connection lost, waiting up to ${Math.round(data.resumeGraceMs / 1000)}s for it to return`);
+          advance({ type: 'peer-left' });
+          break;
+        }
+        addSystemMessage('⚠ Server disconnected');
+        resumeToken.current = null;
+        advance({ type: 'closed' });
+        break;
+
+      case 'server-reconnected':
+        addSystemMessage('✓ Server reconnected');
+        advance({ type: 'peer-joined' });
+        break;
+
+      // Removed by the relay's administrator: there is nothing to resume
+      case 'kicked':
+        abandonResume(data.message);
+        addSystemMessage(`✗ ${data.message}`);
+        break;
+
+      case 'session-closed':
+        endSession({ reason: 'closed-by-admin', message: '' }, data.message);
+        break;
+
+      case 'system-notice':
+        addSystemMessage(`📢 Notice from the organizer: ${data.message}`);
+        break;
+
+      // The idle clock started over after an expiry warning
+      case 'session-extended':
+        setExpiresAt(null);
+        addSystemMessage(`✓ Session kept open, it expires after ${Math.round(data.expiresInMs / 60000)} min without activity`);
+        break;
+
+      // The owner changed the session's simulated network
+      case 'network-conditions':
+        setNetworkConditions(data.conditions);
+        addSystemMessage(isSimulated(data.conditions)
+          ? `⚠ Simulated network: ${describeConditions(data.conditions)}`
+          : '✓ Simulated network turned off');
+        break;
+
+      case 'scp-message':
+        handleSCPMessage(data);
+        break;
+
+      case 'error':
+        if (data.code === 'RESUME_FAILED') {
+          abandonResume(data.message);
+          addSystemMessage(`✗ Could not resume: ${data.message}`);
+          break;
+        }
+        setError(data.message);
+        addSystemMessage(`✗ Error: ${data.message}`);
+        break;
+
+      default:
+        console.warn('Unknown message type:', data.type);
+    }
+  };
+
+  // Handle SCP protocol messages
+  const handleSCPMessage = (data) => {
+    const { scpMessage, messageId } = data;
+
+    // Parse SCP message
+    let frame;
+    try {
+      frame = parse(scpMessage);
+    } catch (err) {
+      if (!(err instanceof SCPParseError)) throw err;
+      console.error('Malformed SCP frame:', err);
+      addSystemMessage(`✗ Malformed SCP frame (${err.code}): ${err.message}`);
+      if (Number.isInteger(messageId)) {
+        sendReceipt(senderKey(data), 'NACK', messageId, err.code);
+      }
+      return;
+    }
+    const { type: msgType, id, payload } = frame;
+    const sender = frame.headers.from ?? senderKey(data);
+
+    // Heartbeats skip ACKs, duplicate suppression and the message list
+    if (msgType === 'PING') {
+      sendReceipt(sender, 'PONG', id, payload);
+      return;
+    }
+    if (msgType === 'PONG') {
+      const rtt = Date.now() - Number(payload);
+      if (Number.isFinite(rtt)) {
+        setLatency(prev => ({ ...prev, [sender]: rtt }));
+      }
+      return;
+    }
+
+    // Lifecycle frames are not acknowledged either
+    if (msgType === 'EXPIRING') {
+      const { remainingMs } = readExpiring(frame);
+      setExpiresAt(Date.now() + remainingMs);
+      addSystemMessage(`⏳ Session expires in ${Math.ceil(remainingMs / 60000)} min unless someone sends a message`);
+      return;
+    }
+    if (msgType === 'BYE') {
+      const bye = readBye(frame);
+      if (sender === 'server' || sender === 'relay') {
+        endSession(bye);
+      } else {
+        addSystemMessage(`👋 ${nameOf(sender)} left the session${bye.message ? `: ${bye.message}` : ''}`);
+      }
+      return;
+    }
+
+    // The server's answer to our HELLO; like PONG it is not acknowledged
+    if (msgType === 'WELCOME') {
+      const agreed = readWelcome(frame);
+      if (!SUPPORTED_VERSIONS.includes(agreed.version)) {
+        setError(`Server picked unsupported protocol version ${agreed.version}`);
+        return;
+      }
+      setProtocols(prev => ({ ...prev, [sender]: agreed }));
+      lastSeen.current[sender] = Math.max(lastSeen.current[sender] ?? -1, id);
+      addSystemMessage(`✓ Handshake complete: SCP/${agreed.version}` +
+        (agreed.features.length ? `, features: ${agreed.features.join(', ')}` : ''));
+      if (agreed.features.includes('encryption')) {
+        acceptSessionKey(frame);
+      }
+      return;
+    }
+
+    if (msgType === 'ACK') {
+      // Update existing message status
+      retransmits.current.ack(id);
+      addSystemMessage(`✓ ACK received for message id=${id}`);
+    } else if (msgType === 'NACK') {
+      retransmits.current.nack(id, payload);
+      addSystemMessage(TRANSIENT_NACK_REASONS.includes(payload)
+        ? `⚠ Message id=${id} not delivered (${payload}), will retry`
+        : `✗ NACK received for message id=${id}: ${payload}`);
+    } else if (!duplicates.current.accept(sender, id)) {
+      // Retransmission of a frame we already have: our ACK was probably lost
+      addSystemMessage(`↺ Duplicate frame id=${id} suppressed`);
+      sendReceipt(sender, 'ACK', id, 'MSG_RECEIVED');
+    } else if (!ACCEPTED_TYPES.includes(msgType)) {
+      addSystemMessage(`✗ Rejected unsupported ${msgType} frame id=${id}`);
+      sendReceipt(sender, 'NACK', id, 'UNSUPPORTED_TYPE');
+    } else if (frame.headers.enc === undefined && mustEncrypt(sender, frame)) {
+      addSystemMessage(`✗ Rejected unencrypted ${msgType} frame id=${id} from ${nameOf(sender)}: the session with it is encrypted`);
+      sendReceipt(sender, 'NACK', id, 'ENCRYPTION_REQUIRED');
+    } else if (frame.headers.enc === undefined) {
+      deliverFrame(frame, sender, scpMessage, payload);
+    } else if (!sessionKey.current) {
+      addSystemMessage(`✗ Encrypted frame id=${id} arrived before the session key`);
+      sendReceipt(sender, 'NACK', id, 'NO_SESSION_KEY');
+    } else {
+      decryptFrame(sessionKey.current, frame)
+        .then(plaintext => deliverFrame(frame, sender, scpMessage, plaintext, true))
+        .catch(() => {
+          addSystemMessage(`✗ Could not decrypt frame id=${id}`);
+          sendReceipt(sender, 'NACK', id, 'DECRYPT_FAILED');
+        });
+    }
+  };
+
+  // Show a new accepted frame and acknowledge it
+  const deliverFrame = (frame, sender, scpMessage, payload, encrypted = false) => {
+    const { type: msgType, id } = frame;
+    const entry = {
+      type: sender === 'server' ? 'server' : 'client',
+      scpFormat: scpMessage,
+      msgType,
+      id,
+      from: sender,
+      to: frame.headers.to,
+      payload,
+      encrypted,
+      // Plaintext although we hold the session key: only the server's
+      // broadcasts may legitimately arrive like this, shown with a warning
+      unencrypted: !encrypted && msgType === 'MSG' && Boolean(sessionKey.current),
+      timestamp: new Date().toLocaleTimeString(),
+      status: 'received'
+    };
+
+    if (FILE_TYPES.includes(msgType)) {
+      handleFileFrame(frame, sender, payload, entry);
+    } else {
+      setMessages(prev => [...prev, entry]);
+    }
+
+    lastSeen.current[sender] = Math.max(lastSeen.current[sender] ?? -1, id);
+    sendReceipt(sender, 'ACK', id, 'MSG_RECEIVED');
+    if (msgType === 'HELLO' && selfId.current === 'server') {
+      welcome(sender, frame);
+    }
+  };
+
+  // Merge changes into a transfer's displayed state
+  const updateTransfer = (tid, changes) => {
+    setTransfers(prev => (prev[tid] ? { ...prev, [tid]: { ...prev[tid], ...changes } } : prev));
+  };
+
+  // Index of the first chunk we do not hold yet
+  const firstMissing = (parts) => {
+    const index = parts.findIndex(part => !part);
+    return index === -1 ? parts.length : index;
+  };
+
+  // FILE_* frames other than chunks, which come in through handleBinaryFrame
+  const handleFileFrame = (frame, sender, payload, entry) => {
+    const tid = frame.headers.transfer;
+    const data = transferData.current.get(tid);
+
+    switch (frame.type) {
+      case 'FILE_OFFER': {
+        if (data) {
+          // A repeated offer means the sender is resuming: continue from the
+          // first chunk we lack
+          if (data.direction === 'in' && data.peer === sender && ['receiving', 'failed'].includes(data.status)) {
+            data.status = 'receiving';
+            updateTransfer(tid, { status: 'receiving', error: undefined });
+            sendTracked(sender, 'FILE_ACCEPT', { transfer: tid, 'from-chunk': firstMissing(data.parts) }, '', data.encrypt);
+          }
+          return;
+        }
+
+        let meta = {};
+        try {
+          meta = JSON.parse(payload);
+        } catch (err) {
+          // Fall back to an anonymous file
+        }
+        const size = Number(frame.headers.size);
+        const chunkSize = Number(frame.headers['chunk-size']);
+        const chunks = Number(frame.headers.chunks);
+        const encrypt = frame.headers.enc !== undefined;
+        if (!Number.isSafeInteger(size) || size < 0 || size > MAX_FILE_BYTES ||
+            !(chunkSize > 0) || chunks !== chunkCount(size, chunkSize)) {
+          sendTracked(sender, 'FILE_CANCEL', { transfer: tid }, 'INVALID_OFFER', encrypt);
+          return;
+        }
+
+        const name = String(meta.name || 'file');
+        transferData.current.set(tid, {
+          direction: 'in',
+          peer: sender,
+          status: 'offered',
+          name,
+          mime: meta.type,
+          sha256: frame.headers.sha256,
+          chunks,
+          parts: new Array(chunks),
+          received: 0,
+          encrypt
+        });
+        setTransfers(prev => ({ ...prev, [tid]: { name, size, chunks, done: 0, direction: 'in', status: 'offered' } }));
+        setMessages(prev => [...prev, { ...entry, transfer: tid }]);
+        return;
+      }
+
+      case 'FILE_ACCEPT':
+        if (data?.direction === 'out' && data.peer === sender && !data.cancelled) {
+          pumpChunks(tid, Number(frame.headers['from-chunk']) || 0);
+        }
+        return;
+
+      case 'FILE_COMPLETE':
+        if (data?.direction === 'in' && data.peer === sender) {
+          finishIncoming(tid, data);
+        }
+        return;
+
+      case 'FILE_CANCEL':
+        if (data && data.peer === sender && !data.cancelled) {
+          data.cancelled = true;
+          data.status = 'cancelled';
+          updateTransfer(tid, { status: 'cancelled', error: payload });
+          addSystemMessage(`✗ Transfer of "${data.name}" stopped by the other side (${payload})`);
+        }
+        return;
+
+      default:
+        console.warn('Ignoring file frame outside a binary message:', frame.type);
+    }
+  };
+
+  // Receive one chunk: decrypt, verify its checksum, ACK or NACK it
+  const handleBinaryFrame = async (buffer) => {
+    let frame;
+    let bytes;
+    try {
+      const decoded = decodeBinaryFrame(buffer);
+      frame = parse(decoded.frame);
+      bytes = decoded.bytes;
+    } catch (err) {
+      if (!(err instanceof SCPParseError)) throw err;
+      console.error('Malformed binary frame:', err);
+      return;
+    }
+
+    const { id, headers } = frame;
+    const sender = headers.from;
+    const tid = headers.transfer;
+    const data = transferData.current.get(tid);
+    const index = Number(headers.index);
+
+    if (frame.type !== 'FILE_CHUNK' || data?.direction !== 'in' || data.peer !== sender ||
+        data.status !== 'receiving') {
+      sendReceipt(sender, 'NACK', id, 'UNKNOWN_TRANSFER');
+      return;
+    }
+    if (!Number.isInteger(index) || index < 0 || index >= data.chunks) {
+      sendReceipt(sender, 'NACK', id, 'BAD_CHUNK_INDEX');
+      return;
+    }
+    if (data.parts[index]) {
+      // Retransmission of a chunk we already have: our ACK was probably lost
+      sendReceipt(sender, 'ACK', id, 'CHUNK_RECEIVED');
+      return;
+    }
+
+    let chunk;
+    try {
+      chunk = headers.enc ? await decryptChunk(sessionKey.current, frame, bytes) : bytes.slice();
+    } catch (err) {
+      sendReceipt(sender, 'NACK', id, 'DECRYPT_FAILED');
+      return;
+    }
+    if (await sha256Hex(chunk) !== headers.checksum) {
+      sendReceipt(sender, 'NACK', id, 'CHECKSUM_MISMATCH');
+      return;
+    }
+
+    if (!data.parts[index]) {
+      data.parts[index] = chunk;
+      data.received++;
+      updateTransfer(tid, { done: data.received });
+    }
+    sendReceipt(sender, 'ACK', id, 'CHUNK_RECEIVED');
+  };
+
+  // Check the reassembled file against the offer's SHA-256 and hand it to the user
+  const finishIncoming = async (tid, data) => {
+    const blob = new Blob(data.parts, { type: data.mime || 'application/octet-stream' });
+    const intact = data.received === data.chunks &&
+      await sha256Hex(new Uint8Array(await blob.arrayBuffer())) === data.sha256;
+
+    if (!intact) {
+      data.status = 'failed';
+      data.parts = new Array(data.chunks);
+      data.received = 0;
+      updateTransfer(tid, { status: 'failed', done: 0, error: 'file checksum mismatch' });
+      sendTracked(data.peer, 'FILE_CANCEL', { transfer: tid }, 'CHECKSUM_MISMATCH', data.encrypt);
+      return;
+    }
+
+    data.status = 'complete';
+    data.parts = null;
+    data.url = URL.createObjectURL(blob);
+    updateTransfer(tid, { status: 'complete', done: data.chunks, url: data.url });
+    addSystemMessage(`✓ Received "${data.name}" (${formatBytes(blob.size)})`);
+  };
+
+  // Send chunks from `start` on with up to FILE_WINDOW awaiting an ACK, then
+  // announce completion. Chunks the receiver already has are skipped.
+  const pumpChunks = (tid, start) => {
+    const data = transferData.current.get(tid);
+    if (data.pumping) return; // duplicate FILE_ACCEPT
+
+    data.pumping = true;
+    data.status = 'sending';
+    for (let index = 0; index < start; index++) {
+      data.acked.add(index);
+    }
+    updateTransfer(tid, { status: 'sending', done: data.acked.size, error: undefined });
+
+    let next = 0;
+    let inFlight = 0;
+    let failure = null;
+
+    const pump = () => {
+      while (!failure && !data.cancelled && inFlight < FILE_WINDOW && next < data.chunks) {
+        const index = next++;
+        if (data.acked.has(index)) continue;
+
+        inFlight++;
+        sendChunk(tid, data, index, (status, entry) => {
+          inFlight--;
+          if (status === 'acked') {
+            data.acked.add(index);
+            updateTransfer(tid, { done: data.acked.size });
+          } else {
+            failure = failure || (status === 'failed' ? 'no acknowledgement' : entry.reason);
+          }
+          pump();
+        });
+      }
+      if (inFlight > 0) return;
+
+      data.pumping = false;
+      if (data.cancelled) return;
+      if (failure) {
+        data.status = 'failed';
+        updateTransfer(tid, { status: 'failed', error: failure });
+        addSystemMessage(`✗ Sending "${data.name}" failed (${failure}), it can be resumed`);
+        return;
+      }
+      data.status = 'complete';
+      updateTransfer(tid, { status: 'complete' });
+      sendTracked(data.peer, 'FILE_COMPLETE', { transfer: tid, sha256: data.sha256 }, '', data.encrypt);
+    };
+    pump();
+  };
+
+  // One chunk as a binary message, retransmitted until ACKed like any frame
+  const sendChunk = async (tid, data, index, onDone) => {
+    const id = nextId.current++;
+    const chunk = sliceChunk(data.bytes, index, data.chunkSize);
+    const frame = {
+      type: 'FILE_CHUNK',
+      id,
+      headers: { from: selfId.current, to: data.peer, transfer: tid, index, checksum: await sha256Hex(chunk) },
+      payload: ''
+    };
+    if (data.encrypt) {
+      frame.headers.enc = ENCRYPTION;
+    }
+    const body = data.encrypt ? await encryptChunk(sessionKey.current, frame, chunk) : chunk;
+    const message = encodeBinaryFrame(serialize(frame), body);
+
+    frameWaiters.current.set(id, (status, entry) => {
+      if (status === 'sending' || status === 'retrying') return;
+      frameWaiters.current.delete(id);
+      retransmits.current.cancel(id);
+      onDone(status, entry);
+    });
+    transmit(message);
+    retransmits.current.track(id, message);
+  };
+
+  // Put a frame on the wire and retransmit it until ACKed
+  const sendTracked = async (to, msgType, headers, payload, encrypt) => {
+    const id = nextId.current++;
+    const frame = { type: msgType, id, headers: { from: selfId.current, to, ...headers }, payload };
+    const scpMessage = serialize(encrypt ? await encryptFrame(sessionKey.current, frame) : frame);
+    const envelope = JSON.stringify({
+      type: 'scp-message',
+      code: sessionCodeRef.current,
+      scpMessage,
+      messageId: id
+    });
+
+    transmit(envelope);
+    retransmits.current.track(id, envelope);
+    return { id, scpMessage };
+  };
+
+  // Create our ECDH key pair (and as the server the session key) before the
+  // handshake; without WebCrypto the session stays unencrypted
+  const prepareKeys = async (asServer) => {
+    if (!isEncryptionSupported()) return;
+    keyPair.current = await generateKeyPair();
+    publicKey.current = await exportPublicKey(keyPair.current);
+    if (asServer) {
+      sessionKey.current = await generateSessionKey();
+    }
+  };
+
+  // Answer a client's HELLO with the version and features we settle on. With
+  // encryption the WELCOME also carries our public key and the session key,
+  // wrapped with the key we share with this client.
+  const welcome = async (clientAddress, hello) => {
+    const offer = readOffer(hello);
+    let agreed;
+    try {
+      agreed = negotiate(offer, { features: PROTOCOL_FEATURES });
+    } catch (err) {
+      addSystemMessage(`✗ Handshake with ${clientAddress} failed: ${err.message}`);
+      sendReceipt(clientAddress, 'NACK', hello.id, err.code);
+      return;
+    }
+
+    const headers = { from: 'server', to: clientAddress };
+    if (agreed.features.includes('encryption')) {
+      try {
+        const pairKey = await derivePairKey(keyPair.current, hello.headers.key);
+        headers.key = publicKey.current;
+        headers.group = await wrapSessionKey(pairKey, sessionKey.current);
+        const code = await fingerprint(publicKey.current, hello.headers.key);
+        setFingerprints(prev => ({ ...prev, [clientAddress]: code }));
+      } catch (err) {
+        console.error('Key exchange failed:', err);
+        addSystemMessage(`⚠ Key exchange with ${clientAddress} failed, its messages will not be encrypted`);
+        agreed = { ...agreed, features: agreed.features.filter(f => f !== 'encryption') };
+      }
+    }
+
+    setProtocols(prev => ({ ...prev, [clientAddress]: agreed }));
+    if (offer.legacy) return; // pre-handshake tabs would NACK a WELCOME
+
+    transmit(JSON.stringify({
+      type: 'scp-message',
+      code: sessionCodeRef.current,
+      scpMessage: serialize(buildWelcome({ ...agreed, headers })),
+      messageId: 0
+    }));
+  };
+
+  // Client side of the key exchange: unwrap the session key from the WELCOME
+  const acceptSessionKey = async (welcomeFrame) => {
+    try {
+      const pairKey = await derivePairKey(keyPair.current, welcomeFrame.headers.key);
+      sessionKey.current = await unwrapSessionKey(pairKey, welcomeFrame.headers.group);
+      const code = await fingerprint(publicKey.current, welcomeFrame.headers.key);
+      setFingerprints(prev => ({ ...prev, server: code }));
+      addSystemMessage('🔒 Messages are end-to-end encrypted. Compare the key fingerprint with the server.');
+    } catch (err) {
+      console.error('Key exchange failed:', err);
+      setError('Could not set up end-to-end encryption with the server');
+    }
+  };
+
+  // Whether a frame to `to` can be encrypted: we need the session key and, as
+  // the server, every addressed client must have received it. Clients cannot
+  // tell whether other clients did, so they encrypt whenever they hold the key.
+  const canEncryptTo = (to) => {
+    if (!sessionKey.current) return false;
+    if (selfId.current !== 'server') return true;
+    const targets = to === '*'
+      ? roster.filter(p => p.role === 'client' && p.connected).map(p => p.clientId)
+      : [to];
+    return targets.every(address => protocols[address]?.features.includes('encryption'));
+  };
+
+  // Whether `sender` had to encrypt this MSG frame, so plaintext from it is a
+  // downgrade. The server knows which clients agreed on encryption; a client
+  // holding the session key knows the server encrypts everything addressed to
+  // it, but not its broadcasts, which stay plaintext while any client lacks
+  // the key.
+  const mustEncrypt = (sender, frame) => {
+    if (frame.type !== 'MSG' || !sessionKey.current) return false;
+    if (selfId.current === 'server') {
+      return Boolean(protocols[sender]?.features.includes('encryption'));
+    }
+    return sender === 'server' && frame.headers.to !== '*';
+  };
+
+  // Who sent a frame, from the relay envelope: 'server' or a clientId
+  const senderKey = (data) => (data.from === 'client' ? data.clientId : 'server');
+
+  // Answer a received frame with an ACK, NACK or PONG addressed back to its sender
+  const sendReceipt = (to, msgType, id, payload) => {
+    transmit(JSON.stringify({
+      type: 'scp-message',
+      code: sessionCodeRef.current,
+      scpMessage: serialize({ type: msgType, id, headers: { from: selfId.current, to }, payload }),
+      messageId: id
+    }));
+  };
+
+  // Probe our peer(s): the server pings every client, a client its server.
+  // The payload is our clock, which the PONG echoes back.
+  const sendPing = () => {
+    if (!selfId.current) return;
+
+    const id = pingId.current++;
+    const to = selfId.current === 'server' ? '*' : 'server';
+    transmit(JSON.stringify({
+      type: 'scp-message',
+      code: sessionCodeRef.current,
+      scpMessage: serialize({ type: 'PING', id, headers: { from: selfId.current, to }, payload: Date.now() }),
+      messageId: id
+    }));
+  };
+
+  // Say goodbye to the session: a client leaves it for good, the server ends
+  // it for everyone
+  const sendBye = (reason, message = '') => {
+    if (!selfId.current) return;
+
+    const to = selfId.current === 'server' ? '*' : 'server';
+    const id = nextId.current++;
+    transmit(JSON.stringify({
+      type: 'scp-message',
+      code: sessionCodeRef.current,
+      scpMessage: serialize(buildBye({ id, reason, message, headers: { from: selfId.current, to } })),
+      messageId: id
+    }));
+  };
+
+  // Display name for an SCP address
+  const nameOf = (address) => {
+    if (address === 'server') return 'Server';
+    if (address === '*') return 'Everyone';
+    if (address === selfId.current) return 'You';
+    return roster.find(p => p.clientId === address)?.username || address;
+  };
+
+  // Host a new session: { passcode, requireApproval }. Resolves false (with
+  // `error` set) when the relay would not create it.
+  const host = async ({ passcode, requireApproval }) => {
+    setError('');
+
+    try {
+      const response = await fetch(`${API_URL}/api/create-session`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ passcode: passcode || undefined, requireApproval })
+      });
+
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || 'Failed to create session');
+      }
+
+      const data = await response.json();
+      await prepareKeys(true);
+      setSessionCode(data.code);
+      advance({ type: 'start', role: 'server' });
+      addSystemMessage('Server initialized. Share code with client to connect.');
+      addSystemMessage(`Connection Code: ${data.code}`);
+      connectWebSocket({
+        type: 'register-server',
+        code: data.code,
+        ownerToken: data.ownerToken,
+        versions: SUPPORTED_VERSIONS
+      });
+      return true;
+    } catch (err) {
+      console.error('Error initializing server:', err);
+      setError(err.message || 'Failed to create server session');
+      return false;
+    }
+  };
+
+  // Look a session up before joining it. Resolves { passcodeRequired } for
+  // a live session, or null with `error` set.
+  const checkSession = async (code) => {
+    let response;
+    let data;
+    try {
+      response = await fetch(`${API_URL}/api/check-session/${code.trim().toUpperCase()}`);
+      data = await response.json();
+    } catch (err) {
+      console.error('Error checking session:', err);
+      setError('Failed to connect to server');
+      return null;
+    }
+
+    if (!response.ok || !data.exists) {
+      setError(response.ok ? 'Invalid connection code' : data.error || 'Failed to check session');
+      return null;
+    }
+    setError('');
+    return { passcodeRequired: data.passcodeRequired };
+  };
+
+  // Join a session: { code, username, passcode }. Resolves false (with
+  // `error` set) when the relay turned us away before we connected.
+  const join = async ({ code, username, passcode }) => {
+    const joinCode = code.trim().toUpperCase();
+    if (!joinCode || !username.trim()) {
+      setError('Please enter both username and connection code');
+      return false;
+    }
+    setError('');
+
+    try {
+      const found = await checkSession(joinCode);
+      if (!found) {
+        return false;
+      }
+
+      if (found.passcodeRequired && !passcode) {
+        setError('This session requires a passcode');
+        return false;
+      }
+
+      // Exchange username and passcode for a signed join token
+      const joinResponse = await fetch(`${API_URL}/api/sessions/${joinCode}/join`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, passcode: passcode || undefined })
+      });
+      const token = await joinResponse.json();
+
+      if (!joinResponse.ok) {
+        setError(token.error || 'Not allowed to join this session');
+        return false;
+      }
+
+      await prepareKeys(false);
+      advance({ type: 'start', role: 'client' });
+      addSystemMessage(`Connecting to server with code: ${joinCode}...`);
+      connectWebSocket({
+        type: 'register-client',
+        code: joinCode,
+        joinToken: token.joinToken,
+        hello: serialize(buildHello({
+          username,
+          features: PROTOCOL_FEATURES,
+          headers: { key: publicKey.current ?? undefined }
+        }))
+      });
+      return true;
+    } catch (err) {
+      console.error('Error connecting:', err);
+      setError('Failed to connect to server');
+      return false;
+    }
+  };
+
+  // Send an SCP frame to `to` and keep retransmitting it until ACKed.
+  // `details` are extra fields for the chat entry.
+  const sendSCPMessage = async (msgType, payload, to, headers = {}, details = {}) => {
+    if (ws.current?.readyState !== WebSocket.OPEN) {
+      setError('Not connected to server');
+      return;
+    }
+
+    const encrypted = canEncryptTo(to);
+    const { id, scpMessage } = await sendTracked(to, msgType, headers, payload, encrypted);
+
+    setMessages(prev => [...prev, {
+      type: machine.current.role === 'server' ? 'server' : 'client',
+      scpFormat: scpMessage,
+      msgType,
+      id,
+      from: selfId.current,
+      to,
+      payload,
+      encrypted,
+      timestamp: new Date().toLocaleTimeString(),
+      status: 'sending',
+      ...details
+    }]);
+  };
+
+  // Who frames go to unless someone is picked: the server talks to everyone,
+  // clients to their server
+  const defaultRecipient = session.role === 'server' ? '*' : 'server';
+
+  const sendMessage = (text, to = defaultRecipient) => {
+    if (!text.trim()) return;
+    sendSCPMessage('MSG', text, to);
+  };
+
+  // Offer a file to one participant; chunks follow once it accepts
+  const offerFile = async (file, to = defaultRecipient) => {
+    if (to === '*') {
+      setError('Select a single participant to send a file to');
+      return;
+    }
+    if (protocols[to] && !protocols[to].features.includes('file-transfer')) {
+      setError(`${nameOf(to)} cannot receive files`);
+      return;
+    }
+    if (file.size > MAX_FILE_BYTES) {
+      setError(`Files are limited to ${formatBytes(MAX_FILE_BYTES)}`);
+      return;
+    }
+
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const tid = newTransferId();
+    const data = {
+      direction: 'out',
+      peer: to,
+      status: 'offered',
+      name: file.name,
+      bytes,
+      chunkSize: DEFAULT_CHUNK_SIZE,
+      chunks: chunkCount(bytes.length, DEFAULT_CHUNK_SIZE),
+      sha256: await sha256Hex(bytes),
+      acked: new Set(),
+      encrypt: canEncryptTo(to)
+    };
+    data.offer = {
+      headers: { transfer: tid, size: bytes.length, 'chunk-size': data.chunkSize, chunks: data.chunks, sha256: data.sha256 },
+      payload: JSON.stringify({ name: file.name, type: file.type })
+    };
+    transferData.current.set(tid, data);
+    setTransfers(prev => ({
+      ...prev,
+      [tid]: { name: file.name, size: bytes.length, chunks: data.chunks, done: 0, direction: 'out', status: 'offered' }
+    }));
+
+    sendSCPMessage('FILE_OFFER', data.offer.payload, to, data.offer.headers, { transfer: tid });
+  };
+
+  // Receiver's answer to an offer
+  const acceptFile = (tid) => {
+    const data = transferData.current.get(tid);
+    if (data?.status !== 'offered') return;
+    data.status = 'receiving';
+    updateTransfer(tid, { status: 'receiving' });
+    sendTracked(data.peer, 'FILE_ACCEPT', { transfer: tid, 'from-chunk': 0 }, '', data.encrypt);
+  };
+
+  // Decline an offer or abort a running transfer, from either side
+  const cancelTransfer = (tid, reason) => {
+    const data = transferData.current.get(tid);
+    if (!data || data.cancelled) return;
+    data.cancelled = true;
+    data.status = reason === 'DECLINED' ? 'declined' : 'cancelled';
+    updateTransfer(tid, { status: data.status });
+    sendTracked(data.peer, 'FILE_CANCEL', { transfer: tid }, reason, data.encrypt);
+  };
+
+  // Offer a failed transfer again; the receiver answers with the chunk to
+  // continue from
+  const resumeFile = (tid) => {
+    const data = transferData.current.get(tid);
+    if (data?.direction !== 'out' || data.status !== 'failed') return;
+    data.status = 'offered';
+    updateTransfer(tid, { status: 'offered', error: undefined });
+    addSystemMessage(`↻ Resuming "${data.name}"`);
+    sendTracked(data.peer, 'FILE_OFFER', data.offer.headers, data.offer.payload, data.encrypt);
+  };
+
+  // Manually resend a message that ran out of retries
+  const retryMessage = (id) => {
+    if (retransmits.current.retry(id)) {
+      addSystemMessage(`↻ Retrying message id=${id}`);
+    }
+  };
+
+  // Let a waiting client in, or turn it away
+  const respondToJoin = (clientId, approve) => {
+    transmit(JSON.stringify({ type: 'admit', clientId, approve }));
+    setJoinRequests(prev => prev.filter(r => r.clientId !== clientId));
+  };
+
+  // Owner controls for the session's lifetime and its simulated network
+  const extendSession = () => {
+    transmit(JSON.stringify({ type: 'extend-session' }));
+  };
+
+  const setNetwork = (conditions) => {
+    transmit(JSON.stringify({ type: 'set-network', conditions }));
+  };
+
+  const closeSession = () => {
+    sendBye(BYE_REASONS.CLOSED);
+    endSession({ reason: BYE_REASONS.CLOSED, message: '' }, 'You ended the session.');
+  };
+
+  // Back to the start. Leaving a live session says goodbye first, so the
+  // others do not wait for us to come back.
+  const reset = () => {
+    if (isRegistered(machine.current.status)) {
+      sendBye(BYE_REASONS.LEAVING);
+    }
+    const socket = ws.current;
+    ws.current = null;
+    socket?.close();
+    clearTimeout(reconnectTimeout.current);
+    resumeToken.current = null;
+    droppedAt.current = null;
+    lastSeen.current = {};
+    selfId.current = null;
+    retransmits.current.clear();
+    duplicates.current.clear();
+    transferData.current.forEach(data => data.url && URL.revokeObjectURL(data.url));
+    transferData.current.clear();
+    frameWaiters.current.clear();
+    nextId.current = FIRST_MESSAGE_ID;
+    keyPair.current = null;
+    publicKey.current = null;
+    sessionKey.current = null;
+    pingId.current = 0;
+    sessionCodeRef.current = '';
+    setSessionCode('');
+    setMessages([]);
+    setJoinRequests([]);
+    setRoster([]);
+    setLatency({});
+    setProtocols({});
+    setFingerprints({});
+    setTransfers({});
+    setExpiresAt(null);
+    setSessionEnded(null);
+    setFaultInjection(false);
+    setNetworkConditions(null);
+    setTraffic([]);
+    setTranscriptFrames([]);
+    transcriptCount.current = 0;
+    setError('');
+    advance({ type: 'reset' });
+  };
+
+  handlers.current = {
+    handleWebSocketMessage,
+    handleBinaryFrame,
+    handleSocketClose,
+    handleRetransmitStatus
+  };
+
+  const registered = isRegistered(session.status);
+
+  // Heartbeat while registered with the relay
+  useEffect(() => {
+    if (!registered) return undefined;
+    sendPing();
+    const timer = setInterval(sendPing, PING_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [registered]);
+
+  // Cleanup on unmount
+  useEffect(() => () => {
+    retransmits.current.clear();
+    clearTimeout(reconnectTimeout.current);
+    const socket = ws.current;
+    ws.current = null;
+    socket?.close();
+  }, []);
+
+  return {
+    ...session,
+    registered,
+    sessionCode,
+    selfId: selfId.current,
+    defaultRecipient,
+    messages,
+    error,
+    setError,
+    joinRequests,
+    roster,
+    latency,
+    protocols,
+    fingerprints,
+    transfers,
+    expiresAt,
+    sessionEnded,
+    traffic,
+    clearTraffic: () => setTraffic([]),
+    transcriptFrames,
+    // Older frames that no longer fit in transcriptFrames
+    transcriptDropped: Math.max(0, transcriptCount.current - MAX_TRANSCRIPT_FRAMES),
+    faultInjection,
+    networkConditions,
+    nameOf,
+    host,
+    checkSession,
+    join,
+    sendMessage,
+    offerFile,
+    acceptFile,
+    cancelTransfer,
+    resumeFile,
+    retryMessage,
+    respondToJoin,
+    extendSession,
+    setNetwork,
+    closeSession,
+    reset
+  };
+};
+
+export default useSCPSession;
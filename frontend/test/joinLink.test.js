@@ -0,0 +1,52 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { joinUrl, readJoinCode, clearJoinCode } from '../src/joinLink';
+import { CODE_LENGTH } from '../src/useSCPSession';
+
+const CODE = 'AB12CD34EF56'.slice(0, CODE_LENGTH);
+
+// Open the page at `href`, with a history that records replaceState calls
+const openPage = (href) => {
+  const page = { location: new URL(href), history: { state: { tab: 1 }, replaceState: vi.fn() } };
+  vi.stubGlobal('window', page);
+  return page;
+};
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('join links', () => {
+  it('link to this page with only the code', () => {
+    openPage('https://chat.example/app/?mode=client&x=1#top');
+    expect(joinUrl(CODE)).toBe(`https://chat.example/app/?join=${CODE}`);
+  });
+
+  it('read the code of the link the page was opened with', () => {
+    openPage(`https://chat.example/?join=${CODE}`);
+    expect(readJoinCode()).toBe(CODE);
+  });
+
+  it('accept codes in lower case and with spaces around them', () => {
+    openPage(`https://chat.example/?join=%20${CODE.toLowerCase()}%20`);
+    expect(readJoinCode()).toBe(CODE);
+  });
+
+  it('ignore codes that do not look like one', () => {
+    ['', `?join=${CODE}X`, `?join=${CODE.slice(1)}`, `?join=${CODE.slice(1)}-`, `?other=${CODE}`].forEach((search) => {
+      openPage(`https://chat.example/${search}`);
+      expect(readJoinCode()).toBeNull();
+    });
+  });
+
+  it('drop the code from the address bar, keeping the rest', () => {
+    const page = openPage(`https://chat.example/?join=${CODE}&theme=dark#top`);
+    clearJoinCode();
+    expect(page.history.replaceState).toHaveBeenCalledWith({ tab: 1 }, '', new URL('https://chat.example/?theme=dark#top'));
+  });
+
+  it('leave the address bar alone without a code', () => {
+    const page = openPage('https://chat.example/?theme=dark');
+    clearJoinCode();
+    expect(page.history.replaceState).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { encodeQR, MAX_QR_BYTES } from '../src/qrcode';
+
+// Whether the 7x7 finder pattern has its top-left corner at (row, col)
+const hasFinder = (modules, row, col) => {
+  for (let r = 0; r < 7; r++) {
+    for (let c = 0; c < 7; c++) {
+      const ring = Math.max(Math.abs(r - 3), Math.abs(c - 3));
+      if (modules[row + r][col + c] !== (ring !== 2)) return false;
+    }
+  }
+  return true;
+};
+
+describe('encodeQR', () => {
+  it('picks the smallest version the text fits in', () => {
+    // Byte mode capacities at level M: 14 bytes in version 1, 42 in version 3
+    expect(encodeQR('x'.repeat(14))).toHaveLength(21);
+    expect(encodeQR('x'.repeat(15))).toHaveLength(25);
+
+    const modules = encodeQR('https://chat.example/?join=ABCD1234');
+    expect(modules).toHaveLength(29);
+    modules.forEach(row => expect(row).toHaveLength(29));
+  });
+
+  it('draws the finder and timing patterns', () => {
+    const modules = encodeQR('https://chat.example/?join=ABCD1234');
+    const size = modules.length;
+    expect(hasFinder(modules, 0, 0)).toBe(true);
+    expect(hasFinder(modules, 0, size - 7)).toBe(true);
+    expect(hasFinder(modules, size - 7, 0)).toBe(true);
+    for (let i = 8; i < size - 8; i++) {
+      expect(modules[6][i]).toBe(i % 2 === 0);
+      expect(modules[i][6]).toBe(i % 2 === 0);
+    }
+  });
+
+  it('grows with the text, up to MAX_QR_BYTES', () => {
+    expect(encodeQR('x'.repeat(100))).toHaveLength(17 + 4 * 6);
+    expect(encodeQR('x'.repeat(MAX_QR_BYTES))).toHaveLength(17 + 4 * 10);
+    expect(() => encodeQR('x'.repeat(MAX_QR_BYTES + 1))).toThrow(RangeError);
+  });
+
+  it('counts UTF-8 bytes, not characters', () => {
+    expect(() => encodeQR('é'.repeat(MAX_QR_BYTES / 2 + 1))).toThrow(RangeError);
+  });
+
+  it('gives the same code for the same text', () => {
+    expect(encodeQR('ABC')).toEqual(encodeQR('ABC'));
+  });
+});
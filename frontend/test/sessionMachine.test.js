@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { INITIAL_SESSION, transition, isRegistered } from '../src/sessionMachine';
+
+// The state after feeding `events` to the machine, from idle
+const run = (...events) => events.reduce(transition, INITIAL_SESSION);
+
+describe('session state machine', () => {
+  it('goes from idle through registration to an active session', () => {
+    const connecting = run({ type: 'start', role: 'server' });
+    expect(connecting).toEqual({ status: 'connecting', role: 'server', awaitingApproval: false });
+
+    const registered = transition(connecting, { type: 'registered' });
+    expect(registered.status).toBe('registered');
+    expect(transition(registered, { type: 'peer-joined' }).status).toBe('active');
+  });
+
+  it('falls back to registered when the peer leaves', () => {
+    const session = run({ type: 'start', role: 'client' }, { type: 'registered' }, { type: 'peer-joined' }, { type: 'peer-left' });
+    expect(session).toEqual({ status: 'registered', role: 'client', awaitingApproval: false });
+  });
+
+  it('marks a client waiting for approval until it is registered', () => {
+    const pending = run({ type: 'start', role: 'client' }, { type: 'admission-pending' });
+    expect(pending).toEqual({ status: 'connecting', role: 'client', awaitingApproval: true });
+    expect(transition(pending, { type: 'registered' }).awaitingApproval).toBe(false);
+  });
+
+  it('reconnects after a dropped socket, keeping the role', () => {
+    const session = run({ type: 'start', role: 'server' }, { type: 'registered' }, { type: 'peer-joined' }, { type: 'dropped' });
+    expect(session).toEqual({ status: 'connecting', role: 'server', awaitingApproval: false });
+  });
+
+  it('keeps the role of a session that ended, but not of one that failed', () => {
+    const ended = run({ type: 'start', role: 'client' }, { type: 'registered' }, { type: 'leave' });
+    expect(ended.status).toBe('closing');
+    expect(transition(ended, { type: 'closed' })).toEqual({ status: 'idle', role: 'client', awaitingApproval: false });
+
+    expect(run({ type: 'start', role: 'client' }, { type: 'failed' })).toEqual(INITIAL_SESSION);
+  });
+
+  it('returns the same state for events that do not apply', () => {
+    const closing = run({ type: 'start', role: 'server' }, { type: 'leave' });
+    expect(transition(closing, { type: 'peer-joined' })).toBe(closing);
+    expect(transition(INITIAL_SESSION, { type: 'registered' })).toBe(INITIAL_SESSION);
+  });
+
+  it('resets to the initial state from anywhere', () => {
+    const active = run({ type: 'start', role: 'server' }, { type: 'registered' }, { type: 'peer-joined' });
+    expect(transition(active, { type: 'reset' })).toBe(INITIAL_SESSION);
+  });
+
+  it('counts registered and active sessions as registered', () => {
+    expect(['idle', 'connecting', 'registered', 'active', 'closing'].filter(isRegistered)).toEqual(['registered', 'active']);
+  });
+});
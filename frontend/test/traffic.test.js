@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { serialize, encodeBinaryFrame } from 'scp-protocol';
+import { describeTraffic, categoryOf, roundTrips } from '../src/traffic';
+
+const frame = (type, id, headers = {}, payload = '') => serialize({ type, id, headers, payload });
+
+const envelope = (scpMessage, extra = {}) => JSON.stringify({ type: 'scp-message', code: 'ABC123', scpMessage, ...extra });
+
+// A traffic entry for a frame crossing the socket at `at`
+const entry = (seq, at, direction, type, id, headers = {}) =>
+  describeTraffic(direction, envelope(frame(type, id, headers)), seq, at);
+
+describe('describeTraffic', () => {
+  it('parses frames inside relay envelopes', () => {
+    const raw = frame('MSG', 5, { from: 'server', to: 'c1' }, 'hi');
+    const described = describeTraffic('out', envelope(raw), 3, 1000);
+
+    expect(described).toMatchObject({
+      seq: 3, at: 1000, direction: 'out', kind: 'frame', raw, from: 'server', to: 'c1', binary: false, replayed: false
+    });
+    expect(described.frame.type).toBe('MSG');
+    expect(described.size).toBe(raw.length);
+  });
+
+  it('takes the sender from the envelope when the frame has none', () => {
+    const described = describeTraffic('in', envelope(frame('MSG', 2, { to: 'server' }), { from: 'client', clientId: 'c7' }), 0);
+    expect(described.from).toBe('c7');
+  });
+
+  it('keeps frames that do not parse, without a frame', () => {
+    const described = describeTraffic('in', envelope('not a frame'), 0);
+    expect(described).toMatchObject({ kind: 'frame', frame: null, raw: 'not a frame' });
+    expect(categoryOf(described)).toBe('MALFORMED');
+  });
+
+  it('hides credentials in relay envelopes', () => {
+    const described = describeTraffic('in', JSON.stringify({ type: 'registered', clientId: 'c1', resumeToken: 'secret' }), 0);
+    expect(described).toMatchObject({ kind: 'envelope', type: 'registered', fields: { clientId: 'c1', resumeToken: '********' } });
+    expect(categoryOf(described)).toBe('relay');
+  });
+
+  it('describes binary frames and garbage', () => {
+    const binary = encodeBinaryFrame(frame('FILE_CHUNK', 9, { from: 'c1', to: 'server' }), new Uint8Array([1, 2, 3]));
+    expect(describeTraffic('out', binary, 0)).toMatchObject({ kind: 'frame', binary: true, from: 'c1', to: 'server' });
+    expect(describeTraffic('in', new Uint8Array([1]).buffer, 0)).toMatchObject({ kind: 'envelope', type: 'binary' });
+    expect(describeTraffic('in', '{oops', 0)).toMatchObject({ kind: 'envelope', type: 'invalid' });
+  });
+});
+
+describe('roundTrips', () => {
+  it('times a frame until the first receipt from its recipient', () => {
+    const trips = roundTrips([
+      entry(0, 1000, 'out', 'MSG', 5, { from: 'server', to: 'c1' }),
+      entry(1, 1040, 'in', 'ACK', 5, { from: 'c1', to: 'server' }),
+      entry(2, 1090, 'in', 'ACK', 5, { from: 'c1', to: 'server' })
+    ]);
+    expect([...trips]).toEqual([[0, { ms: 40, receipt: 'ACK' }]]);
+  });
+
+  it('ignores receipts from anyone but the recipient, except the relay', () => {
+    const trips = roundTrips([
+      entry(0, 0, 'out', 'MSG', 5, { from: 'server', to: 'c1' }),
+      entry(1, 10, 'in', 'ACK', 5, { from: 'c2', to: 'server' }),
+      entry(2, 20, 'out', 'MSG', 6, { from: 'server', to: 'c2' }),
+      entry(3, 30, 'in', 'NACK', 6, { from: 'relay', to: 'server' })
+    ]);
+    expect([...trips]).toEqual([[2, { ms: 10, receipt: 'NACK' }]]);
+  });
+
+  it('matches every retransmission and broadcasts to any receipt', () => {
+    const trips = roundTrips([
+      entry(0, 0, 'out', 'MSG', 7, { from: 'server', to: '*' }),
+      entry(1, 100, 'out', 'MSG', 7, { from: 'server', to: '*' }),
+      entry(2, 130, 'in', 'ACK', 7, { from: 'c2', to: 'server' })
+    ]);
+    expect(trips.get(0)).toEqual({ ms: 130, receipt: 'ACK' });
+    expect(trips.get(1)).toEqual({ ms: 30, receipt: 'ACK' });
+  });
+
+  it('matches PINGs to PONGs apart from frames with the same id', () => {
+    const trips = roundTrips([
+      entry(0, 0, 'out', 'PING', 1, { from: 'c1', to: 'server' }),
+      entry(1, 5, 'out', 'MSG', 1, { from: 'c1', to: 'server' }),
+      entry(2, 20, 'in', 'ACK', 1, { from: 'server', to: 'c1' }),
+      entry(3, 50, 'in', 'PONG', 1, { from: 'server', to: 'c1' })
+    ]);
+    expect(trips.get(0)).toEqual({ ms: 50, receipt: 'PONG' });
+    expect(trips.get(1)).toEqual({ ms: 15, receipt: 'ACK' });
+  });
+
+  it('leaves unanswered frames and our own receipts out', () => {
+    const trips = roundTrips([
+      entry(0, 0, 'out', 'MSG', 3, { from: 'c1', to: 'server' }),
+      entry(1, 10, 'out', 'ACK', 8, { from: 'c1', to: 'server' })
+    ]);
+    expect(trips.size).toBe(0);
+  });
+});
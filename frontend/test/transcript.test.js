@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { serialize } from 'scp-protocol';
+import { describeTraffic } from '../src/traffic';
+import {
+  buildTranscript, transcriptToText, transcriptToLog, readTranscript, TranscriptError, TRANSCRIPT_FORMAT
+} from '../src/transcript';
+
+const frame = (type, id, headers = {}, payload = '') => serialize({ type, id, headers, payload });
+
+const traffic = (seq, direction, raw) =>
+  describeTraffic(direction, JSON.stringify({ type: 'scp-message', code: 'ABC123', scpMessage: raw }), seq, 1700000000000 + seq);
+
+const session = (overrides = {}) => ({
+  role: 'server',
+  sessionCode: 'ABC123',
+  selfId: 'server',
+  frames: [
+    traffic(0, 'out', frame('MSG', 5, { from: 'server', to: 'c1' }, 'hello')),
+    traffic(1, 'in', frame('ACK', 5, { from: 'c1', to: 'server' }, 'MSG_RECEIVED')),
+    traffic(2, 'in', frame('MSG', 3, { from: 'c1', to: 'server', enc: 'aes-gcm' }, 'Y2lwaGVy'))
+  ],
+  messages: [
+    { scpFormat: 'x', msgType: 'MSG', from: 'server', id: 5, payload: 'hello', status: 'delivered' },
+    { scpFormat: 'y', msgType: 'MSG', from: 'c1', id: 3, payload: 'secret', status: 'received' }
+  ],
+  nameOf: address => ({ server: 'Server', c1: 'Alice' }[address] ?? address),
+  ...overrides
+});
+
+describe('buildTranscript', () => {
+  it('records the frames with the status and plaintext of their messages', () => {
+    const transcript = buildTranscript(session());
+
+    expect(transcript).toMatchObject({
+      format: TRANSCRIPT_FORMAT, role: 'server', code: 'ABC123', self: 'server', dropped: 0,
+      participants: { server: 'Server', c1: 'Alice' }
+    });
+    expect(transcript.frames.map(f => [f.type, f.id, f.direction, f.payload, f.encrypted, f.status])).toEqual([
+      ['MSG', 5, 'out', 'hello', false, 'delivered'],
+      ['ACK', 5, 'in', 'MSG_RECEIVED', false, null],
+      ['MSG', 3, 'in', 'secret', true, 'received']
+    ]);
+  });
+
+  it('notes how many earlier frames were dropped', () => {
+    const transcript = buildTranscript(session({ dropped: 42 }));
+    expect(transcript.dropped).toBe(42);
+    expect(transcriptToText(transcript)).toContain('42 earlier frames were not kept');
+    expect(transcriptToLog(transcript)).toContain('dropped=42');
+  });
+});
+
+describe('readTranscript', () => {
+  it('reads back an exported JSON transcript', () => {
+    const transcript = buildTranscript(session());
+    expect(readTranscript(JSON.stringify(transcript, null, 2))).toEqual(transcript);
+  });
+
+  it('reads back an exported SCP log', () => {
+    const transcript = buildTranscript(session({ dropped: 7 }));
+    const read = readTranscript(transcriptToLog(transcript));
+
+    expect(read).toMatchObject({ role: 'server', self: 'server', code: 'ABC123', dropped: 7, exportedAt: null });
+    expect(read.frames.map(f => f.raw)).toEqual(transcript.frames.map(f => f.raw));
+    expect(read.frames.map(f => f.direction)).toEqual(['out', 'in', 'in']);
+    expect(read.frames[2]).toMatchObject({ payload: null, encrypted: true });
+  });
+
+  it('reads logs with CRLF line endings and without a header', () => {
+    const read = readTranscript(`${frame('MSG', 2, { from: 'c1', to: 'server' }, 'hi')}\r\n\r\n`);
+    expect(read.frames).toHaveLength(1);
+    expect(read.frames[0]).toMatchObject({ type: 'MSG', id: 2, payload: 'hi', direction: 'in' });
+    expect(read.self).toBeNull();
+  });
+
+  it('rejects files that are not transcripts', () => {
+    const rejects = (text, message) => {
+      expect(() => readTranscript(text)).toThrow(TranscriptError);
+      expect(() => readTranscript(text)).toThrow(message);
+    };
+
+    rejects('{ not json', 'not valid JSON');
+    rejects('{"format":"something-else","frames":[]}', 'not an SCP transcript');
+    rejects(`{"format":"${TRANSCRIPT_FORMAT}","version":99,"frames":[]}`, 'version 99 is newer');
+    rejects(`{"format":"${TRANSCRIPT_FORMAT}","version":1,"frames":[{"type":"MSG"}]}`, 'Frame 1 has no wire text');
+    rejects('# SCP log\nhello there\n', 'Line 2 is not an SCP frame');
+    rejects('# SCP log only\n', 'no SCP frames');
+  });
+});
@@ -5,5 +5,15 @@ export default defineConfig({
   plugins: [react()],
   server: {
     port: 3000
+  },
+  // scp-protocol is a linked CommonJS package (../shared), so it has to be
+  // pre-bundled in dev and run through the CommonJS plugin in builds
+  optimizeDeps: {
+    include: ['scp-protocol']
+  },
+  build: {
+    commonjsOptions: {
+      include: [/shared/, /node_modules/]
+    }
   }
-})
\ No newline at end of file
+})
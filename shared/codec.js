@@ -0,0 +1,237 @@
+// SCP/1.1 frame codec
+//
+// Wire format (one frame per line):
+//
+//   frame   = version SEP type 1*(SEP header) SEP payload
+//   version = "SCP/" DIGIT+ "." DIGIT+
+//   type    = UPPER *(UPPER / DIGIT / "_")
+//   header  = key "=" value
+//   key     = LOWER *(LOWER / DIGIT / "-" / "_")
+//   SEP     = *SP "|" *SP
+//
+// Every frame carries an `id` header holding a non-negative integer.
+// Frames are written with SEP = " | ": the parser drops the spaces before a
+// header key and one space after a header value, so values keep any other
+// leading or trailing spaces. Header values are strings or numbers.
+// Header values and the payload are escaped so that they never contain a raw
+// "|" or line break: "\" -> "\\", "|" -> "\|", LF -> "\n", CR -> "\r".
+// An optional `len` header carries the UTF-8 byte length of the unescaped
+// payload; when present the parser checks it.
+
+const VERSION = '1.1';
+const PROTOCOL = `SCP/${VERSION}`;
+
+const VERSION_RE = /^SCP\/(\d+)\.(\d+)$/;
+const TYPE_RE = /^[A-Z][A-Z0-9_]*$/;
+const KEY_RE = /^[a-z][a-z0-9_-]*$/;
+const ID_RE = /^\d+$/;
+
+class SCPError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SCPError';
+    this.code = code;
+  }
+}
+
+// Thrown by parse() for frames that do not follow the grammar
+class SCPParseError extends SCPError {
+  constructor(code, message, frame) {
+    super(code, message);
+    this.name = 'SCPParseError';
+    this.frame = frame;
+  }
+}
+
+// Thrown by serialize() for messages that cannot be put on the wire
+class SCPEncodeError extends SCPError {
+  constructor(code, message) {
+    super(code, message);
+    this.name = 'SCPEncodeError';
+  }
+}
+
+function escape(value) {
+  return String(value).replace(/[\\|\n\r]/g, (ch) => {
+    switch (ch) {
+      case '\\': return '\\\\';
+      case '|': return '\\|';
+      case '\n': return '\\n';
+      default: return '\\r';
+    }
+  });
+}
+
+function unescape(value, frame) {
+  return value.replace(/\\(.?)/g, (match, ch) => {
+    switch (ch) {
+      case '\\': return '\\';
+      case '|': return '|';
+      case 'n': return '\n';
+      case 'r': return '\r';
+      default:
+        throw new SCPParseError('ERR_BAD_ESCAPE', `Invalid escape sequence "${match}"`, frame);
+    }
+  });
+}
+
+function byteLength(value) {
+  return new TextEncoder().encode(value).length;
+}
+
+// Split on every "|" that is not escaped, keeping escapes intact
+function splitFields(frame) {
+  const fields = [];
+  let current = '';
+
+  for (let i = 0; i < frame.length; i++) {
+    const ch = frame[i];
+    if (ch === '\\') {
+      current += ch + (frame[i + 1] ?? '');
+      i++;
+    } else if (ch === '|') {
+      fields.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  fields.push(current);
+
+  return fields;
+}
+
+// Parse a raw frame into { version, type, id, headers, payload }
+function parse(frame) {
+  if (typeof frame !== 'string') {
+    throw new SCPParseError('ERR_NOT_A_STRING', 'Frame must be a string', frame);
+  }
+  if (/[\r\n]/.test(frame)) {
+    throw new SCPParseError('ERR_LINE_BREAK', 'Frame must not contain raw line breaks', frame);
+  }
+
+  const fields = splitFields(frame);
+  if (fields.length < 4) {
+    throw new SCPParseError('ERR_TOO_FEW_FIELDS', `Expected at least 4 fields, got ${fields.length}`, frame);
+  }
+
+  const versionMatch = VERSION_RE.exec(fields[0].trim());
+  if (!versionMatch) {
+    throw new SCPParseError('ERR_BAD_VERSION', `Invalid protocol version "${fields[0].trim()}"`, frame);
+  }
+  const version = `${versionMatch[1]}.${versionMatch[2]}`;
+
+  const type = fields[1].trim();
+  if (!TYPE_RE.test(type)) {
+    throw new SCPParseError('ERR_BAD_TYPE', `Invalid message type "${type}"`, frame);
+  }
+
+  const headers = {};
+  for (const field of fields.slice(2, -1)) {
+    const raw = field.trimStart().replace(/ $/, '');
+    const eq = raw.indexOf('=');
+    const key = eq === -1 ? raw : raw.slice(0, eq);
+    if (eq === -1 || !KEY_RE.test(key)) {
+      throw new SCPParseError('ERR_BAD_HEADER', `Invalid header "${raw}"`, frame);
+    }
+    if (Object.prototype.hasOwnProperty.call(headers, key)) {
+      throw new SCPParseError('ERR_DUPLICATE_HEADER', `Duplicate header "${key}"`, frame);
+    }
+    headers[key] = unescape(raw.slice(eq + 1), frame);
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(headers, 'id')) {
+    throw new SCPParseError('ERR_MISSING_ID', 'Missing "id" header', frame);
+  }
+  // Numbers may be padded with spaces
+  const idText = headers.id.trim();
+  if (!ID_RE.test(idText)) {
+    throw new SCPParseError('ERR_BAD_ID', `Invalid id "${headers.id}"`, frame);
+  }
+  const id = Number(idText);
+  if (!Number.isSafeInteger(id)) {
+    throw new SCPParseError('ERR_BAD_ID', `Id out of range "${headers.id}"`, frame);
+  }
+  delete headers.id;
+
+  // The separator is written as " | ", so drop exactly one leading space
+  const rawPayload = fields[fields.length - 1];
+  const payload = unescape(rawPayload.startsWith(' ') ? rawPayload.slice(1) : rawPayload, frame);
+
+  if (Object.prototype.hasOwnProperty.call(headers, 'len')) {
+    if (!ID_RE.test(headers.len.trim())) {
+      throw new SCPParseError('ERR_BAD_HEADER', `Invalid len "${headers.len}"`, frame);
+    }
+    if (Number(headers.len) !== byteLength(payload)) {
+      throw new SCPParseError(
+        'ERR_LENGTH_MISMATCH',
+        `Payload is ${byteLength(payload)} bytes, len header says ${headers.len}`,
+        frame
+      );
+    }
+    delete headers.len;
+  }
+
+  return { version, type, id, headers, payload };
+}
+
+// Build a raw frame from { type, id, headers, payload }.
+// Pass { length: true } to add a `len` header for the payload.
+function serialize(message, options = {}) {
+  const { type, id, headers = {}, payload = '' } = message || {};
+  const version = message?.version ? `SCP/${message.version}` : PROTOCOL;
+
+  if (!VERSION_RE.test(version)) {
+    throw new SCPEncodeError('ERR_BAD_VERSION', `Invalid protocol version "${message.version}"`);
+  }
+  if (typeof type !== 'string' || !TYPE_RE.test(type)) {
+    throw new SCPEncodeError('ERR_BAD_TYPE', `Invalid message type "${type}"`);
+  }
+  if (!Number.isSafeInteger(id) || id < 0) {
+    throw new SCPEncodeError('ERR_BAD_ID', `Invalid id "${id}"`);
+  }
+
+  const fields = [version, type, `id=${id}`];
+
+  for (const [key, value] of Object.entries(headers)) {
+    if (value === undefined || value === null) continue;
+    if (!KEY_RE.test(key) || key === 'id' || key === 'len') {
+      throw new SCPEncodeError('ERR_BAD_HEADER', `Invalid header name "${key}"`);
+    }
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      throw new SCPEncodeError('ERR_BAD_HEADER', `Header "${key}" must be a string or number, got ${typeof value}`);
+    }
+    fields.push(`${key}=${escape(value)}`);
+  }
+
+  const text = String(payload);
+  if (options.length) {
+    fields.push(`len=${byteLength(text)}`);
+  }
+  fields.push(escape(text));
+
+  return fields.join(' | ');
+}
+
+// Like parse(), but returns null instead of throwing
+function tryParse(frame) {
+  try {
+    return parse(frame);
+  } catch (error) {
+    if (error instanceof SCPParseError) return null;
+    throw error;
+  }
+}
+
+module.exports = {
+  VERSION,
+  PROTOCOL,
+  SCPError,
+  SCPParseError,
+  SCPEncodeError,
+  parse,
+  tryParse,
+  serialize,
+  escape,
+  unescape
+};
@@ -0,0 +1,162 @@
+// End-to-end payload encryption for SCP with WebCrypto (browsers and Node 20+).
+//
+// The handshake carries ECDH P-256 public keys: the client's in its HELLO
+// (`key=`), the server's in the WELCOME (`key=`). Both sides derive the same
+// pairwise AES-GCM key from them. The server then hands every client one
+// session key, wrapped with the pairwise key (`group=` on the WELCOME), and all
+// encrypted frames in the session use that session key. Encrypted frames carry
+// `enc=aes-gcm` and a payload of base64(iv) "." base64(ciphertext); the frame
+// type, id, from and to are bound to the ciphertext as additional data, so the
+// relay can still route frames but cannot read or re-address them.
+
+const ENCRYPTION = 'aes-gcm';
+const IV_BYTES = 12;
+
+const ECDH = { name: 'ECDH', namedCurve: 'P-256' };
+const AES = { name: 'AES-GCM', length: 256 };
+
+function subtle() {
+  const api = globalThis.crypto && globalThis.crypto.subtle;
+  if (!api) throw new Error('WebCrypto is not available in this context');
+  return api;
+}
+
+// Whether this runtime can take part in encrypted sessions
+function isEncryptionSupported() {
+  return Boolean(globalThis.crypto && globalThis.crypto.subtle);
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  new Uint8Array(bytes).forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// Additional data binding a ciphertext to the frame that carries it
+function frameAad({ type, id, headers = {} }) {
+  return new TextEncoder().encode(`${type}|${id}|${headers.from ?? ''}|${headers.to ?? ''}`);
+}
+
+function generateKeyPair() {
+  return subtle().generateKey(ECDH, false, ['deriveKey']);
+}
+
+// Fresh AES-GCM key the server shares with every client of its session
+function generateSessionKey() {
+  return subtle().generateKey(AES, true, ['encrypt', 'decrypt']);
+}
+
+async function exportPublicKey(keyPair) {
+  return toBase64(await subtle().exportKey('raw', keyPair.publicKey));
+}
+
+// Pairwise AES-GCM key from our key pair and the peer's base64 public key
+async function derivePairKey(keyPair, peerPublicKey) {
+  const publicKey = await subtle().importKey('raw', fromBase64(peerPublicKey), ECDH, false, []);
+  return subtle().deriveKey({ name: 'ECDH', public: publicKey }, keyPair.privateKey, AES, false, ['encrypt', 'decrypt']);
+}
+
+async function encryptBytes(key, bytes, aad) {
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const params = aad ? { name: 'AES-GCM', iv, additionalData: aad } : { name: 'AES-GCM', iv };
+  const ciphertext = await subtle().encrypt(params, key, bytes);
+  return `${toBase64(iv)}.${toBase64(ciphertext)}`;
+}
+
+async function decryptBytes(key, sealed, aad) {
+  const [iv, ciphertext] = String(sealed).split('.');
+  if (!iv || !ciphertext) throw new Error('Malformed ciphertext');
+  const params = aad
+    ? { name: 'AES-GCM', iv: fromBase64(iv), additionalData: aad }
+    : { name: 'AES-GCM', iv: fromBase64(iv) };
+  return new Uint8Array(await subtle().decrypt(params, key, fromBase64(ciphertext)));
+}
+
+// Wrap the session key for one client with our pairwise key
+async function wrapSessionKey(pairKey, sessionKey) {
+  return encryptBytes(pairKey, await subtle().exportKey('raw', sessionKey));
+}
+
+async function unwrapSessionKey(pairKey, wrapped) {
+  const raw = await decryptBytes(pairKey, wrapped);
+  return subtle().importKey('raw', raw, AES, false, ['encrypt', 'decrypt']);
+}
+
+// Encrypt a frame's payload in place of the plaintext: returns the frame with
+// `enc` set, ready for serialize()
+async function encryptFrame(key, frame) {
+  const sealed = await encryptBytes(key, new TextEncoder().encode(String(frame.payload ?? '')), frameAad(frame));
+  return { ...frame, headers: { ...frame.headers, enc: ENCRYPTION }, payload: sealed };
+}
+
+// Plaintext payload of a parsed frame with `enc=aes-gcm`; rejects when the
+// key is wrong or the frame was tampered with
+async function decryptFrame(key, frame) {
+  if (frame.headers.enc !== ENCRYPTION) {
+    throw new Error(`Unsupported encryption "${frame.headers.enc}"`);
+  }
+  const bytes = await decryptBytes(key, frame.payload, frameAad(frame));
+  return new TextDecoder().decode(bytes);
+}
+
+// Binary counterpart for file chunks: iv followed by the ciphertext, bound to
+// `frame` (which should carry `enc=aes-gcm`) like an encrypted payload
+async function encryptChunk(key, frame, bytes) {
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const ciphertext = await subtle().encrypt({ name: 'AES-GCM', iv, additionalData: frameAad(frame) }, key, bytes);
+  const out = new Uint8Array(IV_BYTES + ciphertext.byteLength);
+  out.set(iv);
+  out.set(new Uint8Array(ciphertext), IV_BYTES);
+  return out;
+}
+
+async function decryptChunk(key, frame, bytes) {
+  if (frame.headers.enc !== ENCRYPTION) {
+    throw new Error(`Unsupported encryption "${frame.headers.enc}"`);
+  }
+  const plaintext = await subtle().decrypt(
+    { name: 'AES-GCM', iv: bytes.slice(0, IV_BYTES), additionalData: frameAad(frame) },
+    key,
+    bytes.slice(IV_BYTES)
+  );
+  return new Uint8Array(plaintext);
+}
+
+// Short code both peers can read out to each other: SHA-256 over the two
+// public keys (in a fixed order), shown as eight groups of four hex digits.
+// A relay that swapped keys would make the two sides see different codes.
+async function fingerprint(publicKeyA, publicKeyB) {
+  const [first, second] = [publicKeyA, publicKeyB].sort();
+  const digest = await subtle().digest('SHA-256', new TextEncoder().encode(`${first}:${second}`));
+  const hex = [...new Uint8Array(digest).slice(0, 16)]
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+  return hex.toUpperCase().match(/.{4}/g).join(' ');
+}
+
+module.exports = {
+  ENCRYPTION,
+  isEncryptionSupported,
+  generateKeyPair,
+  generateSessionKey,
+  exportPublicKey,
+  derivePairKey,
+  wrapSessionKey,
+  unwrapSessionKey,
+  encryptFrame,
+  decryptFrame,
+  encryptChunk,
+  decryptChunk,
+  fingerprint
+};
@@ -0,0 +1,77 @@
+// File transfer over SCP.
+//
+//   FILE_OFFER    transfer, size, chunk-size, chunks, sha256               sender -> receiver
+//   FILE_ACCEPT   transfer, from-chunk (chunks already held, to resume)   receiver -> sender
+//   FILE_CHUNK    transfer, index, checksum (SHA-256 of the chunk)         sender -> receiver
+//   FILE_COMPLETE transfer, sha256                                         sender -> receiver
+//   FILE_CANCEL   transfer, payload = reason                               either side
+//
+// The offer's payload is JSON { name, type } so that, like any payload, it is
+// covered by end-to-end encryption. All of them are acknowledged like MSG.
+// FILE_CHUNK travels as a binary WebSocket message: a 4-byte big-endian
+// length, that many bytes of SCP frame text (with an empty payload), then the
+// raw chunk bytes.
+
+const { SCPParseError } = require('./codec');
+
+const FILE_TYPES = ['FILE_OFFER', 'FILE_ACCEPT', 'FILE_CHUNK', 'FILE_COMPLETE', 'FILE_CANCEL'];
+const DEFAULT_CHUNK_SIZE = 32 * 1024;
+const MAX_FILE_BYTES = 25 * 1024 * 1024;
+
+function chunkCount(size, chunkSize = DEFAULT_CHUNK_SIZE) {
+  return Math.max(1, Math.ceil(size / chunkSize));
+}
+
+function sliceChunk(bytes, index, chunkSize = DEFAULT_CHUNK_SIZE) {
+  return bytes.subarray(index * chunkSize, (index + 1) * chunkSize);
+}
+
+// Hex SHA-256 of a byte array (WebCrypto, so async)
+async function sha256Hex(bytes) {
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Random id naming one transfer across offers, chunks and resumes
+function newTransferId() {
+  const bytes = globalThis.crypto.getRandomValues(new Uint8Array(8));
+  return [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Pack a serialized frame and its bytes into one binary WebSocket message
+function encodeBinaryFrame(frame, bytes) {
+  const text = new TextEncoder().encode(frame);
+  const out = new Uint8Array(4 + text.length + bytes.length);
+  new DataView(out.buffer).setUint32(0, text.length);
+  out.set(text, 4);
+  out.set(bytes, 4 + text.length);
+  return out;
+}
+
+// Split a binary WebSocket message into { frame, bytes }
+function decodeBinaryFrame(data) {
+  const buffer = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+  if (!(buffer instanceof Uint8Array) || buffer.length < 4) {
+    throw new SCPParseError('ERR_BAD_BINARY_FRAME', 'Binary frame is too short', null);
+  }
+  const length = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength).getUint32(0);
+  if (4 + length > buffer.length) {
+    throw new SCPParseError('ERR_BAD_BINARY_FRAME', `Frame header length ${length} exceeds message size`, null);
+  }
+  return {
+    frame: new TextDecoder().decode(buffer.subarray(4, 4 + length)),
+    bytes: buffer.subarray(4 + length)
+  };
+}
+
+module.exports = {
+  FILE_TYPES,
+  DEFAULT_CHUNK_SIZE,
+  MAX_FILE_BYTES,
+  chunkCount,
+  sliceChunk,
+  sha256Hex,
+  newTransferId,
+  encodeBinaryFrame,
+  decodeBinaryFrame
+};
@@ -0,0 +1,95 @@
+// SCP handshake: version and feature negotiation.
+//
+// A client opens with
+//
+//   SCP/1.1 | HELLO | id=0 | versions=1.1 | features=acks,file-transfer | alice
+//
+// and the server answers with
+//
+//   SCP/1.1 | WELCOME | id=0 | version=1.1 | features=acks |
+//
+// picking the highest version both sides speak and the features both enabled.
+// A HELLO without a `versions` header comes from a peer that predates the
+// handshake and is treated as SCP/1.1 with acks.
+
+const { VERSION, SCPError } = require('./codec');
+
+const SUPPORTED_VERSIONS = [VERSION];
+const FEATURES = ['acks', 'encryption', 'file-transfer'];
+const LEGACY_OFFER = { versions: ['1.1'], features: ['acks'], legacy: true };
+
+function splitList(value) {
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+// Orders "major.minor" strings numerically
+function compareVersions(a, b) {
+  const [aMajor, aMinor] = a.split('.').map(Number);
+  const [bMajor, bMinor] = b.split('.').map(Number);
+  return aMajor - bMajor || aMinor - bMinor;
+}
+
+// Build the HELLO frame (for serialize) announcing what we can do
+function buildHello({ id = 0, username = '', versions = SUPPORTED_VERSIONS, features = [], headers = {} } = {}) {
+  return {
+    type: 'HELLO',
+    id,
+    headers: { ...headers, versions: versions.join(','), features: features.join(',') },
+    payload: username
+  };
+}
+
+// The versions and features offered by a parsed HELLO frame
+function readOffer(frame) {
+  if (frame.headers.versions === undefined) return { ...LEGACY_OFFER };
+  return {
+    versions: splitList(frame.headers.versions),
+    features: splitList(frame.headers.features),
+    legacy: false
+  };
+}
+
+// Agree on { version, features } or throw ERR_VERSION_MISMATCH
+function negotiate(offer, { versions = SUPPORTED_VERSIONS, features = [] } = {}) {
+  const common = offer.versions.filter(version => versions.includes(version)).sort(compareVersions);
+  if (common.length === 0) {
+    throw new SCPError(
+      'ERR_VERSION_MISMATCH',
+      `No common protocol version: peer speaks ${offer.versions.join(', ') || 'none'}, ` +
+      `this side speaks ${versions.join(', ')}`
+    );
+  }
+  return {
+    version: common[common.length - 1],
+    features: offer.features.filter(feature => features.includes(feature))
+  };
+}
+
+// Build the WELCOME frame (for serialize) confirming a negotiation result
+function buildWelcome({ id = 0, version, features = [], headers = {} }) {
+  return {
+    type: 'WELCOME',
+    id,
+    headers: { ...headers, version, features: features.join(',') },
+    payload: ''
+  };
+}
+
+// The { version, features } a parsed WELCOME frame settled on
+function readWelcome(frame) {
+  return {
+    version: frame.headers.version,
+    features: splitList(frame.headers.features)
+  };
+}
+
+module.exports = {
+  SUPPORTED_VERSIONS,
+  FEATURES,
+  compareVersions,
+  buildHello,
+  readOffer,
+  negotiate,
+  buildWelcome,
+  readWelcome
+};
@@ -0,0 +1,8 @@
+module.exports = {
+  ...require('./codec'),
+  ...require('./reliability'),
+  ...require('./handshake'),
+  ...require('./lifecycle'),
+  ...require('./encryption'),
+  ...require('./files')
+};
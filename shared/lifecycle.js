@@ -0,0 +1,65 @@
+// SCP session lifecycle frames.
+//
+// A peer leaving for good says so with
+//
+//   SCP/1.1 | BYE | id=7 | reason=leaving | Off to lunch
+//
+// A BYE from the server ends the session for everyone. The relay sends BYE
+// itself (from=relay) when it ends a session, and before a session expires
+// for lack of traffic it warns everyone with
+//
+//   SCP/1.1 | EXPIRING | id=0 | from=relay | to=* | remaining=300000 |
+//
+// `remaining` is in milliseconds. Neither frame is acknowledged.
+
+const LIFECYCLE_TYPES = ['BYE', 'EXPIRING'];
+
+// Why a BYE was sent; peers show unknown reasons as they are
+const BYE_REASONS = {
+  LEAVING: 'leaving', // a participant left
+  CLOSED: 'closed', // the owner closed the session
+  EXPIRED: 'expired' // the relay expired an idle session
+};
+
+// Build a BYE frame (for serialize); `message` is optional text for people
+function buildBye({ id = 0, reason = BYE_REASONS.LEAVING, message = '', headers = {} } = {}) {
+  return {
+    type: 'BYE',
+    id,
+    headers: { ...headers, reason },
+    payload: message
+  };
+}
+
+// The { reason, message } of a parsed BYE frame
+function readBye(frame) {
+  return {
+    reason: frame.headers.reason || BYE_REASONS.LEAVING,
+    message: frame.payload
+  };
+}
+
+// Build the relay's EXPIRING warning (for serialize)
+function buildExpiring({ remainingMs, headers = {} }) {
+  return {
+    type: 'EXPIRING',
+    id: 0,
+    headers: { ...headers, remaining: Math.max(0, Math.round(remainingMs)) },
+    payload: ''
+  };
+}
+
+// Milliseconds left according to a parsed EXPIRING frame
+function readExpiring(frame) {
+  const remainingMs = Number(frame.headers.remaining);
+  return { remainingMs: Number.isFinite(remainingMs) ? remainingMs : 0 };
+}
+
+module.exports = {
+  LIFECYCLE_TYPES,
+  BYE_REASONS,
+  buildBye,
+  readBye,
+  buildExpiring,
+  readExpiring
+};
@@ -0,0 +1,158 @@
+// Reliable delivery helpers for SCP: sender-side retransmission with
+// exponential backoff and receiver-side duplicate suppression by frame id.
+
+const DEFAULT_RETRY_POLICY = {
+  timeout: 2000,     // ms to wait for the first ACK
+  backoff: 2,        // multiplier applied to the timeout after every attempt
+  maxTimeout: 16000, // upper bound for a single wait
+  maxRetries: 4      // retransmissions before the message is marked failed
+};
+
+// NACK reasons that mean "try again later" rather than "never" (a chunk that
+// failed its checksum is simply sent again)
+const TRANSIENT_NACK_REASONS = ['PEER_UNAVAILABLE', 'RATE_LIMITED', 'CHECKSUM_MISMATCH'];
+
+// Delay before retransmission number `attempt` (1-based)
+function retryDelay(policy, attempt) {
+  const delay = policy.timeout * Math.pow(policy.backoff, attempt - 1);
+  return Math.min(delay, policy.maxTimeout);
+}
+
+// Tracks unacknowledged frames and retransmits them until they are ACKed,
+// rejected, or run out of retries.
+//
+// `send(entry)` puts entry.frame on the wire again, `onStatus(id, status, entry)`
+// is called with 'sending' | 'retrying' | 'acked' | 'rejected' | 'failed'.
+class RetransmitQueue {
+  constructor({ send, onStatus = () => {}, policy = {}, timers = {} } = {}) {
+    if (typeof send !== 'function') {
+      throw new TypeError('RetransmitQueue requires a send function');
+    }
+    this.send = send;
+    this.onStatus = onStatus;
+    this.policy = { ...DEFAULT_RETRY_POLICY, ...policy };
+    this.setTimeout = timers.setTimeout || ((fn, ms) => setTimeout(fn, ms));
+    this.clearTimeout = timers.clearTimeout || ((handle) => clearTimeout(handle));
+    this.entries = new Map();
+  }
+
+  // Start tracking a frame that has just been sent for the first time
+  track(id, frame, policy = {}) {
+    this.cancel(id);
+    const entry = {
+      id,
+      frame,
+      policy: { ...this.policy, ...policy },
+      attempts: 0,
+      status: 'sending',
+      timer: null
+    };
+    this.entries.set(id, entry);
+    this.onStatus(id, 'sending', entry);
+    this.schedule(entry);
+    return entry;
+  }
+
+  schedule(entry) {
+    const delay = retryDelay(entry.policy, entry.attempts + 1);
+    entry.timer = this.setTimeout(() => this.expire(entry), delay);
+  }
+
+  expire(entry) {
+    entry.timer = null;
+    if (this.entries.get(entry.id) !== entry) return;
+
+    if (entry.attempts >= entry.policy.maxRetries) {
+      entry.status = 'failed';
+      this.onStatus(entry.id, 'failed', entry);
+      return;
+    }
+
+    entry.attempts++;
+    entry.status = 'retrying';
+    this.onStatus(entry.id, 'retrying', entry);
+    this.send(entry);
+    this.schedule(entry);
+  }
+
+  // Returns false when the id is not (or no longer) awaiting an ACK.
+  // A late ACK for a failed frame still counts: the peer did get it.
+  ack(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return false;
+    this.cancel(id);
+    entry.status = 'acked';
+    this.onStatus(id, 'acked', entry);
+    return true;
+  }
+
+  // Transient reasons leave the retransmission timer running
+  nack(id, reason) {
+    const entry = this.entries.get(id);
+    if (!entry) return false;
+    if (TRANSIENT_NACK_REASONS.includes(reason) && entry.status !== 'failed') return true;
+    this.cancel(id);
+    entry.status = 'rejected';
+    entry.reason = reason;
+    this.onStatus(id, 'rejected', entry);
+    return true;
+  }
+
+  // Manually restart delivery of a failed frame
+  retry(id) {
+    const entry = this.entries.get(id);
+    if (!entry || entry.status !== 'failed') return false;
+    entry.attempts = 0;
+    entry.status = 'sending';
+    this.onStatus(id, 'sending', entry);
+    this.send(entry);
+    this.schedule(entry);
+    return true;
+  }
+
+  cancel(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+    if (entry.timer) this.clearTimeout(entry.timer);
+    this.entries.delete(id);
+  }
+
+  clear() {
+    for (const id of [...this.entries.keys()]) {
+      this.cancel(id);
+    }
+  }
+}
+
+// Remembers recently seen (sender, id) pairs so retransmitted frames are
+// acknowledged again but only delivered once.
+class DuplicateFilter {
+  constructor({ capacity = 1000 } = {}) {
+    this.capacity = capacity;
+    this.seen = new Set();
+  }
+
+  // Returns true the first time a (sender, id) pair is seen
+  accept(sender, id) {
+    const key = `${sender}:${id}`;
+    if (this.seen.has(key)) return false;
+
+    this.seen.add(key);
+    if (this.seen.size > this.capacity) {
+      this.seen.delete(this.seen.values().next().value);
+    }
+    return true;
+  }
+
+  clear() {
+    this.seen.clear();
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  TRANSIENT_NACK_REASONS,
+  retryDelay,
+  RetransmitQueue,
+  DuplicateFilter
+};
@@ -0,0 +1,109 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parse, tryParse, serialize, SCPParseError, SCPEncodeError } = require('../codec');
+
+// Asserts that parse(frame) throws an SCPParseError with `code`
+function rejects(frame, code) {
+  assert.throws(() => parse(frame), (error) => {
+    assert.ok(error instanceof SCPParseError);
+    assert.equal(error.code, code);
+    assert.equal(error.frame, frame);
+    return true;
+  });
+}
+
+describe('serialize', () => {
+  it('writes version, type, id, headers and payload', () => {
+    const frame = serialize({ type: 'MSG', id: 3, headers: { from: 'c1', to: 'server', size: 2 }, payload: 'hi' });
+    assert.equal(frame, 'SCP/1.1 | MSG | id=3 | from=c1 | to=server | size=2 | hi');
+  });
+
+  it('escapes backslashes, pipes and line breaks', () => {
+    const frame = serialize({ type: 'MSG', id: 1, headers: { note: 'a|b' }, payload: 'x \\ y | z\r\nw' });
+    assert.equal(frame, 'SCP/1.1 | MSG | id=1 | note=a\\|b | x \\\\ y \\| z\\r\\nw');
+  });
+
+  it('adds a len header on request and skips unset headers', () => {
+    const message = { type: 'MSG', id: 1, headers: { to: undefined, from: null }, payload: 'héllo' };
+    const frame = serialize(message, { length: true });
+    assert.equal(frame, 'SCP/1.1 | MSG | id=1 | len=6 | héllo');
+  });
+
+  it('rejects what cannot go on the wire', () => {
+    const cases = [
+      [{ type: 'msg', id: 1 }, 'ERR_BAD_TYPE'],
+      [{ type: 'MSG' }, 'ERR_BAD_ID'],
+      [{ type: 'MSG', id: -1 }, 'ERR_BAD_ID'],
+      [{ type: 'MSG', id: 1.5 }, 'ERR_BAD_ID'],
+      [{ type: 'MSG', id: 1, version: '1' }, 'ERR_BAD_VERSION'],
+      [{ type: 'MSG', id: 1, headers: { Bad: 'x' } }, 'ERR_BAD_HEADER'],
+      [{ type: 'MSG', id: 1, headers: { len: 3 } }, 'ERR_BAD_HEADER'],
+      [{ type: 'MSG', id: 1, headers: { meta: { a: 1 } } }, 'ERR_BAD_HEADER'],
+      [{ type: 'MSG', id: 1, headers: { flag: true } }, 'ERR_BAD_HEADER']
+    ];
+    cases.forEach(([message, code]) => {
+      assert.throws(() => serialize(message), error => error instanceof SCPEncodeError && error.code === code);
+    });
+  });
+});
+
+describe('parse', () => {
+  it('reads what serialize writes', () => {
+    const message = {
+      type: 'MSG',
+      id: 42,
+      headers: { from: 'c1', note: ' spaced | out ', path: 'a\\b' },
+      payload: ' leading and trailing | pipes \\ and\nlines '
+    };
+    assert.deepEqual(parse(serialize(message, { length: true })), { version: '1.1', ...message });
+  });
+
+  it('accepts frames written without spaces or with extra ones', () => {
+    assert.deepEqual(parse('SCP/1.1|PING|id=0|'), { version: '1.1', type: 'PING', id: 0, headers: {}, payload: '' });
+    assert.equal(parse('SCP/1.1  |  MSG  |  id=7  |  len=3  | hi!').id, 7);
+  });
+
+  it('keeps the version a peer speaks', () => {
+    assert.equal(parse('SCP/2.10 | MSG | id=1 | hi').version, '2.10');
+  });
+
+  it('rejects frames that break the grammar with typed errors', () => {
+    rejects('SCP/1.1 | MSG | id=1 | a\nb', 'ERR_LINE_BREAK');
+    rejects('SCP/1.1 | MSG | hi', 'ERR_TOO_FEW_FIELDS');
+    rejects('SCP/x | MSG | id=1 | hi', 'ERR_BAD_VERSION');
+    rejects('SCP/1.1 | msg | id=1 | hi', 'ERR_BAD_TYPE');
+    rejects('SCP/1.1 | MSG | id=1 | novalue | hi', 'ERR_BAD_HEADER');
+    rejects('SCP/1.1 | MSG | id=1 | Key=x | hi', 'ERR_BAD_HEADER');
+    rejects('SCP/1.1 | MSG | id=1 | to=a | to=b | hi', 'ERR_DUPLICATE_HEADER');
+  });
+
+  it('requires a non-negative integer id', () => {
+    rejects('SCP/1.1 | MSG | to=a | hi', 'ERR_MISSING_ID');
+    rejects('SCP/1.1 | MSG | id=-1 | hi', 'ERR_BAD_ID');
+    rejects('SCP/1.1 | MSG | id=one | hi', 'ERR_BAD_ID');
+    rejects('SCP/1.1 | MSG | id=99999999999999999999 | hi', 'ERR_BAD_ID');
+  });
+
+  it('checks the len header against the unescaped payload', () => {
+    assert.equal(parse('SCP/1.1 | MSG | id=1 | len=3 | a\\|b').payload, 'a|b');
+    rejects('SCP/1.1 | MSG | id=1 | len=4 | a\\|b', 'ERR_LENGTH_MISMATCH');
+    rejects('SCP/1.1 | MSG | id=1 | len=x | hi', 'ERR_BAD_HEADER');
+  });
+
+  it('rejects unknown and dangling escapes', () => {
+    rejects('SCP/1.1 | MSG | id=1 | \\t', 'ERR_BAD_ESCAPE');
+    rejects('SCP/1.1 | MSG | id=1 | note=\\x | hi', 'ERR_BAD_ESCAPE');
+    rejects('SCP/1.1 | MSG | id=1 | trailing \\', 'ERR_BAD_ESCAPE');
+  });
+
+  it('only takes strings', () => {
+    rejects(42, 'ERR_NOT_A_STRING');
+  });
+});
+
+describe('tryParse', () => {
+  it('returns null for malformed frames', () => {
+    assert.equal(tryParse('not a frame'), null);
+    assert.equal(tryParse('SCP/1.1 | MSG | id=1 | hi').payload, 'hi');
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ENCRYPTION,
+  generateKeyPair,
+  generateSessionKey,
+  exportPublicKey,
+  derivePairKey,
+  wrapSessionKey,
+  unwrapSessionKey,
+  encryptFrame,
+  decryptFrame,
+  encryptChunk,
+  decryptChunk,
+  fingerprint
+} = require('../encryption');
+
+// Flip one bit of the base64 text after `.` (the ciphertext and its tag)
+function tamper(sealed) {
+  const [iv, ciphertext] = sealed.split('.');
+  const bytes = Buffer.from(ciphertext, 'base64');
+  bytes[bytes.length - 1] ^= 1;
+  return `${iv}.${bytes.toString('base64')}`;
+}
+
+describe('encryption', () => {
+  let server;
+  let client;
+  let serverKey;
+  let clientKey;
+  before(async () => {
+    server = await generateKeyPair();
+    client = await generateKeyPair();
+    serverKey = await exportPublicKey(server);
+    clientKey = await exportPublicKey(client);
+  });
+
+  it('hands the session key to a client wrapped with the pairwise key', async () => {
+    const sessionKey = await generateSessionKey();
+    const wrapped = await wrapSessionKey(await derivePairKey(server, clientKey), sessionKey);
+    const unwrapped = await unwrapSessionKey(await derivePairKey(client, serverKey), wrapped);
+
+    const frame = await encryptFrame(sessionKey, { type: 'MSG', id: 1, headers: { from: 'server', to: 'c1' }, payload: 'hi' });
+    assert.equal(await decryptFrame(unwrapped, frame), 'hi');
+  });
+
+  it('refuses a wrapped key meant for another client', async () => {
+    const other = await generateKeyPair();
+    const wrapped = await wrapSessionKey(await derivePairKey(server, clientKey), await generateSessionKey());
+    await assert.rejects(unwrapSessionKey(await derivePairKey(other, serverKey), wrapped));
+  });
+
+  it('encrypts payloads and rejects tampered ciphertexts or re-addressed frames', async () => {
+    const key = await generateSessionKey();
+    const frame = await encryptFrame(key, { type: 'MSG', id: 7, headers: { from: 'c1', to: 'server' }, payload: 'secret' });
+    assert.equal(frame.headers.enc, ENCRYPTION);
+    assert.doesNotMatch(frame.payload, /secret/);
+    assert.equal(await decryptFrame(key, frame), 'secret');
+
+    await assert.rejects(decryptFrame(key, { ...frame, payload: tamper(frame.payload) }));
+    await assert.rejects(decryptFrame(key, { ...frame, headers: { ...frame.headers, to: 'c2' } }));
+    await assert.rejects(decryptFrame(key, { ...frame, id: 8 }));
+    await assert.rejects(decryptFrame(key, { ...frame, payload: 'no-dot' }), /Malformed ciphertext/);
+    await assert.rejects(decryptFrame(await generateSessionKey(), frame));
+    await assert.rejects(decryptFrame(key, { ...frame, headers: { ...frame.headers, enc: 'rot13' } }), /Unsupported/);
+  });
+
+  it('encrypts file chunks bound to their frame', async () => {
+    const key = await generateSessionKey();
+    const frame = { type: 'FILE_CHUNK', id: 3, headers: { from: 'c1', to: 'server', enc: ENCRYPTION }, payload: '' };
+    const sealed = await encryptChunk(key, frame, new Uint8Array([1, 2, 3]));
+    assert.deepEqual([...await decryptChunk(key, frame, sealed)], [1, 2, 3]);
+
+    const corrupted = sealed.slice();
+    corrupted[corrupted.length - 1] ^= 1;
+    await assert.rejects(decryptChunk(key, frame, corrupted));
+  });
+
+  it('gives both peers the same stable fingerprint', async () => {
+    const seen = await fingerprint(serverKey, clientKey);
+    assert.match(seen, /^([0-9A-F]{4} ){7}[0-9A-F]{4}$/);
+    assert.equal(await fingerprint(clientKey, serverKey), seen);
+    assert.equal(await fingerprint(serverKey, clientKey), seen);
+
+    const other = await exportPublicKey(await generateKeyPair());
+    assert.notEqual(await fingerprint(serverKey, other), seen);
+  });
+});
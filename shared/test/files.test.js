@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SCPParseError } = require('../codec');
+const { chunkCount, sliceChunk, sha256Hex, encodeBinaryFrame, decodeBinaryFrame } = require('../files');
+
+const FRAME = 'SCP/1.1 | FILE_CHUNK | id=4 | transfer=ab | index=0 | ';
+
+function rejects(data, message) {
+  assert.throws(() => decodeBinaryFrame(data), (error) => {
+    assert.ok(error instanceof SCPParseError);
+    assert.equal(error.code, 'ERR_BAD_BINARY_FRAME');
+    assert.match(error.message, message);
+    return true;
+  });
+}
+
+describe('binary frames', () => {
+  it('round-trip the frame text and the chunk bytes', () => {
+    const encoded = encodeBinaryFrame(FRAME, new Uint8Array([0, 1, 255]));
+    const { frame, bytes } = decodeBinaryFrame(encoded);
+    assert.equal(frame, FRAME);
+    assert.deepEqual([...bytes], [0, 1, 255]);
+    assert.equal(decodeBinaryFrame(encoded.buffer).frame, FRAME);
+  });
+
+  it('decode a message that is a view into a larger buffer', () => {
+    const encoded = encodeBinaryFrame(FRAME, new Uint8Array([9]));
+    const padded = new Uint8Array(encoded.length + 8);
+    padded.set(encoded, 5);
+    const { frame, bytes } = decodeBinaryFrame(padded.subarray(5, 5 + encoded.length));
+    assert.equal(frame, FRAME);
+    assert.deepEqual([...bytes], [9]);
+  });
+
+  it('reject messages too short for the header length', () => {
+    rejects(new Uint8Array([0, 0, 1]), /too short/);
+    rejects('text', /too short/);
+  });
+
+  it('reject a header length beyond the message', () => {
+    const encoded = encodeBinaryFrame(FRAME, new Uint8Array([1, 2]));
+    rejects(encoded.subarray(0, 10), /exceeds message size/);
+
+    const oversized = encoded.slice();
+    new DataView(oversized.buffer).setUint32(0, 0xffffffff);
+    rejects(oversized, /header length 4294967295/);
+  });
+});
+
+describe('chunks', () => {
+  it('split files into chunks of the chunk size', () => {
+    assert.equal(chunkCount(0), 1);
+    assert.equal(chunkCount(10, 4), 3);
+    assert.deepEqual([...sliceChunk(new Uint8Array([1, 2, 3, 4, 5]), 1, 2)], [3, 4]);
+  });
+
+  it('hash bytes as hex SHA-256', async () => {
+    assert.equal(await sha256Hex(new TextEncoder().encode('abc')),
+      'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  });
+});
@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parse, serialize } = require('../codec');
+const { buildHello, readOffer, negotiate, buildWelcome, readWelcome, compareVersions } = require('../handshake');
+
+describe('negotiate', () => {
+  it('picks the highest common version and the features both enabled', () => {
+    const offer = { versions: ['1.1', '1.10', '1.2', '2.0'], features: ['acks', 'encryption', 'file-transfer'] };
+    assert.deepEqual(negotiate(offer, { versions: ['1.1', '1.2', '1.10'], features: ['acks', 'file-transfer'] }), {
+      version: '1.10',
+      features: ['acks', 'file-transfer']
+    });
+  });
+
+  it('throws ERR_VERSION_MISMATCH without a version in common', () => {
+    assert.throws(
+      () => negotiate({ versions: ['2.0'], features: [] }, { versions: ['1.1'] }),
+      { code: 'ERR_VERSION_MISMATCH', message: /peer speaks 2\.0, this side speaks 1\.1/ }
+    );
+    assert.throws(() => negotiate({ versions: [], features: [] }), { code: 'ERR_VERSION_MISMATCH' });
+  });
+});
+
+describe('HELLO and WELCOME', () => {
+  it('carry the offer and the agreement through the codec', () => {
+    const hello = parse(serialize(buildHello({ username: 'alice', features: ['acks', 'file-transfer'] })));
+    assert.equal(hello.type, 'HELLO');
+    assert.equal(hello.payload, 'alice');
+    const offer = readOffer(hello);
+    assert.deepEqual(offer, { versions: ['1.1'], features: ['acks', 'file-transfer'], legacy: false });
+
+    const welcome = parse(serialize(buildWelcome(negotiate(offer, { features: ['acks'] }))));
+    assert.deepEqual(readWelcome(welcome), { version: '1.1', features: ['acks'] });
+  });
+
+  it('treats a HELLO without versions as a legacy SCP/1.1 peer with acks', () => {
+    const offer = readOffer(parse('SCP/1.1 | HELLO | id=0 | bob'));
+    assert.deepEqual(offer, { versions: ['1.1'], features: ['acks'], legacy: true });
+  });
+});
+
+describe('compareVersions', () => {
+  it('orders versions numerically', () => {
+    assert.deepEqual(['1.10', '2.0', '1.2'].sort(compareVersions), ['1.2', '1.10', '2.0']);
+  });
+});
@@ -0,0 +1,149 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { RetransmitQueue, DuplicateFilter, retryDelay, DEFAULT_RETRY_POLICY } = require('../reliability');
+
+// Timers driven by advance(ms) instead of the wall clock
+function createClock() {
+  let current = 0;
+  let nextHandle = 1;
+  const scheduled = new Map();
+  return {
+    timers: {
+      setTimeout: (fn, ms) => {
+        scheduled.set(nextHandle, { fn, at: current + ms });
+        return nextHandle++;
+      },
+      clearTimeout: handle => scheduled.delete(handle)
+    },
+    advance(ms) {
+      const until = current + ms;
+      for (;;) {
+        const due = [...scheduled].filter(([, timer]) => timer.at <= until).sort((a, b) => a[1].at - b[1].at)[0];
+        if (!due) break;
+        scheduled.delete(due[0]);
+        current = due[1].at;
+        due[1].fn();
+      }
+      current = until;
+    },
+    get pending() {
+      return scheduled.size;
+    }
+  };
+}
+
+describe('retryDelay', () => {
+  it('backs off exponentially up to maxTimeout', () => {
+    const delays = [1, 2, 3, 4, 5].map(attempt => retryDelay(DEFAULT_RETRY_POLICY, attempt));
+    assert.deepEqual(delays, [2000, 4000, 8000, 16000, 16000]);
+  });
+});
+
+describe('RetransmitQueue', () => {
+  let clock;
+  let sent;
+  let statuses;
+  let queue;
+  beforeEach(() => {
+    clock = createClock();
+    sent = [];
+    statuses = [];
+    queue = new RetransmitQueue({
+      send: entry => sent.push([entry.id, entry.attempts]),
+      onStatus: (id, status) => statuses.push(status),
+      policy: { timeout: 100, backoff: 2, maxTimeout: 300, maxRetries: 3 },
+      timers: clock.timers
+    });
+  });
+
+  it('needs a send function', () => {
+    assert.throws(() => new RetransmitQueue(), TypeError);
+  });
+
+  it('retransmits with backoff and gives up after maxRetries', () => {
+    queue.track(1, 'frame');
+    clock.advance(99);
+    assert.deepEqual(sent, []);
+    clock.advance(1);
+    assert.deepEqual(sent, [[1, 1]]);
+    clock.advance(199);
+    assert.equal(sent.length, 1);
+    clock.advance(1);
+    assert.deepEqual(sent, [[1, 1], [1, 2]]);
+    clock.advance(300); // capped at maxTimeout rather than 400
+    assert.deepEqual(sent, [[1, 1], [1, 2], [1, 3]]);
+
+    clock.advance(300);
+    assert.equal(sent.length, 3);
+    assert.deepEqual(statuses, ['sending', 'retrying', 'retrying', 'retrying', 'failed']);
+    assert.equal(queue.entries.get(1).status, 'failed');
+    assert.equal(clock.pending, 0);
+  });
+
+  it('stops on an ACK, and counts a late ACK for a failed frame', () => {
+    queue.track(1, 'frame');
+    assert.equal(queue.ack(1), true);
+    assert.equal(queue.entries.has(1), false);
+    assert.equal(clock.pending, 0);
+    assert.equal(queue.ack(1), false);
+
+    queue.track(2, 'frame');
+    clock.advance(10000);
+    assert.equal(queue.ack(2), true);
+    assert.deepEqual(statuses.slice(-2), ['failed', 'acked']);
+  });
+
+  it('stops on a NACK, except for transient reasons', () => {
+    queue.track(1, 'frame');
+    assert.equal(queue.nack(1, 'PEER_UNAVAILABLE'), true);
+    assert.equal(queue.entries.get(1).status, 'sending');
+    clock.advance(100);
+    assert.deepEqual(sent, [[1, 1]]);
+
+    queue.nack(1, 'UNSUPPORTED_TYPE');
+    assert.equal(queue.entries.has(1), false);
+    assert.equal(clock.pending, 0);
+    assert.deepEqual(statuses.slice(-1), ['rejected']);
+    assert.equal(queue.nack(1, 'UNSUPPORTED_TYPE'), false);
+  });
+
+  it('lets a failed frame be retried from scratch', () => {
+    queue.track(1, 'frame');
+    assert.equal(queue.retry(1), false);
+    clock.advance(10000);
+
+    assert.equal(queue.retry(1), true);
+    assert.equal(queue.entries.get(1).attempts, 0);
+    assert.deepEqual(sent.at(-1), [1, 0]);
+    clock.advance(100);
+    assert.deepEqual(sent.at(-1), [1, 1]);
+  });
+
+  it('forgets everything on clear', () => {
+    queue.track(1, 'a');
+    queue.track(2, 'b', { timeout: 50 });
+    queue.clear();
+    clock.advance(10000);
+    assert.deepEqual(sent, []);
+    assert.equal(queue.entries.size, 0);
+  });
+});
+
+describe('DuplicateFilter', () => {
+  it('accepts each sender and id once', () => {
+    const filter = new DuplicateFilter();
+    assert.equal(filter.accept('c1', 1), true);
+    assert.equal(filter.accept('c1', 1), false);
+    assert.equal(filter.accept('c2', 1), true);
+    filter.clear();
+    assert.equal(filter.accept('c1', 1), true);
+  });
+
+  it('forgets the oldest ids beyond its capacity', () => {
+    const filter = new DuplicateFilter({ capacity: 2 });
+    [1, 2, 3].forEach(id => filter.accept('c1', id));
+    assert.equal(filter.accept('c1', 3), false);
+    assert.equal(filter.accept('c1', 2), false);
+    assert.equal(filter.accept('c1', 1), true);
+  });
+});